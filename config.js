@@ -123,19 +123,64 @@ module.exports = {
     PORT: process.env.PORT || 3000,
     APP_URL: process.env.RENDER_URL || "https://tg-users.netlify.app/#", // Fallback for emails
     DATA_DIR: process.env.DATA_DIR || './data',
+    // Persistence backend: 'json' (files under DATA_DIR) or 'sqlite' (requires better-sqlite3)
+    STORAGE_BACKEND: process.env.STORAGE_BACKEND || 'json',
+    SQLITE_PATH: process.env.SQLITE_PATH || null, // Defaults to <DATA_DIR>/tempusgeo.db
 
     // Security
-    JWT_SECRET: process.env.JWT_SECRET || 'tempusgeo_secret_123', // Change in production!
+    JWT_SECRET: process.env.JWT_SECRET || null, // Required - the server does not start without it (AuthService.secretError)
+    // Reverse proxies in front of the server (Render: 1) - req.ip is the address the outermost of them saw
+    TRUST_PROXY_HOPS: process.env.TRUST_PROXY_HOPS !== undefined ? parseInt(process.env.TRUST_PROXY_HOPS) || 0 : 1,
+    AUTH: {
+        ACCESS_TOKEN_TTL: parseInt(process.env.ACCESS_TOKEN_TTL) || 60 * 60, // seconds
+        REFRESH_TOKEN_TTL: parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60,
+        EMPLOYEE_REFRESH_TOKEN_TTL: parseInt(process.env.EMPLOYEE_REFRESH_TOKEN_TTL) || 180 * 24 * 60 * 60, // Employee app stays signed in
+        SUPER_ADMIN_REFRESH_TOKEN_TTL: parseInt(process.env.SUPER_ADMIN_REFRESH_TOKEN_TTL) || 12 * 60 * 60,
+        // Password reset links (admin panel page that reads ?resetToken=&companyId=)
+        PASSWORD_RESET_URL: process.env.PASSWORD_RESET_URL || process.env.ADMIN_APP_URL || process.env.RENDER_URL || "https://tg-users.netlify.app/#",
+        PASSWORD_RESET_TTL_MINUTES: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+    },
+
+    // Dunning: the "recover subscription" page (reads ?recoverToken=) linked from every failed-charge email
+    BILLING: {
+        RECOVERY_URL: process.env.BILLING_RECOVERY_URL || process.env.ADMIN_APP_URL || process.env.RENDER_URL || "https://tg-users.netlify.app/#",
+        RECOVERY_LINK_DAYS: parseInt(process.env.BILLING_RECOVERY_LINK_DAYS) || 30 // Link validity after the final block
+    },
 
     // External APIs
     TRANZILA: {
         BASE_URL: process.env.TRANZILA_BASE_URL || "https://direct.tranzila.com",
-        API_URL: process.env.TRANZILA_API_URL || "https://secure5.tranzila.com/cgi-bin/tranzila71u.cgi"
+        API_URL: process.env.TRANZILA_API_URL || "https://secure5.tranzila.com/cgi-bin/tranzila71u.cgi",
+        CHARGE_TIMEOUT_MS: parseInt(process.env.TRANZILA_CHARGE_TIMEOUT_MS) || 60 * 1000 // No answer by then = uncertain charge, flagged for review
     },
 
     // GAS Cold Storage (for historical data)
     GAS_COLD_STORAGE_URL: process.env.GAS_COLD_STORAGE_URL || "https://script.google.com/macros/s/AKfycbzNUL7jYvogl7_gwDSHVWSvEPWrdHF1-gfA4wBD5wN7koTNs5Mcn2r_b1FHwuvimYNncA/exec", // Set this to your GAS Web App URL
     MY_GAS_URL: process.env.MY_GAS_URL,
+    // Shared secret sent to GAS as `token` on every archive/sync call (never a user password)
+    GAS_API_SECRET: process.env.GAS_API_SECRET || '',
+    // Background GAS sync workers: one ordered lane per company, at most CONCURRENCY lanes sending at once.
+    // A lane whose GAS keeps failing is paused (circuit open) for BREAKER_COOLDOWN_MS after BREAKER_THRESHOLD failures in a row.
+    SYNC: {
+        CONCURRENCY: parseInt(process.env.SYNC_CONCURRENCY) || 4,
+        BREAKER_THRESHOLD: parseInt(process.env.SYNC_BREAKER_THRESHOLD) || 5,
+        BREAKER_COOLDOWN_MS: parseInt(process.env.SYNC_BREAKER_COOLDOWN_MS) || 5 * 60 * 1000
+    },
+
+    // Month archiving (months older than the hot window): 'gas' | 'local' | 's3'
+    // A local month file is only deleted after the archived copy was read back and its checksum matched.
+    ARCHIVE: {
+        TARGET: process.env.ARCHIVE_TARGET || 'gas',
+        LOCAL_DIR: process.env.ARCHIVE_DIR || null, // Defaults to <DATA_DIR>/archive
+        S3: {
+            ENDPOINT: process.env.S3_ENDPOINT || null, // e.g. https://s3.eu-central-1.amazonaws.com or a MinIO / R2 URL
+            REGION: process.env.S3_REGION || 'us-east-1',
+            BUCKET: process.env.S3_BUCKET || null,
+            PREFIX: process.env.S3_PREFIX || 'tempusgeo-archive',
+            ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || null,
+            SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || null
+        }
+    },
 
     // JetServer Payment Proxy
     JETSERVER_PAYMENT_URL: process.env.JETSERVER_PROXY_URL || process.env.JETSERVER_PAYMENT_URL,
@@ -156,10 +201,18 @@ module.exports = {
     SMTP: {
         HOST: process.env.SMTP_HOST || null,
         PORT: process.env.SMTP_PORT || 587,
-        USER: process.env.SMTP_USER || null,
+        SECURE: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : null, // null = TLS only on port 465
+        USER: process.env.SMTP_USER || null, // No user = no AUTH (local relay / test sink)
         PASS: process.env.SMTP_PASS || null,
         FROM: process.env.SMTP_FROM || 'no-reply@tempusgeo.com'
     },
+    // Email transports tried in order for every message; unconfigured ones are skipped
+    EMAIL_TRANSPORTS: (process.env.EMAIL_TRANSPORTS || 'smtp,jetserver,gas').split(',').map(t => t.trim()).filter(Boolean),
+    // Monthly report attachments: the PDF needs a TTF font with Hebrew glyphs (DejaVu / Noto / FreeSans are found automatically)
+    REPORTS: {
+        PDF_FONT: process.env.REPORT_PDF_FONT || null,
+        PDF_FONT_BOLD: process.env.REPORT_PDF_FONT_BOLD || null
+    },
 
     // System Config
     APP_NAME: "TempusGeo",
@@ -5,15 +5,174 @@ const dataManager = require('../services/DataManager');
 const tranzilaService = require('../services/TranzilaService');
 const emailService = require('../services/EmailService');
 const WageCalculator = require('../services/WageCalculator');
+const syncManager = require('../services/SyncManager');
+const payrollExportService = require('../services/PayrollExportService');
+const statementService = require('../services/StatementService');
+const correctionRequestService = require('../services/CorrectionRequestService');
+const dunningService = require('../services/DunningService');
+const billingDocumentService = require('../services/BillingDocumentService');
+const AuditTrail = require('../services/AuditTrail');
+const PlanCatalog = require('../services/PlanCatalog');
+const BillingCredits = require('../services/BillingCredits');
 const config = require('../config');
 const {
     mergeDefaultHolidaysBySector,
     getEmailTemplatePlainDefaults,
     getEmbeddedDefaultHolidaysBySector
 } = require('../systemDefaults');
-const axios = require('axios');
 const archiver = require('archiver');
 
+// ================================================================
+// SESSION AUTH
+// Access tokens are issued by AuthService (adminLogin, /super-admin/login, identifyEmployee).
+// Admin & employee sessions are bound to their company: any companyId in the request is
+// replaced with the one from the token, so a tenant can't reach another tenant's data.
+// ================================================================
+const readAccessToken = (req) => {
+    const header = req.headers['authorization'] || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return req.headers['x-access-token'] || (req.body && req.body.accessToken) || null;
+};
+
+const bindToSession = (req, auth) => {
+    req.auth = auth;
+    if (auth.role === 'superadmin') return; // Super admin may target any company explicitly
+
+    if (req.body && typeof req.body === 'object') req.body.companyId = auth.companyId;
+    if (req.query) req.query.companyId = auth.companyId;
+
+    if (auth.role === 'employee') {
+        // Employees can only act on / read their own shifts
+        ['name', 'userName', 'employeeName'].forEach(key => {
+            if (req.body && req.body[key] !== undefined) req.body[key] = auth.name;
+            if (req.query && req.query[key] !== undefined) req.query[key] = auth.name;
+        });
+        if (req.body && typeof req.body === 'object' && req.body.name === undefined) req.body.name = auth.name;
+    }
+};
+
+// The caller's address as seen by our proxy (server.js sets 'trust proxy'), never a client-supplied X-Forwarded-For entry
+const clientIp = (req) => req.ip;
+
+// Who is making a change, for the shift audit trail (always from the session, never from the body)
+const auditActor = (req) => AuditTrail.actor(req.auth, clientIp(req));
+
+// Exporting an approved month for payroll locks it (a locked month only records the export time)
+const lockExportedMonth = async (companyId, year, month, actor) => {
+    const sheet = await dataManager.getTimesheet(companyId, year, month);
+    if (sheet.status !== 'APPROVED' && sheet.status !== 'LOCKED') return sheet.status;
+    const result = await dataManager.lockTimesheet(companyId, year, month, { actor, exported: true });
+    return result.timesheet?.status || sheet.status;
+};
+
+// Plan feature flags (PlanCatalog.FEATURES): the 403 body when the business's plan does not include the feature
+const featureBlocked = async (companyId, feature) => (await dataManager.hasFeature(companyId, feature)) ? null : {
+    success: false,
+    error: 'FEATURE_NOT_IN_PLAN',
+    feature,
+    message: `${PlanCatalog.FEATURES[feature]} אינו כלול בתוכנית המנוי של העסק`
+};
+
+const rejectUnauthenticated = (res) => res.status(401).json({
+    success: false,
+    error: "UNAUTHORIZED",
+    message: "פג תוקף ההתחברות. יש להתחבר מחדש."
+});
+
+// requireRole('admin') / requireRole('admin', 'employee') - super admin always passes
+const requireRole = (...roles) => (req, res, next) => {
+    const auth = authService.verifyAccessToken(readAccessToken(req));
+    if (!auth) return rejectUnauthenticated(res);
+    if (auth.role !== 'superadmin' && !roles.includes(auth.role)) {
+        return res.status(403).json({ success: false, error: "FORBIDDEN" });
+    }
+    bindToSession(req, auth);
+    next();
+};
+
+const requireSuperAdmin = requireRole('superadmin');
+
+// Dispatch actions that don't need a session (login / identification / onboarding)
+const PUBLIC_DISPATCH_ACTIONS = [
+    'createNewBusiness', 'adminLogin', 'forgotAdminPassword', 'resetAdminPassword', 'identifyEmployee', 'refreshSession',
+    'getPublicPaymentConfig'
+];
+// Actions available to an identified employee (everything else requires an admin session)
+const EMPLOYEE_DISPATCH_ACTIONS = [
+    'checkIn', 'checkOut', 'getStatus', 'getYears', 'getMonths', 'getReport', 'getUserFullHistory', 'getBusinessConfig',
+    'getTimesheet', 'submitTimesheet', 'submitCorrectionRequest', 'getCorrectionRequests', 'cancelCorrectionRequest'
+];
+const SUPER_ADMIN_DISPATCH_ACTIONS = ['recordManualPayment', 'adminDeleteBusiness'];
+// The only actions run for the temporary NEW_SETUP id (onboarding payment steps, before the business exists)
+const NEW_SETUP_DISPATCH_ACTIONS = ['initTranzilaPayment', 'checkPaymentStatus', 'saveCardToken', 'processTranzilaTransaction', 'processPayment'];
+
+// What an employee session sees of the company config: the company-wide rules and its own constraint,
+// never colleagues' entries (device lock, pay profile) or billing / payroll / admin data
+const EMPLOYEE_CONFIG_KEYS = ['companyId', 'businessName', 'logoUrl', 'polygon', 'workLocations', 'subscriptionExpired', 'inGracePeriod', 'expiryDate'];
+const employeeConfigView = (config, employeeName) => {
+    const view = {};
+    EMPLOYEE_CONFIG_KEYS.forEach(key => {
+        if (config[key] !== undefined) view[key] = config[key];
+    });
+    const settings = config.settings || {};
+    const own = settings.constraints?.[employeeName];
+    view.employees = (config.employees || []).filter(name => name === employeeName);
+    view.settings = {
+        salary: settings.salary || {},
+        geofenceMode: settings.geofenceMode,
+        constraints: own ? { [employeeName]: own } : {},
+        dashboard: (settings.dashboard || []).filter(e => e && e.name === employeeName)
+    };
+    return view;
+};
+
+// Config keys only the server writes: the timesheet lifecycle and correction queue (audited actions of their own),
+// computed subscription flags, and billing / credit / dunning state. Admin config updates never carry them.
+const SERVER_OWNED_CONFIG_KEYS = [
+    'companyId', 'gasUrl', 'historyMetadata', 'timesheets', 'correctionRequests',
+    'subscriptionExpired', 'inGracePeriod', 'expiryDate', 'subscriptionExpiry', 'isFreeTrial', 'planId', 'priceLock',
+    'paymentMethod', 'paymentHistory', 'paymentAttempts', 'autoChargeEnabled', 'expectedPayment', 'billingFailed',
+    'accountLedger', 'couponDiscount', 'couponRedemptions', 'dunning'
+];
+const adminConfigUpdate = (payload) => {
+    const update = { ...(payload || {}) };
+    SERVER_OWNED_CONFIG_KEYS.forEach(key => delete update[key]);
+    return update;
+};
+
+const dispatchAuth = (req, res, next) => {
+    const { action, companyId } = req.body || {};
+    // Any other NEW_SETUP call is answered with an empty payload, without running
+    if (companyId === 'NEW_SETUP') {
+        return NEW_SETUP_DISPATCH_ACTIONS.includes(action) ? next() : res.json({ success: true, data: {}, messages: [] });
+    }
+    if (PUBLIC_DISPATCH_ACTIONS.includes(action)) return next();
+
+    const auth = authService.verifyAccessToken(readAccessToken(req));
+    if (!auth) return rejectUnauthenticated(res);
+
+    const allowed = auth.role === 'superadmin' ||
+        (!SUPER_ADMIN_DISPATCH_ACTIONS.includes(action) &&
+            (auth.role === 'admin' || (auth.role === 'employee' && EMPLOYEE_DISPATCH_ACTIONS.includes(action))));
+    if (!allowed) return res.status(403).json({ success: false, error: "FORBIDDEN" });
+
+    bindToSession(req, auth);
+    next();
+};
+
+// Middleware for Maintenance Auth (GAS triggers / cron)
+const maintenanceAuth = (req, res, next) => {
+    // Check header, body, and query for compatibility (GET requests use query)
+    const token = req.headers['x-maintenance-token'] || (req.body && req.body.token) || req.query.token;
+    const validToken = process.env.MAINTENANCE_TOKEN || config.JETSERVER_TOKEN || 'maintenance-secret-123';
+
+    if (token !== validToken) {
+        console.warn(`[Maintenance] Unauthorized attempt from ${req.ip} targeting ${req.path}`);
+        return res.status(401).json({ success: false, error: "Unauthorized Maintenance Token" });
+    }
+    next();
+};
+
 /** טקסונומיית חגים — מקור יחיד: RENDER/config.js (מסופק ללקוח משתמש ולמודאלים). */
 router.get('/holiday-taxonomy', (req, res) => {
     res.set('Cache-Control', 'public, max-age=300');
@@ -27,14 +186,9 @@ router.get('/holiday-taxonomy', (req, res) => {
 // UNIVERSAL ACTION DISPATCHER
 // Maps old GAS-style action-based POST bodies to Render REST logic
 // ================================================================
-router.post('/dispatch', async (req, res) => {
+router.post('/dispatch', dispatchAuth, async (req, res) => {
     const { action, companyId, password, ...rest } = req.body || {};
-
-    // Strict guard for ghost/temporary IDs on non-setup actions
-    const setupActions = ['initTranzilaPayment', 'checkPaymentStatus', 'saveCardToken', 'processTranzilaTransaction', 'processPayment'];
-    if (companyId === 'NEW_SETUP' && !setupActions.includes(action)) {
-        return res.json({ success: true, data: {}, messages: [] });
-    }
+    // (NEW_SETUP calls reaching here are NEW_SETUP_DISPATCH_ACTIONS - see dispatchAuth)
     console.log(`[Dispatch] action=${action} companyId=${companyId}`);
 
     try {
@@ -52,7 +206,8 @@ router.post('/dispatch', async (req, res) => {
             const bizConfig = await dataManager.getCompanyConfig(cid);
             if (!bizConfig) return null;
 
-            const shifts = await dataManager.getShifts(cid, year, month);
+            // Includes an overnight shift carried over from last month (only its minutes in this month count)
+            const shifts = await dataManager.getShiftsForPeriod(cid, year, month);
             let empShifts = shifts[name] || [];
 
             // LIVE INJECTION: If last shift is active, inject current time as 'end' 
@@ -68,7 +223,7 @@ router.post('/dispatch', async (req, res) => {
 
             const holidayDates = await dataManager.getHolidayDatesForMonth(cid, year, month, name);
             const workWeekType = bizConfig.settings?.constraints?.[name]?.workWeekType || '5day';
-            const wageResult = WageCalculator.calculateBreakdown(empShifts, bizConfig.settings?.salary || {}, holidayDates, workWeekType);
+            const wageResult = WageCalculator.calculateBreakdown(empShifts, bizConfig.settings?.salary || {}, holidayDates, workWeekType, dataManager.getMonthBounds(year, month));
             const formatTime = d => d.toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: 'Asia/Jerusalem' });
             return {
                 totalHours: formatHHMM(wageResult.totalHours),
@@ -94,7 +249,7 @@ router.post('/dispatch', async (req, res) => {
             const now = new Date();
             const year = now.getFullYear();
             const month = now.getMonth() + 1;
-            const shifts = await dataManager.getShifts(cid, year, month);
+            const shifts = await dataManager.getShiftsForPeriod(cid, year, month);
             const empShifts = shifts[name] || [];
             const lastShift = empShifts[empShifts.length - 1];
 
@@ -129,7 +284,12 @@ router.post('/dispatch', async (req, res) => {
                 const client = await dataManager.createBusiness(req.body);
                 // Also load the full config for the new business
                 const config = await dataManager.getCompanyConfig(client.id).catch(() => ({}));
-                return res.json({ success: true, companyId: client.id, config });
+                return res.json({
+                    success: true,
+                    companyId: client.id,
+                    config,
+                    ...authService.issueSession({ role: 'admin', companyId: client.id })
+                });
             }
 
             // === AUTH ===
@@ -148,9 +308,13 @@ router.post('/dispatch', async (req, res) => {
                 }
                 if (!config) return res.json({ success: false, error: 'Company not found', revokedAccess: true });
 
-                const client = await dataManager.getClientById(companyId);
                 const sysConfig = await dataManager.getSystemConfig().catch(() => ({}));
 
+                if (req.auth?.role === 'employee') {
+                    return res.json({ success: true, config: { ...employeeConfigView(config, req.auth.name), maxShiftHours: sysConfig.maxShiftHours || 12 } });
+                }
+
+                const client = await dataManager.getClientById(companyId);
                 const billing = await dataManager.calculateSubscriptionAmount(companyId).catch(() => ({ amount: 0, breakdown: {} }));
 
                 return res.json({
@@ -241,14 +405,23 @@ router.post('/dispatch', async (req, res) => {
                 return res.json(result);
             }
 
+            case 'identifyEmployee': {
+                const result = await authService.identifyEmployee(companyId, rest.name, rest.deviceId);
+                return res.json(result);
+            }
+
+            case 'refreshSession': {
+                const result = await authService.refreshSession(rest.refreshToken);
+                return res.status(result.success ? 200 : 401).json(result);
+            }
+
             case 'renewSubscription': {
                 const result = await dataManager.renewSubscription(companyId);
                 return res.json(result);
             }
 
             case 'recordManualPayment': {
-                // Only allowed for Super-Admin via dispatch
-                if (!isValidSuperAdminPassword(password)) return res.json({ success: false, error: 'Unauthorized' });
+                // Only allowed for Super-Admin via dispatch (enforced by dispatchAuth)
                 const { targetCompanyId, amount, months, method, reference, actionType, chargeCC, sendEmail } = rest;
 
                 try {
@@ -263,7 +436,12 @@ router.post('/dispatch', async (req, res) => {
 
             case 'forgotAdminPassword': {
                 // Pass emailService explicitly - AuthService no longer imports it (avoids circular require)
-                const result = await authService.forgotAdminPassword(companyId, emailService);
+                const result = await authService.forgotAdminPassword(companyId, emailService, { ip: clientIp(req) });
+                return res.json(result);
+            }
+
+            case 'resetAdminPassword': {
+                const result = await authService.resetAdminPassword(companyId, rest.resetToken || rest.token, rest.newPassword, { ip: clientIp(req) });
                 return res.json(result);
             }
 
@@ -294,8 +472,8 @@ router.post('/dispatch', async (req, res) => {
             case 'checkIn':
             case 'checkOut': {
                 const type = action === 'checkIn' ? 'IN' : 'OUT';
-                const locationData = (rest.lat && rest.lng) ? { lat: rest.lat, lng: rest.lng } : null;
-                const logRes = await dataManager.logShift(companyId, rest.name, type, Date.now(), locationData, rest.note, rest.deviceId);
+                const locationData = (rest.lat && rest.lng) ? { lat: rest.lat, lng: rest.lng, accuracy: rest.accuracy } : null;
+                const logRes = await dataManager.logShift(companyId, rest.name, type, Date.now(), locationData, rest.note, rest.deviceId, auditActor(req));
 
                 if (logRes && logRes.success === false) {
                     return res.json(logRes);
@@ -311,7 +489,10 @@ router.post('/dispatch', async (req, res) => {
                 return res.json({
                     success: true,
                     ...status,
-                    message: type === 'IN' ? 'נכנסת בהצלחה' : 'יצאת בהצלחה'
+                    pendingApproval: logRes?.pendingApproval || false,
+                    warning: logRes?.warning || null,
+                    ...(logRes?.auditWarning ? { auditWarning: logRes.auditWarning } : {}),
+                    message: logRes?.message || (type === 'IN' ? 'נכנסת בהצלחה' : 'יצאת בהצלחה')
                 });
             }
 
@@ -346,7 +527,7 @@ router.post('/dispatch', async (req, res) => {
                     if (gasUrl) {
                         try {
                             console.log(`[API] Fetching GAS report for ${companyId}/${rest.year}/${rest.month} via ${gasUrl}`);
-                            const gasRes = await axios.get(`${gasUrl}?action=getArchivedMonth&year=${rest.year}&month=${rest.month}&companyId=${companyId}&password=${bizConfig.password || ''}`, { timeout: 10000 });
+                            const gasRes = await syncManager.gasRequest(gasUrl, 'getArchivedMonth', { year: rest.year, month: rest.month, companyId }, { timeout: 10000 });
                             console.log(`[API] GAS Report result success: ${gasRes.data?.success}`);
 
                             if (gasRes.data && gasRes.data.success) {
@@ -374,6 +555,12 @@ router.post('/dispatch', async (req, res) => {
                     }
                 }
 
+                // Overnight shifts that started last month and ended in this one
+                if (rest.name) {
+                    const carryOver = await dataManager.getCarryOverShifts(companyId, parseInt(rest.year), parseInt(rest.month));
+                    if (carryOver[rest.name]) rawShifts = [...carryOver[rest.name], ...rawShifts];
+                }
+
                 const bizConfig = await dataManager.getCompanyConfig(companyId);
                 const formattedShifts = rawShifts.map((s, idx) => {
                     const startDate = s.start ? new Date(parseInt(s.start) || s.start) : null;
@@ -391,13 +578,20 @@ router.post('/dispatch', async (req, res) => {
                         duration: calculateDuration(s.start, s.end),
                         startRaw: s.start,
                         endRaw: s.end,
-                        location: s.location || (s.distance ? s.distance : '')
+                        location: s.location || (s.distance ? s.distance : ''),
+                        // Edits of a carried-over shift must target the month it is filed under
+                        ...(s.carryOver ? { carryOver: true, sourceYear: s.sourceYear, sourceMonth: s.sourceMonth } : {})
                     };
                 });
 
                 const holidayDates = await dataManager.getHolidayDatesForMonth(companyId, parseInt(rest.year), parseInt(rest.month), rest.name);
                 const workWeekType = bizConfig.settings?.constraints?.[rest.name]?.workWeekType || '5day';
-                const wageResult = WageCalculator.calculateBreakdown(rawShifts, bizConfig.settings?.salary || {}, holidayDates, workWeekType);
+                const wageResult = WageCalculator.calculateBreakdown(rawShifts, bizConfig.settings?.salary || {}, holidayDates, workWeekType, {
+                    ...dataManager.getMonthBounds(rest.year, rest.month),
+                    payProfile: bizConfig.settings?.constraints?.[rest.name]?.payProfile
+                });
+
+                const sheet = await dataManager.getTimesheet(companyId, rest.year, rest.month);
 
                 return res.json({
                     success: true,
@@ -405,7 +599,14 @@ router.post('/dispatch', async (req, res) => {
                     holidayDates,
                     totalHours: wageResult.totalHours,
                     weightedHours: wageResult.weightedTotal,
-                    wageBreakdown: wageResult.breakdown
+                    wageBreakdown: wageResult.breakdown,
+                    pay: wageResult.pay || null,
+                    timesheet: {
+                        status: sheet.status,
+                        submittedAt: rest.name ? (sheet.submissions[rest.name]?.at || null) : null,
+                        approvedAt: sheet.approvedAt,
+                        lockedAt: sheet.lockedAt
+                    }
                 });
             }
 
@@ -419,10 +620,7 @@ router.post('/dispatch', async (req, res) => {
                     const gasUrl = config.GAS_COLD_STORAGE_URL;
                     if (gasUrl) {
                         try {
-                            const gasRes = await require('axios').get(
-                                `${gasUrl}?action=getArchivedMonth&companyId=${companyId}&year=${rest.year}&month=${rest.month}`,
-                                { timeout: 15000 }
-                            );
+                            const gasRes = await syncManager.gasRequest(gasUrl, 'getArchivedMonth', { companyId, year: rest.year, month: rest.month }, { timeout: 15000 });
                             if (gasRes.data && gasRes.data.success && gasRes.data.data) {
                                 const parsed = typeof gasRes.data.data === 'string' ? JSON.parse(gasRes.data.data) : gasRes.data.data;
                                 employees = Object.keys(parsed).sort();
@@ -440,7 +638,13 @@ router.post('/dispatch', async (req, res) => {
             case 'getDashboard': {
                 const dashboard = await dataManager.getDashboard(companyId);
                 const allEmployees = await dataManager.getEmployees(companyId).catch(() => []);
-                return res.json({ success: true, dashboard, allEmployees });
+                const now = new Date();
+                const prev = dataManager.getPreviousMonth(now.getFullYear(), now.getMonth() + 1);
+                const timesheets = {
+                    current: await dataManager.describeTimesheet(companyId, now.getFullYear(), now.getMonth() + 1),
+                    previous: await dataManager.describeTimesheet(companyId, prev.year, prev.month)
+                };
+                return res.json({ success: true, dashboard, allEmployees, timesheets });
             }
 
             case 'adminAddEmployee': {
@@ -466,7 +670,7 @@ router.post('/dispatch', async (req, res) => {
             }
 
             case 'adminForceAction': {
-                const fRes = await dataManager.adminForceAction(companyId, { name: rest.name, forceType: rest.forceType });
+                const fRes = await dataManager.adminForceAction(companyId, { name: rest.name, forceType: rest.forceType, actor: auditActor(req), reason: rest.reason });
                 const dashboard = await dataManager.getDashboard(companyId);
                 return res.json({ success: true, dashboard, ...fRes });
             }
@@ -481,7 +685,9 @@ router.post('/dispatch', async (req, res) => {
                     name: rest.name,
                     originalStart: rest.originalStart || rest.start,
                     newStart: rest.start,
-                    newEnd: rest.end
+                    newEnd: rest.end,
+                    actor: auditActor(req),
+                    reason: rest.reason
                 });
                 return res.json(sRes || { success: true });
             }
@@ -494,14 +700,105 @@ router.post('/dispatch', async (req, res) => {
                     year: rest.year,
                     month: rest.month,
                     name: rest.name,
-                    start: rest.start
+                    start: rest.start,
+                    actor: auditActor(req),
+                    reason: rest.reason
                 });
                 return res.json(dRes || { success: true });
             }
 
+            case 'adminGetPendingPunches': {
+                const now = new Date();
+                const year = parseInt(rest.year) || now.getFullYear();
+                const month = parseInt(rest.month) || (now.getMonth() + 1);
+                const pending = await dataManager.getPendingPunches(companyId, year, month);
+                return res.json({ success: true, year, month, pending });
+            }
+
+            case 'adminReviewPunch': {
+                if (!rest.year || !rest.month || !rest.name || (!rest.start && !rest.end) || !['APPROVE', 'REJECT'].includes(rest.decision)) {
+                    return res.status(400).json({ success: false, error: 'Missing or invalid year/month/name/start/decision' });
+                }
+                const result = await dataManager.reviewPendingPunch(companyId, {
+                    year: rest.year,
+                    month: rest.month,
+                    name: rest.name,
+                    start: rest.start,
+                    end: rest.end,
+                    punch: rest.punch === 'OUT' ? 'OUT' : 'IN',
+                    decision: rest.decision,
+                    actor: auditActor(req),
+                    reason: rest.reason
+                });
+                return res.json(result);
+            }
+
+            // === CORRECTION REQUESTS (missed / wrong punches) ===
+            case 'submitCorrectionRequest': {
+                const blocked = await featureBlocked(companyId, 'correctionRequests');
+                if (blocked) return res.status(403).json(blocked);
+                return res.json(await correctionRequestService.submit(companyId, rest.name, {
+                    type: rest.type,
+                    year: rest.year,
+                    month: rest.month,
+                    shiftStart: rest.shiftStart,
+                    shiftEnd: rest.shiftEnd,
+                    requestedStart: rest.requestedStart,
+                    requestedEnd: rest.requestedEnd,
+                    reason: rest.reason
+                }, auditActor(req)));
+            }
+
+            case 'getCorrectionRequests': {
+                // Employees see their own requests (name is bound to the session); a manager sees all or filters by name
+                const employee = req.auth?.role === 'employee' ? rest.name : (rest.employeeName || null);
+                return res.json({ success: true, requests: await correctionRequestService.list(companyId, { status: rest.status, employee }) });
+            }
+
+            case 'cancelCorrectionRequest': {
+                return res.json(await correctionRequestService.cancel(companyId, rest.name, rest.id));
+            }
+
+            case 'adminReviewCorrectionRequest': {
+                if (!rest.id || !['APPROVE', 'REJECT'].includes(rest.decision)) {
+                    return res.status(400).json({ success: false, error: 'Missing or invalid id/decision' });
+                }
+                return res.json(await correctionRequestService.review(companyId, rest.id, {
+                    decision: rest.decision, note: rest.note, actor: auditActor(req)
+                }));
+            }
+
+            // === MONTH LIFECYCLE (OPEN -> SUBMITTED -> APPROVED -> LOCKED) ===
+            case 'getTimesheet':
+            case 'submitTimesheet':
+            case 'adminApproveTimesheet':
+            case 'adminLockTimesheet':
+            case 'adminReopenTimesheet': {
+                if (!rest.year || isNaN(parseInt(rest.year)) || !rest.month || isNaN(parseInt(rest.month))) {
+                    return res.status(400).json({ success: false, error: 'Missing or invalid year/month' });
+                }
+                const year = parseInt(rest.year);
+                const month = parseInt(rest.month);
+                const actor = auditActor(req);
+
+                if (action === 'getTimesheet') {
+                    return res.json({ success: true, timesheet: await dataManager.describeTimesheet(companyId, year, month) });
+                }
+                if (action === 'submitTimesheet') {
+                    return res.json(await dataManager.submitTimesheet(companyId, year, month, rest.name, actor));
+                }
+                if (action === 'adminApproveTimesheet') {
+                    return res.json(await dataManager.approveTimesheet(companyId, year, month, { actor, force: rest.force === true, reason: rest.reason }));
+                }
+                if (action === 'adminLockTimesheet') {
+                    return res.json(await dataManager.lockTimesheet(companyId, year, month, { actor }));
+                }
+                return res.json(await dataManager.reopenTimesheet(companyId, year, month, { actor, reason: rest.reason }));
+            }
+
             case 'adminSendMonthlyReport': {
                 const config = await dataManager.getCompanyConfig(companyId);
-                const reportData = await dataManager.getShiftsHybrid(companyId, parseInt(rest.year), parseInt(rest.month));
+                const reportData = await dataManager.getShiftsForPeriod(companyId, parseInt(rest.year), parseInt(rest.month));
                 await emailService.sendMonthlyReport(config.adminEmail, reportData, parseInt(rest.year), parseInt(rest.month), config.businessName, config.settings?.salary || {}, companyId, config.logoUrl);
 
                 // When finishing a month, trigger the garbage collection to purge old month files out of Render and push to GAS
@@ -558,6 +855,63 @@ router.post('/dispatch', async (req, res) => {
                 return res.json({ success: true, data: fullData });
             }
 
+            // === AUDIT TRAIL ===
+            case 'adminGetAuditLog': {
+                const log = await dataManager.getAuditLog(companyId, rest.filters || rest, { limit: rest.limit, offset: rest.offset });
+                return res.json({ success: true, ...log });
+            }
+
+            case 'adminExportAuditLog': {
+                const log = await dataManager.getAuditLog(companyId, rest.filters || rest, { all: true });
+                return res.json({
+                    success: true,
+                    fileName: `audit_${companyId}.csv`,
+                    contentType: 'text/csv; charset=utf-8',
+                    data: Buffer.from(AuditTrail.toCsv([...log.entries].reverse()), 'utf8').toString('base64'),
+                    verification: log.verification
+                });
+            }
+
+            // === PAYROLL EXPORT ===
+            case 'getPayrollExportSettings': {
+                const settings = await payrollExportService.getSettings(companyId);
+                return res.json({
+                    success: true,
+                    settings,
+                    fields: payrollExportService.FIELDS,
+                    presets: Object.keys(payrollExportService.PRESETS),
+                    formats: Object.keys(payrollExportService.FORMATS)
+                });
+            }
+
+            case 'savePayrollExportSettings': {
+                return res.json(await payrollExportService.saveSettings(companyId, rest.settings));
+            }
+
+            case 'adminPayrollExport': {
+                const blocked = await featureBlocked(companyId, 'payrollExport');
+                if (blocked) return res.status(403).json(blocked);
+                if (!rest.year || isNaN(parseInt(rest.year)) || !rest.month || isNaN(parseInt(rest.month))) {
+                    return res.status(400).json({ success: false, error: 'Missing or invalid year/month' });
+                }
+                if (rest.format && !payrollExportService.FORMATS[rest.format]) {
+                    return res.status(400).json({ success: false, error: `Unsupported format: ${rest.format}` });
+                }
+                const file = await payrollExportService.exportMonth(companyId, {
+                    year: rest.year, month: rest.month, format: rest.format, scope: rest.scope
+                });
+                const timesheetStatus = await lockExportedMonth(companyId, rest.year, rest.month, auditActor(req));
+                return res.json({
+                    success: true,
+                    fileName: file.fileName,
+                    contentType: file.contentType,
+                    data: file.buffer.toString('base64'),
+                    warnings: file.warnings,
+                    employeesCount: file.employeesCount,
+                    timesheetStatus
+                });
+            }
+
             case 'getUserFullHistory': {
                 const allData = await dataManager.getUserFullHistory(companyId, rest.name);
                 return res.json({ success: true, shifts: allData });
@@ -571,12 +925,7 @@ router.post('/dispatch', async (req, res) => {
                 const holidays = await dataManager.getAvailableHolidays(companyId).catch(() => []);
                 const client = await dataManager.getClientById(companyId);
 
-                const now = new Date();
-                const expiryDate = client?.subscriptionExpiry ? new Date(client.subscriptionExpiry) : now;
-                const graceDate = new Date(expiryDate.getTime() + 48 * 60 * 60 * 1000); // 48 hours grace
-
-                const isExpired = now > graceDate;
-                const inGracePeriod = now > expiryDate && now <= graceDate;
+                const access = client?.subscriptionExpiry ? dataManager.subscriptionAccess(client) : { isExpired: false, inGracePeriod: false };
 
                 const activeEmployees = await dataManager.countUniqueActiveEmployees(companyId);
                 const expectedPayment = await dataManager.calculateSubscriptionAmount(companyId);
@@ -589,15 +938,24 @@ router.post('/dispatch', async (req, res) => {
                     supportPhone: config?.supportPhone || '',
                     availableHolidays: holidays,
                     paymentHistory: client?.paymentHistory || [],
+                    billingDocuments: billingDocumentSummaries(companyId),
+                    accountBalance: BillingCredits.balance(client),
+                    pendingDiscount: client?.couponDiscount || null,
                     expiryDate: client?.subscriptionExpiry,
-                    isExpired: isExpired,
-                    inGracePeriod: inGracePeriod,
+                    isExpired: access.isExpired,
+                    inGracePeriod: access.inGracePeriod,
+                    graceEndsAt: access.graceEndsAt || null,
+                    dunning: dunningService.summary(client),
                     paymentMethod: client?.paymentMethod || null,
                     autoChargeEnabled: client?.autoChargeEnabled || false,
                     isFreeTrial: !!client?.isFreeTrial,
                     activeEmployees: activeEmployees,
                     expectedPayment: expectedPayment?.amount || 0,
                     breakdown: expectedPayment?.breakdown || {},
+                    plan: PlanCatalog.describe(PlanCatalog.resolve(sysConfig, client || {}), activeEmployees),
+                    availablePlans: PlanCatalog.plans(sysConfig)
+                        .filter(p => p.active && (p.id !== PlanCatalog.LEGACY_PLAN_ID || !(sysConfig.subscriptionPlans || []).length))
+                        .map(p => PlanCatalog.describe(p, activeEmployees)),
                     defaultHolidaysBySector: mergedHolidays
                 });
             }
@@ -613,16 +971,34 @@ router.post('/dispatch', async (req, res) => {
             }
 
             case 'adminSavePolygon': {
-                await dataManager.savePolygon(companyId, rest.polygon);
+                await dataManager.savePolygon(companyId, rest.polygon, rest.workLocations);
                 return res.json({ success: true });
             }
 
             case 'updateCompanyConfig':
             case 'updateBusinessConfig': {
-                await dataManager.updateCompanyConfig(companyId, rest.config || rest);
+                await dataManager.updateCompanyConfig(companyId, adminConfigUpdate(rest.config || rest));
                 return res.json({ success: true });
             }
 
+            case 'getBillingDocuments': {
+                return res.json({ success: true, documents: billingDocumentSummaries(companyId) });
+            }
+
+            case 'getAccountBalance': {
+                const account = await dataManager.getAccount(companyId);
+                if (!account) return res.json({ success: false, error: 'Business not found' });
+                return res.json({ success: true, ...account });
+            }
+
+            case 'redeemCoupon': {
+                if (!rest.couponCode) return res.json({ success: false, error: 'COUPON_INVALID', message: 'יש להזין קוד קופון' });
+                const result = await dataManager.redeemCoupon(companyId, rest.couponCode, 'RENEWAL');
+                if (!result.success) return res.json(result);
+                const expectedPayment = await dataManager.calculateSubscriptionAmount(companyId);
+                return res.json({ ...result, expectedPayment: expectedPayment?.amount || 0, breakdown: expectedPayment?.breakdown || {} });
+            }
+
             case 'updateAutoCharge': {
                 await dataManager.updateAutoCharge(companyId, rest.enabled);
                 return res.json({ success: true });
@@ -630,11 +1006,7 @@ router.post('/dispatch', async (req, res) => {
 
             // === DANGER ZONE ===
             case 'adminDeleteBusiness': {
-                // Validate using super-admin (god mode) password, not company password
-                if (!password || !isValidSuperAdminPassword(password)) {
-                    return res.json({ success: false, error: 'Unauthorized: Invalid super admin password' });
-                }
-
+                // Super-admin (god mode) session only - enforced by dispatchAuth
                 await dataManager.deleteBusiness(companyId);
                 return res.json({ success: true, message: 'Business deleted successfully' });
             }
@@ -745,19 +1117,84 @@ router.post('/login', async (req, res) => {
     }
 });
 
+router.post('/auth/refresh', async (req, res) => {
+    try {
+        const result = await authService.refreshSession(req.body.refreshToken);
+        res.status(result.success ? 200 : 401).json(result);
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.post('/auth/employee', async (req, res) => {
+    try {
+        const { companyId, name, userName, deviceId } = req.body;
+        if (!companyId) return res.status(400).json({ success: false, error: "Missing companyId" });
+        const result = await authService.identifyEmployee(companyId, name || userName, deviceId);
+        res.json(result);
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
 router.post('/forgot-password', async (req, res) => {
     try {
         const { companyId } = req.body;
         if (!companyId) return res.status(400).json({ success: false, error: "Missing companyId" });
 
-        const result = await authService.forgotAdminPassword(companyId);
+        const result = await authService.forgotAdminPassword(companyId, emailService, { ip: clientIp(req) });
         res.json(result);
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
-router.post('/change-password', async (req, res) => {
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { companyId, resetToken, token, newPassword } = req.body;
+        if (!companyId || !(resetToken || token) || !newPassword) return res.status(400).json({ success: false, error: "Missing params" });
+
+        const result = await authService.resetAdminPassword(companyId, resetToken || token, newPassword, { ip: clientIp(req) });
+        res.status(result.error === 'RATE_LIMITED' ? 429 : 200).json(result);
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// --- RECOVER SUBSCRIPTION (link in the failed-charge emails, authenticated by its recoverToken) ---
+
+router.post('/billing/recover/info', async (req, res) => {
+    try {
+        const { recoverToken } = req.body;
+        if (!recoverToken) return res.status(400).json({ success: false, error: "Missing recoverToken" });
+
+        const result = await dunningService.info(recoverToken);
+        res.status(result.success ? 200 : 404).json(result);
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// { recoverToken, paymentDetails: { cardNumber, expMonth, expYear, cvv, cardId, cardName, businessId } }
+router.post('/billing/recover', async (req, res) => {
+    try {
+        const { recoverToken, paymentDetails } = req.body;
+        if (!recoverToken || !paymentDetails) return res.status(400).json({ success: false, error: "Missing recoverToken or paymentDetails" });
+
+        const result = await dunningService.recoverWithNewCard(recoverToken, paymentDetails, { ip: clientIp(req) });
+        const status = result.success ? 200
+            : result.error === 'RATE_LIMITED' ? 429
+            : result.error === 'INVALID_RECOVERY_TOKEN' ? 404
+            : result.error === 'INVALID_CARD' ? 400
+            : result.error === 'NEEDS_REVIEW' ? 409 : 402;
+        res.status(status).json(result);
+    } catch (e) {
+        console.error('[Billing] recover error:', e.message);
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.post('/change-password', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, oldPassword, newPassword } = req.body;
         if (!companyId || !oldPassword || !newPassword) return res.status(400).json({ success: false, error: "Missing params" });
@@ -771,33 +1208,18 @@ router.post('/change-password', async (req, res) => {
 
 // --- SUPER ADMIN ---
 
-// Helper: Validate password against comma-separated list
-function isValidSuperAdminPassword(inputPassword) {
-    const envPass = process.env.SUPER_ADMIN_PASS || '123456';
-    const validPasswords = envPass.split(',').map(p => p.trim());
-    return validPasswords.includes(inputPassword);
-}
-
 router.post('/super-admin/login', async (req, res) => {
     try {
         const { password } = req.body;
-        if (isValidSuperAdminPassword(password)) {
-            res.json({ success: true });
-        } else {
-            res.status(401).json({ success: false, error: "Invalid Password" });
-        }
+        const result = authService.superAdminLogin(password);
+        res.status(result.success ? 200 : 401).json(result);
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
-router.post('/super-admin/businesses', async (req, res) => {
+router.post('/super-admin/businesses', requireSuperAdmin, async (req, res) => {
     try {
-        const { password } = req.body;
-        if (!isValidSuperAdminPassword(password)) {
-            return res.status(401).json({ success: false, error: "Unauthorized" });
-        }
-
         const businesses = await dataManager.getAllClientsWithStatus();
         res.json({
             success: true,
@@ -826,11 +1248,8 @@ function buildHolidayNameCatalog() {
     return [...set].filter(Boolean).sort((a, b) => String(a).localeCompare(String(b), 'he'));
 }
 
-router.post('/super-admin/settings/get', async (req, res) => {
+router.post('/super-admin/settings/get', requireSuperAdmin, async (req, res) => {
     try {
-        const { password } = req.body;
-        if (!isValidSuperAdminPassword(password)) return res.status(401).json({ success: false, error: "Unauthorized" });
-
         const sysCfg = await dataManager.getSystemConfig();
         const appNameForDefaults = sysCfg.appName || config.APP_NAME;
         const mergedHolidays = mergeDefaultHolidaysBySector(sysCfg.defaultHolidaysBySector);
@@ -842,6 +1261,11 @@ router.post('/super-admin/settings/get', async (req, res) => {
                 tranzilaPass: sysCfg.tranzilaPass || '',
                 minMonthlyPrice: sysCfg.minMonthlyPrice || 0,
                 pricePerEmployee: sysCfg.pricePerEmployee || 0,
+                subscriptionPlans: sysCfg.subscriptionPlans || [],
+                defaultPlanId: sysCfg.defaultPlanId || '',
+                planFeatures: PlanCatalog.FEATURES,
+                dunningRetryDays: dunningService.retryDays(sysCfg),
+                coupons: (sysCfg.coupons || []).map(c => ({ ...c, redemptions: BillingCredits.redemptionCount(dataManager.getAllClients(), c.code) })),
                 maxShiftHours: sysCfg.maxShiftHours || 12,
                 chargeDay: sysCfg.chargeDay || 1,
                 chargeTime: sysCfg.chargeTime || '00:00',
@@ -850,6 +1274,15 @@ router.post('/super-admin/settings/get', async (req, res) => {
                 appName: sysCfg.appName || '',
                 appLogoUrl: sysCfg.appLogoUrl || '',
 
+                // Invoice-receipts (BillingDocumentService)
+                invoiceIssuerName: sysCfg.invoiceIssuerName || '',
+                invoiceIssuerId: sysCfg.invoiceIssuerId || '',
+                invoiceIssuerAddress: sysCfg.invoiceIssuerAddress || '',
+                invoiceIssuerPhone: sysCfg.invoiceIssuerPhone || '',
+                invoiceIssuerEmail: sysCfg.invoiceIssuerEmail || '',
+                vatRate: billingDocumentService.vatRate(sysCfg),
+                invoiceFirstNumber: sysCfg.invoiceFirstNumber || 1,
+
                 // Automation & Reports Settings
                 shiftCheckFrequency: sysCfg.shiftCheckFrequency || 0.5,
                 monthlyReportDay: sysCfg.monthlyReportDay || 1,
@@ -880,10 +1313,9 @@ router.post('/super-admin/settings/get', async (req, res) => {
     }
 });
 
-router.post('/super-admin/settings/update', async (req, res) => {
+router.post('/super-admin/settings/update', requireSuperAdmin, async (req, res) => {
     try {
-        const { password, ...settingsUpdates } = req.body;
-        if (!isValidSuperAdminPassword(password)) return res.status(401).json({ success: false, error: "Unauthorized" });
+        const { password, accessToken, ...settingsUpdates } = req.body;
 
         console.log(`[SuperAdmin] Incoming settings update:`, JSON.stringify(settingsUpdates));
 
@@ -892,7 +1324,41 @@ router.post('/super-admin/settings/update', async (req, res) => {
             settingsUpdates.maxShiftHours = parseFloat(settingsUpdates.maxShiftHours) || 12;
         }
 
-        const updatedConfig = await dataManager.updateSystemConfig(settingsUpdates);
+        // Plan catalog: validated as a whole; grandfatherExisting keeps current clients on their current plan and price
+        const { grandfatherExisting, ...updates } = settingsUpdates;
+        if (updates.subscriptionPlans !== undefined) {
+            try {
+                updates.subscriptionPlans = PlanCatalog.normalizeCatalog(updates.subscriptionPlans);
+            } catch (err) {
+                return res.status(400).json({ success: false, error: 'INVALID_PLANS', message: err.message });
+            }
+        }
+        if (updates.defaultPlanId) {
+            const sysCfg = await dataManager.getSystemConfig();
+            if (!PlanCatalog.find({ ...sysCfg, ...updates }, updates.defaultPlanId)) {
+                return res.status(400).json({ success: false, error: 'INVALID_PLANS', message: `תוכנית ברירת המחדל "${updates.defaultPlanId}" לא קיימת` });
+            }
+        }
+        if (updates.coupons !== undefined) {
+            try {
+                updates.coupons = BillingCredits.normalizeCoupons(updates.coupons);
+            } catch (err) {
+                return res.status(400).json({ success: false, error: 'INVALID_COUPONS', message: err.message });
+            }
+        }
+        if (updates.dunningRetryDays !== undefined) {
+            try {
+                updates.dunningRetryDays = dunningService.normalizeRetryDays(updates.dunningRetryDays);
+            } catch (err) {
+                return res.status(400).json({ success: false, error: 'INVALID_DUNNING_SCHEDULE', message: err.message });
+            }
+        }
+        if (grandfatherExisting) {
+            const grandfathered = await dataManager.grandfatherPlanPrices(updates);
+            console.log(`[SuperAdmin] Grandfathered ${grandfathered} client(s) before the catalog change`);
+        }
+
+        const updatedConfig = await dataManager.updateSystemConfig(updates);
 
         console.log(`[SuperAdmin] System configuration updated and synced. Current maxShiftHours: ${updatedConfig.maxShiftHours}`);
 
@@ -908,11 +1374,8 @@ router.post('/super-admin/settings/update', async (req, res) => {
     }
 });
 
-router.post('/super-admin/storage', async (req, res) => {
+router.post('/super-admin/storage', requireSuperAdmin, async (req, res) => {
     try {
-        const { password } = req.body;
-        if (!isValidSuperAdminPassword(password)) return res.status(401).json({ success: false, error: "Unauthorized" });
-
         const stats = await dataManager.getStorageStats();
         res.json({ success: true, stats });
     } catch (e) {
@@ -920,10 +1383,9 @@ router.post('/super-admin/storage', async (req, res) => {
     }
 });
 
-router.post('/super-admin/storage/read', async (req, res) => {
+router.post('/super-admin/storage/read', requireSuperAdmin, async (req, res) => {
     try {
-        const { password, fileName } = req.body;
-        if (!isValidSuperAdminPassword(password)) return res.status(401).json({ success: false, error: "Unauthorized" });
+        const { fileName } = req.body;
         if (!fileName) return res.status(400).json({ success: false, error: "Missing fileName" });
 
         const content = await dataManager.getFileContent(fileName);
@@ -933,11 +1395,8 @@ router.post('/super-admin/storage/read', async (req, res) => {
     }
 });
 
-router.post('/super-admin/sync', async (req, res) => {
+router.post('/super-admin/sync', requireSuperAdmin, async (req, res) => {
     try {
-        const { password } = req.body;
-        if (!isValidSuperAdminPassword(password)) return res.status(401).json({ success: false, error: "Unauthorized" });
-
         const success = await dataManager.syncAllFromGAS();
         if (success) {
             res.json({ success: true, message: "Sync completed from GAS" });
@@ -949,7 +1408,81 @@ router.post('/super-admin/sync', async (req, res) => {
     }
 });
 
-async function handleRecordPayment({ targetCompanyId, amount, months, method, reference, actionType, chargeCC, sendEmail }) {
+// Pending / dead-lettered GAS syncs (payloads are not returned)
+router.post('/super-admin/sync-queue', requireSuperAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, ...syncManager.getStatus() });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Queue depth, lag and per-company circuit state only (cheap enough for dashboard polling)
+router.post('/super-admin/sync-queue/metrics', requireSuperAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, metrics: syncManager.getMetrics() });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.post('/super-admin/sync-queue/retry',requireSuperAdmin, async (req, res) => {
+    try {
+        const { ids } = req.body;
+        if (ids !== undefined && !Array.isArray(ids)) return res.status(400).json({ success: false, error: "ids must be an array" });
+        const result = await syncManager.retry(ids);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.post('/super-admin/sync-queue/purge', requireSuperAdmin, async (req, res) => {
+    try {
+        const { ids, scope = 'deadLetter' } = req.body;
+        if (ids !== undefined && !Array.isArray(ids)) return res.status(400).json({ success: false, error: "ids must be an array" });
+        if (!['deadLetter', 'queue', 'all'].includes(scope)) return res.status(400).json({ success: false, error: "scope must be deadLetter, queue or all" });
+        const result = await syncManager.purge(ids, scope);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Email outbox: delivery status per message (bodies are not returned) + transport health
+router.post('/super-admin/emails', requireSuperAdmin, async (req, res) => {
+    try {
+        const { status, to, companyId, category, limit, offset } = req.body;
+        res.json({
+            success: true,
+            ...emailService.listOutbox({ status, to, companyId, category }, { limit, offset }),
+            transports: emailService.getTransportHealth()
+        });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.post('/super-admin/emails/resend', requireSuperAdmin, async (req, res) => {
+    try {
+        const { ids } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0) return res.status(400).json({ success: false, error: "Missing ids" });
+        const result = await emailService.resend(ids);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// A card charge and the payment it records run under the business's charge lock (see DataManager.chargeWithAttempt)
+async function handleRecordPayment(params) {
+    if (params.chargeCC && params.targetCompanyId) {
+        return dataManager.chargeLocks.run(String(params.targetCompanyId), () => recordPayment(params));
+    }
+    return recordPayment(params);
+}
+
+async function recordPayment({ targetCompanyId, amount, months, method, reference, actionType, chargeCC, sendEmail }) {
     if (!targetCompanyId) return { success: false, error: "Missing targetCompanyId" };
 
     const client = await dataManager.getClientById(targetCompanyId);
@@ -962,7 +1495,12 @@ async function handleRecordPayment({ targetCompanyId, amount, months, method, re
         if (!pm || !pm.token) return { success: false, error: "אין כרטיס אשראי שמור לעסק זה. לא ניתן לבצע סליקה." };
 
         const sysConfig = await dataManager.getSystemConfig();
-        const chargeRes = await tranzilaService.chargeToken({
+        const il = dataManager.getIsraelTime();
+        const charge = await dataManager.chargeWithAttempt(client, {
+            period: `${il.year}-${String(il.month).padStart(2, '0')}`,
+            amount: Math.abs(parseFloat(amount) || 0),
+            source: 'SUPER_ADMIN'
+        }, {
             supplier: sysConfig.tranzilaTerminal,
             TranzilaTK: pm.token,
             TranzilaPW: sysConfig.tranzilaPass,
@@ -975,6 +1513,10 @@ async function handleRecordPayment({ targetCompanyId, amount, months, method, re
             expyear: pm.expYear
         });
 
+        if (charge.outcome === 'UNCERTAIN' || charge.outcome === 'NEEDS_REVIEW') {
+            return { success: false, error: 'CHARGE_NEEDS_REVIEW', message: charge.error, attemptKey: charge.attempt.key };
+        }
+        const chargeRes = charge.chargeRes;
         if (!chargeRes.success) {
             return { success: true, warning: `הרישום נכשל: סליקת הכרטיס בטרנזילה נכשלה (${chargeRes.data?.text || 'סיבה לא ידועה'})`, chargeFailed: true };
         }
@@ -993,20 +1535,16 @@ async function handleRecordPayment({ targetCompanyId, amount, months, method, re
 
     if (isRenewal) {
         // Use the unified settlement logic
-        const result = await dataManager.renewSubscription(targetCompanyId);
+        // (the payment record and its invoice-receipt carry the card reference when CC was charged here)
+        const result = await dataManager.renewSubscription(targetCompanyId, chargeCC
+            ? { method: 'Credit Card (Saved)', reference: finalReference }
+            : {});
         if (!result.success) return result;
 
-        // Update the last payment record with the reference if CC was charged here
-        if (chargeCC && client.paymentHistory.length > 0) {
-            const lastIdx = client.paymentHistory.length - 1;
-            client.paymentHistory[lastIdx].reference = finalReference;
-            client.paymentHistory[lastIdx].method = 'Credit Card (Saved)';
-            await dataManager.saveClients();
-        }
-
         return {
             success: true,
             newExpiry: result.newExpiry,
+            documentNumber: result.documentNumber,
             message: 'המנוי חודש והחובות הוסדרו בהצלחה'
         };
     }
@@ -1037,7 +1575,7 @@ async function handleRecordPayment({ targetCompanyId, amount, months, method, re
     }
 
     if (!client.paymentHistory) client.paymentHistory = [];
-    client.paymentHistory.push({
+    const payment = {
         date: new Date().toLocaleDateString('he-IL'),
         fullDate: new Date().toISOString(),
         amount: Math.abs(amount),
@@ -1049,7 +1587,9 @@ async function handleRecordPayment({ targetCompanyId, amount, months, method, re
         status: isDebtOnly ? 'DEBT_PAID' : 'PAID',
         statusDisplayName: statusDisplayName,
         isGodAction: true
-    });
+    };
+    client.paymentHistory.push(payment);
+    const document = await billingDocumentService.issueForPayment(client, payment);
 
     await dataManager.saveClients();
 
@@ -1061,24 +1601,26 @@ async function handleRecordPayment({ targetCompanyId, amount, months, method, re
     // --- 3. SEND EMAIL ---
     if (sendEmail) {
         emailService.sendPaymentSuccessNotification(client.email, {
+            companyId: client.id,
             businessName: client.businessName,
             amount: Math.abs(amount),
             newExpiry: targetDate.toLocaleDateString('he-IL'),
-            description: description
+            description: description,
+            document
         }).catch(e => console.error("[API] Failed to send payment email:", e.message));
     }
 
     return {
         success: true,
         newExpiry: targetDate.toLocaleDateString('he-IL'),
+        documentNumber: document ? document.number : null,
         message: 'הפעולה בוצעה בהצלחה'
     };
 }
 
-router.post('/super-admin/adminDeleteBusiness', async (req, res) => {
+router.post('/super-admin/adminDeleteBusiness', requireSuperAdmin, async (req, res) => {
     try {
-        const { password, companyId } = req.body;
-        if (!isValidSuperAdminPassword(password)) return res.status(401).json({ success: false, error: "Unauthorized" });
+        const { companyId } = req.body;
         if (!companyId) return res.status(400).json({ success: false, error: "Missing companyId" });
 
         await dataManager.deleteBusiness(companyId);
@@ -1089,10 +1631,9 @@ router.post('/super-admin/adminDeleteBusiness', async (req, res) => {
     }
 });
 
-router.post('/super-admin/record-payment', async (req, res) => {
+router.post('/super-admin/record-payment', requireSuperAdmin, async (req, res) => {
     try {
-        const { password, ...params } = req.body;
-        if (!isValidSuperAdminPassword(password)) return res.status(401).json({ success: false, error: "Unauthorized" });
+        const { password, accessToken, ...params } = req.body;
         const result = await handleRecordPayment(params);
         res.json(result);
     } catch (e) {
@@ -1101,10 +1642,97 @@ router.post('/super-admin/record-payment', async (req, res) => {
     }
 });
 
-router.post('/super-admin/delete-payment', async (req, res) => {
+// { targetCompanyId, planId, grandfather: keep the plan's current price, priceLock: { minMonthlyPrice, tiers, annualDiscountPercent } }
+router.post('/super-admin/assign-plan', requireSuperAdmin, async (req, res) => {
+    try {
+        const { targetCompanyId, planId, grandfather, priceLock } = req.body;
+        if (!targetCompanyId || !planId) return res.status(400).json({ success: false, error: "Missing targetCompanyId or planId" });
+
+        const result = await dataManager.assignPlan(targetCompanyId, planId, { grandfather: !!grandfather, priceLock: priceLock || null });
+        if (!result.success) return res.status(result.error === 'Business not found' ? 404 : 400).json(result);
+
+        const expectedPayment = await dataManager.calculateSubscriptionAmount(targetCompanyId);
+        res.json({ ...result, expectedPayment: expectedPayment?.amount || 0 });
+    } catch (e) {
+        console.error('[SuperAdmin] assign-plan error:', e.message);
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+router.post('/super-admin/account', requireSuperAdmin, async (req, res) => {
+    try {
+        const { targetCompanyId } = req.body;
+        if (!targetCompanyId) return res.status(400).json({ success: false, error: "Missing targetCompanyId" });
+
+        const account = await dataManager.getAccount(targetCompanyId);
+        if (!account) return res.status(404).json({ success: false, error: 'Business not found' });
+        res.json({ success: true, ...account });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// { targetCompanyId, type: 'CREDIT' | 'DEBIT', amount, reason }
+router.post('/super-admin/account/adjust', requireSuperAdmin, async (req, res) => {
+    try {
+        const { targetCompanyId, type, amount, reason } = req.body;
+        if (!targetCompanyId) return res.status(400).json({ success: false, error: "Missing targetCompanyId" });
+
+        const result = await dataManager.adjustAccountBalance(targetCompanyId, { type, amount, reason, by: 'superadmin' });
+        if (!result.success) return res.status(result.error === 'Business not found' ? 404 : 400).json(result);
+
+        const expectedPayment = await dataManager.calculateSubscriptionAmount(targetCompanyId);
+        res.json({ ...result, expectedPayment: expectedPayment?.amount || 0 });
+    } catch (e) {
+        console.error('[SuperAdmin] account adjust error:', e.message);
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Retries a failed automatic charge now (also on a blocked business), without using up the dunning schedule
+router.post('/super-admin/dunning/retry', requireSuperAdmin, async (req, res) => {
+    try {
+        const { targetCompanyId } = req.body;
+        if (!targetCompanyId) return res.status(400).json({ success: false, error: "Missing targetCompanyId" });
+
+        const result = await dunningService.retry(targetCompanyId, { by: 'SUPER_ADMIN' });
+        res.json({ ...result, dunning: dunningService.summary(dataManager.getClientById(targetCompanyId)) });
+    } catch (e) {
+        console.error('[SuperAdmin] dunning retry error:', e.message);
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Card charge attempts: by default the ones waiting for review (no answer from Tranzila, or cut off by a restart)
+router.post('/super-admin/payment-attempts', requireSuperAdmin, async (req, res) => {
+    try {
+        const { targetCompanyId, status } = req.body;
+        res.json({ success: true, attempts: dataManager.listChargeAttempts({ companyId: targetCompanyId || null, status: status || null }) });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// { targetCompanyId, key, resolution: 'CHARGED' | 'NOT_CHARGED', reference, note } - after checking the transaction in Tranzila
+router.post('/super-admin/payment-attempts/resolve', requireSuperAdmin, async (req, res) => {
+    try {
+        const { targetCompanyId, key, resolution, reference, note } = req.body;
+        if (!targetCompanyId || !key) return res.status(400).json({ success: false, error: "Missing targetCompanyId or key" });
+
+        const result = await dataManager.resolveChargeAttempt(targetCompanyId, key, { resolution, reference, note, by: 'superadmin' });
+        const status = result.success ? 200
+            : result.error === 'Business not found' || result.error === 'ATTEMPT_NOT_FOUND' ? 404
+            : result.error === 'ATTEMPT_NOT_UNCERTAIN' ? 409 : 400;
+        res.status(status).json(result);
+    } catch (e) {
+        console.error('[SuperAdmin] resolve payment attempt error:', e.message);
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.post('/super-admin/delete-payment', requireSuperAdmin, async (req, res) => {
     try {
-        const { password, targetCompanyId } = req.body;
-        if (!isValidSuperAdminPassword(password)) return res.status(401).json({ success: false, error: "Unauthorized" });
+        const { targetCompanyId } = req.body;
         if (!targetCompanyId) return res.status(400).json({ success: false, error: "Missing targetCompanyId" });
 
         const client = await dataManager.getClientById(targetCompanyId);
@@ -1154,13 +1782,13 @@ router.post('/super-admin/delete-payment', async (req, res) => {
 
 // --- PUBLIC CONFIG (Employee App) ---
 
-router.get('/config', async (req, res) => {
+router.get('/config', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId } = req.query;
         if (!companyId) return res.status(400).json({ success: false, error: "Missing companyId" });
 
         const config = await dataManager.getCompanyConfig(companyId);
-        res.json({ success: true, config });
+        res.json({ success: true, config: req.auth.role === 'employee' ? employeeConfigView(config, req.auth.name) : config });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
@@ -1168,7 +1796,7 @@ router.get('/config', async (req, res) => {
 
 // --- STATUS & DASHBOARD ---
 
-router.get('/status', async (req, res) => {
+router.get('/status', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId, userName } = req.query;
         if (!companyId || !userName) return res.status(400).json({ success: false, error: "Missing params" });
@@ -1180,7 +1808,7 @@ router.get('/status', async (req, res) => {
     }
 });
 
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requireRole('admin'), async (req, res) => {
     try {
         const { companyId } = req.query;
         if (!companyId) return res.status(400).json({ success: false, error: "Missing companyId" });
@@ -1191,7 +1819,7 @@ router.get('/dashboard', async (req, res) => {
     }
 });
 
-router.get('/employees', async (req, res) => {
+router.get('/employees', requireRole('admin'), async (req, res) => {
     try {
         const { companyId } = req.query;
         if (!companyId) return res.status(400).json({ success: false, error: "Missing companyId" });
@@ -1203,12 +1831,12 @@ router.get('/employees', async (req, res) => {
     }
 });
 
-router.post('/shift', async (req, res) => {
+router.post('/shift', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId, userName, action, timestamp, location, note } = req.body;
         if (!companyId || !userName || !action) return res.status(400).json({ success: false, error: "Missing params" });
 
-        const result = await dataManager.logShift(companyId, userName, action, timestamp || Date.now(), location, note, req.body.deviceId);
+        const result = await dataManager.logShift(companyId, userName, action, timestamp || Date.now(), location, note, req.body.deviceId, auditActor(req));
 
         if (result && result.success === false) {
             return res.json(result);
@@ -1217,7 +1845,12 @@ router.post('/shift', async (req, res) => {
         // Return updated status immediately
         const newStatus = await dataManager.getEmployeeStatus(companyId, userName);
 
-        res.json({ success: true, ...newStatus, message: action === "IN" ? "נכנסת בהצלחה" : "יצאת בהצלחה" });
+        res.json({
+            success: true,
+            ...newStatus,
+            ...(result?.auditWarning ? { auditWarning: result.auditWarning } : {}),
+            message: action === "IN" ? "נכנסת בהצלחה" : "יצאת בהצלחה"
+        });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
@@ -1225,7 +1858,7 @@ router.post('/shift', async (req, res) => {
 
 // --- HISTORY (HYBRID: Hot + Cold) ---
 
-router.get('/history', async (req, res) => {
+router.get('/history', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId, userName, year, month } = req.query;
 
@@ -1249,7 +1882,7 @@ router.get('/history', async (req, res) => {
     }
 });
 
-router.get('/history/years', async (req, res) => {
+router.get('/history/years', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId } = req.query;
         const years = await dataManager.getHistoryYears(companyId);
@@ -1259,7 +1892,7 @@ router.get('/history/years', async (req, res) => {
     }
 });
 
-router.get('/history/months', async (req, res) => {
+router.get('/history/months', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId, year } = req.query;
         const months = await dataManager.getHistoryMonths(companyId, year);
@@ -1269,7 +1902,7 @@ router.get('/history/months', async (req, res) => {
     }
 });
 
-router.get('/history/employees', async (req, res) => {
+router.get('/history/employees', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, year, month } = req.query;
         const shifts = await dataManager.getShiftsHybrid(companyId, parseInt(year), parseInt(month));
@@ -1281,7 +1914,7 @@ router.get('/history/employees', async (req, res) => {
 });
 
 // POST versions for CLIENT_USER compatibility (uses JSON body instead of query params)
-router.post('/history/years', async (req, res) => {
+router.post('/history/years', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId } = req.body;
         const years = await dataManager.getHistoryYears(companyId);
@@ -1291,7 +1924,7 @@ router.post('/history/years', async (req, res) => {
     }
 });
 
-router.post('/history/months', async (req, res) => {
+router.post('/history/months', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId, year } = req.body;
         const months = await dataManager.getHistoryMonths(companyId, year);
@@ -1301,18 +1934,20 @@ router.post('/history/months', async (req, res) => {
     }
 });
 
-router.post('/history/report', async (req, res) => {
+router.post('/history/report', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId, year, month, name } = req.body;
-        const shifts = await dataManager.getShiftsHybrid(companyId, parseInt(year), parseInt(month));
+        const shifts = await dataManager.getShiftsForPeriod(companyId, parseInt(year), parseInt(month));
         const userShifts = shifts[name] || [];
+        const { periodStart, periodEnd } = dataManager.getMonthBounds(year, month);
 
         // Calculate total hours from start/end timestamps (shift.duration field does not exist)
+        // Shifts crossing the month boundary only count the part inside this month
         let totalHours = 0;
         userShifts.forEach(shift => {
             if (shift.start && shift.end) {
-                const startMs = parseInt(shift.start) || new Date(shift.start).getTime();
-                const endMs = parseInt(shift.end) || new Date(shift.end).getTime();
+                const startMs = Math.max(periodStart, parseInt(shift.start) || new Date(shift.start).getTime());
+                const endMs = Math.min(periodEnd, parseInt(shift.end) || new Date(shift.end).getTime());
                 if (endMs > startMs) {
                     totalHours += (endMs - startMs) / 3600000; // milliseconds → hours
                 }
@@ -1331,9 +1966,9 @@ router.post('/history/report', async (req, res) => {
 });
 
 
-// --- BACKUP (For GAS) ---
+// --- BACKUP (For GAS - maintenance token required, the payload spans all tenants) ---
 
-router.get('/backup', async (req, res) => {
+router.get('/backup', maintenanceAuth, async (req, res) => {
     try {
         const backupData = await dataManager.getBackupData();
         res.json({ success: true, data: backupData });
@@ -1399,17 +2034,13 @@ router.post('/payment/verify', async (req, res) => {
 
 // --- ADMIN AUTH ---
 
-router.post('/admin/data', async (req, res) => {
+router.post('/admin/data', requireRole('admin'), async (req, res) => {
     try {
-        const { companyId, password } = req.body;
+        const { companyId } = req.body; // Bound to the admin session by requireRole
 
         const client = await dataManager.getClientById(companyId);
         if (!client) return res.status(404).json({ success: false, error: 'Company not found' });
 
-        if (client.password !== password) {
-            return res.status(401).json({ success: false, error: 'Incorrect password' });
-        }
-
         const config = await dataManager.getCompanyConfig(companyId);
 
         res.json({
@@ -1420,8 +2051,8 @@ router.post('/admin/data', async (req, res) => {
             allEmployees: await dataManager.getEmployees(companyId),
             paymentHistory: client.lastPayment ? [client.lastPayment] : [],
             expiryDate: client.subscriptionExpiry ? new Date(client.subscriptionExpiry).toLocaleDateString('he-IL') : 'Unknown',
-            isExpired: client.subscriptionExpiry ? new Date(new Date(client.subscriptionExpiry).getTime() + 48 * 60 * 60 * 1000) < new Date() : false,
-            inGracePeriod: client.subscriptionExpiry ? (new Date(client.subscriptionExpiry) < new Date() && new Date(new Date(client.subscriptionExpiry).getTime() + 48 * 60 * 60 * 1000) >= new Date()) : false
+            isExpired: client.subscriptionExpiry ? dataManager.subscriptionAccess(client).isExpired : false,
+            inGracePeriod: client.subscriptionExpiry ? dataManager.subscriptionAccess(client).inGracePeriod : false
         });
 
     } catch (e) {
@@ -1429,75 +2060,101 @@ router.post('/admin/data', async (req, res) => {
     }
 });
 
-// --- USER EXPORT TO EMAIL (NON-BLOCKING) ---
-router.post('/user/export-email', async (req, res) => {
-    try {
-        const { companyId, userName, email } = req.body;
+// Defaults to the current month when year/month are omitted
+const statementPeriod = (body) => {
+    const now = new Date();
+    return {
+        year: body.year ? parseInt(body.year) : now.getFullYear(),
+        month: body.month ? parseInt(body.month) : now.getMonth() + 1
+    };
+};
 
-        if (!email || !userName) {
-            return res.status(400).json({ success: false, error: "Missing email or user" });
+// --- EMPLOYEE MONTHLY STATEMENT ---
+// { userName, year, month, format: 'json'|'pdf' } - an employee always gets their own statement (bindToSession)
+router.post('/user/statement', requireRole('admin', 'employee'), async (req, res) => {
+    try {
+        const { companyId, userName, format = 'json' } = req.body;
+        const blocked = await featureBlocked(companyId, 'employeeStatements');
+        if (blocked) return res.status(403).json(blocked);
+        const { year, month } = statementPeriod(req.body);
+        if (!year || !month || month < 1 || month > 12) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid year/month' });
         }
 
-        // 1. Respond Immediately (Non-Blocking)
-        res.json({ success: true, message: "Request received. Email will be sent shortly." });
+        const statement = await statementService.buildStatement(companyId, userName || req.body.name, year, month);
+        if (format !== 'pdf') return res.json({ success: true, statement });
 
-        // 2. Background Process
-        (async () => {
-            try {
-                // Fetch Hot Data (Current + Last Month) to ensure GAS has latest
-                const now = new Date();
-                const currentYear = now.getFullYear();
-                const currentMonth = now.getMonth() + 1;
-
-                let lastMonth = currentMonth - 1;
-                let lastMonthYear = currentYear;
-                if (lastMonth === 0) {
-                    lastMonth = 12;
-                    lastMonthYear = currentYear - 1;
-                }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${statementService.fileName(statement)}"`);
+        return res.send(await statementService.buildPdf(statement));
+    } catch (e) {
+        console.error('[Statement]', e.message);
+        const status = e.message === 'Employee not found' ? 404 : (e.message === 'Invalid year/month' ? 400 : 500);
+        return res.status(status).json({ success: false, error: e.message });
+    }
+});
 
-                const hotData = {};
-                // Current Month
-                const currentData = await dataManager.getShifts(companyId, currentYear, currentMonth);
-                if (currentData[userName]) hotData[`${currentYear}-${currentMonth}`] = currentData[userName];
-
-                // Last Month
-                const lastData = await dataManager.getShifts(companyId, lastMonthYear, lastMonth);
-                if (lastData[userName]) hotData[`${lastMonthYear}-${lastMonth}`] = lastData[userName];
-
-                // 3. Trigger GAS
-                const gasUrl = config.GAS_COLD_STORAGE_URL;
-                if (gasUrl) {
-                    // Fire and forget (or log result)
-                    await fetch(gasUrl, {
-                        method: 'POST',
-                        body: JSON.stringify({
-                            action: 'exportUserHistory',
-                            companyId,
-                            userId: userName, // User Name is ID in this system
-                            email,
-                            hotData
-                        })
-                    });
-                    console.log(`[Export-Email] Triggered GAS for ${userName} -> ${email}`);
-                } else {
-                    console.error("[Export-Email] GAS URL not configured");
-                }
+// --- USER EXPORT TO EMAIL ---
+// Emails the monthly statement to the address on the employee's profile (settings.constraints[name].email)
+router.post('/user/export-email', requireRole('admin', 'employee'), async (req, res) => {
+    try {
+        const { companyId, userName } = req.body;
+        const blocked = await featureBlocked(companyId, 'employeeStatements');
+        if (blocked) return res.status(403).json(blocked);
+        const { year, month } = statementPeriod(req.body);
+        if (!userName) {
+            return res.status(400).json({ success: false, error: "Missing user" });
+        }
+        if (!year || !month || month < 1 || month > 12) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid year/month' });
+        }
 
-            } catch (bgError) {
-                console.error(`[Export-Email] Background Error: ${bgError.message}`);
-            }
-        })();
+        const result = await statementService.emailStatement(companyId, userName, year, month);
+        if (!result.success) return res.status(400).json(result);
 
+        console.log(`[Export-Email] Statement ${month}/${year} of ${userName} (${companyId}) queued as ${result.id}`);
+        res.json({ success: true, message: "Request received. Email will be sent shortly.", id: result.id });
     } catch (e) {
         console.error(`[Export-Email] Error: ${e.message}`);
-        // Only valid if we haven't responded yet, but likely we have.
-        if (!res.headersSent) res.status(500).json({ success: false, error: e.message });
+        const status = e.message === 'Employee not found' ? 404 : 500;
+        res.status(status).json({ success: false, error: e.message });
+    }
+});
+
+// --- INVOICE-RECEIPTS (admin settings -> billing) ---
+const billingDocumentSummaries = (companyId) => billingDocumentService.list(companyId).map(d => ({
+    number: d.number,
+    type: d.type,
+    title: d.title,
+    issuedAt: d.issuedAt,
+    total: d.total,
+    vat: d.vat,
+    currency: d.currency,
+    description: d.lines[0]?.description || '',
+    period: d.payment.period
+}));
+
+// { number, format: 'json'|'pdf' } - only the business's own documents
+router.post('/admin/billing-document', requireRole('admin'), async (req, res) => {
+    try {
+        const { companyId, number, format = 'pdf' } = req.body;
+        if (!number) return res.status(400).json({ success: false, error: 'Missing document number' });
+
+        const document = billingDocumentService.get(companyId, number);
+        if (!document) return res.status(404).json({ success: false, error: 'Document not found' });
+        if (format === 'json') return res.json({ success: true, document });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${billingDocumentService.fileName(document)}"`);
+        return res.send(await billingDocumentService.buildPdf(document));
+    } catch (e) {
+        console.error('[Billing]', e.message);
+        res.status(500).json({ success: false, error: e.message });
     }
 });
 
 // 1. Settings (Salary, Constraints, Email)
-router.post('/admin/settings', async (req, res) => {
+router.post('/admin/settings', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, settings, adminEmail } = req.body;
         await dataManager.saveAdminSettings(companyId, settings, adminEmail);
@@ -1508,7 +2165,7 @@ router.post('/admin/settings', async (req, res) => {
 });
 
 // 2. Business Config (Name, Logo)
-router.post('/admin/business', async (req, res) => {
+router.post('/admin/business', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, businessName, logoUrl, logoBase64 } = req.body;
         const update = { businessName };
@@ -1523,10 +2180,10 @@ router.post('/admin/business', async (req, res) => {
 });
 
 // 3. Polygon (Geofence)
-router.post('/admin/polygon', async (req, res) => {
+router.post('/admin/polygon', requireRole('admin'), async (req, res) => {
     try {
-        const { companyId, polygon } = req.body;
-        await dataManager.savePolygon(companyId, polygon);
+        const { companyId, polygon, workLocations } = req.body;
+        await dataManager.savePolygon(companyId, polygon, workLocations);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -1534,7 +2191,7 @@ router.post('/admin/polygon', async (req, res) => {
 });
 
 // 4. Password Management
-router.post('/admin/password', async (req, res) => {
+router.post('/admin/password', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, password, newPassword } = req.body;
         const result = await authService.changeAdminPassword(companyId, password, newPassword);
@@ -1547,7 +2204,7 @@ router.post('/admin/password', async (req, res) => {
 router.post('/admin/forgot-password', async (req, res) => {
     try {
         const { companyId } = req.body;
-        const result = await authService.forgotAdminPassword(companyId);
+        const result = await authService.forgotAdminPassword(companyId, emailService, { ip: clientIp(req) });
         res.json(result);
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
@@ -1555,7 +2212,7 @@ router.post('/admin/forgot-password', async (req, res) => {
 });
 
 // 5. Employee Management
-router.post('/admin/employee', async (req, res) => {
+router.post('/admin/employee', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, name, action } = req.body;
         if (action === 'delete') {
@@ -1570,48 +2227,84 @@ router.post('/admin/employee', async (req, res) => {
 });
 
 // 6. Shift Management (Admin Edit/Delete/Force)
-router.post('/admin/shift/update', async (req, res) => {
+router.post('/admin/shift/update', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, ...data } = req.body;
-        await dataManager.adminSaveShift(companyId, data);
-        res.json({ success: true });
+        const result = await dataManager.adminSaveShift(companyId, { ...data, actor: auditActor(req) });
+        res.json(result || { success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
-router.post('/admin/shift/delete', async (req, res) => {
+router.post('/admin/shift/delete', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, ...data } = req.body;
-        await dataManager.adminDeleteShift(companyId, data);
-        res.json({ success: true });
+        const result = await dataManager.adminDeleteShift(companyId, { ...data, actor: auditActor(req) });
+        res.json(result || { success: true });
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
-router.post('/admin/shift/force', async (req, res) => {
+router.post('/admin/shift/force', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, ...data } = req.body;
         // forceType: 'checkIn' | 'checkOut'
-        await dataManager.adminForceAction(companyId, data);
+        const result = await dataManager.adminForceAction(companyId, { ...data, actor: auditActor(req) });
         // Returns updated dashboard
         const dashboard = await dataManager.getDashboard(companyId);
-        res.json({ success: true, dashboard, message: 'הפעולה בוצעה בהצלחה' });
+        res.json({
+            success: true,
+            dashboard,
+            ...(result?.auditWarning ? { auditWarning: result.auditWarning } : {}),
+            message: 'הפעולה בוצעה בהצלחה'
+        });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Audit trail of shift changes: filters { year, month, employee, action, from, to }, paging { limit, offset }
+router.post('/admin/audit', requireRole('admin'), async (req, res) => {
+    try {
+        const { companyId, limit, offset, ...filters } = req.body;
+        const log = await dataManager.getAuditLog(companyId, filters, { limit, offset });
+        res.json({ success: true, ...log });
+    } catch (e) {
+        res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+// Full (filtered) trail for an inspection: format 'csv' (default) or 'json' - JSON keeps the hashes verifiable
+router.post('/admin/audit/export', requireRole('admin'), async (req, res) => {
+    try {
+        const { companyId, format, limit, offset, ...filters } = req.body;
+        const log = await dataManager.getAuditLog(companyId, filters, { all: true });
+        const entries = [...log.entries].reverse(); // Oldest first, as recorded
+
+        res.setHeader('X-Audit-Chain-Valid', String(log.verification.valid));
+        if (format === 'json') {
+            res.setHeader('Content-Disposition', `attachment; filename="audit_${companyId}.json"`);
+            return res.json({ companyId, exportedAt: new Date().toISOString(), verification: log.verification, entries });
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="audit_${companyId}.csv"`);
+        res.send(AuditTrail.toCsv(entries));
     } catch (e) {
         res.status(500).json({ success: false, error: e.message });
     }
 });
 
 // 7. Reports (Email)
-router.post('/admin/report/send', async (req, res) => {
+router.post('/admin/report/send', requireRole('admin'), async (req, res) => {
     try {
         const { companyId, year, month } = req.body;
         const client = await dataManager.getClientById(companyId);
         if (!client || !client.email) throw new Error("No admin email found");
 
         // Generate Report Data (Hot/Cold)
-        const reportData = await dataManager.getShiftsHybrid(companyId, parseInt(year), parseInt(month));
+        const reportData = await dataManager.getShiftsForPeriod(companyId, parseInt(year), parseInt(month));
 
         // In GAS this was sending CSV. Here we just call emailService.
         // EmailService needs to format it.
@@ -1626,7 +2319,7 @@ router.post('/admin/report/send', async (req, res) => {
 
 // --- EXPORT ---
 
-router.post('/admin/export', async (req, res) => {
+router.post('/admin/export', requireRole('admin'), async (req, res) => {
     try {
         const { companyId } = req.body;
         const combined = await dataManager.getFullHistoryForExport(companyId);
@@ -1642,7 +2335,34 @@ router.post('/admin/export', async (req, res) => {
     }
 });
 
-router.post('/user/export', async (req, res) => {
+// Payroll import file for the accountant: { year, month, format: csv|xlsx|fixed, scope: employees|shifts }
+router.post('/admin/payroll-export', requireRole('admin'), async (req, res) => {
+    try {
+        const { companyId, year, month, format, scope } = req.body;
+        const blocked = await featureBlocked(companyId, 'payrollExport');
+        if (blocked) return res.status(403).json(blocked);
+        if (!year || isNaN(parseInt(year)) || !month || isNaN(parseInt(month))) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid year/month' });
+        }
+        if (format && !payrollExportService.FORMATS[format]) {
+            return res.status(400).json({ success: false, error: `Unsupported format: ${format}` });
+        }
+
+        const file = await payrollExportService.exportMonth(companyId, { year, month, format, scope });
+        const timesheetStatus = await lockExportedMonth(companyId, year, month, auditActor(req));
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+        // Open shifts, pending approvals, missing employee numbers - details via the adminPayrollExport action
+        res.setHeader('X-Payroll-Warnings', String(file.warnings.length));
+        res.setHeader('X-Timesheet-Status', timesheetStatus);
+        return res.send(file.buffer);
+    } catch (e) {
+        console.error('[PayrollExport]', e);
+        return res.status(500).json({ success: false, error: e.message });
+    }
+});
+
+router.post('/user/export', requireRole('admin', 'employee'), async (req, res) => {
     try {
         const { companyId, userName } = req.body;
         const name = userName; // Map for internal logic
@@ -1752,13 +2472,11 @@ router.get('/internal/payment-config', async (req, res) => {
     }
 });
 
-// 2. Set Config (Admin Only)
-router.post('/admin/payment-config', async (req, res) => {
+// 2. Set Config (Super Admin Only)
+router.post('/admin/payment-config', requireSuperAdmin, async (req, res) => {
     try {
         const { companyId, terminalName, terminalPass } = req.body;
-        // Verify admin permissions (simple check via companyId/password logic usually handled by client, 
-        // but here we trust the caller has passed the 'login' check or strictly:
-        // Ideally we need a session/token. For this scope:
+        // System-wide terminal credentials - super admin session only (requireSuperAdmin)
 
         await dataManager.updateSystemConfig({
             tranzilaTerminal: terminalName,
@@ -1771,19 +2489,9 @@ router.post('/admin/payment-config', async (req, res) => {
     }
 });
 
-// 3. Get Config (Admin Only - for UI)
-router.post('/admin/get-payment-config', async (req, res) => {
+// 3. Get Config (Super Admin Only - for UI)
+router.post('/admin/get-payment-config', requireSuperAdmin, async (req, res) => {
     try {
-        const { password } = req.body;
-
-        // Validate Super Admin (Password Only List)
-        const envPass = process.env.SUPER_ADMIN_PASS || '123456';
-        const allowedPasswords = envPass.split(',').map(p => p.trim());
-
-        if (!allowedPasswords.includes(password)) {
-            return res.status(401).json({ success: false, error: "Unauthorized" });
-        }
-
         const config = await dataManager.getSystemConfig();
         // Return sensitive data because it's the admin asking
         res.json({
@@ -1835,7 +2543,17 @@ router.post('/payment/process', async (req, res) => {
             return res.status(500).json({ success: false, error: 'Payment Gateway not configured - tranzilaTerminal or tranzilaPass missing in system config' });
         }
 
+        // The charge is priced on the server from the plan catalog (annual discount for 12+ months); J5 only verifies the card
         let resolvedPrice = price || '0';
+        let quote = null;
+        if (!isJ5) {
+            quote = await dataManager.quotePlan(companyId, planId, req.body.months);
+            if (!quote) return res.status(400).json({ success: false, error: 'PLAN_NOT_FOUND', message: 'התוכנית שנבחרה אינה זמינה' });
+            if (price && Math.abs(parseFloat(price) - quote.amount) >= 0.01) {
+                console.warn(`[Payment] Client price ${price} differs from the plan quote ${quote.amount} for ${companyId} - charging the quote`);
+            }
+            resolvedPrice = String(quote.amount);
+        }
         console.log(`[Payment] Using price: ${resolvedPrice}`);
 
         // 3. Prepare Payload for JetServer Proxy EXACTLY like the simulator
@@ -1868,14 +2586,8 @@ router.post('/payment/process', async (req, res) => {
         if (!businessName || businessName === 'TempusGeo') businessName = '';
 
         // 3b. Build proper plan description
-        const plans = (systemConfig.tranzilaPlans || systemConfig.plans || [
-            { id: '1', title: 'מנוי חודשי', price: 29, currency: 'ILS', months: 1 },
-            { id: '2', title: 'מנוי שנתי', price: 290, currency: 'ILS', months: 12 }
-        ]);
-        const selectedPlan = plans.find(p => String(p.id) === String(planId));
-
-        const planDesc = selectedPlan
-            ? `TempusGeo - מנוי ל-${selectedPlan?.months || 1} חודשים`
+        const planDesc = quote
+            ? `TempusGeo - ${quote.plan.name} ל-${quote.months} חודשים`
             : `TempusGeo - Plan ${planId}`;
 
         // 3d. Resolve ID (myid) - BE ROBUST
@@ -1963,7 +2675,7 @@ router.post('/payment/process', async (req, res) => {
                     businessId: cardInfo.businessId
                 } : null;
 
-                const updatedClient = await dataManager.extendSubscription(companyId, planId, resolvedPrice, pMethod);
+                const updatedClient = await dataManager.extendSubscription(companyId, planId, resolvedPrice, pMethod, quote ? quote.months : 1);
                 const newExpiry = updatedClient.subscriptionExpiry;
                 console.log(`[Payment] Subscription extended for ${companyId}, new expiry: ${newExpiry}`);
                 return res.json({ success: true, newExpiry, tranzilaResponse: Object.fromEntries(urlParams) });
@@ -2020,7 +2732,7 @@ router.post('/payment/process', async (req, res) => {
                 }
             }
 
-            const updatedClient = await dataManager.extendSubscription(companyId, planId, resolvedPrice, pMethod);
+            const updatedClient = await dataManager.extendSubscription(companyId, planId, resolvedPrice, pMethod, quote ? quote.months : 1);
             const newExpiry = updatedClient.subscriptionExpiry;
             console.log(`[Payment] Subscription extended for ${companyId}, new expiry: ${newExpiry}`);
             return res.json({ success: true, newExpiry, tranzilaResponse: fullData });
@@ -2044,18 +2756,7 @@ router.post('/payment/process', async (req, res) => {
 
 // --- MAINTENANCE (GAS TRIGGERS) ---
 
-// Middleware for Maintenance Auth
-const maintenanceAuth = (req, res, next) => {
-    // Check header, body, and query for compatibility (GET requests use query)
-    const token = req.headers['x-maintenance-token'] || (req.body && req.body.token) || req.query.token;
-    const validToken = process.env.MAINTENANCE_TOKEN || config.JETSERVER_TOKEN || 'maintenance-secret-123';
-
-    if (token !== validToken) {
-        console.warn(`[Maintenance] Unauthorized attempt from ${req.ip} targeting ${req.path}`);
-        return res.status(401).json({ success: false, error: "Unauthorized Maintenance Token" });
-    }
-    next();
-};
+// (maintenanceAuth is defined with the session middleware at the top of this file)
 
 router.post('/maintenance/auto-checkout', maintenanceAuth, async (req, res) => {
     try {
@@ -2095,13 +2796,10 @@ router.post('/maintenance/charge-client', maintenanceAuth, async (req, res) => {
 router.get('/maintenance/logs', maintenanceAuth, async (req, res) => {
     const category = req.query.category;
 
-    // Special handling for cloud-based logs (EMAILS)
+    // Emails come from the local outbox (delivery status per message)
     if (category === 'EMAILS') {
-        const gasRes = await dataManager.getGASLogs('EMAILS');
-        if (gasRes.success) {
-            return res.json({ success: true, logs: gasRes.logs });
-        }
-        return res.json({ success: false, error: gasRes.error, logs: [] });
+        const { messages } = emailService.listOutbox({ status: req.query.status }, { limit: req.query.limit || 100 });
+        return res.json({ success: true, logs: messages });
     }
 
     if (category && dataManager.maintenanceLogs[category]) {
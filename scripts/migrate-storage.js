@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Copies all storage records (clients, tombstones, company configs, ledgers, shifts, audit trails,
+ * archive manifests) from one backend to another.
+ *
+ * Usage:
+ *   npm run migrate:storage -- --from json --to sqlite [--data-dir ./data] [--sqlite-path ./data/tempusgeo.db] [--force]
+ *
+ * Stop the server first - it keeps clients and open months in memory and would
+ * overwrite whatever the migration writes. Afterwards set STORAGE_BACKEND to the target.
+ */
+const path = require('path');
+const config = require('../config');
+const { createStorage } = require('../services/storage');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+async function migrate({ from, to, dataDir, sqlitePath, force }) {
+    if (!from || !to || from === to) {
+        throw new Error('Specify two different backends: --from json --to sqlite');
+    }
+
+    const source = createStorage(from, { dataDir, sqlitePath });
+    const target = createStorage(to, { dataDir, sqlitePath });
+    await source.init();
+    await target.init();
+
+    const existing = await target.loadClients();
+    if (existing && existing.length > 0 && !force) {
+        throw new Error(`Target "${to}" already holds ${existing.length} clients. Re-run with --force to overwrite.`);
+    }
+
+    const stats = { clients: 0, tombstones: 0, companies: 0, months: 0, ledgers: 0, auditEntries: 0, manifests: 0 };
+
+    const clients = (await source.loadClients()) || [];
+    await target.saveClients(clients);
+    stats.clients = clients.length;
+
+    const tombstones = await source.loadTombstones();
+    await target.saveTombstones(tombstones);
+    stats.tombstones = tombstones.length;
+
+    for (const companyId of await source.listCompanies()) {
+        const companyConfig = await source.loadCompanyConfig(companyId);
+        if (companyConfig) await target.saveCompanyConfig(companyId, companyConfig);
+
+        const ledger = await source.loadLedger(companyId);
+        if (Object.keys(ledger).length > 0) {
+            await target.saveLedger(companyId, ledger);
+            stats.ledgers++;
+        }
+
+        const manifest = await source.loadArchiveManifest(companyId);
+        if (Object.keys(manifest).length > 0) {
+            await target.saveArchiveManifest(companyId, manifest);
+            stats.manifests++;
+        }
+
+        // Appended as-is: seq and hashes are kept, so the chain still verifies on the target
+        const targetAudit = await target.loadAudit(companyId);
+        const lastSeq = targetAudit.length > 0 ? targetAudit[targetAudit.length - 1].seq : 0;
+        for (const entry of await source.loadAudit(companyId)) {
+            if (entry.seq > lastSeq) {
+                await target.appendAudit(companyId, entry);
+                stats.auditEntries++;
+            }
+        }
+
+        for (const { year, month } of await source.listShiftMonths(companyId)) {
+            const shifts = await source.loadShifts(companyId, year, month);
+            if (shifts) {
+                await target.saveShifts(companyId, year, month, shifts);
+                stats.months++;
+            }
+        }
+        stats.companies++;
+        console.log(`[Migrate] ${companyId} done`);
+    }
+
+    await source.close();
+    await target.close();
+    return stats;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const rawDir = args['data-dir'] || config.DATA_DIR || './data';
+
+    migrate({
+        from: args.from,
+        to: args.to,
+        dataDir: path.isAbsolute(rawDir) ? rawDir : path.resolve(__dirname, '..', rawDir),
+        sqlitePath: args['sqlite-path'] || config.SQLITE_PATH,
+        force: !!args.force
+    }).then(stats => {
+        console.log(`[Migrate] Completed: ${stats.clients} clients, ${stats.tombstones} tombstones, ${stats.companies} companies, ${stats.months} months, ${stats.ledgers} ledgers, ${stats.manifests} archive manifests, ${stats.auditEntries} audit entries.`);
+    }).catch(e => {
+        console.error(`[Migrate] Failed: ${e.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { migrate };
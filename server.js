@@ -6,9 +6,14 @@ const path = require('path');
 const config = require('./config');
 const apiRoutes = require('./routes/api');
 const dataManager = require('./services/DataManager');
+const authService = require('./services/AuthService');
 
 const app = express();
 
+// Render puts exactly one proxy in front of us: req.ip is the address that proxy appended to X-Forwarded-For,
+// not the entries the client sent itself
+app.set('trust proxy', config.TRUST_PROXY_HOPS);
+
 // Middleware
 app.use(cors()); // Allow all origins (or restrict to frontend domain)
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -16,7 +21,7 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // --- RESTORE STATIC SERVING FOR LOCAL DEVELOPMENT / PRODUCTION FALLBACK ---
 app.use(express.static(path.join(__dirname, '../CLIENT_USER')));
-app.use(express.static(path.join(__dirname, 'data')));
+// DATA_DIR (clients, shifts, audit log, outbox...) is never served statically - only through the authenticated API
 app.use('/admin', express.static(path.join(__dirname, '../CLIENT_ADMIN')));
 
 // API Server Only - Frontends are hosted on Netlify
@@ -44,18 +49,29 @@ app.use((req, res) => {
     res.status(404).send('404 Not Found');
 });
 
-// Start Server
-const PORT = process.env.PORT || 3000;
+// Start Server (when run directly - tests mount the app themselves)
+if (require.main === module) {
+    // Sessions are HS256 tokens signed with JWT_SECRET - never run with a missing or published secret
+    const secretError = authService.secretError();
+    if (secretError) {
+        console.error(`CRITICAL: ${secretError}. Refusing to start.`);
+        process.exit(1);
+    }
+
+    const PORT = process.env.PORT || 3000;
 
-dataManager.init()
-    .then(() => {
-        app.listen(PORT, () => {
-            console.log(`Server running on port ${PORT}`);
-            console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-            console.log(`Data Directory: ${dataManager.dataDir}`);
+    dataManager.init()
+        .then(() => {
+            app.listen(PORT, () => {
+                console.log(`Server running on port ${PORT}`);
+                console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+                console.log(`Data Directory: ${dataManager.dataDir}`);
+            });
+        })
+        .catch(err => {
+            console.error('CRITICAL: DataManager failed to initialize:', err);
+            process.exit(1);
         });
-    })
-    .catch(err => {
-        console.error('CRITICAL: DataManager failed to initialize:', err);
-        process.exit(1);
-    });
+}
+
+module.exports = app;
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+/**
+ * AuditTrail
+ * Helpers for the per-company shift audit log (written by DataManager.recordAudit).
+ * Entries are hash-chained: each hash covers the entry and the previous entry's hash,
+ * so an edited, removed or reordered line breaks verification from that point on.
+ *
+ * Entry: { seq, ts, companyId, action, actor: { role, name, ip }, employee, year, month,
+ *          before, after, reason, prevHash, hash }
+ */
+class AuditTrail {
+    static get ACTIONS() {
+        return {
+            PUNCH_IN: 'PUNCH_IN',
+            PUNCH_OUT: 'PUNCH_OUT',
+            FORCE_IN: 'FORCE_IN',
+            FORCE_OUT: 'FORCE_OUT',
+            SHIFT_CREATE: 'SHIFT_CREATE',
+            SHIFT_UPDATE: 'SHIFT_UPDATE',
+            SHIFT_DELETE: 'SHIFT_DELETE',
+            PUNCH_APPROVE: 'PUNCH_APPROVE',
+            PUNCH_REJECT: 'PUNCH_REJECT',
+            AUTO_CHECKOUT: 'AUTO_CHECKOUT',
+            DEVICE_LOCK: 'DEVICE_LOCK',
+            MONTH_SUBMIT: 'MONTH_SUBMIT',
+            MONTH_APPROVE: 'MONTH_APPROVE',
+            MONTH_LOCK: 'MONTH_LOCK',
+            MONTH_REOPEN: 'MONTH_REOPEN',
+            CORRECTION_REQUEST: 'CORRECTION_REQUEST',
+            CORRECTION_APPROVE: 'CORRECTION_APPROVE',
+            CORRECTION_REJECT: 'CORRECTION_REJECT'
+        };
+    }
+
+    static get GENESIS_HASH() {
+        return '0'.repeat(64);
+    }
+
+    static hash(entry) {
+        // Fixed field order - the stored JSON key order doesn't matter
+        const canonical = JSON.stringify([
+            entry.seq, entry.ts, entry.companyId, entry.action, entry.actor || null,
+            entry.employee || null, entry.year || null, entry.month || null,
+            entry.before === undefined ? null : entry.before,
+            entry.after === undefined ? null : entry.after,
+            entry.reason || null, entry.prevHash
+        ]);
+        return crypto.createHash('sha256').update(canonical).digest('hex');
+    }
+
+    /**
+     * Normalizes the session (req.auth) into the actor stored on entries.
+     */
+    static actor(auth, ip) {
+        if (!auth) return { role: 'system', name: null, ip: ip || null };
+        return {
+            role: auth.role,
+            name: auth.role === 'employee' ? auth.name : (auth.role === 'superadmin' ? 'superadmin' : 'admin'),
+            ip: ip || null
+        };
+    }
+
+    static system(name) {
+        return { role: 'system', name, ip: null };
+    }
+
+    /**
+     * The fields of a shift that matter to an inspector.
+     */
+    static snapshot(shift) {
+        if (!shift) return null;
+        const snap = { start: shift.start || null, end: shift.end || null };
+        if (typeof shift.location === 'string' && shift.location) snap.location = shift.location;
+        if (shift.distance) snap.distance = shift.distance;
+        if (shift.note) snap.note = shift.note;
+        ['geoIn', 'geoOut'].forEach(key => {
+            if (shift[key]?.approval?.status) snap[`${key}Approval`] = shift[key].approval.status;
+        });
+        return snap;
+    }
+
+    /**
+     * Walks the chain. Returns { valid, count, brokenAt } - brokenAt is the seq (or line) of the first bad entry.
+     */
+    static verify(entries) {
+        let prevHash = AuditTrail.GENESIS_HASH;
+        let expectedSeq = 1;
+        for (const entry of entries) {
+            if (entry.corrupt) return { valid: false, count: entries.length, brokenAt: `line ${entry.line}` };
+            if (entry.seq !== expectedSeq || entry.prevHash !== prevHash || AuditTrail.hash(entry) !== entry.hash) {
+                return { valid: false, count: entries.length, brokenAt: entry.seq };
+            }
+            prevHash = entry.hash;
+            expectedSeq++;
+        }
+        return { valid: true, count: entries.length, brokenAt: null };
+    }
+
+    /**
+     * Filters: { year, month, employee, action, from, to } (from/to = ms or ISO, on the entry time)
+     */
+    static filter(entries, filters = {}) {
+        const from = filters.from ? new Date(isNaN(filters.from) ? filters.from : parseInt(filters.from)).getTime() : null;
+        const to = filters.to ? new Date(isNaN(filters.to) ? filters.to : parseInt(filters.to)).getTime() : null;
+        return entries.filter(e => {
+            if (e.corrupt) return false;
+            if (filters.year && e.year !== parseInt(filters.year)) return false;
+            if (filters.month && e.month !== parseInt(filters.month)) return false;
+            if (filters.employee && e.employee !== filters.employee) return false;
+            if (filters.action && e.action !== filters.action) return false;
+            const ts = new Date(e.ts).getTime();
+            if (from && ts < from) return false;
+            if (to && ts > to) return false;
+            return true;
+        });
+    }
+
+    static toCsv(entries) {
+        const tz = 'Asia/Jerusalem';
+        // Shift times are epoch ms (number or numeric string); entry times are ISO strings
+        const fmt = (t) => t ? new Date(isNaN(t) ? t : parseInt(t)).toLocaleString('en-GB', { timeZone: tz, hour12: false }) : '';
+        const esc = (v) => {
+            const s = v === null || v === undefined ? '' : String(v);
+            return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        };
+        const header = ['seq', 'time', 'action', 'actor_role', 'actor_name', 'actor_ip', 'employee', 'year', 'month',
+            'start_before', 'end_before', 'start_after', 'end_after', 'reason', 'before', 'after', 'hash'];
+        const rows = entries.map(e => [
+            e.seq, fmt(e.ts), e.action, e.actor?.role, e.actor?.name, e.actor?.ip, e.employee, e.year, e.month,
+            fmt(e.before?.start), fmt(e.before?.end), fmt(e.after?.start), fmt(e.after?.end), e.reason,
+            e.before === null || e.before === undefined ? '' : JSON.stringify(e.before),
+            e.after === null || e.after === undefined ? '' : JSON.stringify(e.after),
+            e.hash
+        ].map(esc).join(','));
+        // BOM so Excel opens Hebrew names correctly
+        return '\uFEFF' + [header.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = AuditTrail;
@@ -1,18 +1,205 @@
+const crypto = require('crypto');
 const dataManager = require('./DataManager');
+const PasswordHasher = require('./PasswordHasher');
+const config = require('../config');
+
+const ROLES = ['admin', 'employee', 'superadmin'];
+// Secrets that were published with the source - anyone could mint tokens with them
+const PUBLIC_SECRETS = ['tempusgeo_secret_123'];
+
+const base64url = (input) => Buffer.from(input).toString('base64')
+    .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const fromBase64url = (input) => Buffer.from(
+    String(input).replace(/-/g, '+').replace(/_/g, '/'), 'base64'
+).toString('utf8');
 
 class AuthService {
 
+    // --- TOKENS (HS256 JWT, signed with config.JWT_SECRET) ---
+
+    /**
+     * Why config.JWT_SECRET can't be used to sign tokens, or null when it can.
+     */
+    secretError() {
+        if (!config.JWT_SECRET) return 'JWT_SECRET is not set';
+        if (PUBLIC_SECRETS.includes(config.JWT_SECRET)) return 'JWT_SECRET is the public default - set a private value';
+        return null;
+    }
+
+    /**
+     * Throws when the secret is unset or public: no token is issued or accepted with it.
+     */
+    signature(data) {
+        const error = this.secretError();
+        if (error) throw new Error(error);
+        return base64url(crypto.createHmac('sha256', config.JWT_SECRET).update(data).digest());
+    }
+
+    sign(payload) {
+        const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const body = base64url(JSON.stringify(payload));
+        return `${header}.${body}.${this.signature(`${header}.${body}`)}`;
+    }
+
+    /**
+     * Returns the decoded payload, or null if the token is malformed, tampered with or expired.
+     */
+    verify(token, expectedType = 'access') {
+        if (!token || typeof token !== 'string') return null;
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+
+        const [header, body, signature] = parts;
+        if (this.secretError()) return null;
+        const expected = this.signature(`${header}.${body}`);
+
+        const a = Buffer.from(signature);
+        const b = Buffer.from(expected);
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+        let payload;
+        try {
+            payload = JSON.parse(fromBase64url(body));
+        } catch (e) {
+            return null;
+        }
+
+        if (!payload || payload.typ !== expectedType || !ROLES.includes(payload.role)) return null;
+        if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    }
+
+    /**
+     * Issues an access + refresh token pair.
+     * @param {Object} principal - { role, companyId, name, sessionVersion }
+     */
+    issueSession({ role, companyId = null, name = null, sessionVersion = 0 }) {
+        const now = Math.floor(Date.now() / 1000);
+        const accessTtl = config.AUTH.ACCESS_TOKEN_TTL;
+        const refreshTtl = role === 'employee'
+            ? config.AUTH.EMPLOYEE_REFRESH_TOKEN_TTL
+            : role === 'superadmin' ? config.AUTH.SUPER_ADMIN_REFRESH_TOKEN_TTL : config.AUTH.REFRESH_TOKEN_TTL;
+
+        const base = { role, cid: companyId, name, sv: sessionVersion, iat: now };
+        return {
+            accessToken: this.sign({ ...base, typ: 'access', exp: now + accessTtl }),
+            refreshToken: this.sign({ ...base, typ: 'refresh', jti: crypto.randomBytes(8).toString('hex'), exp: now + refreshTtl }),
+            expiresIn: accessTtl,
+            role
+        };
+    }
+
+    /**
+     * Verifies an access token and returns the bound principal: { role, companyId, name }
+     */
+    verifyAccessToken(token) {
+        const payload = this.verify(token, 'access');
+        if (!payload) return null;
+        return { role: payload.role, companyId: payload.cid, name: payload.name || null };
+    }
+
+    /**
+     * Exchanges a refresh token for a new session after re-checking that the principal still exists
+     * (business not deleted, employee still on the list, password not changed since).
+     */
+    async refreshSession(refreshToken) {
+        const payload = this.verify(refreshToken, 'refresh');
+        if (!payload) return { success: false, error: "INVALID_REFRESH_TOKEN", message: "פג תוקף ההתחברות. יש להתחבר מחדש." };
+
+        if (payload.role === 'admin') {
+            const client = await dataManager.getClientById(payload.cid);
+            if (!client || (client.sessionVersion || 0) !== (payload.sv || 0)) {
+                return { success: false, error: "INVALID_REFRESH_TOKEN", message: "פג תוקף ההתחברות. יש להתחבר מחדש." };
+            }
+        } else if (payload.role === 'employee') {
+            const companyConfig = await dataManager.getCompanyConfig(payload.cid).catch(() => null);
+            if (!companyConfig || !(companyConfig.employees || []).includes(payload.name)) {
+                return { success: false, error: "AUTH_NAME_NOT_FOUND", message: "עובד לא נמצא ברשימת המנהל. פנה למנהל להוספה." };
+            }
+        }
+
+        return {
+            success: true,
+            ...this.issueSession({ role: payload.role, companyId: payload.cid, name: payload.name, sessionVersion: payload.sv || 0 })
+        };
+    }
+
+    isValidSuperAdminPassword(inputPassword) {
+        const envPass = process.env.SUPER_ADMIN_PASS || '123456';
+        const validPasswords = envPass.split(',').map(p => p.trim());
+        return !!inputPassword && validPasswords.includes(inputPassword);
+    }
+
+    superAdminLogin(password) {
+        if (!this.isValidSuperAdminPassword(password)) {
+            return { success: false, error: "Invalid Password" };
+        }
+        return { success: true, ...this.issueSession({ role: 'superadmin' }) };
+    }
+
+    /**
+     * Employee identification (company ID + name from the manager's list).
+     * Applies the same device lock check as logShift, without locking a new device.
+     */
+    async identifyEmployee(companyId, employeeName, deviceId) {
+        const companyConfig = await dataManager.getCompanyConfig(companyId);
+        const employees = companyConfig.employees || [];
+
+        if (!employeeName || !employees.includes(employeeName)) {
+            return {
+                success: false,
+                error: "AUTH_NAME_NOT_FOUND",
+                message: "עובד לא נמצא ברשימת המנהל. פנה למנהל להוספה."
+            };
+        }
+
+        // A device-locked employee is only identified from that device - a missing deviceId is a mismatch too
+        const empConstraint = companyConfig.settings?.constraints?.[employeeName];
+        if (empConstraint?.deviceIdVerified && (!deviceId || empConstraint.deviceId !== deviceId)) {
+            return {
+                success: false,
+                error: "AUTH_DEVICE_MISMATCH",
+                message: "המכשיר אינו מאומת. לא ניתן להחתים עבור עובד אחר."
+            };
+        }
+
+        return {
+            success: true,
+            companyId,
+            name: employeeName,
+            businessName: companyConfig.businessName || '',
+            ...this.issueSession({ role: 'employee', companyId, name: employeeName })
+        };
+    }
+
     async adminLogin(identifier, password) {
         const allClients = await dataManager.getAllClients();
 
-        const client = allClients.find(c =>
-            (c.id === identifier || c.email === identifier) && c.password === password
-        );
+        // An email may belong to several businesses - check each candidate's hash
+        const candidates = allClients.filter(c => identifier && (c.id === identifier || c.email === identifier));
+        let client = null;
+        let needsRehash = false;
+        for (const c of candidates) {
+            const check = await PasswordHasher.verify(password, c.password);
+            if (check.valid) {
+                client = c;
+                needsRehash = check.needsRehash;
+                break;
+            }
+        }
 
         if (!client) {
             return { success: false, error: "תעודת זהות או סיסמה שגויה" };
         }
 
+        // Transparent migration of legacy plaintext / outdated hashes
+        if (needsRehash) {
+            client.password = await PasswordHasher.hash(password);
+            await dataManager.saveClients();
+            console.log(`[Auth] Rehashed stored password for ${client.id}`);
+        }
+
         const now = new Date();
         const expiry = client.subscriptionExpiry ? new Date(client.subscriptionExpiry) : null;
         let isExpired = false;
@@ -42,7 +229,8 @@ class AuthService {
             isExpired: isExpired,
             expiryDate: client.subscriptionExpiry,
             isFreeTrial: !!client.isFreeTrial, // Added
-            role: 'admin'
+            role: 'admin',
+            ...this.issueSession({ role: 'admin', companyId: client.id, sessionVersion: client.sessionVersion || 0 })
         };
     }
 
@@ -50,28 +238,136 @@ class AuthService {
         const client = await dataManager.getClientById(companyId);
         if (!client) return { success: false, error: "Company not found" };
 
+        if (!newPassword) return { success: false, error: "Missing new password" };
+
         // No old password check needed — user is already authenticated as admin
-        client.password = newPassword;
+        client.password = await PasswordHasher.hash(newPassword);
+        // Invalidate refresh tokens issued before the change and hand the caller a fresh session
+        client.sessionVersion = (client.sessionVersion || 0) + 1;
         await dataManager.saveClients();
 
-        return { success: true, message: "הסיסמה שונתה בהצלחה" };
+        return {
+            success: true,
+            message: "הסיסמה שונתה בהצלחה",
+            ...this.issueSession({ role: 'admin', companyId: client.id, sessionVersion: client.sessionVersion })
+        };
+    }
+
+    // --- RATE LIMITING (in-memory, fixed window) ---
+
+    /**
+     * Returns true if another attempt is allowed for `key` within the window.
+     */
+    checkRateLimit(key, limit, windowMs) {
+        if (!this.rateLimits) this.rateLimits = new Map();
+        const now = Date.now();
+        const entry = this.rateLimits.get(key);
+
+        if (!entry || now - entry.windowStart >= windowMs) {
+            this.rateLimits.set(key, { windowStart: now, count: 1 });
+            return true;
+        }
+        if (entry.count >= limit) return false;
+        entry.count++;
+
+        // Opportunistic cleanup so the map doesn't grow forever
+        if (this.rateLimits.size > 5000) {
+            for (const [k, v] of this.rateLimits) {
+                if (now - v.windowStart >= windowMs) this.rateLimits.delete(k);
+            }
+        }
+        return true;
+    }
+
+    rateLimited() {
+        return { success: false, error: "RATE_LIMITED", message: "בוצעו יותר מדי ניסיונות. נסו שוב מאוחר יותר." };
+    }
+
+    hashResetToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
     }
 
     // emailService is injected from api.js to avoid any circular require issue.
     // api.js is always the one that loads EmailService last (after all deps), so it's safe.
-    async forgotAdminPassword(companyId, emailService) {
+    /**
+     * Starts a password reset: emails a single-use, time-limited link.
+     * The current password is NOT touched - it keeps working until the link is used.
+     * Over the per-IP or per-company limit the request is dropped silently with the usual "sent" answer, so
+     * hammering a company's reset neither tells the caller anything nor shows its owner an error.
+     */
+    async forgotAdminPassword(companyId, emailService, { ip } = {}) {
+        const hour = 60 * 60 * 1000;
+        const sent = { success: true, message: "קישור לאיפוס הסיסמה נשלח לכתובת המייל של המנהל" };
+        if (!this.checkRateLimit(`reset-request:ip:${ip || 'unknown'}`, 10, hour) ||
+            !this.checkRateLimit(`reset-request:company:${companyId}`, 3, hour)) {
+            console.warn(`[Auth] Password reset throttled, nothing sent (company=${companyId}, ip=${ip})`);
+            return sent;
+        }
+
         const client = await dataManager.getClientById(companyId);
         if (!client) return { success: false, error: "Company not found" };
         if (!client.email) return { success: false, error: "No email associated with this account" };
 
-        const newPass = Math.random().toString(36).slice(-8);
-        client.password = newPass;
+        const token = crypto.randomBytes(32).toString('hex');
+        const ttlMinutes = config.AUTH.PASSWORD_RESET_TTL_MINUTES;
+        // Only the hash is stored - a leaked clients.json can't be used to reset passwords
+        client.passwordReset = {
+            tokenHash: this.hashResetToken(token),
+            expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString(),
+            requestedAt: new Date().toISOString()
+        };
         await dataManager.saveClients();
 
-        // NON-BLOCKING: queue email - EmailService worker handles GAS call in background with retries
-        emailService.sendRecoveryEmail(client.email, newPass);
+        const base = config.AUTH.PASSWORD_RESET_URL;
+        const separator = base.includes('?') ? '&' : '?';
+        const resetLink = `${base}${separator}resetToken=${token}&companyId=${encodeURIComponent(client.id)}`;
+
+        // NON-BLOCKING: queue email - EmailService worker handles delivery in background with retries
+        emailService.sendRecoveryEmail(client.email, resetLink, ttlMinutes);
 
-        return { success: true, message: "New password sent to email" };
+        return sent;
+    }
+
+    /**
+     * Completes a password reset with the token from the emailed link.
+     */
+    async resetAdminPassword(companyId, token, newPassword, { ip } = {}) {
+        const window = 15 * 60 * 1000;
+        if (!this.checkRateLimit(`reset-consume:ip:${ip || 'unknown'}`, 20, window) ||
+            !this.checkRateLimit(`reset-consume:company:${companyId}`, 10, window)) {
+            console.warn(`[Auth] Password reset consume rate limit hit (company=${companyId}, ip=${ip})`);
+            return this.rateLimited();
+        }
+
+        if (!token || !newPassword) return { success: false, error: "Missing params" };
+
+        const invalid = { success: false, error: "INVALID_RESET_TOKEN", message: "הקישור לאיפוס אינו תקף או שפג תוקפו. יש לבקש קישור חדש." };
+        const client = await dataManager.getClientById(companyId);
+        if (!client || !client.passwordReset?.tokenHash) return invalid;
+
+        const a = Buffer.from(this.hashResetToken(token));
+        const b = Buffer.from(client.passwordReset.tokenHash);
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return invalid;
+
+        if (new Date(client.passwordReset.expiresAt).getTime() <= Date.now()) {
+            delete client.passwordReset;
+            await dataManager.saveClients();
+            return invalid;
+        }
+
+        // Single use: the token is consumed together with the password change
+        delete client.passwordReset;
+        client.password = await PasswordHasher.hash(newPassword);
+        client.sessionVersion = (client.sessionVersion || 0) + 1;
+        await dataManager.saveClients();
+
+        console.log(`[Auth] Password reset completed for ${client.id}`);
+        return {
+            success: true,
+            message: "הסיסמה עודכנה בהצלחה",
+            companyId: client.id,
+            ...this.issueSession({ role: 'admin', companyId: client.id, sessionVersion: client.sessionVersion })
+        };
     }
 }
 
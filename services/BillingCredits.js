@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+const COUPON_TYPES = ['AMOUNT', 'PERCENT', 'FREE_MONTHS'];
+const COUPON_USAGE = ['REGISTRATION', 'RENEWAL', 'ANY'];
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+/**
+ * BillingCredits
+ * Account balance and coupons of a business (client record in clients.json):
+ *   client.accountLedger     [{ id, at, type: 'CREDIT'|'DEBIT', amount, source: 'MANUAL'|'COUPON'|'REFERRAL'|'CHARGE',
+ *                               reason, couponCode, reference, by }]  - balance = credits - debits, never below 0
+ *   client.couponRedemptions [{ code, at, usage, referral? }]
+ *                            referral = { companyId, credit, creditedAt } - the referrer is credited on the
+ *                            business's first paid charge (DataManager.creditReferrals), not at redemption
+ *   client.couponDiscount    { code, percent, at } - percent off the next charge (PERCENT coupons)
+ *
+ * Coupons live in the system config (coupons):
+ * { code, description, type: 'AMOUNT' (₪ credit) | 'PERCENT' (off the next charge) | 'FREE_MONTHS' (credit worth N months of
+ *   the client's plan at redemption time), value, usage: 'REGISTRATION'|'RENEWAL'|'ANY', maxRedemptions (0 = unlimited),
+ *   maxPerCardHolder (redemptions by businesses paying with the same card holder / card, 0 = unlimited; referral
+ *   coupons default to 1), expiresAt, active, referrerCompanyId,
+ *   referrerCredit (₪ credited to the referring business once each referred business pays its first charge) }
+ *
+ * calculateSubscriptionAmount applies the discount and then the balance (see applyToAmount); the ledger is debited
+ * only when the charge actually goes through (DataManager.consumeCredit).
+ */
+class BillingCredits {
+    static normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    /**
+     * Validates one coupon. Throws with a Hebrew message on bad input.
+     */
+    static normalizeCoupon(coupon) {
+        if (!coupon || typeof coupon !== 'object') throw new Error('קופון לא תקין');
+        const code = this.normalizeCode(coupon.code);
+        if (!/^[A-Z0-9_-]{3,30}$/.test(code)) throw new Error(`קוד קופון לא תקין: "${coupon.code || ''}"`);
+
+        const type = COUPON_TYPES.includes(coupon.type) ? coupon.type : null;
+        if (!type) throw new Error(`סוג לא מוכר בקופון ${code}`);
+        const value = parseFloat(coupon.value) || 0;
+        if (value <= 0 || (type === 'PERCENT' && value > 100)) throw new Error(`ערך לא תקין בקופון ${code}`);
+
+        const expiresAt = coupon.expiresAt ? new Date(coupon.expiresAt) : null;
+        if (expiresAt && isNaN(expiresAt.getTime())) throw new Error(`תאריך תפוגה לא תקין בקופון ${code}`);
+        const referrerCompanyId = coupon.referrerCompanyId ? String(coupon.referrerCompanyId) : null;
+        const perCardHolder = parseInt(coupon.maxPerCardHolder);
+
+        return {
+            code,
+            description: String(coupon.description || '').trim(),
+            type,
+            value: type === 'FREE_MONTHS' ? Math.max(1, Math.round(value)) : round2(value),
+            usage: COUPON_USAGE.includes(coupon.usage) ? coupon.usage : 'ANY',
+            maxRedemptions: Math.max(0, parseInt(coupon.maxRedemptions) || 0),
+            maxPerCardHolder: isNaN(perCardHolder) ? (referrerCompanyId ? 1 : 0) : Math.max(0, perCardHolder),
+            expiresAt: expiresAt ? expiresAt.toISOString() : null,
+            active: coupon.active !== false,
+            referrerCompanyId,
+            referrerCredit: Math.max(0, round2(coupon.referrerCredit))
+        };
+    }
+
+    static normalizeCoupons(coupons) {
+        if (!Array.isArray(coupons)) throw new Error('רשימת הקופונים חייבת להיות מערך');
+        const normalized = coupons.map(c => this.normalizeCoupon(c));
+        const codes = new Set();
+        normalized.forEach(c => {
+            if (codes.has(c.code)) throw new Error(`קוד קופון כפול: ${c.code}`);
+            codes.add(c.code);
+        });
+        return normalized;
+    }
+
+    static findCoupon(sysConfig, code) {
+        const wanted = this.normalizeCode(code);
+        for (const c of (Array.isArray(sysConfig?.coupons) ? sysConfig.coupons : [])) {
+            try {
+                const coupon = this.normalizeCoupon(c);
+                if (coupon.code === wanted) return coupon;
+            } catch (e) {
+                console.error(`[Credits] Ignoring invalid coupon ${c?.code}: ${e.message}`);
+            }
+        }
+        return null;
+    }
+
+    static redemptionCount(clients, code) {
+        const wanted = this.normalizeCode(code);
+        return (clients || []).reduce((n, c) => n + (c.couponRedemptions || []).filter(r => r.code === wanted).length, 0);
+    }
+
+    /**
+     * Do two businesses pay with the same card holder (ID number) or the same card (token)?
+     */
+    static sameCardHolder(a, b) {
+        const pa = a?.paymentMethod || {};
+        const pb = b?.paymentMethod || {};
+        return (!!pa.cardHolderId && pa.cardHolderId === pb.cardHolderId) || (!!pa.token && pa.token === pb.token);
+    }
+
+    static cardHolderRedemptionCount(clients, client, code) {
+        const wanted = this.normalizeCode(code);
+        return (clients || []).filter(c => c !== client && this.sameCardHolder(c, client))
+            .reduce((n, c) => n + (c.couponRedemptions || []).filter(r => r.code === wanted).length, 0);
+    }
+
+    /**
+     * Can this coupon be redeemed now? At registration client is just { paymentMethod } (the business does not exist yet).
+     * @returns {Object} { success: true, coupon } or { success: false, error, message }
+     */
+    static checkCoupon(sysConfig, clients, client, code, usage) {
+        const fail = (error, message) => ({ success: false, error, message });
+        const coupon = this.findCoupon(sysConfig, code);
+
+        if (!coupon || !coupon.active) return fail('COUPON_INVALID', 'קוד הקופון אינו תקף');
+        if (coupon.expiresAt && new Date(coupon.expiresAt) < new Date()) return fail('COUPON_EXPIRED', 'תוקף הקופון פג');
+        if (coupon.usage !== 'ANY' && coupon.usage !== usage) {
+            return fail('COUPON_NOT_APPLICABLE', coupon.usage === 'REGISTRATION' ? 'הקופון תקף רק בהרשמה' : 'הקופון תקף רק בחידוש מנוי');
+        }
+        if (coupon.maxRedemptions > 0 && this.redemptionCount(clients, coupon.code) >= coupon.maxRedemptions) {
+            return fail('COUPON_EXHAUSTED', 'הקופון נוצל במלואו');
+        }
+        if (client && (client.couponRedemptions || []).some(r => r.code === coupon.code)) {
+            return fail('COUPON_ALREADY_USED', 'הקופון כבר מומש עבור עסק זה');
+        }
+        if (client && coupon.maxPerCardHolder > 0 && this.cardHolderRedemptionCount(clients, client, coupon.code) >= coupon.maxPerCardHolder) {
+            return fail('COUPON_ALREADY_USED', 'הקופון כבר מומש עם אמצעי התשלום הזה');
+        }
+        if (client && coupon.referrerCompanyId) {
+            const referrer = (clients || []).find(c => String(c.id) === coupon.referrerCompanyId);
+            if (String(client.id) === coupon.referrerCompanyId || (referrer && this.sameCardHolder(referrer, client))) {
+                return fail('COUPON_NOT_APPLICABLE', 'לא ניתן לממש קופון הפניה של העסק עצמו');
+            }
+        }
+        if (coupon.type === 'PERCENT' && client?.couponDiscount) {
+            return fail('COUPON_NOT_APPLICABLE', 'כבר קיימת הנחה ממתינה לחיוב הבא');
+        }
+        return { success: true, coupon };
+    }
+
+    static balance(client) {
+        const total = (client?.accountLedger || []).reduce((sum, e) => sum + (e.type === 'CREDIT' ? e.amount : -e.amount), 0);
+        return Math.max(0, round2(total));
+    }
+
+    static ledgerEntry({ type, amount, source, reason, couponCode = null, reference = null, by = null }) {
+        return {
+            id: crypto.randomBytes(6).toString('hex'),
+            at: new Date().toISOString(),
+            type,
+            amount: round2(amount),
+            source,
+            reason: String(reason || '').slice(0, 300),
+            couponCode,
+            reference,
+            by
+        };
+    }
+
+    /**
+     * Discount first, then the available balance.
+     * @returns {Object} { amount, grossAmount, discountPercent, discountAmount, discountCode, creditApplied, creditBalance }
+     */
+    static applyToAmount(client, gross) {
+        const grossAmount = round2(gross);
+        const discount = client?.couponDiscount || null;
+        const discountPercent = discount ? Math.min(100, parseFloat(discount.percent) || 0) : 0;
+        const discountAmount = round2(grossAmount * discountPercent / 100);
+        const afterDiscount = round2(grossAmount - discountAmount);
+
+        const creditBalance = this.balance(client);
+        const creditApplied = round2(Math.min(creditBalance, afterDiscount));
+
+        return {
+            amount: round2(afterDiscount - creditApplied),
+            grossAmount,
+            discountPercent,
+            discountAmount,
+            discountCode: discountPercent > 0 ? discount.code : null,
+            creditApplied,
+            creditBalance
+        };
+    }
+}
+
+module.exports = BillingCredits;
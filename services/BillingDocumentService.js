@@ -0,0 +1,249 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const KeyedMutex = require('./KeyedMutex');
+
+const DEFAULT_VAT_RATE = 18;
+const DOCUMENT_TYPES = {
+    TAX_INVOICE_RECEIPT: 'חשבונית מס / קבלה',
+    RECEIPT: 'קבלה' // Issuer is an exempt dealer (vatRate 0) - no VAT, no tax invoice
+};
+
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+/**
+ * BillingDocumentService
+ * Tax invoice-receipts for subscription payments. Numbers are sequential across the whole system
+ * (one register for every business) and are never reused: documents are kept even when the payment
+ * record or the business is deleted.
+ *
+ * The register is a loose system file next to system_config.json (<DATA_DIR>/billing_documents.json)
+ * and is part of the backup: { lastNumber, documents: [document] }
+ * document: { number, type, title, companyId, issuedAt, issuer: { name, businessId, address, phone, email },
+ *             customer: { name, businessId, email }, lines: [{ description, quantity, unitPrice, total }],
+ *             currency, vatRate, subtotal, vat, total, payment: { method, reference, period, paidAt } }
+ *
+ * Amounts charged are VAT-inclusive; the VAT is extracted from the total. Issuer details and the rate come
+ * from the system config (invoiceIssuer*, vatRate, invoiceFirstNumber).
+ */
+class BillingDocumentService {
+    constructor() {
+        this.lastNumber = 0;
+        this.documents = [];
+        this.registerFile = null; // set by init() - until then documents are memory-only
+        this.fileLocks = new KeyedMutex();
+    }
+
+    /**
+     * Loads the register. Safe to call again (e.g. after a restore): documents are merged by number
+     * and the counter never moves backwards.
+     */
+    async init(dataDir) {
+        this.registerFile = path.join(dataDir, 'billing_documents.json');
+
+        let stored = {};
+        try {
+            stored = JSON.parse(await fs.readFile(this.registerFile, 'utf8')) || {};
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error(`[Billing] Could not read document register: ${e.message}`);
+        }
+
+        const known = new Set(this.documents.map(d => d.number));
+        (Array.isArray(stored.documents) ? stored.documents : [])
+            .filter(d => d && d.number && !known.has(d.number))
+            .forEach(d => this.documents.push(d));
+        this.documents.sort((a, b) => a.number - b.number);
+        this.lastNumber = Math.max(this.lastNumber, parseInt(stored.lastNumber) || 0, ...this.documents.map(d => d.number));
+
+        await this.persist();
+    }
+
+    async persist() {
+        if (!this.registerFile) return;
+        const filePath = this.registerFile;
+        await this.fileLocks.run(filePath, async () => {
+            const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            try {
+                await fs.writeFile(tmpPath, JSON.stringify({ lastNumber: this.lastNumber, documents: this.documents }, null, 2));
+                await fs.rename(tmpPath, filePath);
+            } catch (e) {
+                await fs.unlink(tmpPath).catch(() => { });
+                throw e;
+            }
+        });
+    }
+
+    /**
+     * Issues the document for a payment that was just pushed to client.paymentHistory and stamps
+     * payment.documentNumber (the caller saves the clients). Never throws - billing must not fail
+     * because a document could not be written.
+     * @returns {Promise<Object|null>} the document, or null for zero amounts / on failure
+     */
+    async issueForPayment(client, payment) {
+        const total = round2(Math.abs(parseFloat(payment?.amount) || 0));
+        if (!client || total <= 0) return null;
+        if (payment.documentNumber) return this.documents.find(d => d.number === payment.documentNumber) || null;
+
+        try {
+            const dataManager = require('./DataManager');
+            const sysConfig = await dataManager.getSystemConfig();
+            const bizConfig = (await dataManager.getCompanyConfig(client.id)) || {};
+
+            const vatRate = this.vatRate(sysConfig);
+            const subtotal = round2(total / (1 + vatRate / 100));
+            const type = vatRate > 0 ? 'TAX_INVOICE_RECEIPT' : 'RECEIPT';
+
+            // invoiceDetails holds either the registered business number or the name to invoice
+            const details = String(bizConfig.invoiceDetails || client.paymentMethod?.businessId || client.invoiceDetails || '').trim();
+            const detailsIsId = /^[\d\s-]{5,12}$/.test(details);
+
+            return await this.fileLocks.run('register', async () => {
+                const firstNumber = parseInt(sysConfig.invoiceFirstNumber) || 1;
+                const number = Math.max(this.lastNumber, firstNumber - 1) + 1;
+
+                const document = {
+                    number,
+                    type,
+                    title: DOCUMENT_TYPES[type],
+                    companyId: client.id,
+                    issuedAt: new Date().toISOString(),
+                    issuer: {
+                        name: sysConfig.invoiceIssuerName || sysConfig.appName || 'TempusGeo',
+                        businessId: sysConfig.invoiceIssuerId || '',
+                        address: sysConfig.invoiceIssuerAddress || '',
+                        phone: sysConfig.invoiceIssuerPhone || '',
+                        email: sysConfig.invoiceIssuerEmail || ''
+                    },
+                    customer: {
+                        name: detailsIsId ? (client.businessName || '') : (details || client.businessName || ''),
+                        businessId: detailsIsId ? details : '',
+                        email: client.email || bizConfig.adminEmail || ''
+                    },
+                    lines: [{
+                        description: payment.description || `מנוי ${sysConfig.appName || 'TempusGeo'}${payment.period ? ` - ${payment.period}` : ''}`,
+                        quantity: 1,
+                        unitPrice: subtotal,
+                        total: subtotal
+                    }],
+                    currency: payment.currency || 'ILS',
+                    vatRate,
+                    subtotal,
+                    vat: round2(total - subtotal),
+                    total,
+                    payment: {
+                        method: payment.method || '',
+                        reference: payment.reference || '',
+                        period: payment.period ?? null,
+                        paidAt: payment.fullDate || new Date().toISOString()
+                    }
+                };
+
+                this.lastNumber = number;
+                this.documents.push(document);
+                try {
+                    await this.persist();
+                } catch (e) {
+                    // Not on disk - give the number back so the sequence has no gaps
+                    this.documents.pop();
+                    this.lastNumber = number - 1;
+                    throw e;
+                }
+
+                payment.documentNumber = number;
+                console.log(`[Billing] Issued ${document.title} #${number} for ${client.id} (₪${total})`);
+                return document;
+            });
+        } catch (e) {
+            console.error(`[Billing] CRITICAL: document for ${client.id} (₪${total}) was not issued: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * The configured VAT percentage (system config vatRate, 0 for an exempt dealer).
+     */
+    vatRate(sysConfig) {
+        const configured = sysConfig?.vatRate;
+        return configured !== undefined && configured !== null && configured !== ''
+            ? Math.max(0, parseFloat(configured) || 0)
+            : DEFAULT_VAT_RATE;
+    }
+
+    /**
+     * A business's documents, newest first.
+     */
+    list(companyId) {
+        return this.documents
+            .filter(d => String(d.companyId) === String(companyId))
+            .sort((a, b) => b.number - a.number);
+    }
+
+    get(companyId, number) {
+        return this.documents.find(d => d.number === parseInt(number) && String(d.companyId) === String(companyId)) || null;
+    }
+
+    fileName(document) {
+        return `invoice_${document.number}.pdf`;
+    }
+
+    /**
+     * The document as an RTL A4 PDF (same renderer as the monthly reports).
+     */
+    buildPdf(document) {
+        const monthlyReportService = require('./MonthlyReportService');
+        const money = (n) => `₪${round2(n).toFixed(2)}`;
+        const date = (iso) => new Date(iso).toLocaleDateString('he-IL', { timeZone: 'Asia/Jerusalem' });
+        const { issuer, customer, payment } = document;
+
+        const footer = [
+            { text: `סה"כ לפני מע"מ: ${money(document.subtotal)}` },
+            ...(document.type === 'TAX_INVOICE_RECEIPT' ? [{ text: `מע"מ ${document.vatRate}%: ${money(document.vat)}` }] : []),
+            { text: `סה"כ לתשלום: ${money(document.total)}`, font: 'bold', size: 12 },
+            { text: `התקבל ב: ${payment.method || '-'}${payment.reference ? `   אסמכתא: ${payment.reference}` : ''}   תאריך: ${date(payment.paidAt)}` },
+            ...(document.type === 'RECEIPT' ? [{ text: 'עוסק פטור - המסמך אינו חשבונית מס' }] : []),
+            { text: 'מסמך ממוחשב' }
+        ];
+
+        return monthlyReportService.renderPdf({ title: `${document.title} ${document.number}` }, [{
+            heading: [
+                { text: issuer.name, font: 'bold', size: 15 },
+                ...(issuer.businessId ? [{ text: `ע.מ./ח.פ.: ${issuer.businessId}` }] : []),
+                ...([issuer.address, issuer.phone, issuer.email].some(Boolean)
+                    ? [{ text: [issuer.address, issuer.phone, issuer.email].filter(Boolean).join('   ') }]
+                    : []),
+                { text: `${document.title} מס' ${document.number} - מקור`, font: 'bold', size: 13 },
+                { text: `תאריך: ${date(document.issuedAt)}` },
+                { text: `לכבוד: ${customer.name}${customer.businessId ? `   ע.מ./ח.פ.: ${customer.businessId}` : ''}`, font: 'bold' }
+            ],
+            continuation: `${document.title} ${document.number} (המשך)`,
+            columns: [
+                { key: 'description', label: 'תיאור', width: 0 },
+                { key: 'quantity', label: 'כמות', width: 50, number: true },
+                { key: 'unitPrice', label: 'מחיר יחידה', width: 80, number: true },
+                { key: 'total', label: 'סה"כ', width: 80, number: true }
+            ],
+            rows: document.lines.map(l => ({
+                description: l.description,
+                quantity: String(l.quantity),
+                unitPrice: money(l.unitPrice),
+                total: money(l.total)
+            })),
+            totals: null,
+            footer
+        }]);
+    }
+
+    /**
+     * nodemailer-style attachment for the payment email; empty when the PDF cannot be rendered.
+     */
+    async buildAttachments(document) {
+        try {
+            return [{ filename: this.fileName(document), content: await this.buildPdf(document), contentType: 'application/pdf' }];
+        } catch (e) {
+            console.error(`[Billing] PDF for document #${document.number} skipped: ${e.message}`);
+            return [];
+        }
+    }
+}
+
+module.exports = new BillingDocumentService();
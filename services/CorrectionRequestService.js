@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const dataManager = require('./DataManager');
+const emailService = require('./EmailService');
+const AuditTrail = require('./AuditTrail');
+const KeyedMutex = require('./KeyedMutex');
+
+const TYPES = ['MISSING_IN', 'MISSING_OUT', 'WRONG_TIME'];
+const MAX_SHIFT_MS = 24 * 60 * 60 * 1000;
+const KEEP_DECIDED_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_DECIDED = 500;
+
+/**
+ * CorrectionRequestService
+ * Employees ask for a fix of a missed / wrong punch; the manager approves or rejects from a queue.
+ * An approved request is applied through DataManager.adminSaveShift, so the shift audit entry
+ * (SHIFT_UPDATE) carries the request id in its reason next to the CORRECTION_* entries.
+ *
+ * Requests live in the company config (config.correctionRequests):
+ * { id, employee, type, year, month, shiftStart, shiftEnd, requestedStart, requestedEnd, reason,
+ *   status: 'PENDING'|'APPROVED'|'REJECTED'|'CANCELLED', createdAt, decidedAt, decidedBy, decisionNote }
+ *  - MISSING_IN:  a "Manual Out without In" record (identified by shiftEnd) gets requestedStart
+ *  - MISSING_OUT: an open or auto-closed shift (identified by shiftStart) gets requestedEnd
+ *  - WRONG_TIME:  the shift at shiftStart gets requestedStart and/or requestedEnd
+ */
+class CorrectionRequestService {
+    constructor() {
+        this.locks = new KeyedMutex();
+    }
+
+    async list(companyId, { status, employee } = {}) {
+        const bizConfig = await dataManager.getCompanyConfig(companyId);
+        return (bizConfig?.correctionRequests || [])
+            .filter(r => (!status || r.status === status) && (!employee || r.employee === employee))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async save(companyId, requests) {
+        const cutoff = Date.now() - KEEP_DECIDED_MS;
+        const pending = requests.filter(r => r.status === 'PENDING');
+        const decided = requests
+            .filter(r => r.status !== 'PENDING' && (r.decidedAt || r.createdAt) >= cutoff)
+            .sort((a, b) => (b.decidedAt || b.createdAt) - (a.decidedAt || a.createdAt))
+            .slice(0, MAX_DECIDED);
+        await dataManager.updateCompanyConfig(companyId, { correctionRequests: [...pending, ...decided] });
+    }
+
+    /**
+     * Finds the shift a request points at (in the month it is filed under).
+     */
+    async findShift(companyId, { employee, year, month, type, shiftStart, shiftEnd }) {
+        const shifts = await dataManager.getShifts(companyId, year, month);
+        const same = (a, b) => a != null && b != null && parseInt(a) === parseInt(b);
+        return (shifts[employee] || []).find(s => type === 'MISSING_IN'
+            ? !s.start && same(s.end, shiftEnd)
+            : same(s.start, shiftStart)) || null;
+    }
+
+    /**
+     * Employee submits a request.
+     * @param {Object} input - { type, year, month, shiftStart, shiftEnd, requestedStart, requestedEnd, reason }
+     */
+    async submit(companyId, employee, input = {}, actor = null) {
+        const invalid = (message) => ({ success: false, error: 'INVALID_CORRECTION', message });
+        const num = (v) => (v === undefined || v === null || v === '' ? null : parseInt(v));
+
+        const type = input.type;
+        const year = parseInt(input.year);
+        const month = parseInt(input.month);
+        const reason = String(input.reason || '').trim().slice(0, 500);
+        const shiftStart = num(input.shiftStart);
+        const shiftEnd = num(input.shiftEnd);
+        let requestedStart = num(input.requestedStart);
+        let requestedEnd = num(input.requestedEnd);
+
+        if (!TYPES.includes(type)) return invalid('סוג בקשה לא מוכר');
+        if (!year || !month || month < 1 || month > 12) return invalid('חודש לא תקין');
+        if (!reason) return invalid('יש לציין סיבה לבקשה');
+        if (type === 'MISSING_IN' && (!shiftEnd || !requestedStart)) return invalid('יש לציין את היציאה הקיימת ואת שעת הכניסה המבוקשת');
+        if (type === 'MISSING_OUT' && (!shiftStart || !requestedEnd)) return invalid('יש לציין את הכניסה הקיימת ואת שעת היציאה המבוקשת');
+        if (type === 'WRONG_TIME' && (!shiftStart || (!requestedStart && !requestedEnd))) return invalid('יש לציין את המשמרת ואת השעה המתוקנת');
+
+        const lockedError = await dataManager.checkTimesheetEditable(companyId, year, month);
+        if (lockedError) return lockedError;
+
+        const shift = await this.findShift(companyId, { employee, year, month, type, shiftStart, shiftEnd });
+        if (!shift) return { success: false, error: 'SHIFT_NOT_FOUND', message: 'המשמרת לא נמצאה. ייתכן שכבר עודכנה.' };
+
+        // The resulting shift: requested times over the current ones
+        requestedStart = requestedStart || parseInt(shift.start) || null;
+        requestedEnd = requestedEnd || parseInt(shift.end) || null;
+        if (!requestedStart || !requestedEnd) return invalid('יש להשלים גם כניסה וגם יציאה');
+        if (requestedEnd <= requestedStart) return invalid('שעת היציאה חייבת להיות אחרי שעת הכניסה');
+        if (requestedEnd - requestedStart > MAX_SHIFT_MS) return invalid('משמרת לא יכולה להיות ארוכה מ-24 שעות');
+        if (requestedEnd > Date.now() + 5 * 60 * 1000) return invalid('לא ניתן לבקש שעה עתידית');
+
+        return this.locks.run(String(companyId), async () => {
+            const requests = (await dataManager.getCompanyConfig(companyId))?.correctionRequests || [];
+            const duplicate = requests.find(r => r.status === 'PENDING' && r.employee === employee &&
+                r.year === year && r.month === month && r.shiftStart === (shift.start ? parseInt(shift.start) : null) &&
+                r.shiftEnd === (shift.end ? parseInt(shift.end) : null));
+            if (duplicate) return { success: false, error: 'DUPLICATE_REQUEST', message: 'כבר קיימת בקשה ממתינה למשמרת זו.', request: duplicate };
+
+            const request = {
+                id: crypto.randomBytes(6).toString('hex'),
+                employee,
+                type,
+                year,
+                month,
+                shiftStart: shift.start ? parseInt(shift.start) : null,
+                shiftEnd: shift.end ? parseInt(shift.end) : null,
+                requestedStart,
+                requestedEnd,
+                reason,
+                status: 'PENDING',
+                createdAt: Date.now(),
+                decidedAt: null,
+                decidedBy: null,
+                decisionNote: null
+            };
+            await this.save(companyId, [...requests, request]);
+
+            const entry = await dataManager.recordAudit(companyId, {
+                action: AuditTrail.ACTIONS.CORRECTION_REQUEST, actor: actor || { role: 'employee', name: employee, ip: null },
+                employee, year, month, before: AuditTrail.snapshot(shift),
+                after: { requestId: request.id, type, start: requestedStart, end: requestedEnd }, reason
+            });
+            this.notifyManager(companyId, request).catch(e => console.error(`[Corrections] Manager alert failed: ${e.message}`));
+
+            console.log(`[Corrections] ${employee} (${companyId}) requested ${type} ${request.id}`);
+            return { success: true, request, ...dataManager.auditWarning(entry) };
+        });
+    }
+
+    /**
+     * Employee withdraws their own pending request.
+     */
+    async cancel(companyId, employee, id) {
+        return this.locks.run(String(companyId), async () => {
+            const requests = (await dataManager.getCompanyConfig(companyId))?.correctionRequests || [];
+            const request = requests.find(r => r.id === id && r.employee === employee);
+            if (!request) return { success: false, error: 'NOT_FOUND', message: 'הבקשה לא נמצאה' };
+            if (request.status !== 'PENDING') return { success: false, error: 'ALREADY_DECIDED', message: 'הבקשה כבר טופלה' };
+
+            Object.assign(request, { status: 'CANCELLED', decidedAt: Date.now(), decidedBy: employee });
+            await this.save(companyId, requests);
+            return { success: true, request };
+        });
+    }
+
+    /**
+     * Manager decision. APPROVE applies the change through adminSaveShift; the request stays PENDING if that fails
+     * (e.g. the month was locked meanwhile).
+     */
+    async review(companyId, id, { decision, note, actor } = {}) {
+        if (!['APPROVE', 'REJECT'].includes(decision)) return { success: false, error: 'INVALID_DECISION' };
+
+        return this.locks.run(String(companyId), async () => {
+            const requests = (await dataManager.getCompanyConfig(companyId))?.correctionRequests || [];
+            const request = requests.find(r => r.id === id);
+            if (!request) return { success: false, error: 'NOT_FOUND', message: 'הבקשה לא נמצאה' };
+            if (request.status !== 'PENDING') return { success: false, error: 'ALREADY_DECIDED', message: 'הבקשה כבר טופלה' };
+
+            const A = AuditTrail.ACTIONS;
+            let shiftAudited = true;
+            if (decision === 'APPROVE') {
+                const shift = await this.findShift(companyId, request);
+                if (!shift) {
+                    return { success: false, error: 'SHIFT_NOT_FOUND', message: 'המשמרת השתנתה מאז הגשת הבקשה. יש לדחות את הבקשה ולבקש מהעובד להגיש מחדש.' };
+                }
+
+                const saveRes = await dataManager.adminSaveShift(companyId, {
+                    year: request.year,
+                    month: request.month,
+                    name: request.employee,
+                    originalStart: request.shiftStart,
+                    originalEnd: request.type === 'MISSING_IN' ? request.shiftEnd : undefined,
+                    newStart: request.requestedStart,
+                    newEnd: request.requestedEnd,
+                    actor,
+                    reason: `בקשת תיקון ${request.id}: ${request.reason}`
+                });
+                if (saveRes && saveRes.success === false) return saveRes;
+                shiftAudited = !saveRes?.auditWarning;
+            }
+
+            Object.assign(request, {
+                status: decision === 'APPROVE' ? 'APPROVED' : 'REJECTED',
+                decidedAt: Date.now(),
+                decidedBy: actor?.name || null,
+                decisionNote: note ? String(note).slice(0, 500) : null
+            });
+            await this.save(companyId, requests);
+
+            const entry = await dataManager.recordAudit(companyId, {
+                action: decision === 'APPROVE' ? A.CORRECTION_APPROVE : A.CORRECTION_REJECT, actor,
+                employee: request.employee, year: request.year, month: request.month,
+                before: null, after: { requestId: request.id, status: request.status }, reason: request.decisionNote
+            });
+            console.log(`[Corrections] ${request.id} of ${request.employee} (${companyId}) ${request.status}`);
+            return { success: true, request, ...dataManager.auditWarning(entry, shiftAudited) };
+        });
+    }
+
+    async notifyManager(companyId, request) {
+        const bizConfig = await dataManager.getCompanyConfig(companyId);
+        if (!bizConfig?.adminEmail) return;
+        await emailService.sendCorrectionRequestAlert(bizConfig.adminEmail, request, bizConfig.businessName, bizConfig.logoUrl, companyId);
+    }
+}
+
+module.exports = new CorrectionRequestService();
@@ -5,8 +5,17 @@ const axios = require('axios');
 const emailService = require('./EmailService');
 const { mergeDefaultHolidaysBySector } = require('../systemDefaults');
 const WageCalculator = require('./WageCalculator');
+const GeoService = require('./GeoService');
+const PasswordHasher = require('./PasswordHasher');
 const syncManager = require('./SyncManager');
 const tranzilaService = require('./TranzilaService');
+const { createStorage } = require('./storage');
+const KeyedMutex = require('./KeyedMutex');
+const AuditTrail = require('./AuditTrail');
+const { createArchiveTarget, ArchiveTarget } = require('./archive');
+const billingDocumentService = require('./BillingDocumentService');
+const PlanCatalog = require('./PlanCatalog');
+const BillingCredits = require('./BillingCredits');
 
 // --- IN-MEMORY CACHE ---
 // Structure: { companyId: { config: {}, shifts: { '2024-02': { ...data... } } } }
@@ -26,12 +35,32 @@ const ALLOWED_SYSTEM_CONFIG_KEYS = [
     'emailJoinWelcome', 'emailExpiry48h', 'emailExpired', 'emailBlocked', 'emailAutoRenewSuccess',
     'jetServerUrl', 'JETSERVER_PROXY_URL',
     'emailTemplates',          // Per-email-type customizable intro text
-    'defaultHolidaysBySector'  // Configurable default holidays per religion for new employees
+    'defaultHolidaysBySector', // Configurable default holidays per religion for new employees
+    // Invoice-receipts (BillingDocumentService): issuer details, VAT rate (0 = exempt dealer), first document number
+    'invoiceIssuerName', 'invoiceIssuerId', 'invoiceIssuerAddress', 'invoiceIssuerPhone', 'invoiceIssuerEmail',
+    'vatRate', 'invoiceFirstNumber',
+    'subscriptionPlans', 'defaultPlanId', // Plan catalog (PlanCatalog); minMonthlyPrice / pricePerEmployee price the legacy plan
+    'coupons', // Coupon codes (BillingCredits)
+    'dunningRetryDays' // Days after a failed automatic charge to retry it (DunningService); blocked after the last one
 ];
 
+// Access continues this long after the subscription expires (longer while a failed charge is in dunning)
+const GRACE_PERIOD_HOURS = 48;
+
+// Card charge attempts (client.paymentAttempts): PENDING is written before Tranzila is called; UNCERTAIN
+// (no answer, or a PENDING left by a crash) blocks further charges until a super admin resolves it
+const CHARGE_ATTEMPT_STATUS = {
+    PENDING: 'PENDING', SUCCEEDED: 'SUCCEEDED', DECLINED: 'DECLINED', UNCERTAIN: 'UNCERTAIN',
+    RESOLVED_CHARGED: 'RESOLVED_CHARGED', RESOLVED_NOT_CHARGED: 'RESOLVED_NOT_CHARGED'
+};
+const MAX_CHARGE_ATTEMPTS_KEPT = 100; // per client; unresolved attempts are never trimmed
+
 // HOT STORAGE CONFIG
 const HOT_STORAGE_MONTHS = 2; // Keep current + last month
 
+// Month timesheet lifecycle: OPEN -> SUBMITTED (every employee with shifts submitted) -> APPROVED (manager) -> LOCKED (manager / payroll export)
+const TIMESHEET_STATUS = { OPEN: 'OPEN', SUBMITTED: 'SUBMITTED', APPROVED: 'APPROVED', LOCKED: 'LOCKED' };
+
 class DataManager {
     constructor() {
         // Ensure dataDir is absolute and well-defined
@@ -39,11 +68,22 @@ class DataManager {
         this.dataDir = path.isAbsolute(rawDir) ? rawDir : path.resolve(__dirname, '..', rawDir);
         
         console.log(`[DataManager] Data Directory initialized at: ${this.dataDir}`);
-        this.clientsFile = path.join(this.dataDir, 'clients.json');
         this.metadataFile = path.join(this.dataDir, 'metadata.json');
+        /** Clients, company configs, shifts, ledgers and tombstones (JSON files or SQLite) */
+        this.storage = createStorage(config.STORAGE_BACKEND, { dataDir: this.dataDir, sqlitePath: config.SQLITE_PATH });
+        console.log(`[DataManager] Storage backend: ${this.storage.name}`);
         /** Company IDs removed by admin — blocks orphan-folder "resurrection" and stale clients */
-        this.deletedCompanyIdsFile = path.join(this.dataDir, 'deleted_company_ids.json');
         this._deletedCompanyIds = null;
+        /** Serializes read-modify-write of a company's month (punches, admin edits, auto-checkout) */
+        this.shiftLocks = new KeyedMutex();
+        /** Audit trail appends per company + the last { seq, hash } written, so entries chain in order */
+        this.auditLocks = new KeyedMutex();
+        this.auditTails = {};
+        /** Serializes archive manifest read-modify-write per company */
+        this.archiveLocks = new KeyedMutex();
+        /** Serializes card charges per company; keys of attempts whose Tranzila call is still running */
+        this.chargeLocks = new KeyedMutex();
+        this.chargesInFlight = new Set();
         this.maintenanceLogs = {
             CHECKOUT: [],
             BILLING: [],
@@ -52,7 +92,8 @@ class DataManager {
             SYSTEM: [],
             ERROR: []
         }; // RAM storage for live admin logs
-        this.init();
+        /** Settles when the startup load (clients, system config) is done */
+        this.ready = this.init();
     }
 
     logMaintenance(category, message, details = null) {
@@ -121,11 +162,17 @@ class DataManager {
         try {
             // Ensure Data Directory Exists
             await fs.mkdir(this.dataDir, { recursive: true });
+            await this.storage.init();
+            // Resume GAS syncs and emails that were still pending at the last shutdown
+            await syncManager.init(this.dataDir);
+            await emailService.init(this.dataDir);
+            await billingDocumentService.init(this.dataDir);
 
             // 1. Load Local Clients
             try {
-                const data = await fs.readFile(this.clientsFile, 'utf8');
-                CACHE.clients = JSON.parse(data);
+                const stored = await this.storage.loadClients();
+                if (!stored) throw new Error('No clients stored');
+                CACHE.clients = stored;
                 
                 // DATA REPAIR & NORMALIZATION (One-time and proactive)
                 let repairedCount = 0;
@@ -186,6 +233,7 @@ class DataManager {
             });
 
             // 5. Start Automatic Maintenance Tasks
+            // (timers are unref'd: the HTTP server keeps the process alive, tests and scripts can exit)
             setInterval(async () => {
                 const sysConfig = await this.getSystemConfig();
                 const freq = parseFloat(sysConfig.shiftCheckFrequency) || 30; // default 30s
@@ -198,17 +246,17 @@ class DataManager {
                     this._lastAutoCheckout = now;
                     this.performAutoCheckout().catch(e => console.error(`[Auto-Checkout] Failed:`, e.message));
                 }
-            }, 30 * 1000); // Check every 30s if it's time to run
+            }, 30 * 1000).unref(); // Check every 30s if it's time to run
 
             // 6. Start Daily Cleanup & Archive Trigger (Every 24 hours)
             setInterval(() => {
                 this.runGlobalArchiveCycle().catch(e => console.error(`[Auto-Archive] Global Cycle Failed:`, e.message));
-            }, 24 * 60 * 60 * 1000);
+            }, 24 * 60 * 60 * 1000).unref();
 
             // 7. Start Automatic Recurring Payment Cycle (Every 1 hour check)
             setInterval(() => {
                 this.checkSubscriptions().catch(e => console.error(`[Auto-Billing-Check] Failed:`, e.message));
-            }, 60 * 60 * 1000);
+            }, 60 * 60 * 1000).unref();
 
             // 8. Monthly Reports Scheduler (Check every hour)
             setInterval(async () => {
@@ -225,7 +273,7 @@ class DataManager {
                         this.runMonthlyReports().catch(e => console.error(`[Monthly-Reports] Scheduler Failed:`, e.message));
                     }
                 }
-            }, 60 * 60 * 1000);
+            }, 60 * 60 * 1000).unref();
 
             // Trigger once on startup after 1 minute for immediate status check
             setTimeout(async () => {
@@ -248,7 +296,7 @@ class DataManager {
                 for (const client of CACHE.clients) {
                     this.archiveAndCleanup(client.id).catch(e => console.error(`[Startup Clean] Failed for ${client.id}:`, e.message));
                 }
-            }, 10000); // 10s after boot
+            }, 10000).unref(); // 10s after boot
 
         } catch (e) {
             console.error("Critical Error initializing DataManager:", e);
@@ -260,10 +308,8 @@ class DataManager {
     async getDeletedCompanyIdsSet() {
         if (this._deletedCompanyIds instanceof Set) return this._deletedCompanyIds;
         try {
-            const raw = await fs.readFile(this.deletedCompanyIdsFile, 'utf8');
-            const j = JSON.parse(raw);
-            const arr = Array.isArray(j?.ids) ? j.ids : [];
-            this._deletedCompanyIds = new Set(arr.map(String));
+            const ids = await this.storage.loadTombstones();
+            this._deletedCompanyIds = new Set(ids.map(String));
         } catch {
             this._deletedCompanyIds = new Set();
         }
@@ -275,11 +321,7 @@ class DataManager {
         const set = await this.getDeletedCompanyIdsSet();
         set.add(String(companyId));
         this._deletedCompanyIds = set;
-        await fs.mkdir(this.dataDir, { recursive: true });
-        await fs.writeFile(this.deletedCompanyIdsFile, JSON.stringify({
-            ids: [...set],
-            updatedAt: new Date().toISOString()
-        }, null, 2));
+        await this.storage.saveTombstones([...set]);
     }
 
     async isCompanyIdDeleted(companyId) {
@@ -293,15 +335,13 @@ class DataManager {
     }
 
     async saveClients() {
-        await fs.writeFile(this.clientsFile, JSON.stringify(CACHE.clients, null, 2));
+        await this.storage.saveClients(CACHE.clients);
         await this.updateLastWriteTime();
 
         // Sync clients.json to GAS for persistence across Render restarts
         const gasUrl = config.GAS_COLD_STORAGE_URL;
         if (gasUrl) {
-            // Fix: Use a proper password (from env or default) to ensure GAS accepts the archive
-            const adminPass = process.env.SUPER_ADMIN_PASS || '123456';
-            syncManager.enqueue('CLIENTS', CACHE.clients, { companyId: '__SYSTEM_CLIENTS__', gasUrl, password: adminPass });
+            await syncManager.enqueue('CLIENTS', CACHE.clients, { companyId: '__SYSTEM_CLIENTS__', gasUrl });
         }
     }
 
@@ -311,15 +351,14 @@ class DataManager {
      * could be restored by smartRestoreFromGAS on the next Render restart.
      */
     async saveClientsAndSyncToGAS() {
-        await fs.writeFile(this.clientsFile, JSON.stringify(CACHE.clients, null, 2));
+        await this.storage.saveClients(CACHE.clients);
         const timestamp = await this.updateLastWriteTime();
 
         const gasUrl = config.GAS_COLD_STORAGE_URL;
         if (gasUrl) {
-            const adminPass = process.env.SUPER_ADMIN_PASS || '123456';
             try {
                 // syncNow waits for GAS to acknowledge – this ensures GAS has the latest data
-                await syncManager.syncNow('CLIENTS', CACHE.clients, { companyId: '__SYSTEM__', gasUrl, password: adminPass });
+                await syncManager.syncNow('CLIENTS', CACHE.clients, { companyId: '__SYSTEM__', gasUrl });
                 console.log(`[DataManager] Clients synced to GAS synchronously (timestamp: ${timestamp}).`);
             } catch (e) {
                 console.error('[DataManager] Critical: Synchronous GAS sync failed after client data change:', e.message);
@@ -387,11 +426,9 @@ class DataManager {
      */
     async discoverAndReconcileOrphans() {
         console.log("[Orphan-Discovery] Scanning for ghost businesses...");
-        const companiesDir = path.join(this.dataDir, 'companies');
 
         try {
-            await fs.mkdir(companiesDir, { recursive: true });
-            const folders = await fs.readdir(companiesDir);
+            const folders = await this.storage.listCompanies();
             let foundNew = false;
             const tombstoned = await this.getDeletedCompanyIdsSet();
 
@@ -401,18 +438,11 @@ class DataManager {
                 const isInternal = companyId.startsWith('__') || companyId === 'NEW_SETUP'; // Ignore __SYSTEM__, NEW_SETUP, etc.
 
                 if (tombstoned.has(String(companyId))) {
-                    const orphanPath = path.join(companiesDir, companyId);
-                    console.log(`[Orphan-Discovery] Tombstoned ID ${companyId} — removing leftover folder (no auto-reconcile).`);
+                    console.log(`[Orphan-Discovery] Tombstoned ID ${companyId} — removing leftover data (no auto-reconcile).`);
                     try {
-                        await fs.rm(orphanPath, { recursive: true, force: true });
+                        await this.storage.deleteCompany(companyId);
                     } catch (e) {
-                        try {
-                            const quarantine = path.join(companiesDir, `__deleted__${companyId}__${Date.now()}`);
-                            await fs.rename(orphanPath, quarantine);
-                            console.log(`[Orphan-Discovery] Quarantined folder for ${companyId} → ${path.basename(quarantine)}`);
-                        } catch (e2) {
-                            console.error(`[Orphan-Discovery] Could not remove tombstoned folder ${companyId}:`, e2.message);
-                        }
+                        console.error(`[Orphan-Discovery] Could not remove tombstoned data ${companyId}:`, e.message);
                     }
                     continue;
                 }
@@ -421,16 +451,15 @@ class DataManager {
                     console.log(`[Orphan-Discovery] Found ghost client: ${companyId}. Attempting reconciliation...`);
 
                     try {
-                        const configFile = path.join(companiesDir, companyId, 'config.json');
-                        const data = await fs.readFile(configFile, 'utf8');
-                        const config = JSON.parse(data);
+                        const config = await this.storage.loadCompanyConfig(companyId);
+                        if (!config) throw new Error('config.json not found');
 
                         // Construct a basic client entry from the config
                         const newClient = {
                             id: companyId,
                             businessName: `עסק חדש - קוד ${companyId}`,
                             email: config.adminEmail || "",
-                            password: config.password || "1234", // Fallback if missing, though usually in config
+                            password: await PasswordHasher.hash(config.password || "1234"), // Fallback if missing, though usually in config
                             subscriptionExpiry: config.subscriptionExpiry || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
                             role: 'admin',
                             isOrphan: true // Flag for UI highlighting
@@ -475,15 +504,11 @@ class DataManager {
             throw new Error(`Business ${companyId} does not exist or has been deleted.`);
         }
 
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
-        await fs.mkdir(companyDir, { recursive: true });
-
         // Load Config
         let configData = {};
         try {
-            const configFile = path.join(companyDir, 'config.json');
-            const data = await fs.readFile(configFile, 'utf8');
-            configData = JSON.parse(data);
+            configData = await this.storage.loadCompanyConfig(companyId);
+            if (!configData) throw new Error('No stored config');
         } catch (e) {
             console.log(`No config for ${companyId}, using defaults.`);
             configData = { companyId, settings: {} };
@@ -529,15 +554,10 @@ class DataManager {
 
         const client = await this.getClientById(companyId);
         if (client) {
-            const now = new Date();
-            const expiry = this.parseExpiryDate(client.subscriptionExpiry || client.expiryDate);
-
-            // GRACE PERIOD LOGIC: Hard block only after 48 hours
-            const hoursSinceExpiry = (now - expiry) / (1000 * 60 * 60);
-            
-            config.subscriptionExpired = hoursSinceExpiry > 48;
-            config.inGracePeriod = hoursSinceExpiry > 0 && hoursSinceExpiry <= 48;
-            config.expiryDate = expiry.toLocaleDateString('he-IL');
+            const access = this.subscriptionAccess(client);
+            config.subscriptionExpired = access.isExpired;
+            config.inGracePeriod = access.inGracePeriod;
+            config.expiryDate = this.parseExpiryDate(client.subscriptionExpiry || client.expiryDate).toLocaleDateString('he-IL');
 
             if (client.businessName) {
                 config.businessName = client.businessName;
@@ -547,6 +567,29 @@ class DataManager {
         return config;
     }
 
+    /**
+     * Whether a business may still use the system: GRACE_PERIOD_HOURS after the expiry, extended to the last
+     * retry while a failed charge is in dunning. A dunning that ran out of retries blocks right away.
+     * @returns {Object} { isExpired, inGracePeriod, graceEndsAt, dunningStatus }
+     */
+    subscriptionAccess(client, now = new Date()) {
+        const expiry = this.parseExpiryDate(client?.subscriptionExpiry || client?.expiryDate);
+        const dunning = client?.dunning || null;
+
+        let graceEnd = expiry.getTime() + GRACE_PERIOD_HOURS * 60 * 60 * 1000;
+        if (dunning?.status === 'ACTIVE' && dunning.blockAt) graceEnd = Math.max(graceEnd, new Date(dunning.blockAt).getTime());
+
+        const pastExpiry = now.getTime() > expiry.getTime();
+        const isExpired = pastExpiry && (dunning?.status === 'BLOCKED' || now.getTime() > graceEnd);
+        const graceEndsAt = new Date(graceEnd); // Invalid for an "Unlimited" subscription
+        return {
+            isExpired,
+            inGracePeriod: pastExpiry && !isExpired,
+            graceEndsAt: isNaN(graceEndsAt.getTime()) ? null : graceEndsAt.toISOString(),
+            dunningStatus: dunning?.status || null
+        };
+    }
+
     async getAllClientsWithStatus() {
         const now = new Date();
         const gasUrl = config.GAS_COLD_STORAGE_URL;
@@ -588,12 +631,10 @@ class DataManager {
             const daysRemaining = Math.ceil((expiry - now) / (1000 * 60 * 60 * 24));
             const isExpired = expiry < now;
 
-            // Check local existence on disk
-            const companyDir = path.join(this.dataDir, 'companies', client.id);
+            // Check local existence in storage
             let existsLocally = false;
             try {
-                const stat = await fs.stat(companyDir);
-                existsLocally = stat.isDirectory();
+                existsLocally = await this.storage.hasCompany(client.id);
             } catch (e) { }
 
             // New: Active Employees & Expected Payment
@@ -624,6 +665,11 @@ class DataManager {
                 debtAmount: await this.calculateDebtAmount(client.id),
                 autoChargeEnabled: !!client.autoChargeEnabled,
                 isFreeTrial: !!client.isFreeTrial, // Add isFreeTrial flag
+                planId: expectedPayment.breakdown?.planId || client.planId || null,
+                priceLock: client.priceLock || null,
+                accountBalance: BillingCredits.balance(client),
+                dunning: require('./DunningService').summary(client),
+                chargesNeedingReview: this.openChargeAttempts(client).length,
                 paymentHistory: client.paymentHistory || [],
                 paymentMethod: client.paymentMethod || null
             };
@@ -644,36 +690,17 @@ class DataManager {
 
     async updateBillingLedger(companyId, year, month, names) {
         if (!companyId || !names || names.length === 0) return;
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
-        const ledgerPath = path.join(companyDir, 'billing_ledger.json');
-        
-        let ledger = {};
-        try {
-            const data = await fs.readFile(ledgerPath, 'utf8');
-            ledger = JSON.parse(data);
-        } catch (e) {}
 
         const periodKey = `${year}-${String(month).padStart(2, '0')}`;
-        const existingNames = new Set(ledger[periodKey] || []);
-        let changed = false;
-        
-        names.forEach(n => {
-            if (n && !existingNames.has(n)) {
-                existingNames.add(n);
-                changed = true;
-            }
-        });
-
-        if (changed) {
-            ledger[periodKey] = Array.from(existingNames);
-            await fs.mkdir(companyDir, { recursive: true });
-            await fs.writeFile(ledgerPath, JSON.stringify(ledger, null, 2));
+        // Append-only: returns the full ledger only when a new name was added
+        const ledger = await this.storage.appendLedger(companyId, periodKey, names);
 
+        if (ledger) {
             // Sync Ledger to GAS
             const bizConfig = await this.getCompanyConfig(companyId);
             const gasUrl = bizConfig.gasUrl || config.GAS_COLD_STORAGE_URL;
             if (gasUrl) {
-                syncManager.enqueue('LEDGER', { ledger }, { companyId, gasUrl, password: bizConfig.password });
+                await syncManager.enqueue('LEDGER', { ledger }, { companyId, gasUrl });
             }
         }
     }
@@ -696,11 +723,8 @@ class DataManager {
             }
 
             // Priority 1: Billing Ledger (Un-deleteable)
-            const companyDir = path.join(this.dataDir, 'companies', companyId);
-            const ledgerPath = path.join(companyDir, 'billing_ledger.json');
             try {
-                const ledgerData = await fs.readFile(ledgerPath, 'utf8');
-                const ledger = JSON.parse(ledgerData);
+                const ledger = await this.storage.loadLedger(companyId);
                 const periodKey = `${targetYear}-${String(targetMonth).padStart(2, '0')}`;
                 if (ledger[periodKey]) {
                     return ledger[periodKey].length;
@@ -756,8 +780,8 @@ class DataManager {
             }
 
             const sysConfig = await this.getSystemConfig();
-            const minPrice = parseFloat(sysConfig.minMonthlyPrice) || 50;
-            const pricePerEmp = parseFloat(sysConfig.pricePerEmployee) || 5;
+            const plan = PlanCatalog.resolve(sysConfig, client);
+            const planInfo = { planId: plan.id, planName: plan.name, grandfathered: plan.grandfathered };
 
             let totalDue = 0;
             const explanations = [];
@@ -765,6 +789,15 @@ class DataManager {
             // 1. Unpaid Past Months (The Chain)
             let checkDate = this.parseExpiryDate(client.subscriptionExpiry || client.expiryDate);
             const now = new Date();
+
+            // PREPAID (e.g. annual plan): nothing is due while the expiry is past the next billing date
+            const nextBillingDay = new Date(now.getFullYear(), now.getMonth() + 1, 2);
+            if (checkDate > nextBillingDay) {
+                return {
+                    amount: 0,
+                    breakdown: { ...planInfo, isPrepaid: true, note: `שולם מראש עד ${checkDate.toLocaleDateString('he-IL')}`, totalDue: 0, details: [] }
+                };
+            }
             
             while (checkDate < new Date(now.getFullYear(), now.getMonth(), 1)) {
                 const y = checkDate.getFullYear();
@@ -773,7 +806,7 @@ class DataManager {
                 if (!(await this.isMonthPaid(companyId, y, m))) {
                     const workers = await this.countUniqueActiveEmployees(companyId, y, m);
                     if (workers > 0) {
-                        const monthBase = Math.max(minPrice, workers * pricePerEmp);
+                        const monthBase = PlanCatalog.monthlyPrice(plan, workers);
                         totalDue += monthBase;
                         explanations.push(`חוב ${m}/${y}: ₪${monthBase} (${workers} עובדים)`);
                     }
@@ -786,7 +819,7 @@ class DataManager {
             const targetMonth = now.getMonth(); // 0-indexed
             const lastMonthDays = new Date(targetYear, targetMonth + 1, 0).getDate();
             const workers = await this.countUniqueActiveEmployees(companyId, targetYear, targetMonth + 1);
-            const currentFormulaBase = Math.max(minPrice, workers * pricePerEmp);
+            const currentFormulaBase = PlanCatalog.monthlyPrice(plan, workers);
 
             // Anchor date: prefer joinedAt as the immutable source of truth.
             // subscriptionDate can be corrupted by renewals — only use it if it
@@ -812,10 +845,26 @@ class DataManager {
             const currentAmount = Math.floor(currentFormulaBase * (activeDays / lastMonthDays));
             totalDue += currentAmount;
 
+            // 3. Coupon discount, then account credit - used before anything is charged to the stored token
+            const settled = BillingCredits.applyToAmount(client, totalDue);
+            if (settled.discountAmount > 0) {
+                explanations.push(`הנחת קופון ${settled.discountCode} (${settled.discountPercent}%): -₪${settled.discountAmount}`);
+            }
+            if (settled.creditApplied > 0) {
+                explanations.push(`ניצול יתרת זכות: -₪${settled.creditApplied} (יתרה: ₪${settled.creditBalance})`);
+            }
+
             return {
-                amount: totalDue,
+                amount: settled.amount,
                 breakdown: {
+                    ...planInfo,
                     totalDue,
+                    grossAmount: settled.grossAmount,
+                    discountPercent: settled.discountPercent,
+                    discountAmount: settled.discountAmount,
+                    discountCode: settled.discountCode,
+                    creditApplied: settled.creditApplied,
+                    creditBalance: settled.creditBalance,
                     details: explanations,
                     employeeCount: workers,
                     activeDays,
@@ -839,13 +888,12 @@ class DataManager {
             // If not expired, no debt (assuming current month is prepaid or covered)
             if (expiry >= now) return 0;
 
-            // Simple Debt Logic: Pro-rated cost from expiry date until today
+            // Simple Debt Logic: Pro-rated cost from expiry date until today, priced by the client's plan
             const sysConfig = await this.getSystemConfig();
-            const minPrice = parseFloat(sysConfig.minMonthlyPrice) || 50;
-            const pricePerEmp = parseFloat(sysConfig.pricePerEmployee) || 5;
+            const plan = PlanCatalog.resolve(sysConfig, client);
 
             const employeeCount = await this.countUniqueActiveEmployees(companyId);
-            const formulaBase = Math.max(minPrice, employeeCount * pricePerEmp);
+            const formulaBase = PlanCatalog.monthlyPrice(plan, employeeCount);
 
             const diffTime = Math.max(0, now - expiry);
             const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
@@ -931,9 +979,7 @@ class DataManager {
         CACHE.companies[companyId].config = updated;
 
         // Disk Update
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
-        await fs.mkdir(companyDir, { recursive: true });
-        await fs.writeFile(path.join(companyDir, 'config.json'), JSON.stringify(updated, null, 2));
+        await this.storage.saveCompanyConfig(companyId, updated);
         await this.updateLastWriteTime();
 
         // SYNC TO CLIENTS (For Automated Billing)
@@ -950,14 +996,21 @@ class DataManager {
         // ASYNC: Push to GAS in background
         const gasUrl = updated.gasUrl || config.GAS_COLD_STORAGE_URL;
         if (gasUrl) {
-            syncManager.enqueue('CONFIG', updated, { companyId, gasUrl, password: updated.password });
+            await syncManager.enqueue('CONFIG', updated, { companyId, gasUrl });
         }
 
         return updated;
     }
 
-    async savePolygon(companyId, polygon) {
-        return await this.updateCompanyConfig(companyId, { polygon });
+    /**
+     * Saves the company geofence. `workLocations` (optional) is a list of named zones:
+     * [{ id, name, points: [{lat, lng}], radius }] - see GeoService.getZones.
+     */
+    async savePolygon(companyId, polygon, workLocations) {
+        const updates = {};
+        if (polygon !== undefined) updates.polygon = polygon;
+        if (Array.isArray(workLocations)) updates.workLocations = workLocations;
+        return await this.updateCompanyConfig(companyId, updates);
     }
 
     async saveAdminSettings(companyId, settings, adminEmail) {
@@ -1042,11 +1095,7 @@ class DataManager {
         if (gasUrl) {
             try {
                 console.log('[DataManager] Syncing System Config to GAS...');
-                await syncManager.syncNow('CONFIG', updated, { 
-                    companyId: '__SYSTEM__', 
-                    gasUrl, 
-                    password: process.env.SUPER_ADMIN_PASS || '123456'
-                });
+                await syncManager.syncNow('CONFIG', updated, { companyId: '__SYSTEM__', gasUrl });
                 console.log('[DataManager] System Config synced to GAS successfully.');
             } catch (e) {
                 console.error('[DataManager] Failed to sync System Config to GAS:', e.message);
@@ -1070,33 +1119,23 @@ class DataManager {
             return CACHE.companies[companyId].shifts[cacheKey];
         }
 
-        // Load from Disk
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
-        const yearDir = path.join(companyDir, year.toString());
-
-        let shifts = {};
+        // Load from Storage
+        let shifts = null;
         try {
-            // Check both naming conventions. Default is X.json, GAS is json.X
-            let filePath = path.join(yearDir, `${month}.json`);
-            let fileData = null;
+            shifts = await this.storage.loadShifts(companyId, year, month);
+        } catch (e) {
+            shifts = null;
+        }
 
-            try {
-                fileData = await fs.readFile(filePath, 'utf8');
-            } catch (e1) {
-                // If X.json doesn't exist, try json.X
-                filePath = path.join(yearDir, `json.${month}`);
-                try {
-                    fileData = await fs.readFile(filePath, 'utf8');
-                } catch (e2) {
-                    // Neither exists. File doesn't exist yet.
-                }
-            }
+        // An archived month is brought back whole, so an edit doesn't save a partial month next to the archive
+        if (!shifts && !this.isHotMonth(parseInt(year), parseInt(month))) {
+            shifts = await this.loadArchivedMonth(companyId, year, month, { strict: true });
+        }
+        shifts = shifts || {};
 
-            if (fileData) {
-                shifts = JSON.parse(fileData);
-            }
-        } catch (e) {
-            shifts = {};
+        // Another caller may have loaded (and already modified) this month while we were reading
+        if (CACHE.companies[companyId].shifts[cacheKey]) {
+            return CACHE.companies[companyId].shifts[cacheKey];
         }
 
         // Store in RAM
@@ -1104,6 +1143,187 @@ class DataManager {
         return shifts;
     }
 
+    /**
+     * Runs fn while holding the company/month lock. Every read-modify-write of a month's shifts
+     * (getShifts -> mutate -> saveShifts) must go through here so concurrent punches,
+     * admin edits and the auto-checkout timer can't overwrite each other's changes.
+     */
+    withMonthLock(companyId, year, month, fn) {
+        return this.shiftLocks.run(`${companyId}:${parseInt(year)}-${parseInt(month)}`, fn);
+    }
+
+    /**
+     * Locks the previous month and then the given month (always in that order, so callers can't deadlock).
+     * Used by anything that may close a shift opened in the previous month.
+     */
+    withMonthAndPreviousLock(companyId, year, month, fn) {
+        const prev = this.getPreviousMonth(year, month);
+        return this.withMonthLock(companyId, prev.year, prev.month,
+            () => this.withMonthLock(companyId, year, month, fn));
+    }
+
+    // --- AUDIT TRAIL ---
+
+    /**
+     * Appends a shift change to the company's audit trail (append-only, hash-chained - see AuditTrail).
+     * Called after the change is saved; a failed audit write doesn't undo the change. It is logged to the
+     * maintenance log and returns null, and the caller puts auditWarning() in its result for the route response.
+     * @param {Object} details - { action, actor, employee, year, month, before, after, reason }
+     * @returns {Promise<Object|null>} the entry, or null when it could not be written
+     */
+    async recordAudit(companyId, { action, actor, employee, year, month, before = null, after = null, reason = null }) {
+        try {
+            return await this.auditLocks.run(String(companyId), async () => {
+                let tail = this.auditTails[companyId];
+                if (!tail) {
+                    const existing = await this.storage.loadAudit(companyId);
+                    const last = [...existing].reverse().find(e => !e.corrupt);
+                    tail = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: AuditTrail.GENESIS_HASH };
+                }
+
+                const entry = {
+                    seq: tail.seq + 1,
+                    ts: new Date().toISOString(),
+                    companyId: String(companyId),
+                    action,
+                    actor: actor || AuditTrail.system(null),
+                    employee: employee || null,
+                    year: year ? parseInt(year) : null,
+                    month: month ? parseInt(month) : null,
+                    before,
+                    after,
+                    reason: reason ? String(reason).slice(0, 500) : null,
+                    prevHash: tail.hash
+                };
+                entry.hash = AuditTrail.hash(entry);
+
+                await this.storage.appendAudit(companyId, entry);
+                this.auditTails[companyId] = { seq: entry.seq, hash: entry.hash };
+                return entry;
+            });
+        } catch (e) {
+            console.error(`[Audit] CRITICAL: failed to record ${action} for ${companyId}/${employee}:`, e.message);
+            this.logMaintenance('ERROR', `Audit write failed: ${action} for ${companyId}/${employee || '-'}`, e.message);
+            return null;
+        }
+    }
+
+    /**
+     * Result fields for a saved change whose audit entries were not all written (recordAudit returned null).
+     * @returns {Object} {} or { auditWarning: { error, message } }
+     */
+    auditWarning(...entries) {
+        if (entries.every(Boolean)) return {};
+        return {
+            auditWarning: {
+                error: "AUDIT_WRITE_FAILED",
+                message: "השינוי נשמר, אך לא נרשם ביומן הביקורת. יש לפנות לתמיכה."
+            }
+        };
+    }
+
+    /**
+     * Audit entries matching filters (AuditTrail.filter), newest first, plus chain verification of the whole log.
+     * Pages of up to 1000 entries; { all: true } returns every match (exports).
+     * @returns {Promise<Object>} { entries, total, verification: { valid, count, brokenAt } }
+     */
+    async getAuditLog(companyId, filters = {}, { limit = 200, offset = 0, all = false } = {}) {
+        const log = await this.storage.loadAudit(companyId);
+        const matching = AuditTrail.filter(log, filters).reverse();
+        const start = Math.max(0, parseInt(offset) || 0);
+        const size = all ? matching.length : Math.min(1000, Math.max(1, parseInt(limit) || 200));
+        return {
+            entries: matching.slice(start, start + size),
+            total: matching.length,
+            verification: AuditTrail.verify(log)
+        };
+    }
+
+    getPreviousMonth(year, month) {
+        const y = parseInt(year);
+        const m = parseInt(month);
+        return m === 1 ? { year: y - 1, month: 12 } : { year: y, month: m - 1 };
+    }
+
+    /**
+     * [periodStart, periodEnd) in ms for a month, using the same clock shifts are filed by (see logShift).
+     */
+    getMonthBounds(year, month) {
+        const y = parseInt(year);
+        const m = parseInt(month);
+        return {
+            periodStart: new Date(y, m - 1, 1).getTime(),
+            periodEnd: new Date(y, m, 1).getTime()
+        };
+    }
+
+    /**
+     * Finds the employee's open shift. Shifts are filed under the month they started in, so an
+     * overnight shift started on the last day of the month is still open in the previous month's file.
+     * The previous month is only considered when the employee has no shifts yet in the given month.
+     * @returns {Promise<Object|null>} { shift, shifts, year, month } - shifts is the month object holding it
+     */
+    async findOpenShift(companyId, employeeName, year, month) {
+        const shifts = await this.getShifts(companyId, year, month);
+        const empShifts = shifts[employeeName] || [];
+        if (empShifts.length > 0) {
+            const last = empShifts[empShifts.length - 1];
+            return (last && !last.end) ? { shift: last, shifts, year: parseInt(year), month: parseInt(month) } : null;
+        }
+
+        const prev = this.getPreviousMonth(year, month);
+        const prevShifts = await this.getShifts(companyId, prev.year, prev.month);
+        const prevEmpShifts = prevShifts[employeeName] || [];
+        const prevLast = prevEmpShifts[prevEmpShifts.length - 1];
+        if (prevLast && prevLast.start && !prevLast.end) {
+            return { shift: prevLast, shifts: prevShifts, year: prev.year, month: prev.month };
+        }
+        return null;
+    }
+
+    /**
+     * Shifts filed under the previous month that run into this month (or are still open).
+     * Returned as copies flagged with carryOver / sourceYear / sourceMonth.
+     * @returns {Promise<Object>} { employeeName: [shift, ...] }
+     */
+    async getCarryOverShifts(companyId, year, month) {
+        const prev = this.getPreviousMonth(year, month);
+        const { periodStart } = this.getMonthBounds(year, month);
+        const prevShifts = await this.getShiftsHybrid(companyId, prev.year, prev.month).catch(() => ({}));
+
+        const result = {};
+        for (const [emp, list] of Object.entries(prevShifts || {})) {
+            if (!Array.isArray(list)) continue;
+            const crossing = list.filter(s => {
+                const startMs = parseInt(s.start);
+                if (isNaN(startMs) || startMs >= periodStart) return false;
+                return !s.end || parseInt(s.end) > periodStart;
+            });
+            if (crossing.length > 0) {
+                result[emp] = crossing.map(s => ({ ...s, carryOver: true, sourceYear: prev.year, sourceMonth: prev.month }));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * All shifts that contribute minutes to a month: the month's own shifts plus carry-over shifts
+     * from the previous month. Pair with getMonthBounds() when calculating wages.
+     */
+    async getShiftsForPeriod(companyId, year, month) {
+        const own = await this.getShiftsHybrid(companyId, parseInt(year), parseInt(month));
+        const carry = await this.getCarryOverShifts(companyId, year, month);
+
+        const merged = {};
+        for (const [emp, list] of Object.entries(own || {})) {
+            merged[emp] = Array.isArray(list) ? [...list] : list;
+        }
+        for (const [emp, list] of Object.entries(carry)) {
+            merged[emp] = [...list, ...(Array.isArray(merged[emp]) ? merged[emp] : [])];
+        }
+        return merged;
+    }
+
     async saveShifts(companyId, year, month, shiftsData) {
         if (!CACHE.companies[companyId]) await this.loadCompany(companyId);
 
@@ -1111,20 +1331,7 @@ class DataManager {
         CACHE.companies[companyId].shifts[cacheKey] = shiftsData;
 
         // Persist
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
-        const yearDir = path.join(companyDir, year.toString());
-        await fs.mkdir(yearDir, { recursive: true });
-
-        // Prefer existing format, defaults to X.json
-        let targetFilePath = path.join(yearDir, `${month}.json`);
-        try {
-            await fs.access(path.join(yearDir, `json.${month}`));
-            // If json.X exists but X.json doesn't, overwrite json.X
-            try { await fs.access(targetFilePath); }
-            catch { targetFilePath = path.join(yearDir, `json.${month}`); }
-        } catch (e) { }
-
-        await fs.writeFile(targetFilePath, JSON.stringify(shiftsData, null, 2));
+        await this.storage.saveShifts(companyId, year, month, shiftsData);
         
         // Ledger logic: Capture unique names for billing (Unhackable history)
         const employeeNames = [];
@@ -1151,7 +1358,7 @@ class DataManager {
                 // Also update the persistent config
                 const currentConfig = CACHE.companies[companyId].config;
                 currentConfig.historyMetadata = CACHE.companies[companyId].metadata;
-                await fs.writeFile(path.join(this.dataDir, 'companies', companyId, 'config.json'), JSON.stringify(currentConfig, null, 2));
+                await this.storage.saveCompanyConfig(companyId, currentConfig);
             }
         }
 
@@ -1159,7 +1366,7 @@ class DataManager {
         const bizConfig = await this.getCompanyConfig(companyId);
         const gasUrl = bizConfig.gasUrl || config.GAS_COLD_STORAGE_URL;
         if (gasUrl) {
-            syncManager.enqueue('SHIFT', { year, month, shifts: shiftsData }, { companyId, gasUrl, password: bizConfig.password });
+            await syncManager.enqueue('SHIFT', { year, month, shifts: shiftsData }, { companyId, gasUrl });
         }
     }
 
@@ -1182,11 +1389,10 @@ class DataManager {
         const now = new Date();
         const year = now.getFullYear();
         const month = now.getMonth() + 1;
-        const shifts = await this.getShifts(companyId, year, month);
 
-        // Check if employee has an open shift in current month
-        const empShifts = shifts[employeeName] || [];
-        const lastShift = empShifts[empShifts.length - 1];
+        // Check if employee has an open shift (current month, or an overnight shift from last month)
+        const open = await this.findOpenShift(companyId, employeeName, year, month);
+        const lastShift = open ? open.shift : null;
 
         // Fetch company config to check for hybrid status
         // Reuse the 'config' variable declared above (line 886)
@@ -1212,45 +1418,52 @@ class DataManager {
         const constraints = companyConfig?.settings?.constraints || {};
         const userConstraint = constraints[employeeName] || {};
 
-        const shiftsData = await this.getShifts(companyId, year, month);
-        const empShifts = shiftsData[employeeName] || [];
-        const lastShift = empShifts[empShifts.length - 1];
-
-        if (lastShift && !lastShift.end && lastShift.start) {
-            const startTime = new Date(parseInt(lastShift.start) || lastShift.start);
-            const durationHours = (now.getTime() - startTime.getTime()) / 3600000;
-
-            const hasCustomRule = !!userConstraint.maxDuration;
-            const maxHours = hasCustomRule ? parseFloat(userConstraint.maxDuration) : 12;
-            const enableAutoOut = hasCustomRule ? (userConstraint.enableAutoOut === true) : true;
-            const enableAlert = userConstraint.enableAlert === true;
-
-            if (durationHours > maxHours) {
-                if (enableAutoOut) {
-                    lastShift.end = new Date(startTime.getTime() + maxHours * 3600000).getTime();
-                    lastShift.note = (lastShift.note || "") + ` [Auto-Checkout: ${maxHours}h limit]`;
-
-                    await this.saveShifts(companyId, year, month, shiftsData);
-
-                    if (enableAlert && companyConfig.adminEmail) {
-                        const summary = await this.getIndividualShiftSummary(companyId, year, month, lastShift);
-                        emailService.sendShiftAlert(
-                            companyConfig.adminEmail,
-                            employeeName,
-                            "FORCE_OUT",
-                            lastShift.end,
-                            lastShift.location || "-",
-                            companyConfig.businessName || companyId,
-                            `המשמרת נסגרה אוטומטית כי חרגה מהמגבלה של ${this.formatHHMM(maxHours)} שעות.`,
-                            companyConfig.logoUrl,
-                            summary
-                        ).catch(e => console.error(`[Lazy-Checkout Email FAIL] ${e.message}`));
+        return this.withMonthAndPreviousLock(companyId, year, month, async () => {
+            const open = await this.findOpenShift(companyId, employeeName, year, month);
+            const lastShift = open ? open.shift : null;
+
+            if (lastShift && !lastShift.end && lastShift.start) {
+                const startTime = new Date(parseInt(lastShift.start) || lastShift.start);
+                const durationHours = (now.getTime() - startTime.getTime()) / 3600000;
+
+                const hasCustomRule = !!userConstraint.maxDuration;
+                const maxHours = hasCustomRule ? parseFloat(userConstraint.maxDuration) : 12;
+                const enableAutoOut = hasCustomRule ? (userConstraint.enableAutoOut === true) : true;
+                const enableAlert = userConstraint.enableAlert === true;
+
+                if (durationHours > maxHours) {
+                    if (enableAutoOut) {
+                        const before = AuditTrail.snapshot(lastShift);
+                        lastShift.end = new Date(startTime.getTime() + maxHours * 3600000).getTime();
+                        lastShift.note = (lastShift.note || "") + ` [Auto-Checkout: ${maxHours}h limit]`;
+
+                        await this.saveShifts(companyId, open.year, open.month, open.shifts);
+                        await this.recordAudit(companyId, {
+                            action: AuditTrail.ACTIONS.AUTO_CHECKOUT, actor: AuditTrail.system('auto-checkout'),
+                            employee: employeeName, year: open.year, month: open.month,
+                            before, after: AuditTrail.snapshot(lastShift), reason: `${maxHours}h limit`
+                        });
+
+                        if (enableAlert && companyConfig.adminEmail) {
+                            const summary = await this.getIndividualShiftSummary(companyId, open.year, open.month, lastShift);
+                            emailService.sendShiftAlert(
+                                companyConfig.adminEmail,
+                                employeeName,
+                                "FORCE_OUT",
+                                lastShift.end,
+                                lastShift.location || "-",
+                                companyConfig.businessName || companyId,
+                                `המשמרת נסגרה אוטומטית כי חרגה מהמגבלה של ${this.formatHHMM(maxHours)} שעות.`,
+                                companyConfig.logoUrl,
+                                summary
+                            ).catch(e => console.error(`[Lazy-Checkout Email FAIL] ${e.message}`));
+                        }
+                        return true; // Applied
                     }
-                    return true; // Applied
                 }
             }
-        }
-        return false;
+            return false;
+        });
     }
 
     async getIndividualShiftSummary(companyId, year, month, shift) {
@@ -1289,10 +1502,28 @@ class DataManager {
         return []; // No employees added yet
     }
 
-    async logShift(companyId, employeeName, action, timestamp, location, note, deviceId) {
+    /**
+     * @param {Object} actor - who made the punch (AuditTrail.actor); defaults to the employee.
+     *                         An admin actor records the punch as a forced action.
+     */
+    async logShift(companyId, employeeName, action, timestamp, location, note, deviceId, actor = null) {
+        const date = new Date(timestamp);
+        const run = () => this.recordPunch(companyId, employeeName, action, timestamp, location, note, deviceId, actor);
+        // An OUT may close an overnight shift filed under the previous month
+        return action === 'OUT'
+            ? this.withMonthAndPreviousLock(companyId, date.getFullYear(), date.getMonth() + 1, run)
+            : this.withMonthLock(companyId, date.getFullYear(), date.getMonth() + 1, run);
+    }
+
+    /**
+     * Body of logShift - runs under the month lock.
+     */
+    async recordPunch(companyId, employeeName, action, timestamp, location, note, deviceId, actor = null) {
         const date = new Date(timestamp);
         const year = date.getFullYear();
         const month = date.getMonth() + 1;
+        const punchActor = actor || { role: 'employee', name: employeeName, ip: null };
+        const audits = [];
 
         // 1. Employee Verification & Device ID Locking
         const companyConfig = await this.getCompanyConfig(companyId);
@@ -1307,14 +1538,17 @@ class DataManager {
             };
         }
 
+        const lockedError = await this.checkTimesheetEditable(companyId, year, month);
+        if (lockedError) return lockedError;
+
         if (companyConfig.settings?.constraints) {
             const constraints = companyConfig.settings.constraints;
             const empConstraint = constraints[employeeName];
 
             if (empConstraint) {
-                // If device is already verified, check for mismatch
+                // If device is already verified, check for mismatch (an employee punch without a deviceId is one too)
                 if (empConstraint.deviceIdVerified && empConstraint.deviceId) {
-                    if (deviceId && empConstraint.deviceId !== deviceId) {
+                    if ((deviceId || punchActor.role === 'employee') && empConstraint.deviceId !== deviceId) {
                         return {
                             success: false,
                             error: "AUTH_DEVICE_MISMATCH",
@@ -1324,10 +1558,15 @@ class DataManager {
                 }
                 // If not verified and we have a device ID, lock it now
                 else if (deviceId) {
+                    const before = { deviceId: empConstraint.deviceId || null, deviceIdVerified: !!empConstraint.deviceIdVerified };
                     empConstraint.deviceId = deviceId;
                     empConstraint.deviceIdVerified = true;
                     await this.updateCompanyConfig(companyId, companyConfig);
                     console.log(`[DeviceLock] Locked ${employeeName} to device ${deviceId}`);
+                    audits.push(await this.recordAudit(companyId, {
+                        action: AuditTrail.ACTIONS.DEVICE_LOCK, actor: punchActor, employee: employeeName, year, month,
+                        before, after: { deviceId, deviceIdVerified: true }
+                    }));
                 }
             } else {
                 // Case where employee is in 'employees' list but missing from 'constraints'
@@ -1340,13 +1579,61 @@ class DataManager {
                 await this.updateCompanyConfig(companyId, companyConfig);
                 if (deviceId) {
                     console.log(`[DeviceLock] Locked ${employeeName} to device ${deviceId} (New constraint)`);
+                    audits.push(await this.recordAudit(companyId, {
+                        action: AuditTrail.ACTIONS.DEVICE_LOCK, actor: punchActor, employee: employeeName, year, month,
+                        before: null, after: { deviceId, deviceIdVerified: true }
+                    }));
+                }
+            }
+        }
+
+        // --- GEOFENCE (Evaluate & Enforce) ---
+        // A string location means the punch was forced by the manager - never enforced.
+        const userConstraint = companyConfig.settings?.constraints?.[employeeName] || {};
+        const isHybrid = userConstraint.isHybrid === true;
+        const maxDist = userConstraint.maxDistance ? parseFloat(userConstraint.maxDistance) : 0;
+        let geo = null;
+        try {
+            geo = (location && typeof location === 'object')
+                ? GeoService.evaluate(location, companyConfig, { maxDistance: maxDist })
+                : null;
+        } catch (e) {
+            console.error(`[Shift Logic] Geofence evaluation error: ${e.message}`);
+        }
+
+        const geofenceMode = this.getGeofenceMode(companyConfig, employeeName);
+        let geoOutcome = null; // null | 'WARN' | 'PENDING'
+        const isEnforceable = !isHybrid && typeof location !== 'string' && geofenceMode !== 'off' &&
+            GeoService.getZones(companyConfig).length > 0;
+
+        if (isEnforceable && (!geo || !geo.withinAllowed)) {
+            if (geofenceMode === 'block') {
+                if (!geo) {
+                    return {
+                        success: false,
+                        error: "LOCATION_REQUIRED",
+                        message: "לא התקבל מיקום מהמכשיר. יש לאפשר גישה למיקום ולנסות שוב."
+                    };
                 }
+                return {
+                    success: false,
+                    error: "OUT_OF_ZONE",
+                    message: `אינך נמצא באזור העבודה (${this.formatGeoDistance(geo.meters)} מ-${geo.zoneName}). לא ניתן לדווח ${action === 'IN' ? 'כניסה' : 'יציאה'} מחוץ לאזור.`,
+                    distance: geo.meters,
+                    zoneId: geo.zoneId,
+                    zoneName: geo.zoneName,
+                    maxDistance: geo.maxDistance
+                };
             }
+            geoOutcome = geofenceMode === 'approval' ? 'PENDING' : 'WARN';
         }
 
         const shifts = await this.getShifts(companyId, year, month);
         if (!shifts[employeeName]) shifts[employeeName] = [];
         let currentShift = null;
+        let shiftBefore = null;
+        // Month the touched shift is filed under (differs from the punch month when closing an overnight shift)
+        let target = { shifts, year, month };
         if (action === "IN") {
             // --- TIME CONSTRAINTS CHECK (minStart / maxStart) ---
             if (companyConfig.settings?.constraints?.[employeeName]) {
@@ -1377,8 +1664,15 @@ class DataManager {
             currentShift = { start: timestamp, end: null, location };
             shifts[employeeName].push(currentShift);
         } else if (action === "OUT") {
-            currentShift = shifts[employeeName][shifts[employeeName].length - 1];
-            if (currentShift && !currentShift.end) {
+            const open = await this.findOpenShift(companyId, employeeName, year, month);
+            const openLocked = open && (open.year !== year || open.month !== month)
+                ? await this.checkTimesheetEditable(companyId, open.year, open.month)
+                : null;
+            if (openLocked) return openLocked;
+            if (open) {
+                currentShift = open.shift;
+                shiftBefore = AuditTrail.snapshot(currentShift);
+                target = open;
                 currentShift.end = timestamp;
                 if (note) currentShift.note = note;
             } else {
@@ -1387,31 +1681,41 @@ class DataManager {
             }
         }
 
-        // --- Distance Calculation (Integrated) ---
+        // --- Distance Annotation ---
         try {
-            const userConstraint = companyConfig.settings?.constraints?.[employeeName] || {};
-            const isHybrid = userConstraint.isHybrid === true;
-            const maxDist = userConstraint.maxDistance ? parseFloat(userConstraint.maxDistance) : 0;
+            if (currentShift && (geo || geoOutcome)) {
+                // Structured result per punch (a shift may start and end in different zones)
+                const geoKey = action === 'IN' ? 'geoIn' : 'geoOut';
+                currentShift[geoKey] = {
+                    meters: geo ? geo.meters : null,
+                    inside: geo ? geo.inside : false,
+                    withinAllowed: geo ? geo.withinAllowed : false,
+                    zoneId: geo ? geo.zoneId : null,
+                    zoneName: geo ? geo.zoneName : null,
+                    maxDistance: geo ? geo.maxDistance : maxDist,
+                    accuracy: geo ? geo.accuracy : null,
+                    hybrid: isHybrid
+                };
+                if (geoOutcome === 'WARN') currentShift[geoKey].warning = "OUT_OF_ZONE";
+                if (geoOutcome === 'PENDING') currentShift[geoKey].approval = { status: 'PENDING', requestedAt: timestamp };
+            }
 
             if (isHybrid) {
                 if (currentShift) currentShift.distance = "עבודה היברידית (בטווח המורשה)";
-            } else if (location && typeof location === 'object' && location.lat && location.lng) {
-                const distMeters = this.calculateDistanceToPolygon(location.lat, location.lng, companyConfig.polygon);
-                let distanceStr = "";
-                if (distMeters === 0) distanceStr = "בתוך המשרד";
-                else if (maxDist > 0 && distMeters <= maxDist) distanceStr = `בטווח המורשה (${Math.round(distMeters)} מ' מהמשרד)`;
-                else if (distMeters < 1000) distanceStr = `${Math.round(distMeters)} מטרים מהמשרד`;
-                else distanceStr = `${(distMeters / 1000).toFixed(1)} ק"מ מהמשרד`;
-
-                if (currentShift) currentShift.distance = distanceStr;
+            } else if (geo && currentShift) {
+                const multiZone = GeoService.getZones(companyConfig).length > 1;
+                currentShift.distance = GeoService.describe(geo, multiZone);
+            } else if (geoOutcome && currentShift) {
+                currentShift.distance = "מיקום לא התקבל";
             }
 
             // --- EMAIL NOTIFICATION (If Enabled) ---
-            const isEmailEnabled = userConstraint.enableEmailUpdate === true;
+            // Punches awaiting approval always notify the manager
+            const isEmailEnabled = userConstraint.enableEmailUpdate === true || geoOutcome === 'PENDING';
             if (isEmailEnabled && companyConfig.adminEmail) {
                 let summary = null;
                 if (action === 'OUT' && currentShift) {
-                    summary = await this.getIndividualShiftSummary(companyId, year, month, currentShift);
+                    summary = await this.getIndividualShiftSummary(companyId, target.year, target.month, currentShift);
                 }
 
                 emailService.sendShiftAlert(
@@ -1421,7 +1725,7 @@ class DataManager {
                     timestamp,
                     currentShift?.distance || (typeof location === 'string' ? location : "-"),
                     companyConfig.businessName,
-                    note || "",
+                    [note, geoOutcome === 'PENDING' ? "דיווח מחוץ לאזור העבודה - ממתין לאישור מנהל" : ""].filter(Boolean).join(' | '),
                     companyConfig.logoUrl,
                     summary
                 ).catch(e => console.error(`[Email Alert] Failed to send shift alert: ${e.message}`));
@@ -1431,8 +1735,119 @@ class DataManager {
         }
 
         // Final Persistence (Single call)
-        await this.saveShifts(companyId, year, month, shifts);
-        return { success: true };
+        await this.saveShifts(companyId, target.year, target.month, target.shifts);
+
+        const forced = punchActor.role === 'admin' || punchActor.role === 'superadmin';
+        const A = AuditTrail.ACTIONS;
+        audits.push(await this.recordAudit(companyId, {
+            action: action === 'IN' ? (forced ? A.FORCE_IN : A.PUNCH_IN) : (forced ? A.FORCE_OUT : A.PUNCH_OUT),
+            actor: punchActor, employee: employeeName, year: target.year, month: target.month,
+            before: shiftBefore, after: AuditTrail.snapshot(currentShift), reason: forced ? note : null
+        }));
+
+        const result = { success: true, ...this.auditWarning(...audits) };
+        if (geoOutcome === 'PENDING') {
+            result.pendingApproval = true;
+            result.message = "הדיווח נקלט מחוץ לאזור העבודה וממתין לאישור מנהל";
+        } else if (geoOutcome === 'WARN') {
+            result.warning = {
+                error: "OUT_OF_ZONE",
+                message: "הדיווח נקלט, אך נרשם מחוץ לאזור העבודה",
+                distance: geo ? geo.meters : null,
+                zoneName: geo ? geo.zoneName : null
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Geofence enforcement mode for an employee: 'off' | 'warn' | 'block' | 'approval'.
+     * Employee constraint wins, then the company default (settings.geofenceMode).
+     */
+    getGeofenceMode(companyConfig, employeeName) {
+        const valid = ['off', 'warn', 'block', 'approval'];
+        const empMode = companyConfig.settings?.constraints?.[employeeName]?.geofenceMode;
+        if (valid.includes(empMode)) return empMode;
+        const companyMode = companyConfig.settings?.geofenceMode;
+        if (valid.includes(companyMode)) return companyMode;
+        return 'off';
+    }
+
+    formatGeoDistance(meters) {
+        if (meters < 1000) return `${meters} מ'`;
+        return `${(meters / 1000).toFixed(1)} ק"מ`;
+    }
+
+    /**
+     * Lists punches recorded out of zone in 'approval' mode that wait for the manager.
+     */
+    async getPendingPunches(companyId, year, month) {
+        const shifts = await this.getShifts(companyId, parseInt(year), parseInt(month));
+        const pending = [];
+        for (const [name, empShifts] of Object.entries(shifts)) {
+            if (!Array.isArray(empShifts)) continue;
+            empShifts.forEach(s => {
+                ['IN', 'OUT'].forEach(punch => {
+                    const g = s[punch === 'IN' ? 'geoIn' : 'geoOut'];
+                    if (g?.approval?.status === 'PENDING') {
+                        pending.push({
+                            name,
+                            punch,
+                            start: s.start,
+                            end: s.end,
+                            time: punch === 'IN' ? s.start : s.end,
+                            distance: g.meters,
+                            zoneName: g.zoneName,
+                            label: s.distance || ""
+                        });
+                    }
+                });
+            });
+        }
+        return pending.sort((a, b) => (parseInt(a.time) || 0) - (parseInt(b.time) || 0));
+    }
+
+    /**
+     * Approves or rejects a pending out-of-zone punch.
+     * A rejected punch keeps its shift on record with approval.status 'REJECTED' - the shift is neither deleted
+     * nor reopened, and WageCalculator leaves it out of hours and pay. The manager can still fix the times with a
+     * shift edit or the employee can file a correction request.
+     */
+    async reviewPendingPunch(companyId, { year, month, name, start, end, punch, decision, actor, reason }) {
+        const y = parseInt(year);
+        const m = parseInt(month);
+        return this.withMonthLock(companyId, y, m, async () => {
+            const lockedError = await this.checkTimesheetEditable(companyId, y, m);
+            if (lockedError) return lockedError;
+
+            const shifts = await this.getShifts(companyId, y, m);
+            const empShifts = shifts[name];
+            if (!empShifts) throw new Error("Employee not found in this month");
+
+            const key = punch === 'OUT' ? 'geoOut' : 'geoIn';
+            const same = (a, b) => a != null && b != null && parseInt(a) === parseInt(b);
+            const idx = empShifts.findIndex(s => (start ? same(s.start, start) : same(s.end, end)) && s[key]?.approval?.status === 'PENDING');
+            if (idx === -1) throw new Error("Pending punch not found");
+
+            const shift = empShifts[idx];
+            const before = AuditTrail.snapshot(shift);
+            const approve = decision === 'APPROVE';
+            shift[key].approval = {
+                ...shift[key].approval,
+                status: approve ? 'APPROVED' : 'REJECTED',
+                reviewedAt: Date.now()
+            };
+
+            await this.saveShifts(companyId, y, m, shifts);
+            console.log(`[Geofence] ${approve ? 'Approved' : 'Rejected'} ${punch} punch of ${name} (${companyId})`);
+            const entry = await this.recordAudit(companyId, {
+                action: approve ? AuditTrail.ACTIONS.PUNCH_APPROVE : AuditTrail.ACTIONS.PUNCH_REJECT,
+                actor, employee: name, year: y, month: m, before,
+                after: AuditTrail.snapshot(shift),
+                reason: reason || `${punch} punch`
+            });
+            return { success: true, status: approve ? 'APPROVED' : 'REJECTED', ...this.auditWarning(entry) };
+        });
     }
 
     formatHHMM(decimalHours) {
@@ -1450,15 +1865,17 @@ class DataManager {
         const targetYear = year || now.getFullYear();
         const targetMonth = month || (now.getMonth() + 1);
 
-        // Ensure target month loaded
+        // Ensure target month loaded (+ overnight shifts carried over from the previous month)
         const shifts = await this.getShifts(companyId, targetYear, targetMonth);
+        const carryOver = await this.getCarryOverShifts(companyId, targetYear, targetMonth);
+        const period = this.getMonthBounds(targetYear, targetMonth);
         const employees = await this.getEmployees(companyId);
         const bizConfig = await this.getCompanyConfig(companyId);
 
         const dashboard = [];
 
         for (const emp of employees) {
-            const empShifts = shifts[emp] || [];
+            const empShifts = [...(carryOver[emp] || []), ...(shifts[emp] || [])];
             const lastShift = empShifts[empShifts.length - 1];
 
             // Calculate daily total
@@ -1467,7 +1884,7 @@ class DataManager {
 
             empShifts.forEach(s => {
                 const sDate = new Date(parseInt(s.start) || s.start || parseInt(s.end) || s.end);
-                if (sDate.toDateString() === todayStr) {
+                if (sDate.toDateString() === todayStr && !WageCalculator.isRejected(s)) {
                     if (s.end && s.start) {
                         dailyTotal += (new Date(parseInt(s.end) || s.end) - new Date(parseInt(s.start) || s.start)) / 3600000;
                     } else if (s.start && !s.end) {
@@ -1488,7 +1905,10 @@ class DataManager {
             });
 
             const workWeekType = bizConfig.settings?.constraints?.[emp]?.workWeekType || '5day';
-            const wageResult = require('./WageCalculator').calculateBreakdown(shiftsForCalculation, bizConfig.settings?.salary || {}, holidayDates, workWeekType);
+            const wageResult = require('./WageCalculator').calculateBreakdown(shiftsForCalculation, bizConfig.settings?.salary || {}, holidayDates, workWeekType, {
+                ...period,
+                payProfile: bizConfig.settings?.constraints?.[emp]?.payProfile
+            });
 
             dashboard.push({
                 name: emp,
@@ -1497,7 +1917,8 @@ class DataManager {
                 duration: this.formatHHMM(dailyTotal),
                 monthlyTotal: this.formatHHMM(wageResult.totalHours),
                 weightedTotal: this.formatHHMM(wageResult.weightedTotal),
-                monthlyBreakdown: wageResult.breakdown
+                monthlyBreakdown: wageResult.breakdown,
+                pay: wageResult.pay || null
             });
         }
 
@@ -1620,17 +2041,12 @@ class DataManager {
         }
 
         // --- Fallback legacy scan (only if metadata missing) ---
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
         const years = new Set();
         let bizConfig = await this.getCompanyConfig(companyId);
 
         try {
-            const files = await fs.readdir(companyDir);
-            for (const file of files) {
-                if (file === 'config.json') continue;
-                const stat = await fs.stat(path.join(companyDir, file));
-                if (stat.isDirectory()) years.add(parseInt(file));
-            }
+            const stored = await this.storage.listShiftMonths(companyId);
+            stored.forEach(({ year }) => years.add(year));
         } catch (e) { }
 
         // Trigger a background refresh of the metadata
@@ -1646,16 +2062,10 @@ class DataManager {
             if (months) return months;
         }
 
-        const yearDir = path.join(this.dataDir, 'companies', companyId, year.toString());
         const months = new Set();
         try {
-            const files = await fs.readdir(yearDir);
-            for (const file of files) {
-                let parsedOpts = NaN;
-                if (file.endsWith('.json')) parsedOpts = parseInt(file.replace('.json', ''));
-                else if (file.startsWith('json.')) parsedOpts = parseInt(file.split('.')[1]);
-                if (!isNaN(parsedOpts)) months.add(parsedOpts);
-            }
+            const stored = await this.storage.listShiftMonths(companyId);
+            stored.filter(m => m.year === parseInt(year)).forEach(m => months.add(m.month));
         } catch (e) { }
 
         return Array.from(months).sort((a, b) => b - a);
@@ -1669,31 +2079,20 @@ class DataManager {
 
         try {
             console.log(`[Metadata] Refreshing metadata from GAS for ${companyId}`);
-            const response = await axios.get(`${gasUrl}?action=getMetadataSummary&companyId=${companyId}&password=${bizConfig.password || ''}`, { timeout: 15000 });
+            const response = await syncManager.gasRequest(gasUrl, 'getMetadataSummary', { companyId }, { timeout: 15000 });
 
             if (response.data && response.data.success && response.data.metadata) {
                 const remoteMetadata = response.data.metadata;
 
                 // 1. Scan Local Data
                 const localMetadata = { years: {} };
-                const companyDir = path.join(this.dataDir, 'companies', companyId);
-                const folders = await fs.readdir(companyDir).catch(() => []);
-                for (const f of folders) {
-                    if (!isNaN(parseInt(f))) {
-                        const yearPath = path.join(companyDir, f);
-                        const mFiles = await fs.readdir(yearPath).catch(() => []);
-                        const mSet = new Set();
-                        mFiles.forEach(mf => {
-                            let m = NaN;
-                            if (mf.endsWith('.json')) m = parseInt(mf.replace('.json', ''));
-                            else if (mf.startsWith('json.')) m = parseInt(mf.split('.')[1]);
-                            if (!isNaN(m)) mSet.add(m);
-                        });
-                        if (mSet.size > 0) {
-                            localMetadata.years[f] = Array.from(mSet).sort((a, b) => b - a);
-                        }
-                    }
+                const stored = await this.storage.listShiftMonths(companyId).catch(() => []);
+                for (const { year, month } of stored) {
+                    const y = String(year);
+                    if (!localMetadata.years[y]) localMetadata.years[y] = [];
+                    if (!localMetadata.years[y].includes(month)) localMetadata.years[y].push(month);
                 }
+                for (const y in localMetadata.years) localMetadata.years[y].sort((a, b) => b - a);
 
                 // 2. Merge: Remote (GAS Archive) + Local (Hot/Pending)
                 for (const y in remoteMetadata.years) {
@@ -1705,15 +2104,14 @@ class DataManager {
                 if (!CACHE.companies[companyId]) await this.loadCompany(companyId);
                 CACHE.companies[companyId].metadata = localMetadata;
 
-                // 4. Update config.json on disk
-                const configPath = path.join(companyDir, 'config.json');
+                // 4. Update config.json in storage
                 const currentConfig = CACHE.companies[companyId].config;
                 currentConfig.historyMetadata = localMetadata;
 
-                await fs.writeFile(configPath, JSON.stringify(currentConfig, null, 2));
+                await this.storage.saveCompanyConfig(companyId, currentConfig);
 
                 // 5. Sync back to GAS as a backup (Optional but good practice)
-                syncManager.enqueue('CONFIG', currentConfig, { companyId, gasUrl, password: currentConfig.password });
+                await syncManager.enqueue('CONFIG', currentConfig, { companyId, gasUrl });
 
                 console.log(`[Metadata] Successfully synced ${Object.keys(localMetadata.years).length} years for ${companyId}`);
                 return localMetadata;
@@ -1754,74 +2152,83 @@ class DataManager {
 
     // --- ADMIN ACTIONS ---
 
-    async adminSaveShift(companyId, { year, month, name, originalStart, newStart, newEnd }) {
-        const shifts = await this.getShifts(companyId, parseInt(year), parseInt(month));
-        if (!shifts[name]) shifts[name] = []; // Initialize if missing
-
-        // Make sure to parse numeric strings (Epoch) correctly, as new Date("17727...") becomes Invalid Date.
-        const safeGetTime = (t) => {
-            if (!t) return null;
-            if (typeof t === 'number') return new Date(t).getTime();
-            if (typeof t === 'string' && !isNaN(t)) return new Date(parseInt(t)).getTime();
-            return new Date(t).getTime();
-        };
+    /**
+     * Updates the shift that starts at originalStart, or adds a new one when originalStart is empty and nothing matches.
+     * originalEnd (optional) narrows the match - it identifies a start-less record ("Manual Out without In").
+     */
+    async adminSaveShift(companyId, { year, month, name, originalStart, originalEnd, newStart, newEnd, actor, reason }) {
+        return this.withMonthLock(companyId, year, month, async () => {
+            const lockedError = await this.checkTimesheetEditable(companyId, year, month);
+            if (lockedError) return lockedError;
+
+            const shifts = await this.getShifts(companyId, parseInt(year), parseInt(month));
+            if (!shifts[name]) shifts[name] = []; // Initialize if missing
+
+            // Make sure to parse numeric strings (Epoch) correctly, as new Date("17727...") becomes Invalid Date.
+            const safeGetTime = (t) => {
+                if (!t) return null;
+                if (typeof t === 'number') return new Date(t).getTime();
+                if (typeof t === 'string' && !isNaN(t)) return new Date(parseInt(t)).getTime();
+                return new Date(t).getTime();
+            };
 
-        const targetStart = safeGetTime(originalStart);
-        const shiftIndex = shifts[name].findIndex(s => safeGetTime(s.start) === targetStart);
-        if (shiftIndex !== -1) {
-            shifts[name][shiftIndex].start = newStart;
-            shifts[name][shiftIndex].end = newEnd;
-            await this.saveShifts(companyId, parseInt(year), parseInt(month), shifts);
-        } else {
-            // Maybe creating new shift?
-            // If originalStart is null or empty, it's a new shift.
-            if (!originalStart) {
-                shifts[name].push({ start: newStart, end: newEnd, location: 'Admin Add' });
+            const targetStart = safeGetTime(originalStart);
+            const targetEnd = originalEnd !== undefined ? safeGetTime(originalEnd) : undefined;
+            const shiftIndex = shifts[name].findIndex(s => safeGetTime(s.start) === targetStart &&
+                (targetEnd === undefined || safeGetTime(s.end) === targetEnd));
+            if (shiftIndex !== -1) {
+                const before = AuditTrail.snapshot(shifts[name][shiftIndex]);
+                shifts[name][shiftIndex].start = newStart;
+                shifts[name][shiftIndex].end = newEnd;
                 await this.saveShifts(companyId, parseInt(year), parseInt(month), shifts);
+                const entry = await this.recordAudit(companyId, {
+                    action: AuditTrail.ACTIONS.SHIFT_UPDATE, actor, employee: name, year, month,
+                    before, after: AuditTrail.snapshot(shifts[name][shiftIndex]), reason
+                });
+                return { success: true, ...this.auditWarning(entry) };
+            } else {
+                // Maybe creating new shift?
+                // If originalStart is null or empty, it's a new shift.
+                if (!originalStart) {
+                    const created = { start: newStart, end: newEnd, location: 'Admin Add' };
+                    shifts[name].push(created);
+                    await this.saveShifts(companyId, parseInt(year), parseInt(month), shifts);
+                    const entry = await this.recordAudit(companyId, {
+                        action: AuditTrail.ACTIONS.SHIFT_CREATE, actor, employee: name, year, month,
+                        before: null, after: AuditTrail.snapshot(created), reason
+                    });
+                    return { success: true, ...this.auditWarning(entry) };
+                }
             }
-        }
+        });
     }
 
     async getCompanyHistory(companyId) {
         if (!CACHE.companies[companyId]) await this.loadCompany(companyId);
 
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
         let allShifts = [];
         let config = null;
 
         try {
             config = await this.getCompanyConfig(companyId);
-            const items = await fs.readdir(companyDir, { withFileTypes: true });
-
-            for (const item of items) {
-                // If the item is a directory, it should be a year directory (e.g., '2024')
-                if (item.isDirectory() && !isNaN(parseInt(item.name))) {
-                    const yearDir = path.join(companyDir, item.name);
-                    const monthFiles = await fs.readdir(yearDir);
-
-                    for (const monthFile of monthFiles) {
-                        if (monthFile.endsWith('.json') || monthFile.startsWith('json.')) {
-                            const filePath = path.join(yearDir, monthFile);
-
-                            try {
-                                const fileData = await fs.readFile(filePath, 'utf8');
-                                const shifts = JSON.parse(fileData);
-
-                                // Flatten shifts object into an array
-                                for (const user in shifts) {
-                                    if (Array.isArray(shifts[user])) {
-                                        allShifts = allShifts.concat(shifts[user]);
-                                    }
-                                }
-                            } catch (e) {
-                                console.error(`[DataManager] Error parsing history file ${filePath}:`, e.message);
-                            }
+            const stored = await this.storage.listShiftMonths(companyId);
+
+            for (const { year, month } of stored) {
+                try {
+                    const shifts = (await this.storage.loadShifts(companyId, year, month)) || {};
+
+                    // Flatten shifts object into an array
+                    for (const user in shifts) {
+                        if (Array.isArray(shifts[user])) {
+                            allShifts = allShifts.concat(shifts[user]);
                         }
                     }
+                } catch (e) {
+                    console.error(`[DataManager] Error parsing history ${companyId}/${year}/${month}:`, e.message);
                 }
             }
         } catch (e) {
-            console.error(`[DataManager] Error accessing company directory ${companyDir}:`, e.message);
+            console.error(`[DataManager] Error accessing company history ${companyId}:`, e.message);
         }
 
         // --- Merge with GAS Archive if available ---
@@ -1834,7 +2241,7 @@ class DataManager {
                     localMonths[y] = await this.getHistoryMonths(companyId, y);
                 }
 
-                const response = await axios.get(`${config.gasUrl}?action=getFullArchive&companyId=${companyId}&password=${config.password}`);
+                const response = await syncManager.gasRequest(config.gasUrl, 'getFullArchive', { companyId });
                 if (response.data && response.data.success && response.data.data) {
 
                     const archiveShifts = Array.isArray(response.data.data) ? response.data.data : [];
@@ -1862,105 +2269,338 @@ class DataManager {
         return allShifts.sort((a, b) => new Date(b.date) - new Date(a.date));
     }
 
+    /**
+     * Archive target for a company (config.ARCHIVE.TARGET unless a manifest entry names another one).
+     * GAS uses the company's gasUrl, falling back to GAS_COLD_STORAGE_URL.
+     * @throws when the target is not configured
+     */
+    async getArchiveTarget(companyId, name = config.ARCHIVE.TARGET) {
+        const bizConfig = await this.getCompanyConfig(companyId).catch(() => null);
+        return createArchiveTarget(name, { dataDir: this.dataDir, gasUrl: bizConfig?.gasUrl });
+    }
+
+    /**
+     * Moves one month to cold storage: put -> read back -> compare checksums -> record in the manifest -> delete locally.
+     * The local month is only deleted once the archived copy verified; any failure keeps it for the next run.
+     * @returns {Promise<Object>} { archived, target?, location?, error? }
+     */
+    async archiveMonth(companyId, year, month) {
+        year = parseInt(year);
+        month = parseInt(month);
+        if (this.isHotMonth(year, month)) return { archived: false, error: 'HOT_MONTH' };
+
+        return this.withMonthLock(companyId, year, month, async () => {
+            const shifts = await this.storage.loadShifts(companyId, year, month);
+            if (!shifts) return { archived: false, error: 'NO_LOCAL_DATA' };
+
+            const payload = JSON.stringify(shifts);
+            const checksum = ArchiveTarget.checksum(payload);
+            const target = await this.getArchiveTarget(companyId);
+
+            const { location } = await target.put(companyId, year, month, payload);
+            const copy = await target.get(companyId, year, month, { location });
+            let copyChecksum = null;
+            try {
+                copyChecksum = copy === null ? null : ArchiveTarget.checksum(copy);
+            } catch (e) { }
+
+            if (copyChecksum !== checksum) {
+                console.error(`[Archive] Verification failed for ${companyId}/${year}/${month} on ${target.name} (${copy === null ? 'copy not found' : 'checksum mismatch'}) - local file kept`);
+                return { archived: false, target: target.name, error: copy === null ? 'COPY_NOT_FOUND' : 'CHECKSUM_MISMATCH' };
+            }
+
+            const now = new Date().toISOString();
+            await this.archiveLocks.run(String(companyId), async () => {
+                const manifest = await this.storage.loadArchiveManifest(companyId);
+                manifest[`${year}-${month}`] = {
+                    year, month, target: target.name, location, checksum,
+                    bytes: Buffer.byteLength(payload), archivedAt: now, verifiedAt: now
+                };
+                await this.storage.saveArchiveManifest(companyId, manifest);
+            });
+
+            await this.storage.deleteShifts(companyId, year, month);
+            const cacheKey = `${year}-${month}`;
+            if (CACHE.companies[companyId]?.shifts[cacheKey]) delete CACHE.companies[companyId].shifts[cacheKey];
+            if (CACHE.historicalData[companyId]?.[cacheKey]) delete CACHE.historicalData[companyId][cacheKey];
+
+            console.log(`[Archive] ${companyId}/${year}/${month} archived to ${target.name} (${location}) and verified - local copy deleted`);
+            return { archived: true, target: target.name, location };
+        });
+    }
+
+    /**
+     * Archives every stored month outside the hot window (see archiveMonth).
+     */
     async archiveAndCleanup(companyId) {
         if (!CACHE.companies[companyId]) await this.loadCompany(companyId);
-        const config = CACHE.companies[companyId].config;
 
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
         let archivedCount = 0;
-
-        const now = new Date();
-        const currentYear = now.getFullYear();
-        const currentMonth = now.getMonth() + 1;
+        let keptCount = 0;
 
         try {
-            const items = await fs.readdir(companyDir, { withFileTypes: true });
-
-            for (const item of items) {
-                if (item.isDirectory() && !isNaN(parseInt(item.name))) {
-                    const yearDir = path.join(companyDir, item.name);
-                    const year = parseInt(item.name);
-                    const monthFiles = await fs.readdir(yearDir);
-
-                    for (const monthFile of monthFiles) {
-                        if (!monthFile.endsWith('.json') && !monthFile.startsWith('json.')) continue;
-
-                        let monthStr = monthFile.replace('.json', '').replace('json.', '');
-                        const month = parseInt(monthStr);
-
-                        // Keep current month and previous month. Archive everything older.
-                        const isCurrentMonth = (year === currentYear && month === currentMonth);
-                        let prevMonth = currentMonth - 1;
-                        let prevYear = currentYear;
-                        if (prevMonth === 0) { prevMonth = 12; prevYear = currentYear - 1; }
-                        const isPreviousMonth = (year === prevYear && month === prevMonth);
-
-                        if (!isCurrentMonth && !isPreviousMonth) {
-                            const filePath = path.join(yearDir, monthFile);
-                            const fileData = await fs.readFile(filePath, 'utf8');
-
-                            try {
-                                if (config && config.gasUrl) {
-                                    const response = await axios.post(config.gasUrl, {
-                                        action: 'archiveMonth',
-                                        companyId: companyId,
-                                        year: year,
-                                        month: month,
-                                        data: fileData,
-                                        password: config.password
-                                    }).catch(e => { console.error(`[Archive] GAS push failed: ${e.message}`); return { data: null }; });
-
-                                    if (response.data && response.data.success) {
-                                        await fs.unlink(filePath);
-                                        archivedCount++;
-                                        console.log(`[Archive] Successfully archived and deleted ${year}/${month} for ${companyId}`);
-                                    }
-                                } else {
-                                    // No GAS URL, just purge to save Render limits
-                                    await fs.unlink(filePath);
-                                    archivedCount++;
-                                    console.log(`[Archive] Purging local DB for ${year}/${month} (No GAS link available)`);
-                                }
-                            } catch (err) {
-                                console.error(`[Archive] Failed to archive ${year}/${month} for ${companyId}:`, err.message);
-                            }
-                        }
-                    }
+            const stored = (await this.storage.listShiftMonths(companyId)).filter(({ year, month }) => !this.isHotMonth(year, month));
+            if (stored.length === 0) return { success: true, archived: 0, kept: 0 };
+
+            try {
+                await this.getArchiveTarget(companyId);
+            } catch (e) {
+                // No usable target (e.g. no GAS link) - old months simply stay local
+                console.warn(`[Archive] ${companyId}: ${e.message} - keeping ${stored.length} old month(s) locally`);
+                return { success: true, archived: 0, kept: stored.length };
+            }
+
+            for (const { year, month } of stored) {
+                try {
+                    const result = await this.archiveMonth(companyId, year, month);
+                    if (result.archived) archivedCount++;
+                    else keptCount++;
+                } catch (err) {
+                    keptCount++;
+                    console.error(`[Archive] Failed to archive ${year}/${month} for ${companyId} - local file kept:`, err.message);
                 }
             }
 
-            // Done
-            return { success: true, archived: archivedCount };
+            return { success: true, archived: archivedCount, kept: keptCount };
         } catch (e) {
-            console.error(`[Archive] Error processing company directory ${companyDir}:`, e.message);
+            console.error(`[Archive] Error processing company data ${companyId}:`, e.message);
             return { success: false, error: e.message };
         }
     }
 
-    async adminDeleteShift(companyId, { year, month, name, start }) {
-        const shifts = await this.getShifts(companyId, parseInt(year), parseInt(month));
-        if (!shifts[name]) return;
+    async adminDeleteShift(companyId, { year, month, name, start, actor, reason }) {
+        return this.withMonthLock(companyId, year, month, async () => {
+            const lockedError = await this.checkTimesheetEditable(companyId, year, month);
+            if (lockedError) return lockedError;
 
-        const safeGetTime = (t) => {
-            if (!t) return null;
-            if (typeof t === 'number') return new Date(t).getTime();
-            if (typeof t === 'string' && !isNaN(t)) return new Date(parseInt(t)).getTime();
-            return new Date(t).getTime();
-        };
+            const shifts = await this.getShifts(companyId, parseInt(year), parseInt(month));
+            if (!shifts[name]) return;
 
-        // Filter out by start time safely
-        const targetTime = safeGetTime(start);
-        shifts[name] = shifts[name].filter(s => safeGetTime(s.start) !== targetTime);
-        await this.saveShifts(companyId, parseInt(year), parseInt(month), shifts);
-    }
+            const safeGetTime = (t) => {
+                if (!t) return null;
+                if (typeof t === 'number') return new Date(t).getTime();
+                if (typeof t === 'string' && !isNaN(t)) return new Date(parseInt(t)).getTime();
+                return new Date(t).getTime();
+            };
 
-    async adminForceAction(companyId, { name, forceType }) {
-        // forceType: 'checkIn' | 'checkOut'
-        const label = forceType === 'checkIn' ? 'כניסה כפויה על ידי מנהל' : 'יציאה כפויה על ידי מנהל';
-        await this.logShift(companyId, name, forceType === 'checkIn' ? 'IN' : 'OUT', Date.now(), label, 'פעולה יזומה על ידי מנהל');
+            // Filter out by start time safely
+            const targetTime = safeGetTime(start);
+            const removed = shifts[name].filter(s => safeGetTime(s.start) === targetTime);
+            shifts[name] = shifts[name].filter(s => safeGetTime(s.start) !== targetTime);
+            await this.saveShifts(companyId, parseInt(year), parseInt(month), shifts);
+            const entries = [];
+            for (const shift of removed) {
+                entries.push(await this.recordAudit(companyId, {
+                    action: AuditTrail.ACTIONS.SHIFT_DELETE, actor, employee: name, year, month,
+                    before: AuditTrail.snapshot(shift), after: null, reason
+                }));
+            }
+            return { success: true, ...this.auditWarning(...entries) };
+        });
     }
 
-    // --- EMPLOYEE MANAGEMENT ---
+    // --- TIMESHEET LIFECYCLE ---
+    // Stored per company in config.timesheets['YYYY-MM']; a month without an entry is OPEN.
+
+    timesheetKey(year, month) {
+        return `${parseInt(year)}-${String(parseInt(month)).padStart(2, '0')}`;
+    }
+
+    async getTimesheet(companyId, year, month) {
+        const bizConfig = await this.getCompanyConfig(companyId);
+        const stored = bizConfig?.timesheets?.[this.timesheetKey(year, month)];
+        return {
+            year: parseInt(year),
+            month: parseInt(month),
+            status: TIMESHEET_STATUS.OPEN,
+            submissions: {},
+            approvedAt: null,
+            approvedBy: null,
+            lockedAt: null,
+            lockedBy: null,
+            exportedAt: null,
+            reopenedAt: null,
+            reopenCount: 0,
+            ...(stored || {})
+        };
+    }
+
+    async saveTimesheet(companyId, sheet) {
+        const bizConfig = await this.getCompanyConfig(companyId);
+        const timesheets = { ...(bizConfig.timesheets || {}), [this.timesheetKey(sheet.year, sheet.month)]: sheet };
+        await this.updateCompanyConfig(companyId, { timesheets });
+        return sheet;
+    }
+
+    /**
+     * Month state for the manager / employee screens: the stored lifecycle plus who still has to submit
+     * and how many out-of-zone punches wait for approval.
+     */
+    async describeTimesheet(companyId, year, month) {
+        const sheet = await this.getTimesheet(companyId, year, month);
+        const shifts = await this.getShiftsHybrid(companyId, parseInt(year), parseInt(month)).catch(() => ({}));
+        const employees = Object.keys(shifts).filter(name => Array.isArray(shifts[name]) && shifts[name].length > 0).sort();
+        const pendingPunches = await this.getPendingPunches(companyId, year, month).catch(() => []);
+        return {
+            ...sheet,
+            employees,
+            awaitingSubmission: employees.filter(name => !sheet.submissions[name]),
+            pendingPunches: pendingPunches.length
+        };
+    }
+
+    /**
+     * @returns {Promise<Object|null>} an error result when the month is locked, null when edits are allowed
+     */
+    async checkTimesheetEditable(companyId, year, month) {
+        const sheet = await this.getTimesheet(companyId, year, month);
+        if (sheet.status !== TIMESHEET_STATUS.LOCKED) return null;
+        return {
+            success: false,
+            error: "MONTH_LOCKED",
+            message: `חודש ${parseInt(month)}/${parseInt(year)} נעול לעריכה. יש לפתוח אותו מחדש לפני שינוי משמרות.`
+        };
+    }
+
+    /**
+     * Employee submits their timesheet. The month moves to SUBMITTED once every employee with shifts has submitted.
+     */
+    async submitTimesheet(companyId, year, month, name, actor = null) {
+        return this.withMonthLock(companyId, year, month, async () => {
+            const sheet = await this.getTimesheet(companyId, year, month);
+            if (sheet.status === TIMESHEET_STATUS.APPROVED || sheet.status === TIMESHEET_STATUS.LOCKED) {
+                return { success: false, error: "MONTH_NOT_OPEN", message: "החודש כבר אושר על ידי המנהל. לא ניתן להגיש שוב." };
+            }
+
+            const open = await this.findOpenShift(companyId, name, year, month);
+            if (open && open.year === parseInt(year) && open.month === parseInt(month)) {
+                return { success: false, error: "OPEN_SHIFT", message: "יש משמרת פתוחה בחודש זה. יש לסגור אותה לפני ההגשה." };
+            }
+
+            const before = { status: sheet.status };
+            sheet.submissions = { ...sheet.submissions, [name]: { at: Date.now() } };
+            const { awaitingSubmission } = await this.describeTimesheet(companyId, year, month);
+            if (awaitingSubmission.filter(n => n !== name).length === 0) sheet.status = TIMESHEET_STATUS.SUBMITTED;
+            await this.saveTimesheet(companyId, sheet);
+
+            const entry = await this.recordAudit(companyId, {
+                action: AuditTrail.ACTIONS.MONTH_SUBMIT, actor: actor || { role: 'employee', name, ip: null }, employee: name,
+                year, month, before, after: { status: sheet.status }
+            });
+            return { success: true, timesheet: await this.describeTimesheet(companyId, year, month), ...this.auditWarning(entry) };
+        });
+    }
+
+    /**
+     * Manager approval. Missing submissions or punches still waiting for approval block it unless `force` is set.
+     */
+    async approveTimesheet(companyId, year, month, { actor, force = false, reason = null } = {}) {
+        return this.withMonthLock(companyId, year, month, async () => {
+            const state = await this.describeTimesheet(companyId, year, month);
+            if (state.status === TIMESHEET_STATUS.APPROVED || state.status === TIMESHEET_STATUS.LOCKED) {
+                return { success: false, error: "INVALID_TRANSITION", message: "החודש כבר אושר." };
+            }
+            if (!force && state.awaitingSubmission.length > 0) {
+                return {
+                    success: false,
+                    error: "SUBMISSIONS_MISSING",
+                    message: `עובדים שטרם הגישו: ${state.awaitingSubmission.join(', ')}`,
+                    awaitingSubmission: state.awaitingSubmission
+                };
+            }
+            if (!force && state.pendingPunches > 0) {
+                return { success: false, error: "PENDING_PUNCHES", message: `${state.pendingPunches} דיווחים מחוץ לאזור ממתינים לאישור.` };
+            }
+
+            const { employees, awaitingSubmission, pendingPunches, ...sheet } = state;
+            const before = { status: sheet.status };
+            sheet.status = TIMESHEET_STATUS.APPROVED;
+            sheet.approvedAt = Date.now();
+            sheet.approvedBy = actor?.name || null;
+            await this.saveTimesheet(companyId, sheet);
+
+            const entry = await this.recordAudit(companyId, {
+                action: AuditTrail.ACTIONS.MONTH_APPROVE, actor, year, month, before, after: { status: sheet.status },
+                reason: reason || (awaitingSubmission.length > 0 ? `approved without submission of: ${awaitingSubmission.join(', ')}` : null)
+            });
+            return { success: true, timesheet: await this.describeTimesheet(companyId, year, month), ...this.auditWarning(entry) };
+        });
+    }
+
+    /**
+     * Locks an approved month. `exported` marks a lock done by the payroll export (an already locked month only gets exportedAt).
+     */
+    async lockTimesheet(companyId, year, month, { actor, exported = false } = {}) {
+        return this.withMonthLock(companyId, year, month, async () => {
+            const sheet = await this.getTimesheet(companyId, year, month);
+            if (sheet.status === TIMESHEET_STATUS.LOCKED) {
+                if (exported) {
+                    sheet.exportedAt = Date.now();
+                    await this.saveTimesheet(companyId, sheet);
+                }
+                return { success: true, timesheet: await this.describeTimesheet(companyId, year, month) };
+            }
+            if (sheet.status !== TIMESHEET_STATUS.APPROVED) {
+                return { success: false, error: "INVALID_TRANSITION", message: "ניתן לנעול רק חודש שאושר על ידי המנהל." };
+            }
+
+            sheet.status = TIMESHEET_STATUS.LOCKED;
+            sheet.lockedAt = Date.now();
+            sheet.lockedBy = actor?.name || null;
+            if (exported) sheet.exportedAt = sheet.lockedAt;
+            await this.saveTimesheet(companyId, sheet);
+
+            const entry = await this.recordAudit(companyId, {
+                action: AuditTrail.ACTIONS.MONTH_LOCK, actor, year, month,
+                before: { status: TIMESHEET_STATUS.APPROVED }, after: { status: sheet.status }, reason: exported ? 'payroll export' : null
+            });
+            return { success: true, timesheet: await this.describeTimesheet(companyId, year, month), ...this.auditWarning(entry) };
+        });
+    }
+
+    /**
+     * Back to OPEN (clears submissions and approval). A reason is mandatory and kept in the audit trail.
+     */
+    async reopenTimesheet(companyId, year, month, { actor, reason } = {}) {
+        if (!reason || !String(reason).trim()) {
+            return { success: false, error: "REASON_REQUIRED", message: "יש לציין סיבה לפתיחת החודש מחדש." };
+        }
+        return this.withMonthLock(companyId, year, month, async () => {
+            const sheet = await this.getTimesheet(companyId, year, month);
+            if (sheet.status === TIMESHEET_STATUS.OPEN) {
+                return { success: false, error: "INVALID_TRANSITION", message: "החודש כבר פתוח." };
+            }
+
+            const before = { status: sheet.status, approvedAt: sheet.approvedAt, lockedAt: sheet.lockedAt, exportedAt: sheet.exportedAt };
+            await this.saveTimesheet(companyId, {
+                ...sheet,
+                status: TIMESHEET_STATUS.OPEN,
+                submissions: {},
+                approvedAt: null,
+                approvedBy: null,
+                lockedAt: null,
+                lockedBy: null,
+                reopenedAt: Date.now(),
+                reopenCount: (sheet.reopenCount || 0) + 1
+            });
+
+            const entry = await this.recordAudit(companyId, {
+                action: AuditTrail.ACTIONS.MONTH_REOPEN, actor, year, month, before, after: { status: TIMESHEET_STATUS.OPEN }, reason
+            });
+            console.log(`[Timesheet] ${companyId} ${month}/${year} reopened (was ${before.status})`);
+            return { success: true, timesheet: await this.describeTimesheet(companyId, year, month), ...this.auditWarning(entry) };
+        });
+    }
+
+    async adminForceAction(companyId, { name, forceType, actor, reason }) {
+        // forceType: 'checkIn' | 'checkOut'
+        const label = forceType === 'checkIn' ? 'כניסה כפויה על ידי מנהל' : 'יציאה כפויה על ידי מנהל';
+        return this.logShift(companyId, name, forceType === 'checkIn' ? 'IN' : 'OUT', Date.now(), label,
+            reason ? `פעולה יזומה על ידי מנהל: ${reason}` : 'פעולה יזומה על ידי מנהל', undefined,
+            actor || { role: 'admin', name: 'admin', ip: null });
+    }
+
+    // --- EMPLOYEE MANAGEMENT ---
 
     async addEmployee(companyId, name) {
         if (!CACHE.companies[companyId]) await this.loadCompany(companyId);
@@ -1995,12 +2635,14 @@ class DataManager {
         const now = new Date();
         const year = now.getFullYear();
         const month = now.getMonth() + 1;
-        const shifts = await this.getShifts(companyId, year, month);
+        await this.withMonthLock(companyId, year, month, async () => {
+            const shifts = await this.getShifts(companyId, year, month);
 
-        if (!shifts[name]) {
-            shifts[name] = [];
-            await this.saveShifts(companyId, year, month, shifts);
-        }
+            if (!shifts[name]) {
+                shifts[name] = [];
+                await this.saveShifts(companyId, year, month, shifts);
+            }
+        });
         return { success: true };
     }
 
@@ -2073,36 +2715,15 @@ class DataManager {
 
     async cleanupOldMonths() {
         console.log('[Cleanup] Starting monthly cleanup...');
-        const companiesDir = path.join(this.dataDir, 'companies');
 
         try {
-            const companies = await fs.readdir(companiesDir);
+            const companies = await this.storage.listCompanies();
 
+            // Same verified pipeline as archiveAndCleanup - nothing is deleted before its archive copy checks out
             for (const companyId of companies) {
-                const companyDir = path.join(companiesDir, companyId);
-                const years = await fs.readdir(companyDir);
-
-                for (const yearStr of years) {
-                    if (yearStr === 'config.json') continue;
-                    const yearDir = path.join(companyDir, yearStr);
-                    const months = await fs.readdir(yearDir);
-
-                    for (const monthFile of months) {
-                        const month = parseInt(monthFile.replace('.json', ''));
-                        const year = parseInt(yearStr);
-
-                        if (!this.isHotMonth(year, month)) {
-                            const filePath = path.join(yearDir, monthFile);
-                            await fs.unlink(filePath);
-                            console.log(`[Cleanup] Deleted: ${companyId}/${year}/${month}.json`);
-
-                            // Remove from RAM cache
-                            const cacheKey = `${year}-${month}`;
-                            if (CACHE.companies[companyId]?.shifts[cacheKey]) {
-                                delete CACHE.companies[companyId].shifts[cacheKey];
-                            }
-                        }
-                    }
+                const result = await this.archiveAndCleanup(companyId);
+                if (result.success) {
+                    console.log(`[Cleanup] ${companyId}: ${result.archived} archived, ${result.kept} kept locally`);
                 }
             }
 
@@ -2120,34 +2741,18 @@ class DataManager {
             files: [] // GENERIC ARRAY
         };
 
-        const readDirRec = async (dir, relativePath = '') => {
+        // Storage records in the JSON file layout (paths are identical for every backend)
+        backup.files = await this.storage.exportFiles();
+
+        // Loose system files that live next to the storage backend
+        for (const name of ['system_config.json', 'metadata.json', 'billing_documents.json']) {
+            if (backup.files.some(f => f.path === name)) continue;
             try {
-                const items = await fs.readdir(dir);
-                for (const item of items) {
-                    const fullPath = path.join(dir, item);
-                    // Use forward slash for paths regardless of OS so GAS handles it consistently
-                    const relPath = relativePath ? `${relativePath}/${item}` : item;
-                    const stat = await fs.stat(fullPath);
-                    if (stat.isDirectory()) {
-                        await readDirRec(fullPath, relPath);
-                    } else if (item.endsWith('.json')) {
-                        try {
-                            const content = await fs.readFile(fullPath, 'utf8');
-                            backup.files.push({
-                                path: relPath,
-                                content: JSON.parse(content)
-                            });
-                        } catch (e) {
-                            console.error(`[Backup] Error reading/parsing ${relPath}:`, e);
-                        }
-                    }
-                }
-            } catch (e) {
-                console.error(`[Backup] Error reading dir ${dir}:`, e);
-            }
-        };
+                const content = await fs.readFile(path.join(this.dataDir, name), 'utf8');
+                backup.files.push({ path: name, content: JSON.parse(content) });
+            } catch (e) { }
+        }
 
-        await readDirRec(this.dataDir);
         console.log(`[Backup] Collected ${backup.files.length} files for backup.`);
 
         return backup;
@@ -2178,7 +2783,7 @@ class DataManager {
             }
 
             console.log(`[Cold Data] Fetching from GAS: ${companyId}/${year}/${month}`);
-            const response = await axios.get(`${gasUrl}?action=getArchivedMonth&companyId=${companyId}&year=${year}&month=${month}&password=${configObj.password}`, {
+            const response = await syncManager.gasRequest(gasUrl, 'getArchivedMonth', { companyId, year, month }, {
                 timeout: 10000
             });
 
@@ -2205,14 +2810,52 @@ class DataManager {
         }
     }
 
+    /**
+     * Reads an archived month through the target recorded in the manifest and verifies its checksum.
+     * Months archived before the manifest existed fall back to the GAS lookup (fetchColdData).
+     * Non-strict reads return {} on failure (reports); strict reads throw (edits must not start from an empty month).
+     * @returns {Promise<Object|null>} shifts, or null when the month was never archived
+     */
+    async loadArchivedMonth(companyId, year, month, { strict = false } = {}) {
+        const cacheKey = `${parseInt(year)}-${parseInt(month)}`;
+        const cached = CACHE.historicalData[companyId]?.[cacheKey];
+        if (cached && Date.now() - cached.timestamp < 3600000) return cached.data;
+
+        const manifest = await this.storage.loadArchiveManifest(companyId).catch(() => ({}));
+        const entry = manifest[cacheKey];
+        if (!entry) return strict ? null : this.fetchColdData(companyId, year, month);
+
+        try {
+            const target = await this.getArchiveTarget(companyId, entry.target);
+            const raw = await target.get(companyId, parseInt(year), parseInt(month), entry);
+            if (raw === null) throw new Error(`copy not found at ${entry.target}:${entry.location}`);
+            if (ArchiveTarget.checksum(raw) !== entry.checksum) throw new Error(`checksum mismatch at ${entry.target}:${entry.location}`);
+
+            const data = JSON.parse(raw);
+            if (!CACHE.historicalData[companyId]) CACHE.historicalData[companyId] = {};
+            CACHE.historicalData[companyId][cacheKey] = { data, timestamp: Date.now() };
+            return data;
+        } catch (e) {
+            console.error(`[Cold Data] Failed to read archived ${companyId}/${year}/${month}:`, e.message);
+            if (strict) throw new Error(`החודש ${month}/${year} נמצא בארכיון ולא ניתן לטעון אותו כרגע. נסה שוב מאוחר יותר.`);
+            return {};
+        }
+    }
+
     async getShiftsHybrid(companyId, year, month) {
         if (!companyId || companyId === 'NEW_SETUP') return [];
         // Smart routing: hot vs cold
         if (this.isHotMonth(year, month)) {
             return await this.getShifts(companyId, year, month);
-        } else {
-            return await this.fetchColdData(companyId, year, month);
         }
+
+        // Old months that are still stored locally (not archived yet, or edited after archiving) win over the archive
+        const cacheKey = `${year}-${month}`;
+        if (CACHE.companies[companyId]?.shifts[cacheKey]) return CACHE.companies[companyId].shifts[cacheKey];
+        const local = await this.storage.loadShifts(companyId, year, month).catch(() => null);
+        if (local) return local;
+
+        return await this.loadArchivedMonth(companyId, year, month);
     }
     // --- DISASTER RECOVERY ---
 
@@ -2225,7 +2868,7 @@ class DataManager {
             }
 
             console.log(`[Restore] URL: ${gasUrl} | Requesting action=restore`);
-            const response = await axios.get(`${gasUrl}?action=restore`, { timeout: 45000 });
+            const response = await syncManager.gasRequest(gasUrl, 'restore', {}, { timeout: 45000 });
 
             if (!response.data || !response.data.success) {
                 const gasErr = response.data?.error || 'Unknown GAS error';
@@ -2291,10 +2934,6 @@ class DataManager {
                             localPath = 'clients.json';
                         }
 
-                        const fullPath = path.join(this.dataDir, localPath);
-                        const dirPath = path.dirname(fullPath);
-                        await fs.mkdir(dirPath, { recursive: true });
-
                         let contentToWrite;
                         
                         // CRITICAL FIX: Sanitize system_config.json if it was corrupted with business data
@@ -2315,12 +2954,32 @@ class DataManager {
                             allowedKeys.forEach(k => { if (rawContent[k] !== undefined) sanitized[k] = rawContent[k]; });
                             contentToWrite = JSON.stringify(sanitized, null, 2);
                             this._systemConfig = sanitized; // Update in-memory cache too
-                        } else {
+                        } else if (localPath === 'metadata.json') {
                             // If content is already an object, stringify it. If it's a string, write directly.
-                            contentToWrite = typeof file.content === 'object' ? JSON.stringify(file.content, null, 2) : file.content;
+                            contentToWrite = typeof file.content === 'object' ? JSON.stringify(file.content) : file.content;
+                        } else if (localPath === 'billing_documents.json') {
+                            // Merged into the live register (numbers are never reused, even from an older snapshot)
+                            await fs.writeFile(path.join(this.dataDir, localPath), typeof file.content === 'object' ? JSON.stringify(file.content) : file.content);
+                            await billingDocumentService.init(this.dataDir);
+                            continue;
+                        } else if (/^companies\/[^/]+\/audit_log\.jsonl$/.test(localPath)) {
+                            // Appended after the stored chain (never rewritten), under the company's audit lock
+                            const auditCompanyId = localPath.split('/')[1];
+                            await this.auditLocks.run(auditCompanyId, async () => {
+                                const appended = await this.storage.importAudit(auditCompanyId, file.content);
+                                delete this.auditTails[auditCompanyId];
+                                if (appended > 0) console.log(`[Restore] Audit log ${auditCompanyId}: ${appended} entries restored.`);
+                            });
+                            continue;
+                        } else {
+                            // Clients, configs, shifts, ledgers, tombstones -> storage backend
+                            const stored = await this.storage.importFile(localPath, file.content);
+                            if (!stored) console.warn(`[Restore] Skipping unrecognized path: ${file.path}`);
+                            continue;
                         }
                         
-                        await fs.writeFile(fullPath, contentToWrite);
+                        await fs.mkdir(this.dataDir, { recursive: true });
+                        await fs.writeFile(path.join(this.dataDir, localPath), contentToWrite);
                         // console.log(`[Restore] Restored: ${localPath}`);
                     } catch (e) {
                         console.error(`[Restore] Failed to write file ${file.path}:`, e.message);
@@ -2330,8 +2989,8 @@ class DataManager {
                 // IMPORTANT: Reload Cache immediately after disk write
                 try {
                     console.log("[Restore] Reloading clients into memory cache...");
-                    const clientsData = await fs.readFile(this.clientsFile, 'utf8');
-                    CACHE.clients = JSON.parse(clientsData);
+                    CACHE.clients = (await this.storage.loadClients()) || [];
+                    this._deletedCompanyIds = null; // Tombstones may have been restored too
                     console.log(`[Restore] Cache reloaded: ${CACHE.clients.length} clients.`);
                 } catch (e) {
                     console.error("[Restore] Critical: Could not reload clients.json into cache after restoration:", e.message);
@@ -2401,7 +3060,7 @@ class DataManager {
             try {
                 console.log(`[History] Fetching full archive from GAS for ${companyId}/${employeeName}`);
                 // Ensure name is encoded for Hebrew characters
-                const response = await axios.get(`${gasUrl}?action=getFullUserHistory&companyId=${companyId}&name=${encodeURIComponent(employeeName)}`, {
+                const response = await syncManager.gasRequest(gasUrl, 'getFullUserHistory', { companyId, name: employeeName }, {
                     timeout: 25000
                 });
                 if (response.data && response.data.success && Array.isArray(response.data.shifts)) {
@@ -2415,25 +3074,11 @@ class DataManager {
 
         // 2. Merge with Hot (Local) Data from Render disk
         try {
-            const companyDir = path.join(this.dataDir, 'companies', companyId);
-            const items = await fs.readdir(companyDir, { withFileTypes: true }).catch(() => []);
-            for (const item of items) {
-                if (!item.isDirectory() || isNaN(parseInt(item.name))) continue;
-
-                const year = item.name;
-                const yearDir = path.join(companyDir, year);
-                const monthFiles = await fs.readdir(yearDir).catch(() => []);
-
-                for (const monthFile of monthFiles) {
-                    let monthNum = NaN;
-                    if (monthFile.endsWith('.json')) monthNum = parseInt(monthFile.replace('.json', ''));
-                    else if (monthFile.startsWith('json.')) monthNum = parseInt(monthFile.split('.')[1]);
-                    if (isNaN(monthNum)) continue;
-
-                    const shifts = await this.getShifts(companyId, parseInt(year), monthNum).catch(() => ({}));
-                    if (shifts[employeeName]) {
-                        shifts[employeeName].forEach(addShift);
-                    }
+            const stored = await this.storage.listShiftMonths(companyId).catch(() => []);
+            for (const { year, month } of stored) {
+                const shifts = await this.getShifts(companyId, year, month).catch(() => ({}));
+                if (shifts[employeeName]) {
+                    shifts[employeeName].forEach(addShift);
                 }
             }
         } catch (e) {
@@ -2461,19 +3106,19 @@ class DataManager {
         const gasUrl = config.GAS_COLD_STORAGE_URL;
         if (gasUrl) {
             try {
-                const r = await axios.get(`${gasUrl}?action=getFullArchive&companyId=${companyId}`, { timeout: 30000 });
+                const r = await syncManager.gasRequest(gasUrl, 'getFullArchive', { companyId }, { timeout: 30000 });
                 if (r.data && r.data.success && Array.isArray(r.data.data)) {
                     // GAS getFullArchive returns a flat array -- but we need per-employee
                     // Fetch by months instead for structured data
                 }
                 // Better: fetch years and iterate months
-                const yearsRes = await axios.get(`${gasUrl}?action=getYears&companyId=${companyId}`, { timeout: 10000 });
+                const yearsRes = await syncManager.gasRequest(gasUrl, 'getYears', { companyId }, { timeout: 10000 });
                 if (yearsRes.data && yearsRes.data.success && Array.isArray(yearsRes.data.years)) {
                     for (const year of yearsRes.data.years) {
-                        const monthsRes = await axios.get(`${gasUrl}?action=getMonths&companyId=${companyId}&year=${year}`, { timeout: 10000 });
+                        const monthsRes = await syncManager.gasRequest(gasUrl, 'getMonths', { companyId, year }, { timeout: 10000 });
                         if (monthsRes.data && monthsRes.data.success && Array.isArray(monthsRes.data.months)) {
                             for (const month of monthsRes.data.months) {
-                                const mRes = await axios.get(`${gasUrl}?action=getArchivedMonth&companyId=${companyId}&year=${year}&month=${month}`, { timeout: 15000 });
+                                const mRes = await syncManager.gasRequest(gasUrl, 'getArchivedMonth', { companyId, year, month }, { timeout: 15000 });
                                 if (mRes.data && mRes.data.success && mRes.data.data) {
                                     const parsed = typeof mRes.data.data === 'string' ? JSON.parse(mRes.data.data) : mRes.data.data;
                                     for (const [emp, shifts] of Object.entries(parsed)) {
@@ -2491,23 +3136,11 @@ class DataManager {
 
         // 2. Merge Hot (Local) Data
         try {
-            const companyDir = path.join(this.dataDir, 'companies', companyId);
-            const years = await fs.readdir(companyDir).catch(() => []);
-            for (const year of years) {
-                if (year === 'config.json') continue;
-                const yearDir = path.join(companyDir, year);
-                const stat = await fs.stat(yearDir).catch(() => null);
-                if (!stat || !stat.isDirectory()) continue;
-                const months = await fs.readdir(yearDir).catch(() => []);
-                for (const monthFile of months) {
-                    let monthNum = NaN;
-                    if (monthFile.endsWith('.json')) monthNum = parseInt(monthFile.replace('.json', ''));
-                    else if (monthFile.startsWith('json.')) monthNum = parseInt(monthFile.split('.')[1]);
-                    if (isNaN(monthNum)) continue;
-                    const shifts = await this.getShifts(companyId, parseInt(year), monthNum).catch(() => ({}));
-                    for (const [emp, empShifts] of Object.entries(shifts)) {
-                        if (Array.isArray(empShifts)) empShifts.forEach(s => addShift(emp, s));
-                    }
+            const stored = await this.storage.listShiftMonths(companyId).catch(() => []);
+            for (const { year, month } of stored) {
+                const shifts = await this.getShifts(companyId, year, month).catch(() => ({}));
+                for (const [emp, empShifts] of Object.entries(shifts)) {
+                    if (Array.isArray(empShifts)) empShifts.forEach(s => addShift(emp, s));
                 }
             }
         } catch (e) {
@@ -2566,12 +3199,18 @@ class DataManager {
              throw new Error('יש להזין אמצעי תשלום תקין.');
         }
 
+        // A coupon entered at sign-up must be valid before the business exists (it is redeemed at the end)
+        if (data.couponCode) {
+            const couponCheck = BillingCredits.checkCoupon(sysConfig, CACHE.clients, { paymentMethod: pMethodSafe }, data.couponCode, 'REGISTRATION');
+            if (!couponCheck.success) throw new Error(couponCheck.message);
+        }
+
         const client = {
             id: newId,
             businessName: data.businessName,
             email: data.email,
             phone: data.phone,
-            password: safePassword,
+            password: safePassword ? await PasswordHasher.hash(safePassword) : '',
             subscriptionExpiry: trialExpiry.toISOString(),
             subscriptionDate: new Date().toISOString(), // Initial registration date
             joinedAt: new Date().toISOString(),
@@ -2592,7 +3231,7 @@ class DataManager {
         try {
             const gasUrl = config.GAS_COLD_STORAGE_URL;
             if (gasUrl) {
-                const response = await axios.get(`${gasUrl}?action=getHolidays&companyId=new&password=`, { timeout: 10000 }).catch(() => null);
+                const response = await syncManager.gasRequest(gasUrl, 'getHolidays', { companyId: 'new' }, { timeout: 10000 }).catch(() => null);
                 if (response?.data?.success && response.data.events) {
                     const events = response.data.events;
                     eligibleDefaults.forEach(hName => {
@@ -2666,10 +3305,16 @@ class DataManager {
 
         // Send Welcome Email
         if (client.email) {
-            emailService.sendWelcomeEmail(client.email, client.businessName, client.id, client.password)
+            // Only the welcome email ever sees the plaintext password - the record keeps the hash
+            emailService.sendWelcomeEmail(client.email, client.businessName, client.id, safePassword)
                 .catch(err => console.error(`[DataManager] Failed to send welcome email to ${client.id}:`, err.message));
         }
 
+        if (data.couponCode) {
+            const redeemed = await this.redeemCoupon(newId, data.couponCode, 'REGISTRATION');
+            if (!redeemed.success) console.error(`[DataManager] Coupon ${data.couponCode} of new business ${newId} was not redeemed: ${redeemed.message || redeemed.error}`);
+        }
+
         return client;
     }
 
@@ -2682,7 +3327,7 @@ class DataManager {
         if (gasUrl) {
             try {
                 console.log(`[DataManager] Notifying GAS to delete data for ${companyId}`);
-                await axios.get(`${gasUrl}?action=deleteBusiness&companyId=${companyId}`, { timeout: 15000 });
+                await syncManager.gasRequest(gasUrl, 'deleteBusiness', { companyId }, { timeout: 15000 });
             } catch (e) {
                 console.error(`[DataManager] Failed to notify GAS for deletion of ${companyId}:`, e.message);
                 // We continue local deletion even if GAS notification fails
@@ -2706,47 +3351,25 @@ class DataManager {
         if (CACHE.historicalData[companyId]) {
             delete CACHE.historicalData[companyId];
         }
+        delete this.auditTails[companyId];
 
-        // 4. Delete from filesystem (with Strict Guard)
-        const companyDir = path.join(this.dataDir, 'companies', companyId);
-        
-        // Professional Guard: Ensure the path is actually inside the companies directory
-        const relative = path.relative(path.join(this.dataDir, 'companies'), companyDir);
-        const isSafe = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
-        
-        if (!isSafe) {
-            console.error(`[DataManager] ATTEMPTED TO DELETE PROTECTED PATH: ${companyDir}`);
+        // 4. Delete from storage (JSON backend guards the path to stay inside companies/)
+        try {
+            await this.storage.deleteCompany(companyId);
+        } catch (e) {
+            console.error(`[DataManager] ATTEMPTED TO DELETE PROTECTED DATA: ${companyId}`, e.message);
             throw new Error('Illegal deletion target');
         }
 
-        let removed = false;
-        for (let attempt = 1; attempt <= 4; attempt++) {
-            try {
-                await fs.rm(companyDir, { recursive: true, force: true });
-                removed = true;
-                console.log(`[DataManager] Deleted company directory: ${companyId} (attempt ${attempt})`);
-                break;
-            } catch (e) {
-                console.error(`[DataManager] rm attempt ${attempt} failed for ${companyId}:`, e.message);
-                if (attempt < 4) await new Promise(r => setTimeout(r, 400 * attempt));
-            }
-        }
-        if (!removed) {
-            try {
-                const parent = path.join(this.dataDir, 'companies');
-                const quarantine = path.join(parent, `__deleted__${companyId}__${Date.now()}`);
-                await fs.rename(companyDir, quarantine);
-                console.warn(`[DataManager] Could not delete folder; quarantined: ${path.basename(quarantine)}`);
-            } catch (e) {
-                console.error(`[DataManager] CRITICAL: Could not delete or quarantine directory for ${companyId}:`, e.message);
-            }
-        }
-
         await this.updateLastWriteTime();
         return true;
     }
 
-    async renewSubscription(companyId) {
+    /**
+     * Settles the open debt and renews the current month.
+     * @param {Object} payment - optional { method, reference } of how it was paid (default: manual renewal)
+     */
+    async renewSubscription(companyId, { method, reference } = {}) {
         try {
             const client = await this.getClientById(companyId);
             if (!client) return { success: false, error: "Business not found" };
@@ -2786,21 +3409,25 @@ class DataManager {
             client.subscriptionExpiry = nextExpiry.toISOString();
             client.subscriptionDate = now.toISOString(); // Restart the proration clock
             client.billingFailed = false;
+            require('./DunningService').resolve(client, 'PAYMENT');
 
             // Record the actual payment for the "Current" renewal
             const currentPeriod = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-            client.paymentHistory.push({
+            const payment = {
                 date: new Date().toLocaleDateString('he-IL'),
                 fullDate: new Date().toISOString(),
                 amount: totalAmount,
                 currency: 'ILS',
                 period: currentPeriod,
-                method: 'Manual Renewal',
-                description: `חידוש מנוי (סילוק חובות + חודש שוטף). סה"כ: ₪${totalAmount}`,
+                method: method || 'Manual Renewal',
+                description: `חידוש מנוי (סילוק חובות + חודש שוטף). סה"כ: ₪${totalAmount}${billing.breakdown.creditApplied > 0 ? ` (קוזזו ₪${billing.breakdown.creditApplied} מיתרת זכות)` : ''}`,
                 status: 'PAID',
                 statusDisplayName: 'חודשי',
-                reference: 'MANUAL-RENEW'
-            });
+                reference: reference || 'MANUAL-RENEW'
+            };
+            client.paymentHistory.push(payment);
+            this.consumeCredit(client, billing, payment.reference);
+            const document = await billingDocumentService.issueForPayment(client, payment);
 
             await this.saveClients();
 
@@ -2814,15 +3441,17 @@ class DataManager {
                 const recipients = [client.email, 'tempusgeo@gmail.com'];
                 recipients.forEach(email => {
                     emailService.sendPaymentSuccessNotification(email, {
+                        companyId: client.id,
                         businessName: client.businessName,
                         amount: totalAmount,
                         activeEmployees: billing.breakdown.employeeCount || 0,
-                        newExpiry: nextExpiry.toLocaleDateString('he-IL')
+                        newExpiry: nextExpiry.toLocaleDateString('he-IL'),
+                        document
                     }).catch(console.error);
                 });
             }
 
-            return { success: true, newExpiry: nextExpiry.toLocaleDateString('he-IL'), amount: totalAmount };
+            return { success: true, newExpiry: nextExpiry.toLocaleDateString('he-IL'), amount: totalAmount, documentNumber: document ? document.number : null };
         } catch (e) {
             console.error('[DataManager] renewSubscription error:', e.message);
             return { success: false, error: e.message };
@@ -2840,8 +3469,10 @@ class DataManager {
         for (const client of CACHE.clients) {
             try {
                 results.checked++;
-                const year = now.getFullYear();
-                const month = now.getMonth() + 1;
+                const currentYear = now.getFullYear();
+                const currentMonth = now.getMonth() + 1;
+                // Overnight shifts started last month are still filed under last month
+                const monthsToScan = [this.getPreviousMonth(currentYear, currentMonth), { year: currentYear, month: currentMonth }];
 
                 const companyConfig = await this.getCompanyConfig(client.id);
                 const constraints = companyConfig?.settings?.constraints || {};
@@ -2849,70 +3480,83 @@ class DataManager {
                 const systemConfig = await this.getSystemConfig();
                 const globalMaxHours = systemConfig.maxShiftHours || 12;
 
-                const shiftsData = await this.getShifts(client.id, year, month);
-                let changed = false;
-
-                for (const [user, shifts] of Object.entries(shiftsData)) {
-                    for (const shift of shifts) {
-                        if (!shift.end && shift.start) {
-                            const startTime = new Date(parseInt(shift.start) || shift.start);
-                            const durationHours = (now.getTime() - startTime.getTime()) / 3600000;
-                            const userConstraint = constraints[user] || {};
-
-                            const hasCustomRule = !!userConstraint.maxDuration;
-                            const maxHours = hasCustomRule ? parseFloat(userConstraint.maxDuration) : globalMaxHours;
-                            const enableAutoOut = hasCustomRule ? (userConstraint.enableAutoOut === true) : true;
-                            const enableAlert = userConstraint.enableAlert === true;
-
-                            if (durationHours > maxHours) {
-                                if (enableAutoOut) {
-                                    shift.end = new Date(startTime.getTime() + maxHours * 3600000).getTime();
-                                    shift.note = (shift.note || "") + ` [Auto-Checkout: ${maxHours}h limit]`;
-                                    changed = true;
-                                    results.closed++;
-
-                                    this.logMaintenance('CHECKOUT', `Closed shift for ${user} in ${client.businessName}`, { duration: durationHours.toFixed(2), limit: maxHours });
-
-                                    if (enableAlert && companyConfig.adminEmail) {
-                                        const summary = await this.getIndividualShiftSummary(client.id, year, month, shift);
-                                        emailService.sendShiftAlert(
-                                            companyConfig.adminEmail,
-                                            user,
-                                            "FORCE_OUT",
-                                            shift.end,
-                                            shift.location || "-",
-                                            companyConfig.businessName || client.id,
-                                            `המשמרת נסגרה אוטומטית כי חרגה מהמגבלה של ${this.formatHHMM(maxHours)} שעות.`,
-                                            companyConfig.logoUrl,
-                                            summary
-                                        ).catch(e => console.error(`[Auto-Checkout Email FAIL] ${e.message}`));
-                                    }
-                                }
-                                else if (enableAlert && !shift.maxAlertSent) {
-                                    shift.maxAlertSent = true;
-                                    changed = true;
-                                    this.logMaintenance('CHECKOUT', `Warning alert for ${user} in ${client.businessName} (Duration: ${durationHours.toFixed(2)}h)`);
-
-                                    if (companyConfig.adminEmail) {
-                                        emailService.sendShiftAlert(
-                                            companyConfig.adminEmail,
-                                            user,
-                                            "ALERT_MAX",
-                                            now.getTime(),
-                                            shift.location || "-",
-                                            companyConfig.businessName || client.id,
-                                            `העובד נמצא במשמרת פעילה מעל ${this.formatHHMM(maxHours)} שעות (נוכחי: ${this.formatHHMM(durationHours)}).`,
-                                            companyConfig.logoUrl
-                                        ).catch(e => console.error(`[Max Alert Email FAIL] ${e.message}`));
+                for (const { year, month } of monthsToScan) {
+                    await this.withMonthLock(client.id, year, month, async () => {
+                        const shiftsData = await this.getShifts(client.id, year, month);
+                        let changed = false;
+                        const closures = [];
+
+                        for (const [user, shifts] of Object.entries(shiftsData)) {
+                            for (const shift of shifts) {
+                                if (!shift.end && shift.start) {
+                                    const startTime = new Date(parseInt(shift.start) || shift.start);
+                                    const durationHours = (now.getTime() - startTime.getTime()) / 3600000;
+                                    const userConstraint = constraints[user] || {};
+
+                                    const hasCustomRule = !!userConstraint.maxDuration;
+                                    const maxHours = hasCustomRule ? parseFloat(userConstraint.maxDuration) : globalMaxHours;
+                                    const enableAutoOut = hasCustomRule ? (userConstraint.enableAutoOut === true) : true;
+                                    const enableAlert = userConstraint.enableAlert === true;
+
+                                    if (durationHours > maxHours) {
+                                        if (enableAutoOut) {
+                                            const before = AuditTrail.snapshot(shift);
+                                            shift.end = new Date(startTime.getTime() + maxHours * 3600000).getTime();
+                                            shift.note = (shift.note || "") + ` [Auto-Checkout: ${maxHours}h limit]`;
+                                            changed = true;
+                                            results.closed++;
+                                            closures.push({ employee: user, before, after: AuditTrail.snapshot(shift), maxHours });
+
+                                            this.logMaintenance('CHECKOUT', `Closed shift for ${user} in ${client.businessName}`, { duration: durationHours.toFixed(2), limit: maxHours });
+
+                                            if (enableAlert && companyConfig.adminEmail) {
+                                                const summary = await this.getIndividualShiftSummary(client.id, year, month, shift);
+                                                emailService.sendShiftAlert(
+                                                    companyConfig.adminEmail,
+                                                    user,
+                                                    "FORCE_OUT",
+                                                    shift.end,
+                                                    shift.location || "-",
+                                                    companyConfig.businessName || client.id,
+                                                    `המשמרת נסגרה אוטומטית כי חרגה מהמגבלה של ${this.formatHHMM(maxHours)} שעות.`,
+                                                    companyConfig.logoUrl,
+                                                    summary
+                                                ).catch(e => console.error(`[Auto-Checkout Email FAIL] ${e.message}`));
+                                            }
+                                        }
+                                        else if (enableAlert && !shift.maxAlertSent) {
+                                            shift.maxAlertSent = true;
+                                            changed = true;
+                                            this.logMaintenance('CHECKOUT', `Warning alert for ${user} in ${client.businessName} (Duration: ${durationHours.toFixed(2)}h)`);
+
+                                            if (companyConfig.adminEmail) {
+                                                emailService.sendShiftAlert(
+                                                    companyConfig.adminEmail,
+                                                    user,
+                                                    "ALERT_MAX",
+                                                    now.getTime(),
+                                                    shift.location || "-",
+                                                    companyConfig.businessName || client.id,
+                                                    `העובד נמצא במשמרת פעילה מעל ${this.formatHHMM(maxHours)} שעות (נוכחי: ${this.formatHHMM(durationHours)}).`,
+                                                    companyConfig.logoUrl
+                                                ).catch(e => console.error(`[Max Alert Email FAIL] ${e.message}`));
+                                            }
+                                        }
                                     }
                                 }
                             }
                         }
-                    }
-                }
 
-                if (changed) {
-                    await this.saveShifts(client.id, year, month, shiftsData);
+                        if (changed) {
+                            await this.saveShifts(client.id, year, month, shiftsData);
+                        }
+                        for (const c of closures) {
+                            await this.recordAudit(client.id, {
+                                action: AuditTrail.ACTIONS.AUTO_CHECKOUT, actor: AuditTrail.system('auto-checkout'),
+                                employee: c.employee, year, month, before: c.before, after: c.after, reason: `${c.maxHours}h limit`
+                            });
+                        }
+                    });
                 }
 
             } catch (e) {
@@ -2923,16 +3567,234 @@ class DataManager {
         return results;
     }
 
-    async extendSubscription(companyId, planId, price, paymentMethod = null) {
+    // --- SUBSCRIPTION PLANS (PlanCatalog) ---
+
+    async getClientPlan(companyId) {
+        const client = await this.getClientById(companyId);
+        return PlanCatalog.resolve(await this.getSystemConfig(), client || {});
+    }
+
+    async hasFeature(companyId, key) {
+        return PlanCatalog.hasFeature(await this.getClientPlan(companyId), key);
+    }
+
+    /**
+     * Server-side price of buying a plan for a number of months, at the client's current employee count
+     * (grandfathered pricing applies when the client stays on its locked plan).
+     * @returns {Promise<Object|null>} { plan, amount, monthly, months, discountPercent, employees } or null for an unknown / retired plan
+     */
+    async quotePlan(companyId, planId, months = 1) {
+        const client = await this.getClientById(companyId);
+        if (!client) return null;
+        const sysConfig = await this.getSystemConfig();
+
+        const current = PlanCatalog.resolve(sysConfig, client);
+        const plan = current.id === String(planId) ? current : PlanCatalog.find(sysConfig, planId);
+        if (!plan || (!plan.active && plan.id !== current.id)) return null;
+
+        const employees = await this.countUniqueActiveEmployees(companyId);
+        return { plan, employees, ...PlanCatalog.prepayPrice(plan, employees, months) };
+    }
+
+    /**
+     * Super-admin plan assignment.
+     * @param {Object} options - { grandfather: keep the plan's current pricing for this client,
+     *                             priceLock: explicit { minMonthlyPrice, tiers, annualDiscountPercent } }
+     */
+    async assignPlan(companyId, planId, { grandfather = false, priceLock = null } = {}) {
+        const client = await this.getClientById(companyId);
+        if (!client) return { success: false, error: 'Business not found' };
+
+        const sysConfig = await this.getSystemConfig();
+        const plan = PlanCatalog.find(sysConfig, planId);
+        if (!plan) return { success: false, error: 'PLAN_NOT_FOUND', message: 'התוכנית לא קיימת' };
+
+        client.planId = plan.id;
+        if (priceLock) {
+            const locked = PlanCatalog.normalizePlan({ ...plan, ...priceLock, id: plan.id });
+            client.priceLock = { planId: plan.id, minMonthlyPrice: locked.minMonthlyPrice, tiers: locked.tiers, annualDiscountPercent: locked.annualDiscountPercent, lockedAt: new Date().toISOString() };
+        } else if (grandfather) {
+            client.priceLock = { planId: plan.id, minMonthlyPrice: plan.minMonthlyPrice, tiers: plan.tiers, annualDiscountPercent: plan.annualDiscountPercent, lockedAt: new Date().toISOString() };
+        } else {
+            delete client.priceLock;
+        }
+
+        await this.saveClients();
+        this.logMaintenance('BILLING', `Plan of ${client.businessName} set to ${plan.id}${client.priceLock ? ' (price locked)' : ''}`);
+        return { success: true, plan: PlanCatalog.resolve(sysConfig, client) };
+    }
+
+    /**
+     * Before a catalog change: existing clients stay on their current plan (pinned when they were on the
+     * default plan) and keep its current pricing (a price lock is added unless they already have one).
+     * Plans removed from the catalog cannot be kept - retire them with active: false instead.
+     * @returns {Promise<number>} number of clients pinned / locked
+     */
+    async grandfatherPlanPrices(newSysConfig) {
+        const current = await this.getSystemConfig();
+        const next = { ...current, ...newSysConfig };
+        const pricing = (p) => JSON.stringify([p.minMonthlyPrice, p.tiers, p.annualDiscountPercent]);
+        let changed = 0;
+
+        CACHE.clients.forEach(client => {
+            if (client.priceLock) return;
+            const before = PlanCatalog.resolve(current, client);
+            const after = PlanCatalog.resolve(next, { ...client, planId: before.id });
+            if (after.id !== before.id) return;
+
+            const pin = client.planId !== before.id && PlanCatalog.resolve(next, client).id !== before.id;
+            const lock = pricing(before) !== pricing(after);
+            if (!pin && !lock) return;
+
+            client.planId = before.id;
+            if (lock) {
+                client.priceLock = { planId: before.id, minMonthlyPrice: before.minMonthlyPrice, tiers: before.tiers, annualDiscountPercent: before.annualDiscountPercent, lockedAt: new Date().toISOString() };
+            }
+            changed++;
+        });
+
+        if (changed > 0) {
+            await this.saveClients();
+            this.logMaintenance('BILLING', `Grandfathered current plan / pricing for ${changed} client(s) before a catalog change`);
+        }
+        return changed;
+    }
+
+    // --- ACCOUNT CREDIT & COUPONS (BillingCredits) ---
+
+    /**
+     * Balance, ledger (newest first), pending coupon discount and redeemed coupons of a business.
+     */
+    async getAccount(companyId) {
+        const client = await this.getClientById(companyId);
+        if (!client) return null;
+        return {
+            balance: BillingCredits.balance(client),
+            ledger: [...(client.accountLedger || [])].reverse(),
+            pendingDiscount: client.couponDiscount || null,
+            redemptions: client.couponRedemptions || []
+        };
+    }
+
+    /**
+     * Manual credit / debit by the super admin. A debit cannot take the balance below zero -
+     * what the business owes is billed through the subscription, not the ledger.
+     */
+    async adjustAccountBalance(companyId, { type, amount, reason, by = null } = {}) {
+        const client = await this.getClientById(companyId);
+        if (!client) return { success: false, error: 'Business not found' };
+
+        const value = Math.round((parseFloat(amount) || 0) * 100) / 100;
+        if (!['CREDIT', 'DEBIT'].includes(type) || value <= 0) {
+            return { success: false, error: 'INVALID_AMOUNT', message: 'יש לציין סוג פעולה וסכום חיובי' };
+        }
+        if (!String(reason || '').trim()) return { success: false, error: 'REASON_REQUIRED', message: 'יש לציין סיבה' };
+        if (type === 'DEBIT' && value > BillingCredits.balance(client)) {
+            return { success: false, error: 'INSUFFICIENT_CREDIT', message: 'הסכום גבוה מיתרת הזכות' };
+        }
+
+        const entry = BillingCredits.ledgerEntry({ type, amount: value, source: 'MANUAL', reason, by });
+        (client.accountLedger = client.accountLedger || []).push(entry);
+        await this.saveClients();
+        this.logMaintenance('BILLING', `${type === 'CREDIT' ? 'Credited' : 'Debited'} ₪${value} ${type === 'CREDIT' ? 'to' : 'from'} ${client.businessName}: ${entry.reason}`);
+        return { success: true, entry, balance: BillingCredits.balance(client) };
+    }
+
+    /**
+     * Redeems a coupon for a business (usage: 'REGISTRATION' | 'RENEWAL').
+     * AMOUNT / FREE_MONTHS add credit, PERCENT is kept for the next charge. A referral coupon credits the referrer
+     * only after this business's first paid charge (creditReferrals) - a sign-up alone earns nothing.
+     */
+    async redeemCoupon(companyId, code, usage = 'RENEWAL') {
+        const client = await this.getClientById(companyId);
+        if (!client) return { success: false, error: 'Business not found' };
+
+        const sysConfig = await this.getSystemConfig();
+        const plan = PlanCatalog.resolve(sysConfig, client);
+        const monthly = PlanCatalog.monthlyPrice(plan, await this.countUniqueActiveEmployees(companyId));
+
+        // No awaits from the check to the save - two redemptions cannot both pass maxRedemptions
+        const check = BillingCredits.checkCoupon(sysConfig, CACHE.clients, client, code, usage);
+        if (!check.success) return check;
+        const { coupon } = check;
+        const at = new Date().toISOString();
+
+        let entry = null;
+        if (coupon.type === 'PERCENT') {
+            client.couponDiscount = { code: coupon.code, percent: coupon.value, at };
+        } else {
+            const amount = coupon.type === 'FREE_MONTHS' ? monthly * coupon.value : coupon.value;
+            const reason = coupon.type === 'FREE_MONTHS' ? `קופון ${coupon.code}: ${coupon.value} חודשים חינם` : `קופון ${coupon.code}`;
+            entry = BillingCredits.ledgerEntry({ type: 'CREDIT', amount, source: 'COUPON', reason, couponCode: coupon.code });
+            (client.accountLedger = client.accountLedger || []).push(entry);
+        }
+        const referral = coupon.referrerCompanyId && coupon.referrerCredit > 0
+            ? { companyId: coupon.referrerCompanyId, credit: coupon.referrerCredit, creditedAt: null }
+            : null;
+        (client.couponRedemptions = client.couponRedemptions || []).push({ code: coupon.code, at, usage, ...(referral ? { referral } : {}) });
+
+        await this.saveClients();
+        this.logMaintenance('BILLING', `Coupon ${coupon.code} redeemed by ${client.businessName} (${usage})${referral ? ` - referrer ${referral.companyId} is credited ₪${referral.credit} after the first paid charge` : ''}`);
+        return {
+            success: true,
+            coupon: { code: coupon.code, type: coupon.type, value: coupon.value, description: coupon.description },
+            credited: entry ? entry.amount : 0,
+            pendingDiscount: client.couponDiscount || null,
+            balance: BillingCredits.balance(client)
+        };
+    }
+
+    /**
+     * After a paid charge: credits the referrers of this business's referral coupons that were not credited yet.
+     * Mutates the live clients - the caller saves the clients.
+     */
+    creditReferrals(client, reference = null) {
+        (client.couponRedemptions || []).forEach(r => {
+            if (!r.referral || r.referral.creditedAt) return;
+            const referrer = this.getClientById(r.referral.companyId);
+            if (!referrer) return;
+            (referrer.accountLedger = referrer.accountLedger || []).push(BillingCredits.ledgerEntry({
+                type: 'CREDIT', amount: r.referral.credit, source: 'REFERRAL',
+                reason: `הפניה: ${client.businessName || client.id}`, couponCode: r.code, reference: reference || client.id
+            }));
+            r.referral.creditedAt = new Date().toISOString();
+            this.logMaintenance('BILLING', `Referrer ${referrer.id} credited ₪${r.referral.credit} for ${client.businessName} (${r.code})`);
+        });
+    }
+
+    /**
+     * After a renewal went through: debits the credit calculateSubscriptionAmount applied and uses up the
+     * coupon discount. Mutates the live client - the caller saves the clients.
+     */
+    consumeCredit(client, billing, reference = null) {
+        const breakdown = billing?.breakdown || {};
+        if (breakdown.creditApplied > 0) {
+            (client.accountLedger = client.accountLedger || []).push(BillingCredits.ledgerEntry({
+                type: 'DEBIT', amount: breakdown.creditApplied, source: 'CHARGE', reason: 'קיזוז מחיוב מנוי', reference
+            }));
+        }
+        if (breakdown.discountCode && client.couponDiscount?.code === breakdown.discountCode) {
+            delete client.couponDiscount;
+        }
+    }
+
+    /**
+     * Paid checkout of a catalog plan for a number of months (see quotePlan for the price).
+     * The client moves to the purchased plan; a price lock on another plan is dropped.
+     */
+    async extendSubscription(companyId, planId, price, paymentMethod = null, months = 1) {
         const client = await this.getClientById(companyId);
         if (!client) throw new Error("Company not found");
 
         const systemConfig = await this.getSystemConfig();
-        // Plans are stored under tranzilaPlans key in system_config.json
-        const plan = (systemConfig.tranzilaPlans || systemConfig.plans)?.find(p => String(p.id) === String(planId));
-        if (!plan) throw new Error(`Plan not found: id=${planId}. Available plans: ${JSON.stringify((systemConfig.tranzilaPlans || systemConfig.plans || []).map(p => p.id))}`);
+        const plan = PlanCatalog.find(systemConfig, planId);
+        if (!plan) throw new Error(`Plan not found: id=${planId}. Available plans: ${JSON.stringify(PlanCatalog.plans(systemConfig).map(p => p.id))}`);
 
-        const monthsToAdd = plan.months || 1;
+        const monthsToAdd = Math.max(1, parseInt(months) || 1);
+        if (client.planId !== plan.id) {
+            client.planId = plan.id;
+            if (client.priceLock && client.priceLock.planId !== plan.id) delete client.priceLock;
+        }
         const now = new Date();
         let currentExpiry = this.parseExpiryDate(client.subscriptionExpiry || client.expiryDate);
 
@@ -3008,8 +3870,9 @@ class DataManager {
         client.paymentHistory.push({
             date: new Date().toISOString(),
             amount: price,
-            currency: plan.currency,
+            currency: 'ILS',
             period: monthsToAdd,
+            description: `${plan.name} - ${monthsToAdd} חודשים`,
             method: 'Tranzila',
             reference: `PLAN-${planId}-${Date.now()}`,
             status: 'PAID'
@@ -3118,6 +3981,17 @@ class DataManager {
 
         const currentPeriodKey = `${il.year}-${String(il.month).padStart(2, '0')}`;
 
+        // Charge attempts a crash left PENDING: the card may have been charged - flagged for super-admin review
+        const flagged = CACHE.clients.reduce((n, c) => n + this.reconcileChargeAttempts(c), 0);
+        if (flagged > 0) await this.saveClients();
+
+        // Dunning: due retries, escalation emails and the final block run on every scan, not only on billing day
+        try {
+            results.dunning = await require('./DunningService').processDue();
+        } catch (e) {
+            this.logMaintenance('ERROR', `Dunning cycle failed: ${e.message}`);
+        }
+
         for (const client of CACHE.clients) {
             try {
                 const expiry = this.parseExpiryDate(client.subscriptionExpiry);
@@ -3183,86 +4057,27 @@ class DataManager {
                         continue;
                     }
 
-                    // Execute charge
-                    const billing = await this.calculateSubscriptionAmount(client.id);
-                    const amount = billing.amount;
-
-                    if (amount < 1) {
+                    // A failed charge is retried by the dunning schedule (DunningService), not on every hourly scan
+                    if (client.dunning && client.dunning.status !== 'RECOVERED') {
                         results.skipped++;
                         continue;
                     }
 
-                    const pMethod = this.normalizePaymentMethod(client.paymentMethod || {});
-                    const mm = String(pMethod.expMonth || pMethod.expmonth || '01').padStart(2, '0').slice(-2);
-                    const yy = String(pMethod.expYear || pMethod.expyear || '26').slice(-2);
-                    const bizConfig = await this.getCompanyConfig(client.id);
-                    const invoiceName = bizConfig.invoiceDetails || client.invoiceDetails || client.businessName;
-                    const activeCount = billing.breakdown?.employeeCount || 0;
-                    const appName = sysConfig.appName || 'TempusGeo';
-                    const pdesc = activeCount === 0 ? `מנוי ${appName}` : `${appName} - ${activeCount} עובדים`;
-
-                    this.logMaintenance('BILLING', `🔄 Charging ${client.businessName} ₪${amount}`);
-
-                    const chargeRes = await tranzilaService.chargeToken({
-                        supplier: sysConfig.tranzilaTerminal,
-                        TranzilaPW: sysConfig.tranzilaPass,
-                        TranzilaTK: pMethod.token,
-                        sum: amount,
-                        currency: 1,
-                        pdesc,
-                        expmonth: mm,
-                        expyear: yy,
-                        myid: pMethod.cardHolderId || pMethod.myid || '',
-                        company: invoiceName,
-                        email: client.email,
-                        contact: client.businessName || '',
-                        mycvv: pMethod.cvv || pMethod.mycvv || ''
-                    });
-
-                    if (chargeRes.success) {
-                        // Extend expiry by 1 month from current expiry (or from now if expired)
-                        const baseExpiry = (expiryMs < nowMs) ? new Date() : expiry;
-                        const newExpiry = new Date(baseExpiry.getFullYear(), baseExpiry.getMonth() + 1, 1, 4, 0, 0, 0);
-                        client.subscriptionExpiry = newExpiry.toISOString();
-                        client.billingFailed = false;
-
-                        if (!client.paymentHistory) client.paymentHistory = [];
-                        client.paymentHistory.push({
-                            date: new Date().toLocaleDateString('he-IL'),
-                            fullDate: new Date().toISOString(),
-                            amount,
-                            currency: 'ILS',
-                            period: currentPeriodKey,
-                            method: 'Auto-Charge (Tranzila)',
-                            description: `חיוב אוטומטי חודשי - ${currentPeriodKey}`,
-                            status: 'PAID',
-                            statusDisplayName: 'שולם אוטומטית',
-                            reference: chargeRes.confirmationCode || 'AUTO'
-                        });
-
-                        await this.saveClients();
-                        this.reportPaymentToGAS(amount).catch(console.error);
-                        this.logMaintenance('BILLING', `✅ Charged ${client.businessName} ₪${amount} — new expiry: ${newExpiry.toLocaleDateString('he-IL')}`);
-                        results.charged++;
-
-                        // Email success
-                        emailService.sendPaymentSuccessNotification(client.email, {
-                            businessName: client.businessName,
-                            amount,
-                            newExpiry: newExpiry.toLocaleDateString('he-IL')
-                        }).catch(console.error);
+                    // An uncertain charge is resolved by a super admin (resolveChargeAttempt), never charged again blindly
+                    if (this.openChargeAttempts(client).length > 0) {
+                        results.skipped++;
+                        continue;
+                    }
 
+                    const charge = await this.chargeSubscription(client, { periodKey: currentPeriodKey, sysConfig });
+                    if (charge.success) {
+                        if (charge.outcome === 'NOTHING_DUE' || charge.outcome === 'ALREADY_CHARGED') results.skipped++;
+                        else results.charged++;
                     } else {
-                        client.billingFailed = true;
-                        await this.saveClients();
-                        this.logMaintenance('BILLING', `❌ Charge FAILED for ${client.businessName}: ${chargeRes.raw}`);
-                        results.failures.push({ name: client.businessName, error: chargeRes.raw });
-
-                        emailService.sendPaymentFailedNotification(client.email, {
-                            businessName: client.businessName,
-                            amount,
-                            error: chargeRes.raw
-                        }).catch(console.error);
+                        results.failures.push({ name: client.businessName, error: charge.error });
+                        if (charge.outcome === 'DECLINED') {
+                            await require('./DunningService').start(client, { period: currentPeriodKey, amount: charge.amount, error: charge.error });
+                        }
                     }
 
                 } else if (isBillingDay && !client.autoChargeEnabled) {
@@ -3307,6 +4122,392 @@ class DataManager {
         return results;
     }
 
+    /**
+     * Charges the stored card for what calculateSubscriptionAmount says is due. When the charge is approved
+     * (or account credit covers it) the subscription runs to the 1st of the next month and the payment is
+     * recorded with its invoice-receipt and success email. A decline only sets billingFailed - what follows
+     * (dunning) is up to the caller. The card is charged through chargeWithAttempt, so a period that was already
+     * charged is not charged again and a charge Tranzila never answered comes back UNCERTAIN, not DECLINED.
+     * @returns {Promise<Object>} { success, outcome: 'CHARGED'|'CREDIT'|'NOTHING_DUE'|'ALREADY_CHARGED'|'DECLINED'|'UNCERTAIN'|'NEEDS_REVIEW',
+     *                              amount, newExpiry, reference, attemptKey, error }
+     */
+    async chargeSubscription(client, { periodKey, sysConfig = null, description = null, source = 'BILLING_DAY' } = {}) {
+        return this.chargeLocks.run(String(client.id), async () => {
+            const charged = (client.paymentAttempts || []).find(a => a.period === periodKey && a.source !== 'SUPER_ADMIN'
+                && (a.status === CHARGE_ATTEMPT_STATUS.SUCCEEDED || a.status === CHARGE_ATTEMPT_STATUS.RESOLVED_CHARGED));
+            if (charged) {
+                this.logMaintenance('BILLING', `⏭️ ${periodKey} already charged for ${client.businessName} (${charged.key})`);
+                return { success: true, outcome: 'ALREADY_CHARGED', amount: 0, reference: charged.confirmationCode, attemptKey: charged.key };
+            }
+
+            sysConfig = sysConfig || await this.getSystemConfig();
+            const billing = await this.calculateSubscriptionAmount(client.id);
+            const amount = billing.amount;
+
+            if (amount < 1) {
+                if ((billing.breakdown?.grossAmount || 0) < 1) return { success: true, outcome: 'NOTHING_DUE', amount: 0 };
+
+                // Covered by account credit / a coupon discount: renew without charging the card
+                const newExpiry = this.advanceSubscriptionMonth(client);
+                const reference = `CREDIT-${periodKey}`;
+                client.paymentHistory.push({
+                    date: new Date().toLocaleDateString('he-IL'),
+                    fullDate: new Date().toISOString(),
+                    amount: 0,
+                    currency: 'ILS',
+                    period: periodKey,
+                    method: 'Account Credit',
+                    description: `חידוש מיתרת זכות - ${periodKey} (₪${billing.breakdown.creditApplied})`,
+                    status: 'PAID',
+                    statusDisplayName: 'שולם מיתרת זכות',
+                    reference
+                });
+                this.consumeCredit(client, billing, reference);
+
+                await this.saveClients();
+                this.logMaintenance('BILLING', `💳 Renewed ${client.businessName} from account credit (₪${billing.breakdown.creditApplied}) — new expiry: ${newExpiry.toLocaleDateString('he-IL')}`);
+                return { success: true, outcome: 'CREDIT', amount: 0, newExpiry, reference };
+            }
+
+            const pMethod = this.normalizePaymentMethod(client.paymentMethod || {});
+            const mm = String(pMethod.expMonth || pMethod.expmonth || '01').padStart(2, '0').slice(-2);
+            const yy = String(pMethod.expYear || pMethod.expyear || '26').slice(-2);
+            const bizConfig = await this.getCompanyConfig(client.id);
+            const invoiceName = bizConfig.invoiceDetails || client.invoiceDetails || client.businessName;
+            const activeCount = billing.breakdown?.employeeCount || 0;
+            const appName = sysConfig.appName || 'TempusGeo';
+            const pdesc = activeCount === 0 ? `מנוי ${appName}` : `${appName} - ${activeCount} עובדים`;
+
+            this.logMaintenance('BILLING', `🔄 Charging ${client.businessName} ₪${amount}`);
+
+            // What recording the payment needs, kept on the attempt in case a super admin records it after a review
+            const settlement = {
+                description: description || `חיוב אוטומטי חודשי - ${periodKey}`,
+                employeeCount: activeCount,
+                creditApplied: billing.breakdown?.creditApplied || 0,
+                discountCode: billing.breakdown?.discountCode || null
+            };
+            const charge = await this.chargeWithAttempt(client, { period: periodKey, amount, source, settlement }, {
+                supplier: sysConfig.tranzilaTerminal,
+                TranzilaPW: sysConfig.tranzilaPass,
+                TranzilaTK: pMethod.token,
+                sum: amount,
+                currency: 1,
+                pdesc,
+                expmonth: mm,
+                expyear: yy,
+                myid: pMethod.cardHolderId || pMethod.myid || '',
+                company: invoiceName,
+                email: client.email,
+                contact: client.businessName || '',
+                mycvv: pMethod.cvv || pMethod.mycvv || ''
+            });
+            const attemptKey = charge.attempt.key;
+
+            if (charge.outcome === 'UNCERTAIN' || charge.outcome === 'NEEDS_REVIEW') {
+                return { success: false, outcome: charge.outcome, amount, attemptKey, error: charge.error };
+            }
+            if (charge.outcome === 'DECLINED') {
+                client.billingFailed = true;
+                await this.saveClients();
+                this.logMaintenance('BILLING', `❌ Charge FAILED for ${client.businessName}: ${charge.error}`);
+                return { success: false, outcome: 'DECLINED', amount, attemptKey, error: charge.error };
+            }
+
+            const { newExpiry, payment } = await this.recordSubscriptionCharge(client, {
+                periodKey, amount, settlement, reference: charge.chargeRes.confirmationCode || 'AUTO'
+            });
+            return { success: true, outcome: 'CHARGED', amount, newExpiry, reference: payment.reference, attemptKey };
+        });
+    }
+
+    /**
+     * Extends the subscription by 1 month from the current expiry (or from now if expired), to the 1st at 04:00.
+     * Mutates the live client - the caller saves the clients.
+     */
+    advanceSubscriptionMonth(client) {
+        const expiry = this.parseExpiryDate(client.subscriptionExpiry);
+        const baseExpiry = (expiry.getTime() < Date.now()) ? new Date() : expiry;
+        const newExpiry = new Date(baseExpiry.getFullYear(), baseExpiry.getMonth() + 1, 1, 4, 0, 0, 0);
+        client.subscriptionExpiry = newExpiry.toISOString();
+        client.billingFailed = false;
+        if (!client.paymentHistory) client.paymentHistory = [];
+        return newExpiry;
+    }
+
+    /**
+     * Records an automatic subscription charge that went through: one more month, the payment with its
+     * invoice-receipt, the credit / discount it used (settlement), pending referral credits, the GAS report and the success email.
+     * @returns {Promise<Object>} { newExpiry, payment }
+     */
+    async recordSubscriptionCharge(client, { periodKey, amount, settlement, reference }) {
+        const newExpiry = this.advanceSubscriptionMonth(client);
+        const payment = {
+            date: new Date().toLocaleDateString('he-IL'),
+            fullDate: new Date().toISOString(),
+            amount,
+            currency: 'ILS',
+            period: periodKey,
+            method: 'Auto-Charge (Tranzila)',
+            description: `${settlement.description}${settlement.creditApplied > 0 ? ` (בניכוי ₪${settlement.creditApplied} מיתרת זכות)` : ''}`,
+            status: 'PAID',
+            statusDisplayName: 'שולם אוטומטית',
+            reference
+        };
+        client.paymentHistory.push(payment);
+        this.consumeCredit(client, { breakdown: settlement }, payment.reference);
+        if (amount > 0) this.creditReferrals(client, payment.reference);
+        const document = await billingDocumentService.issueForPayment(client, payment);
+
+        await this.saveClients();
+        this.reportPaymentToGAS(amount).catch(console.error);
+        this.logMaintenance('BILLING', `✅ Charged ${client.businessName} ₪${amount} — new expiry: ${newExpiry.toLocaleDateString('he-IL')}`);
+
+        emailService.sendPaymentSuccessNotification(client.email, {
+            companyId: client.id,
+            businessName: client.businessName,
+            amount,
+            activeEmployees: settlement.employeeCount,
+            newExpiry: newExpiry.toLocaleDateString('he-IL'),
+            document
+        }).catch(console.error);
+
+        return { newExpiry, payment };
+    }
+
+    // --- CARD CHARGE ATTEMPTS ---
+    // client.paymentAttempts: [{ key: '<companyId>:<period>:<n>', period, attempt, amount, source: 'BILLING_DAY'|'DUNNING'|'SUPER_ADMIN',
+    //   status (CHARGE_ATTEMPT_STATUS), createdAt, updatedAt, responseCode, confirmationCode, transactionIndex, error,
+    //   settlement, review: { at, by, resolution, reference, note } }]
+
+    /**
+     * Attempts that still block charging the client: PENDING (Tranzila call running, or cut off by a crash) and UNCERTAIN.
+     */
+    openChargeAttempts(client) {
+        return (client?.paymentAttempts || []).filter(a =>
+            a.status === CHARGE_ATTEMPT_STATUS.PENDING || a.status === CHARGE_ATTEMPT_STATUS.UNCERTAIN);
+    }
+
+    /**
+     * A PENDING attempt whose Tranzila call is not running in this process was cut off (crash / restart) after it
+     * was written - the card may have been charged, so it becomes UNCERTAIN. Mutates the live client - the caller saves.
+     * @returns {number} attempts flagged
+     */
+    reconcileChargeAttempts(client) {
+        let flagged = 0;
+        (client?.paymentAttempts || []).forEach(a => {
+            if (a.status !== CHARGE_ATTEMPT_STATUS.PENDING || this.chargesInFlight.has(a.key)) return;
+            Object.assign(a, {
+                status: CHARGE_ATTEMPT_STATUS.UNCERTAIN,
+                updatedAt: new Date().toISOString(),
+                error: a.error || 'החיוב נקטע לפני שנרשמה תשובת טרנזילה'
+            });
+            this.logMaintenance('ERROR', `⚠️ Charge attempt ${a.key} of ${client.businessName} (₪${a.amount}) was interrupted — flagged for review`);
+            flagged++;
+        });
+        return flagged;
+    }
+
+    /**
+     * Charges a stored card token, with the attempt written to disk first under an idempotency key
+     * (<companyId>:<period>:<n>). Tranzila's answer settles it: Response 000 is SUCCEEDED, any other Response
+     * DECLINED, and no answer at all (timeout, network error, unreadable reply) UNCERTAIN. While the client has
+     * an open attempt nothing is charged (NEEDS_REVIEW) - a super admin resolves it (resolveChargeAttempt).
+     *
+     * The caller holds chargeLocks for the client. A SUCCEEDED attempt is only changed in memory: the caller
+     * saves it together with the payment record, so a crash in between leaves it PENDING on disk.
+     * @returns {Promise<Object>} { outcome: 'SUCCEEDED'|'DECLINED'|'UNCERTAIN'|'NEEDS_REVIEW', attempt, chargeRes, error }
+     */
+    async chargeWithAttempt(client, { period, amount, source, settlement = null }, chargeParams) {
+        if (this.reconcileChargeAttempts(client) > 0) await this.saveClients();
+        const open = this.openChargeAttempts(client);
+        if (open.length > 0) {
+            return { outcome: 'NEEDS_REVIEW', attempt: open[0], error: `ניסיון החיוב ${open[0].key} ממתין לבדיקה - לא ניתן לחייב שוב עד לבירורו` };
+        }
+
+        const attempts = client.paymentAttempts = client.paymentAttempts || [];
+        const n = attempts.filter(a => a.period === period).reduce((max, a) => Math.max(max, a.attempt || 0), 0) + 1;
+        const now = new Date().toISOString();
+        const attempt = {
+            key: `${client.id}:${period}:${n}`,
+            period,
+            attempt: n,
+            amount,
+            source,
+            status: CHARGE_ATTEMPT_STATUS.PENDING,
+            createdAt: now,
+            updatedAt: now,
+            responseCode: null,
+            confirmationCode: null,
+            transactionIndex: null,
+            error: null,
+            settlement,
+            review: null
+        };
+        attempts.push(attempt);
+        this.trimChargeAttempts(client);
+
+        // On disk before Tranzila is called - if the save fails nothing is charged
+        this.chargesInFlight.add(attempt.key);
+        let chargeRes;
+        try {
+            await this.saveClients();
+        } catch (e) {
+            this.chargesInFlight.delete(attempt.key);
+            client.paymentAttempts = client.paymentAttempts.filter(a => a !== attempt);
+            throw e;
+        }
+        try {
+            chargeRes = await tranzilaService.chargeToken(chargeParams);
+        } catch (e) {
+            chargeRes = { success: false, error: e.message };
+        } finally {
+            this.chargesInFlight.delete(attempt.key);
+        }
+
+        const responseCode = chargeRes?.data?.Response ? String(chargeRes.data.Response) : null;
+        Object.assign(attempt, { updatedAt: new Date().toISOString(), responseCode });
+
+        if (chargeRes?.success) {
+            Object.assign(attempt, {
+                status: CHARGE_ATTEMPT_STATUS.SUCCEEDED,
+                confirmationCode: chargeRes.confirmationCode || null,
+                transactionIndex: chargeRes.index || null
+            });
+            return { outcome: attempt.status, attempt, chargeRes };
+        }
+
+        const error = String(chargeRes?.raw || chargeRes?.error || 'Bank decline').slice(0, 300);
+        attempt.error = error;
+        attempt.status = responseCode ? CHARGE_ATTEMPT_STATUS.DECLINED : CHARGE_ATTEMPT_STATUS.UNCERTAIN;
+        await this.saveClients();
+
+        if (attempt.status === CHARGE_ATTEMPT_STATUS.UNCERTAIN) {
+            this.logMaintenance('ERROR', `⚠️ No answer from Tranzila for ${attempt.key} of ${client.businessName} (₪${amount}): ${error} — flagged for review`);
+            return {
+                outcome: attempt.status, attempt, chargeRes,
+                error: `לא התקבלה תשובה מטרנזילה וייתכן שהכרטיס חויב - ניסיון החיוב ${attempt.key} סומן לבדיקה`
+            };
+        }
+        return { outcome: attempt.status, attempt, chargeRes, error };
+    }
+
+    /**
+     * Keeps the newest MAX_CHARGE_ATTEMPTS_KEPT attempts; open ones are never dropped.
+     */
+    trimChargeAttempts(client) {
+        let excess = (client.paymentAttempts || []).length - MAX_CHARGE_ATTEMPTS_KEPT;
+        if (excess <= 0) return;
+        const open = new Set(this.openChargeAttempts(client));
+        client.paymentAttempts = client.paymentAttempts.filter(a => {
+            if (excess > 0 && !open.has(a)) {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Charge attempts across businesses, newest first. Without a status: the open ones of every business,
+     * or all the attempts of one business.
+     */
+    listChargeAttempts({ companyId = null, status = null } = {}) {
+        const statuses = status ? [].concat(status) : (companyId ? null : [CHARGE_ATTEMPT_STATUS.PENDING, CHARGE_ATTEMPT_STATUS.UNCERTAIN]);
+        return CACHE.clients
+            .filter(c => !companyId || c.id === companyId)
+            .flatMap(c => {
+                this.reconcileChargeAttempts(c);
+                return (c.paymentAttempts || [])
+                    .filter(a => !statuses || statuses.includes(a.status))
+                    .map(a => ({ ...a, companyId: c.id, businessName: c.businessName }));
+            })
+            .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    }
+
+    /**
+     * Super-admin decision on an UNCERTAIN attempt, after checking the transaction in the Tranzila console.
+     * CHARGED records the payment the attempt was for (a subscription charge also extends the subscription and
+     * closes its dunning); NOT_CHARGED releases the client for charging again - a billing-day charge goes on the
+     * dunning retry schedule rather than being charged right away.
+     * @param {Object} opts - { resolution: 'CHARGED'|'NOT_CHARGED', reference (Tranzila confirmation), note, by }
+     */
+    async resolveChargeAttempt(companyId, key, { resolution, reference = null, note = null, by = 'superadmin' } = {}) {
+        return this.chargeLocks.run(String(companyId), async () => {
+            const client = this.getClientById(companyId);
+            if (!client) return { success: false, error: 'Business not found' };
+
+            this.reconcileChargeAttempts(client);
+            const attempt = (client.paymentAttempts || []).find(a => a.key === key);
+            if (!attempt) return { success: false, error: 'ATTEMPT_NOT_FOUND', message: 'ניסיון החיוב לא נמצא' };
+            if (attempt.status !== CHARGE_ATTEMPT_STATUS.UNCERTAIN) {
+                return { success: false, error: 'ATTEMPT_NOT_UNCERTAIN', message: 'ניסיון החיוב אינו ממתין לבדיקה' };
+            }
+            if (resolution !== 'CHARGED' && resolution !== 'NOT_CHARGED') {
+                return { success: false, error: 'INVALID_RESOLUTION', message: 'יש לציין אם הכרטיס חויב (CHARGED) או לא (NOT_CHARGED)' };
+            }
+
+            const charged = resolution === 'CHARGED';
+            const at = new Date().toISOString();
+            Object.assign(attempt, {
+                status: charged ? CHARGE_ATTEMPT_STATUS.RESOLVED_CHARGED : CHARGE_ATTEMPT_STATUS.RESOLVED_NOT_CHARGED,
+                updatedAt: at,
+                confirmationCode: attempt.confirmationCode || (charged && reference ? String(reference) : null),
+                review: { at, by, resolution, reference: reference || null, note: note ? String(note).slice(0, 300) : null }
+            });
+
+            let recorded = null;
+            let message = charged ? 'החיוב נרשם' : 'ניסיון החיוב סומן כלא בוצע';
+            if (charged && attempt.source === 'SUPER_ADMIN') {
+                // An on-demand charge: the payment is recorded, what it pays for is up to the super admin (record payment without charging)
+                const payment = {
+                    date: new Date().toLocaleDateString('he-IL'),
+                    fullDate: at,
+                    amount: attempt.amount,
+                    currency: 'ILS',
+                    period: attempt.period,
+                    method: 'Credit Card (Saved)',
+                    reference: `TRZ-${attempt.confirmationCode || attempt.key}`,
+                    description: 'סליקת כרטיס שמור (אושרה בבדיקה)',
+                    status: 'PAID',
+                    statusDisplayName: 'שולם',
+                    isGodAction: true
+                };
+                client.paymentHistory = client.paymentHistory || [];
+                client.paymentHistory.push(payment);
+                await billingDocumentService.issueForPayment(client, payment);
+                await this.saveClients();
+                this.reportPaymentToGAS(attempt.amount).catch(console.error);
+                recorded = { payment, newExpiry: null };
+                message = 'התשלום נרשם - תוקף המנוי לא עודכן';
+            } else if (charged) {
+                recorded = await this.recordSubscriptionCharge(client, {
+                    periodKey: attempt.period,
+                    amount: attempt.amount,
+                    settlement: attempt.settlement || { description: `חיוב אוטומטי חודשי - ${attempt.period}`, creditApplied: 0 },
+                    reference: attempt.confirmationCode || `REVIEW-${attempt.key}`
+                });
+                require('./DunningService').resolve(client, 'REVIEW');
+                await this.saveClients();
+            } else {
+                await this.saveClients();
+                if (attempt.source === 'BILLING_DAY' && !(client.dunning && client.dunning.status !== 'RECOVERED')) {
+                    await require('./DunningService').start(client, { period: attempt.period, amount: attempt.amount, error: attempt.error });
+                    message = 'ניסיון החיוב סומן כלא בוצע - החיוב יבוצע שוב לפי לוח הניסיונות החוזרים';
+                }
+            }
+
+            this.logMaintenance('BILLING', `🔎 Charge attempt ${key} of ${client.businessName} resolved: ${resolution} (${by})`);
+            return {
+                success: true,
+                message,
+                attempt,
+                newExpiry: recorded?.newExpiry || null,
+                documentNumber: recorded?.payment.documentNumber || null
+            };
+        });
+    }
+
     /**
      * Legacy checkSubscriptions — kept for backward compat with the hourly setInterval.
      * Now delegates to processAllSubscriptions().
@@ -3390,8 +4591,11 @@ class DataManager {
         // 3. System-wide auto-renewal is tied to the same credentials
         const globalAutoRenewal = globalAutoBilling;
 
+        // A failed charge in dunning is retried on the dunning schedule only
+        const inDunning = !isManual && client.dunning && client.dunning.status !== 'RECOVERED';
+
         // Perform charge only if imminent/expired OR manual, AND has token, AND billing is globally enabled (or manual bypass)
-        if ((isImminentOrExpired || shouldForce) && client.paymentMethod?.token && (globalAutoBilling || isManual)) {
+        if ((isImminentOrExpired || shouldForce) && !inDunning && client.paymentMethod?.token && (globalAutoBilling || isManual)) {
             const bizConfig = await this.getCompanyConfig(client.id);
             const activeCount = await this.countUniqueActiveEmployees(client.id);
             const subRes = await this.calculateSubscriptionAmount(client.id);
@@ -3421,7 +4625,10 @@ class DataManager {
 
                 // CRITICAL: All required fields must be sent to Tranzila.
                 // mycvv is mandatory — without it Tranzila returns error 004 (CVV required).
-                chargeRes = await tranzilaService.chargeToken({
+                const period = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+                const charge = await this.chargeLocks.run(String(client.id), () => this.chargeWithAttempt(client, {
+                    period, amount, source: isManual ? 'SUPER_ADMIN' : 'BILLING_DAY'
+                }, {
                     supplier: sysConfig.tranzilaTerminal,
                     TranzilaPW: sysConfig.tranzilaPass,
                     sum: amount,
@@ -3435,14 +4642,15 @@ class DataManager {
                     email: client.email,
                     contact: client.businessName || '',
                     mycvv: pMethod.cvv || pMethod.mycvv || ''
-                });
+                }));
+                chargeRes = charge.chargeRes && charge.outcome !== 'UNCERTAIN' ? charge.chargeRes : { success: false, raw: charge.error };
             }
 
             if (chargeRes.success) {
                 this.logMaintenance('BILLING', `✅ Automated Payment approved for ${client.businessName} (₪${amount})`);
                 
                 // Use the shared renewal logic which is now the source of truth
-                await this.renewSubscription(client.id);
+                await this.renewSubscription(client.id, { method: 'Auto-Charge (Tranzila)', reference: chargeRes.confirmationCode });
                 res.charged = true;
                 res.confirmCode = chargeRes.confirmationCode;
             } else {
@@ -3455,6 +4663,7 @@ class DataManager {
                 // Alert client in case of automated failure
                 if (!isManual) {
                     emailService.sendPaymentFailedNotification(client.email, {
+                        companyId: client.id,
                         businessName: client.businessName,
                         amount: amount,
                         error: res.error
@@ -3499,9 +4708,8 @@ class DataManager {
             }
         }
 
-        // Return status for API/UI
-        if (hoursLeft <= -48) res.expired = true; // Hard block after 48h
-        else if (hoursLeft <= 0) res.expired = false; // Only soft expiry/grace
+        // Return status for API/UI (hard block after the grace period / a failed dunning)
+        res.expired = this.subscriptionAccess(client, now).isExpired;
 
         return res;
     }
@@ -3526,27 +4734,6 @@ class DataManager {
         }
     }
 
-    async getGASLogs(category = 'EMAILS') {
-        const gasUrl = config.GAS_COLD_STORAGE_URL;
-        if (!gasUrl) return { success: false, error: 'GAS URL not configured' };
-
-        try {
-            const response = await axios.post(gasUrl, {
-                action: 'GET_LOGS',
-                category: category,
-                limit: 100
-            }, { timeout: 15000 });
-
-            if (response.data && response.data.success) {
-                return { success: true, logs: response.data.logs || [] };
-            }
-            return { success: false, error: response.data?.error || 'Failed to fetch logs from GAS' };
-        } catch (e) {
-            console.error('[DataManager] getGASLogs Error:', e.message);
-            return { success: false, error: e.message };
-        }
-    }
-
     async deletePaymentRecord(companyId, index) {
         const client = await this.getClientById(companyId);
         if (!client) throw new Error("Client not found");
@@ -3578,6 +4765,10 @@ class DataManager {
         }
 
         try {
+            // Storage records (clients, configs, shifts...) are read through the active backend
+            const record = await this.storage.readDocument(safeName);
+            if (record !== undefined && record !== null) return record;
+
             const data = await fs.readFile(filePath, 'utf8');
             try {
                 return JSON.parse(data);
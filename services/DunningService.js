@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const config = require('../config');
+const dataManager = require('./DataManager');
+const authService = require('./AuthService');
+const emailService = require('./EmailService');
+const tranzilaService = require('./TranzilaService');
+const KeyedMutex = require('./KeyedMutex');
+
+const DEFAULT_RETRY_DAYS = [1, 3, 7];
+const MAX_RETRY_DAY = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * DunningService
+ * What follows a declined billing-day charge: the stored card is retried on the days of the schedule
+ * (system config dunningRetryDays, counted from the first failure), every failure sends a more urgent
+ * email with a "recover subscription" link, and a failed last retry blocks the business
+ * (DataManager.subscriptionAccess). Until then the business stays in grace.
+ *
+ * State per client (client.dunning):
+ * { id, status: 'ACTIVE'|'RECOVERED'|'BLOCKED', period, amount, startedAt, retryDays,
+ *   attempts: [{ at, amount, success, error, reference, by: 'BILLING_DAY'|'SCHEDULE'|'NEW_CARD'|'SUPER_ADMIN' }],
+ *   nextRetryAt, blockAt, blockedAt, recoveredAt, recoveredBy }
+ * A retry is written down (success: null) before the card is charged, so a crash or a concurrent scan
+ * cannot charge the same slot twice. Only scheduled retries use up the schedule; a retry Tranzila never
+ * answered (uncertain: true) gives its slot back and the schedule waits for the super-admin review.
+ *
+ * The recovery link carries a signed token (typ 'recovery') bound to one dunning; a new card entered on
+ * that page is tokenized, saved as the payment method and charged at once.
+ */
+class DunningService {
+    constructor() {
+        this.locks = new KeyedMutex();
+    }
+
+    /**
+     * Validates a retry schedule (array or "1,3,7"). Throws with a Hebrew message on bad input.
+     */
+    normalizeRetryDays(input) {
+        const raw = Array.isArray(input) ? input : String(input ?? '').split(',');
+        const days = raw.map(d => String(d).trim()).filter(Boolean).map(d => parseInt(d));
+        if (days.length === 0) throw new Error('יש להגדיר לפחות ניסיון חיוב חוזר אחד');
+        if (days.some(d => !(d >= 1 && d <= MAX_RETRY_DAY))) throw new Error(`ימי ניסיון חוזר חייבים להיות בין 1 ל-${MAX_RETRY_DAY}`);
+        return [...new Set(days)].sort((a, b) => a - b);
+    }
+
+    retryDays(sysConfig) {
+        if (sysConfig?.dunningRetryDays === undefined || sysConfig.dunningRetryDays === null) return DEFAULT_RETRY_DAYS;
+        try {
+            return this.normalizeRetryDays(sysConfig.dunningRetryDays);
+        } catch (e) {
+            console.error(`[Dunning] Ignoring invalid dunningRetryDays: ${e.message}`);
+            return DEFAULT_RETRY_DAYS;
+        }
+    }
+
+    scheduledRetries(dunning) {
+        return dunning.attempts.filter(a => a.by === 'SCHEDULE' && !a.uncertain).length;
+    }
+
+    /**
+     * Recomputes nextRetryAt from the scheduled retries already made (null when the schedule is used up).
+     */
+    schedule(dunning) {
+        const started = new Date(dunning.startedAt).getTime();
+        const made = this.scheduledRetries(dunning);
+        dunning.nextRetryAt = made < dunning.retryDays.length
+            ? new Date(started + dunning.retryDays[made] * DAY_MS).toISOString()
+            : null;
+        dunning.blockAt = new Date(started + dunning.retryDays[dunning.retryDays.length - 1] * DAY_MS).toISOString();
+    }
+
+    /**
+     * Opens a dunning for a client whose billing-day charge was just declined and sends the first email.
+     */
+    async start(client, { period, amount, error }) {
+        const sysConfig = await dataManager.getSystemConfig();
+        const now = new Date().toISOString();
+
+        client.dunning = {
+            id: crypto.randomBytes(6).toString('hex'),
+            status: 'ACTIVE',
+            period,
+            amount,
+            startedAt: now,
+            retryDays: this.retryDays(sysConfig),
+            attempts: [{ at: now, amount, success: false, error: error || null, reference: null, by: 'BILLING_DAY' }],
+            nextRetryAt: null,
+            blockAt: null,
+            blockedAt: null,
+            recoveredAt: null,
+            recoveredBy: null
+        };
+        this.schedule(client.dunning);
+        await dataManager.saveClients();
+
+        dataManager.logMaintenance('BILLING', `📉 Dunning started for ${client.businessName} (₪${amount}) — retries on day ${client.dunning.retryDays.join('/')}`);
+        await this.notify(client, 'FAILED');
+        return client.dunning;
+    }
+
+    /**
+     * Marks the dunning as over (mutates the live client - the caller saves the clients).
+     */
+    resolve(client, by) {
+        if (!client?.dunning || client.dunning.status === 'RECOVERED') return;
+        Object.assign(client.dunning, { status: 'RECOVERED', recoveredAt: new Date().toISOString(), recoveredBy: by, nextRetryAt: null });
+    }
+
+    /**
+     * The subscription was paid another way (manual renewal, plan checkout, super-admin payment).
+     */
+    settledElsewhere(client, now = new Date()) {
+        return dataManager.parseExpiryDate(client.subscriptionExpiry) > now;
+    }
+
+    /**
+     * Runs on every subscription scan: retries that are due, and dunnings settled by another payment.
+     */
+    async processDue(now = new Date()) {
+        const results = { retried: 0, recovered: 0, blocked: 0, settled: 0 };
+        const open = dataManager.getAllClients().filter(c => c.dunning && c.dunning.status !== 'RECOVERED');
+
+        for (const client of open) {
+            try {
+                if (this.settledElsewhere(client, now)) {
+                    this.resolve(client, 'PAYMENT');
+                    await dataManager.saveClients();
+                    results.settled++;
+                    continue;
+                }
+                if (client.dunning.status !== 'ACTIVE' || !client.dunning.nextRetryAt || new Date(client.dunning.nextRetryAt) > now) continue;
+
+                const result = await this.retry(client.id, { by: 'SCHEDULE' });
+                if (result.error === 'NOT_DUE' || result.error === 'NEEDS_REVIEW') continue;
+                results.retried++;
+                if (result.success) results.recovered++;
+                else if (result.blocked) results.blocked++;
+            } catch (e) {
+                dataManager.logMaintenance('ERROR', `Dunning retry failed for ${client.id}: ${e.message}`);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Charges the open debt again. Scheduled retries only run when due; NEW_CARD / SUPER_ADMIN retries run at once
+     * (also on a blocked business) and do not use up the schedule.
+     * @returns {Promise<Object>} { success, outcome, amount, newExpiry } or { success: false, error, message, blocked }
+     */
+    async retry(companyId, { by = 'SCHEDULE' } = {}) {
+        return this.locks.run(String(companyId), async () => {
+            const client = dataManager.getClientById(companyId);
+            const dunning = client?.dunning;
+            if (!dunning || dunning.status === 'RECOVERED') {
+                return { success: false, error: 'NO_DUNNING', message: 'אין חיוב שנכשל עבור עסק זה' };
+            }
+            if (by === 'SCHEDULE' && (dunning.status !== 'ACTIVE' || !dunning.nextRetryAt || new Date(dunning.nextRetryAt) > new Date())) {
+                return { success: false, error: 'NOT_DUE' };
+            }
+            if (this.settledElsewhere(client)) {
+                this.resolve(client, 'PAYMENT');
+                await dataManager.saveClients();
+                return { success: true, outcome: 'ALREADY_PAID', amount: 0 };
+            }
+
+            // A charge Tranzila never answered is resolved by a super admin first (DataManager.resolveChargeAttempt)
+            if (dataManager.openChargeAttempts(client).length > 0) return this.needsReview();
+
+            // Claim the slot before charging
+            const attempt = { at: new Date().toISOString(), amount: null, success: null, error: null, reference: null, by };
+            dunning.attempts.push(attempt);
+            this.schedule(dunning);
+            await dataManager.saveClients();
+
+            const retryNumber = dunning.attempts.length - 1;
+            const charge = client.paymentMethod?.token
+                ? await dataManager.chargeSubscription(client, {
+                    periodKey: dunning.period,
+                    description: `חיוב חוזר (ניסיון ${retryNumber}) - ${dunning.period}`,
+                    source: 'DUNNING'
+                })
+                : { success: false, amount: dunning.amount, error: 'אין אמצעי תשלום שמור' };
+            Object.assign(attempt, { amount: charge.amount, success: charge.success, error: charge.error || null, reference: charge.reference || null });
+
+            if (charge.outcome === 'UNCERTAIN' || charge.outcome === 'NEEDS_REVIEW') {
+                Object.assign(attempt, { success: null, uncertain: true });
+                this.schedule(dunning);
+                await dataManager.saveClients();
+                dataManager.logMaintenance('BILLING', `⏸️ Dunning retry ${retryNumber} (${by}) for ${client.businessName} is waiting for review`);
+                return { ...this.needsReview(), amount: charge.amount, blocked: dunning.status === 'BLOCKED' };
+            }
+
+            if (charge.success) {
+                this.resolve(client, by === 'SCHEDULE' ? 'RETRY' : by);
+                await dataManager.saveClients();
+                dataManager.logMaintenance('BILLING', `✅ Dunning recovered for ${client.businessName} (${by}, ₪${charge.amount})`);
+                return { success: true, outcome: charge.outcome, amount: charge.amount, newExpiry: charge.newExpiry };
+            }
+
+            dunning.amount = charge.amount || dunning.amount;
+            let blocked = dunning.status === 'BLOCKED';
+            if (by === 'SCHEDULE' && !dunning.nextRetryAt) {
+                Object.assign(dunning, { status: 'BLOCKED', blockedAt: new Date().toISOString() });
+                blocked = true;
+            }
+            await dataManager.saveClients();
+            dataManager.logMaintenance('BILLING', `❌ Dunning retry ${retryNumber} (${by}) failed for ${client.businessName}${blocked ? ' — BLOCKED' : ''}`);
+
+            // The one who entered a new card / forced the retry sees the result - emails follow the schedule only
+            if (by === 'SCHEDULE') await this.notify(client, blocked ? 'BLOCKED' : 'RETRY_FAILED');
+            return { success: false, error: 'CHARGE_DECLINED', message: charge.error, amount: dunning.amount, blocked };
+        });
+    }
+
+    needsReview() {
+        return { success: false, error: 'NEEDS_REVIEW', message: 'ניסיון חיוב קודם ממתין לבדיקה - לא ניתן לחייב שוב עד לבירורו' };
+    }
+
+    async notify(client, stage) {
+        if (!client.email) return;
+        const dunning = client.dunning;
+        const failures = dunning.attempts.filter(a => a.success === false);
+        const data = {
+            companyId: client.id,
+            businessName: client.businessName,
+            amount: dunning.amount,
+            error: failures.length > 0 ? failures[failures.length - 1].error : null,
+            recoveryLink: this.recoveryLink(client)
+        };
+
+        try {
+            if (stage === 'BLOCKED') {
+                await emailService.sendSubscriptionBlockedNotification(client.email, data);
+            } else {
+                const made = this.scheduledRetries(dunning);
+                await emailService.sendPaymentFailedNotification(client.email, {
+                    ...data,
+                    dunning: {
+                        stage,
+                        retriesMade: made,
+                        retriesTotal: dunning.retryDays.length,
+                        nextRetryAt: dunning.nextRetryAt,
+                        blockAt: dunning.blockAt,
+                        finalWarning: made === dunning.retryDays.length - 1
+                    }
+                });
+            }
+        } catch (e) {
+            console.error(`[Dunning] ${stage} email to ${client.id} failed: ${e.message}`);
+        }
+    }
+
+    // --- RECOVER SUBSCRIPTION PAGE ---
+
+    recoveryLink(client) {
+        const dunning = client.dunning;
+        const now = Math.floor(Date.now() / 1000);
+        const validUntil = new Date(dunning.blockAt).getTime() + config.BILLING.RECOVERY_LINK_DAYS * DAY_MS;
+        const token = authService.sign({ typ: 'recovery', role: 'admin', cid: client.id, did: dunning.id, iat: now, exp: Math.floor(validUntil / 1000) });
+
+        const base = config.BILLING.RECOVERY_URL;
+        const separator = base.includes('?') ? '&' : '?';
+        return `${base}${separator}recoverToken=${token}`;
+    }
+
+    /**
+     * The client of a recovery token, while its dunning is still open.
+     */
+    fromToken(token) {
+        const payload = authService.verify(token, 'recovery');
+        const client = payload ? dataManager.getClientById(payload.cid) : null;
+        if (!client?.dunning || client.dunning.id !== payload.did || client.dunning.status === 'RECOVERED') return null;
+        return client;
+    }
+
+    invalidToken() {
+        return { success: false, error: 'INVALID_RECOVERY_TOKEN', message: 'הקישור אינו תקף או שהמנוי כבר הוסדר.' };
+    }
+
+    /**
+     * What the recover page shows.
+     */
+    async info(token) {
+        const client = this.fromToken(token);
+        if (!client) return this.invalidToken();
+
+        const billing = await dataManager.calculateSubscriptionAmount(client.id);
+        return {
+            success: true,
+            companyId: client.id,
+            businessName: client.businessName,
+            amount: billing.amount,
+            status: client.dunning.status,
+            nextRetryAt: client.dunning.nextRetryAt,
+            blockAt: client.dunning.blockAt,
+            last4: client.paymentMethod?.last4 || null
+        };
+    }
+
+    /**
+     * Recover page: tokenizes the new card, makes it the payment method and charges the debt with it.
+     * @param {Object} card - { cardNumber, expMonth, expYear, cvv, cardId (holder ID), cardName, businessId }
+     */
+    async recoverWithNewCard(token, card = {}, { ip } = {}) {
+        const hour = 60 * 60 * 1000;
+        if (!authService.checkRateLimit(`recover:ip:${ip || 'unknown'}`, 10, hour)) return authService.rateLimited();
+
+        const client = this.fromToken(token);
+        if (!client) return this.invalidToken();
+        if (!authService.checkRateLimit(`recover:company:${client.id}`, 5, hour)) return authService.rateLimited();
+
+        const invalid = (message) => ({ success: false, error: 'INVALID_CARD', message });
+        const cardNumber = String(card.cardNumber || '').replace(/\D/g, '');
+        const holderId = String(card.cardId || card.myid || '').trim();
+        if (cardNumber.length < 8 || cardNumber.length > 19) return invalid('מספר כרטיס אשראי לא תקין');
+        if (!/^\d{9}$/.test(holderId)) return invalid('מספר תעודת זהות חייב להכיל 9 ספרות בדיוק');
+        if (!card.expMonth || !card.expYear) return invalid('חסר תוקף כרטיס');
+
+        const sysConfig = await dataManager.getSystemConfig();
+        const bizConfig = await dataManager.getCompanyConfig(client.id).catch(() => ({}));
+        const tokenRes = await tranzilaService.processPaymentProxy({
+            action: 'create_token',
+            companyId: client.id,
+            supplier: sysConfig.tranzilaTerminal,
+            TranzilaPW: sysConfig.tranzilaPass,
+            sum: '0.00',
+            ccno: cardNumber,
+            expmonth: String(card.expMonth).padStart(2, '0'),
+            expyear: String(card.expYear).slice(-2).padStart(2, '0'),
+            mycvv: card.cvv,
+            myid: holderId,
+            contact: '',
+            company: card.businessId || bizConfig.invoiceDetails || client.businessName || '',
+            pdesc: `Token Registration - ${client.id}`
+        });
+        if (!tokenRes?.success || !tokenRes.token) {
+            return { success: false, error: 'CARD_DECLINED', message: tokenRes?.error || 'נכשל בקבלת טוקן מטרנזילה' };
+        }
+
+        await dataManager.saveClientPaymentMethod(client.id, {
+            token: tokenRes.token.trim(),
+            last4: cardNumber.slice(-4),
+            expMonth: card.expMonth,
+            expYear: card.expYear,
+            cardHolderName: card.cardName,
+            cardId: holderId,
+            cvv: card.cvv,
+            businessId: card.businessId
+        });
+        dataManager.logMaintenance('BILLING', `💳 New card saved from the recovery page for ${client.businessName}`);
+
+        return this.retry(client.id, { by: 'NEW_CARD' });
+    }
+
+    /**
+     * For the admin settings / super-admin list (null when the business never had a failed charge).
+     */
+    summary(client) {
+        const dunning = client?.dunning;
+        if (!dunning) return null;
+        const failures = dunning.attempts.filter(a => a.success === false);
+        return {
+            status: dunning.status,
+            period: dunning.period,
+            amount: dunning.amount,
+            startedAt: dunning.startedAt,
+            nextRetryAt: dunning.nextRetryAt,
+            blockAt: dunning.blockAt,
+            blockedAt: dunning.blockedAt,
+            recoveredAt: dunning.recoveredAt,
+            recoveredBy: dunning.recoveredBy,
+            attempts: dunning.attempts.length,
+            lastError: failures.length > 0 ? failures[failures.length - 1].error : null
+        };
+    }
+}
+
+module.exports = new DunningService();
@@ -1,5 +1,6 @@
-const nodemailer = require('nodemailer');
-const axios = require('axios');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
 const config = require('../config');
 const {
     buildWelcomeEmailDefaults,
@@ -7,16 +8,34 @@ const {
     escapeHtmlAttr,
     getEmailTemplatePlainDefaults
 } = require('../systemDefaults');
-
+const GeoService = require('./GeoService');
+const KeyedMutex = require('./KeyedMutex');
+const { createTransportChain } = require('./mail');
+
+const MAX_ATTEMPTS = 5;
+const OUTBOX_RETENTION_DAYS = 30; // Sent / failed / bounced messages are pruned after this
+const OUTBOX_MAX_MESSAGES = 2000;
+// Categories whose body carries a live credential (the reset link token): the body stays in memory only
+// and is never written to the outbox file. Every other body is dropped once its message leaves the queue.
+const MEMORY_ONLY_CATEGORIES = ['PASSWORD_RESET'];
+
+/**
+ * Outbox message:
+ * { id, to, subject, html, attachments, name, category, companyId, businessName,
+ *   status: 'queued'|'sending'|'sent'|'failed'|'bounced', attempts, nextAttemptAt,
+ *   transport, lastError, createdAt, updatedAt, sentAt, history: [{ at, transport, ok, error }] }
+ * Once sent / failed / bounced only the metadata is kept: no html, attachments reduced to { filename, contentType }.
+ */
 class EmailService {
     constructor() {
-        this.gasUrl = config.GAS_COLD_STORAGE_URL;
-        this.queue = [];
+        this.outbox = [];
+        this.outboxFile = null; // set by init() - until then the outbox is memory-only
+        this.fileLocks = new KeyedMutex();
         this.isWorkerRunning = false;
 
-        // Initialize JetServer Mail Proxy configuration
-        this.jetserverUrl = config.JETSERVER_MAIL_URL;
-        this.jetserverSecret = config.JETSERVER_MAIL_SECRET;
+        // Delivery: direct SMTP -> JetServer proxy -> GAS (config.EMAIL_TRANSPORTS), with failover
+        this.transports = createTransportChain(config);
+        console.log(`[Email] Transports: ${this.transports.transports.map(t => t.name).join(' -> ') || 'none configured'}`);
 
         this.appName = config.APP_NAME;
         this.appLogoUrl = null;
@@ -24,6 +43,85 @@ class EmailService {
         this.startWorker();
     }
 
+    /**
+     * Loads the persisted outbox (<DATA_DIR>/outbox/emails.json). Messages that were mid-send at
+     * shutdown go back to the queue; anything queued before init is kept.
+     */
+    async init(dataDir) {
+        const outboxDir = path.join(dataDir, 'outbox');
+        await fs.mkdir(outboxDir, { recursive: true });
+        this.outboxFile = path.join(outboxDir, 'emails.json');
+
+        let stored = [];
+        try {
+            const data = JSON.parse(await fs.readFile(this.outboxFile, 'utf8'));
+            if (Array.isArray(data)) stored = data;
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error(`[Email] Could not read outbox: ${e.message}`);
+        }
+
+        const known = new Set(this.outbox.map(m => m.id));
+        stored.filter(m => m && m.id && !known.has(m.id)).forEach(m => {
+            if (m.status === 'sending') m.status = 'queued';
+            if (m.status !== 'queued') this.releaseBody(m); // outbox files written before bodies were dropped
+            if (MEMORY_ONLY_CATEGORIES.includes(m.category)) {
+                delete m.html;
+                if (m.status === 'queued') {
+                    // The body did not survive the restart - the user has to request a new link
+                    m.status = 'failed';
+                    m.lastError = 'Body not persisted (credential) - lost on restart';
+                    m.updatedAt = Date.now();
+                }
+            }
+            this.outbox.push(m);
+        });
+        this.outbox.sort((a, b) => a.createdAt - b.createdAt);
+
+        const pending = this.outbox.filter(m => m.status === 'queued').length;
+        if (pending > 0) console.log(`[Email] Outbox restored: ${pending} message(s) waiting to be sent.`);
+        await this.persistOutbox();
+    }
+
+    async persistOutbox() {
+        if (!this.outboxFile) return;
+        const filePath = this.outboxFile;
+        try {
+            await this.fileLocks.run(filePath, async () => {
+                const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+                try {
+                    const stored = this.outbox.map(m => {
+                        if (!MEMORY_ONLY_CATEGORIES.includes(m.category)) return m;
+                        const { html, ...rest } = m;
+                        return rest;
+                    });
+                    await fs.writeFile(tmpPath, JSON.stringify(stored));
+                    await fs.rename(tmpPath, filePath);
+                } catch (e) {
+                    await fs.unlink(tmpPath).catch(() => { });
+                    throw e;
+                }
+            });
+        } catch (e) {
+            console.error(`[Email] CRITICAL: failed to persist outbox: ${e.message}`);
+        }
+    }
+
+    pruneOutbox() {
+        const cutoff = Date.now() - OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        this.outbox = this.outbox.filter(m => m.status === 'queued' || m.status === 'sending' || m.updatedAt >= cutoff);
+        if (this.outbox.length > OUTBOX_MAX_MESSAGES) {
+            // Oldest finished messages go first; queued mail is never pruned
+            let excess = this.outbox.length - OUTBOX_MAX_MESSAGES;
+            this.outbox = this.outbox.filter(m => {
+                if (excess > 0 && m.status !== 'queued' && m.status !== 'sending') {
+                    excess--;
+                    return false;
+                }
+                return true;
+            });
+        }
+    }
+
     setSystemConfig(systemConfig) {
         if (!systemConfig) return;
         
@@ -46,45 +144,117 @@ class EmailService {
         this.isProcessing = false;
         console.log('[Email] Background Worker Started');
 
-        setInterval(async () => {
-            if (this.queue.length === 0 || this.isProcessing) return;
+        const timer = setInterval(async () => {
+            if (this.isProcessing) return;
 
-            const item = this.queue[0];
             const now = Date.now();
-            if (item.nextRetry > now) return;
+            const item = this.outbox.find(m => m.status === 'queued' && m.nextAttemptAt <= now);
+            if (!item) return;
 
             this.isProcessing = true;
+            item.status = 'sending';
             try {
-                const success = await this.processEmail(item);
-                if (success) {
-                    this.queue.shift();
-                } else {
-                    item.retries++;
-                    if (item.retries >= 5) {
-                        console.error(`[Email] Failed after 5 attempts to ${item.to}. Dropping.`);
-                        this.queue.shift();
-                    } else {
-                        const delay = 5000 * Math.pow(2, item.retries - 1);
-                        item.nextRetry = now + delay;
-                        console.log(`[Email] Retry #${item.retries} for ${item.to} in ${delay}ms`);
-                    }
-                }
+                const result = await this.processEmail(item);
+                this.recordAttempt(item, result);
             } catch (e) {
                 console.error(`[Email] Worker Error: ${e.message}`);
-                item.retries++;
-                item.nextRetry = now + 5000;
+                this.recordAttempt(item, { success: false, transport: null, error: e.message });
             } finally {
                 this.isProcessing = false;
+                if (item.status !== 'queued') this.releaseBody(item);
+                this.pruneOutbox();
+                await this.persistOutbox();
             }
         }, 2000);
+        if (timer.unref) timer.unref();
+    }
+
+    /**
+     * Applies a delivery attempt to the message: sent, bounced (permanent rejection), retry later or failed.
+     */
+    recordAttempt(item, { success, transport, error, permanent, attempts }) {
+        const now = Date.now();
+        item.attempts++;
+        item.updatedAt = now;
+        item.transport = transport || item.transport || null;
+        const tried = attempts && attempts.length > 0 ? attempts : [{ transport: transport || null, ok: !!success, error: error || null }];
+        tried.forEach(a => item.history.push({ at: now, transport: a.transport, ok: a.ok, error: a.error }));
+
+        if (success) {
+            item.status = 'sent';
+            item.sentAt = now;
+            item.lastError = null;
+            return;
+        }
+
+        item.lastError = error || 'All transports failed';
+        if (permanent) {
+            item.status = 'bounced';
+            console.error(`[Email] Bounced: ${item.to} (${item.lastError})`);
+        } else if (item.attempts >= MAX_ATTEMPTS) {
+            item.status = 'failed';
+            console.error(`[Email] Failed after ${MAX_ATTEMPTS} attempts to ${item.to}. Kept in outbox as failed.`);
+        } else {
+            const delay = 5000 * Math.pow(2, item.attempts - 1);
+            item.status = 'queued';
+            item.nextAttemptAt = now + delay;
+            console.log(`[Email] Retry #${item.attempts} for ${item.to} in ${delay}ms`);
+        }
+    }
+
+    /**
+     * Drops the body and attachment contents of a message that left the queue (sent, failed or bounced).
+     */
+    releaseBody(item) {
+        delete item.html;
+        item.attachments = (item.attachments || []).map(a => ({ filename: a.filename, contentType: a.contentType }));
     }
 
-    addToQueue(to, subject, html, attachments = [], name = null) {
-        this.queue.push({ to, subject, html, attachments, name, retries: 0, nextRetry: Date.now() });
-        console.log(`[Email] Queued. Size: ${this.queue.length}`);
+    /**
+     * Attachments are stored base64-encoded so the outbox stays plain JSON.
+     */
+    normalizeAttachments(attachments) {
+        return (Array.isArray(attachments) ? attachments : []).map(a => {
+            if (!a) return null;
+            if (Buffer.isBuffer(a.content)) {
+                return { filename: a.filename, contentType: a.contentType, content: a.content.toString('base64'), encoding: 'base64' };
+            }
+            return { ...a };
+        }).filter(Boolean);
+    }
+
+    addToQueue(to, subject, html, attachments = [], name = null, meta = {}) {
+        const now = Date.now();
+        const message = {
+            id: crypto.randomBytes(8).toString('hex'),
+            to,
+            subject,
+            html,
+            attachments: this.normalizeAttachments(attachments),
+            name,
+            category: meta.category || null,
+            companyId: meta.companyId || null,
+            businessName: meta.businessName || null,
+            status: 'queued',
+            attempts: 0,
+            nextAttemptAt: now,
+            transport: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            sentAt: null,
+            history: []
+        };
+        this.outbox.push(message);
+        console.log(`[Email] Queued. Size: ${this.outbox.filter(m => m.status === 'queued').length}`);
+        this.persistOutbox();
+        return message;
     }
 
-    async sendEmail(to, subject, html, attachments = [], name = null) {
+    /**
+     * @param {Object} meta - { category, companyId, businessName } for the outbox listing
+     */
+    async sendEmail(to, subject, html, attachments = [], name = null, meta = {}) {
         let finalName = name;
 
         // If no specific name provided, use the system name as fallback
@@ -92,83 +262,97 @@ class EmailService {
             finalName = this.systemAppName || config.APP_NAME;
         }
 
-        this.addToQueue(to, subject, html, attachments, finalName);
-        return { success: true, message: 'Queued' };
+        const message = this.addToQueue(to, subject, html, attachments, finalName, meta);
+        return { success: true, message: 'Queued', id: message.id };
+    }
+
+    /**
+     * Outbox listing for the super admin (bodies and attachments left out).
+     * Filters: { status, to, companyId, category }. Newest first.
+     */
+    listOutbox(filters = {}, { limit = 100, offset = 0 } = {}) {
+        const to = filters.to ? String(filters.to).toLowerCase() : null;
+        const matching = this.outbox.filter(m => {
+            if (filters.status && m.status !== filters.status) return false;
+            if (filters.companyId && String(m.companyId) !== String(filters.companyId)) return false;
+            if (filters.category && m.category !== filters.category) return false;
+            if (to && !String(m.to || '').toLowerCase().includes(to)) return false;
+            return true;
+        }).reverse();
+
+        const start = Math.max(0, parseInt(offset) || 0);
+        const size = Math.min(500, Math.max(1, parseInt(limit) || 100));
+        const counts = {};
+        this.outbox.forEach(m => { counts[m.status] = (counts[m.status] || 0) + 1; });
+
+        return {
+            total: matching.length,
+            counts,
+            messages: matching.slice(start, start + size).map(({ html, attachments, ...m }) => ({
+                ...m,
+                attachments: (attachments || []).map(a => a.filename).filter(Boolean)
+            }))
+        };
+    }
+
+    /**
+     * Puts messages back in the queue with a fresh attempt budget (any status except one being sent right now).
+     * Messages whose body was already dropped (see releaseBody) can't be resent.
+     * @returns {Object} { resent, notFound, bodyDropped }
+     */
+    async resend(ids) {
+        const now = Date.now();
+        let resent = 0;
+        const notFound = [];
+        const bodyDropped = [];
+        (Array.isArray(ids) ? ids : []).forEach(id => {
+            const message = this.outbox.find(m => m.id === id);
+            if (!message || message.status === 'sending') {
+                notFound.push(id);
+                return;
+            }
+            if (message.html === undefined) {
+                bodyDropped.push(id);
+                return;
+            }
+            message.status = 'queued';
+            message.attempts = 0;
+            message.nextAttemptAt = now;
+            message.updatedAt = now;
+            message.resentAt = now;
+            resent++;
+        });
+        await this.persistOutbox();
+        return { resent, notFound, bodyDropped };
     }
 
+    /**
+     * Sends through the transport chain (config.EMAIL_TRANSPORTS). Returns { success, transport, error, permanent } -
+     * permanent means the recipient was rejected (bounced) and retrying won't help.
+     */
     async processEmail(item) {
-        let sentMethod = null;
         let finalName = item.name;
         if (!finalName || finalName === config.APP_NAME || finalName === "TempusGeo") {
             finalName = this.systemAppName || config.APP_NAME;
         }
 
-        // PRIORITY 1: JetServer SMTP Proxy
-        if (this.jetserverUrl && this.jetserverUrl.startsWith('http')) {
-            try {
-                const response = await axios.post(this.jetserverUrl, {
-                    secret: this.jetserverSecret,
-                    to: item.to,
-                    subject: item.subject,
-                    html: item.html,
-                    name: finalName,
-                    smtp_host: config.SMTP.HOST,
-                    smtp_port: config.SMTP.PORT,
-                    smtp_user: config.SMTP.USER,
-                    smtp_pass: config.SMTP.PASS
-                }, { timeout: 15000 });
-
-                if (response.data && response.data.success) {
-                    console.log(`[Email] Sent via JetServer SMTP Proxy to ${item.to}`);
-                    return true;
-                } else {
-                    console.error(`[Email] JetServer Proxy Fail: ${response.data.error || 'Unknown error'}. Trying GAS fallback...`);
-                }
-            } catch (error) {
-                console.error(`[Email] JetServer Proxy Request Error: ${error.message}. Trying GAS fallback...`);
-            }
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(item.to || '').trim())) {
+            return { success: false, transport: null, error: `Invalid recipient address: ${item.to}`, permanent: true };
         }
 
-        // PRIORITY 2: GAS Fallback
-        if (this.gasUrl) {
-            try {
-                // Ensure we get dynamic name if not provided or is default
-                let finalName = item.name;
-                if (!finalName || finalName === config.APP_NAME || finalName === "TempusGeo") {
-                    finalName = this.systemAppName || config.APP_NAME;
-                }
-
-                const emailData = {
-                    action: 'sendEmail',
-                    to: item.to,
-                    subject: item.subject,
-                    html: item.html,
-                    name: finalName
-                };
-
-                const response = await axios.post(this.gasUrl, emailData, {
-                    headers: { 'Content-Type': 'application/json' },
-                    timeout: 15000,
-                    maxRedirects: 5
-                });
-
-                let isSuccess = false;
-                if (response.data) {
-                    if (typeof response.data === 'object' && response.data.success) isSuccess = true;
-                    else if (typeof response.data === 'string' && response.data.includes('"success":true')) isSuccess = true;
-                    else if (response.status === 200) isSuccess = true;
-                }
-
-                if (isSuccess) {
-                    console.log(`[Email] Sent via GAS to ${item.to}`);
-                    return true;
-                }
-            } catch (error) {
-                console.error(`[Email] GAS Fail: ${error.message}`);
-            }
-        }
+        const result = await this.transports.send({
+            to: item.to,
+            subject: item.subject,
+            html: item.html,
+            fromName: finalName,
+            attachments: item.attachments || []
+        });
+        if (result.success) console.log(`[Email] Sent via ${result.transport} to ${item.to}`);
+        return result;
+    }
 
-        return false;
+    getTransportHealth() {
+        return this.transports.getHealth();
     }
 
     // Helper for consistent styling (Compact Version)
@@ -227,37 +411,35 @@ class EmailService {
         `;
     }
 
-    async sendRecoveryEmail(to, newPassword) {
+    async sendRecoveryEmail(to, resetLink, expiresMinutes = 30) {
         const title = 'שחזור סיסמה';
         const content = `
             <p style="text-align: right; margin-bottom: 15px;">שלום,</p>
             <p style="text-align: right;">התקבלה בקשה לאיפוס הסיסמה עבור חשבון המנהל שלך.</p>
-            
-            <div style="background: rgba(168, 85, 247, 0.1); border-right: 4px solid #a855f7; padding: 20px; margin: 20px 0; border-radius: 8px; text-align: center;">
-                <p style="margin: 0; color: #a855f7; font-weight: 700; font-size: 13px; text-transform: uppercase;">הסיסמה החדשה שלך היא:</p>
-                <p style="margin: 10px 0 0 0; font-family: 'Courier New', monospace; font-size: 32px; color: #ffffff; letter-spacing: 4px; font-weight: 800;">${newPassword}</p>
-            </div>
-            
-            <p style="text-align: right; font-size: 13px; color: #94a3b8;">מומלץ לשנות את הסיסמה לאחר ההתחברות הראשונית.</p>
-            
-            <div style="text-align: center; margin-top: 25px;">
-                <a href="${config.APP_URL || '#'}" style="display: inline-block; background: linear-gradient(90deg, #6366f1 0%, #a855f7 100%); color: #ffffff; text-decoration: none; padding: 12px 30px; border-radius: 10px; font-weight: 700; font-size: 15px;">חזרה למערכת</a>
+            <p style="text-align: right;">לבחירת סיסמה חדשה לחצו על הכפתור. הקישור תקף ל-${expiresMinutes} דקות וניתן להשתמש בו פעם אחת בלבד.</p>
+
+            <div style="text-align: center; margin: 25px 0;">
+                <a href="${escapeHtmlAttr(resetLink)}" style="display: inline-block; background: linear-gradient(90deg, #6366f1 0%, #a855f7 100%); color: #ffffff; text-decoration: none; padding: 12px 30px; border-radius: 10px; font-weight: 700; font-size: 15px;">בחירת סיסמה חדשה</a>
             </div>
+
+            <p style="text-align: right; font-size: 13px; color: #94a3b8;">לא ביקשתם לאפס את הסיסמה? ניתן להתעלם מהודעה זו — הסיסמה הנוכחית ממשיכה לעבוד.</p>
         `;
 
         const dataManager = require('./DataManager');
         const systemConfig = dataManager.getSystemConfigSync ? dataManager.getSystemConfigSync() : {};
         const appName = systemConfig.appName || config.APP_NAME;
 
-        return this.sendEmail(to, `איפוס סיסמה - ${appName}`, this.getStyledTemplate(title, content));
+        return this.sendEmail(to, `איפוס סיסמה - ${appName}`, this.getStyledTemplate(title, content), [], null, { category: 'PASSWORD_RESET' });
     }
 
-    _welcomeWorkLocationsHtml(polygon) {
-        if (!polygon || !Array.isArray(polygon) || polygon.length === 0) {
+    _welcomeWorkLocationsHtml(biz) {
+        const zones = GeoService.getZones(biz || {});
+        if (zones.length === 0) {
             return '<p style="margin:0;color:#64748b;font-size:13px;text-align:right;">לא הוגדרו עדיין מיקומי דיווח — ניתן להגדירם במערכת לאחר ההתחברות הראשונה.</p>';
         }
-        const n = polygon.length;
-        return `<p style="margin:0;color:#94a3b8;font-size:13px;text-align:right;">במערכת הוגדרו <strong>${n}</strong> נקודות/אזורי מפה לדיווח נוכחות. לעריכה מלאה היכנס להגדרות המשרד.</p>`;
+        const items = zones.map(z => `<li style="margin-bottom:4px;">${escapeHtmlAttr(z.name)}</li>`).join('');
+        return `<p style="margin:0 0 6px 0;color:#94a3b8;font-size:13px;text-align:right;">במערכת הוגדרו <strong>${zones.length}</strong> מיקומי דיווח נוכחות. לעריכה מלאה היכנס להגדרות המשרד.</p>
+            <ul style="margin:0;padding-right:18px;color:#cbd5e1;font-size:13px;text-align:right;">${items}</ul>`;
     }
 
     async sendWelcomeEmail(to, businessName, companyId, password) {
@@ -289,7 +471,7 @@ class EmailService {
             adminPassword: escapeHtmlAttr(password),
             logoUrl: escapeHtmlAttr(logoUrlSafe),
             logoImg,
-            workLocationsHtml: this._welcomeWorkLocationsHtml(biz.polygon),
+            workLocationsHtml: this._welcomeWorkLocationsHtml(biz),
             appUrl: escapeHtmlAttr(config.APP_URL || '#'),
             emailTitle: escapeHtmlAttr('ברוכים הבאים למערכת!'),
             currentYear: String(new Date().getFullYear())
@@ -343,7 +525,7 @@ class EmailService {
             subject = applyEmailPlaceholders(defaults.welcomeSubject, map);
         }
 
-        return this.sendEmail(to, subject, html);
+        return this.sendEmail(to, subject, html, [], null, { category: 'WELCOME', companyId, businessName });
     }
 
     async sendMonthlyReport(to, reportData, year, month, businessName, salaryConfig = {}, companyId, logoUrl = null) {
@@ -361,7 +543,7 @@ class EmailService {
                 try {
                     const holidayDates = await dataManager.getHolidayDatesForMonth(companyId, year, month, employee);
                     const workWeekType = bizConfig.settings?.constraints?.[employee]?.workWeekType || '5day';
-                    const wageResult = WageCalculator.calculateBreakdown(shifts, salaryConfig, holidayDates, workWeekType);
+                    const wageResult = WageCalculator.calculateBreakdown(shifts, salaryConfig, holidayDates, workWeekType, dataManager.getMonthBounds(year, month));
 
                     let breakdownHtml = '';
                     for (const [rate, hours] of Object.entries(wageResult.breakdown)) {
@@ -382,7 +564,7 @@ class EmailService {
                 } catch (calcErr) {
                     console.error(`[EmailService] Salary breakdown failed for ${employee}:`, calcErr.message);
                     let totalHours = 0;
-                    shifts.forEach(s => { if (s.start && s.end) totalHours += (new Date(s.end) - new Date(s.start)) / 3600000; });
+                    shifts.forEach(s => { if (s.start && s.end && !WageCalculator.isRejected(s)) totalHours += (new Date(s.end) - new Date(s.start)) / 3600000; });
                     tableRows += `
                         <tr style="border-bottom: 1px solid rgba(255, 255, 255, 0.05);">
                             <td style="padding: 8px 4px; color: #ffffff; font-size: 13px;">${employee}</td>
@@ -399,7 +581,34 @@ class EmailService {
             tableRows = '<tr><td colspan="5" style="color:#f43f5e; text-align:center; padding: 15px;">שגיאה ביצירת הטבלה</td></tr>';
         }
 
+        // The report is a snapshot - tell the manager whether the month was already approved / locked
+        let statusNote = '';
+        try {
+            const dataManager = require('./DataManager');
+            const sheet = await dataManager.describeTimesheet(companyId, year, month);
+            const labels = { OPEN: 'פתוח - טרם אושר', SUBMITTED: 'הוגש וממתין לאישורך', APPROVED: 'אושר', LOCKED: 'נעול' };
+            const missing = sheet.status === 'OPEN' && sheet.awaitingSubmission.length > 0 ? ` (${sheet.awaitingSubmission.length} עובדים טרם הגישו)` : '';
+            statusNote = `<p style="margin-bottom: 14px; color: #e2e8f0; font-size: 13px; text-align: center;">סטטוס החודש: <b>${labels[sheet.status] || sheet.status}</b>${missing}</p>`;
+        } catch (statusErr) {
+            console.error(`[EmailService] Timesheet status for ${companyId} failed:`, statusErr.message);
+        }
+
+        // Shift-level PDF + month XLSX (when the plan includes them) - the report still goes out without them if generation fails
+        let attachments = [];
+        try {
+            if (await require('./DataManager').hasFeature(companyId, 'reportAttachments')) {
+                const monthlyReportService = require('./MonthlyReportService');
+                attachments = await monthlyReportService.buildAttachments(companyId, year, month);
+            }
+        } catch (attachErr) {
+            console.error(`[EmailService] Monthly report attachments failed for ${companyId}:`, attachErr.message);
+        }
+        const footer = attachments.length > 0
+            ? `מצורפים לדוח זה ${attachments.map(a => a.filename.endsWith('.pdf') ? 'פירוט משמרות לכל עובד (PDF)' : 'קובץ Excel של החודש').join(' ו')}.`
+            : 'לדוח מפורט, היכנס למערכת הניהול.';
+
         const content = `
+            ${statusNote}
             <div class="table-wrapper" style="background: rgba(0, 0, 0, 0.1); border-radius: 10px; overflow-x: auto; -webkit-overflow-scrolling: touch;">
                 <table style="width: 100%; border-collapse: collapse; font-size: 13px; direction: rtl; min-width: 480px;">
                     <thead>
@@ -416,10 +625,79 @@ class EmailService {
                     </tbody>
                 </table>
             </div>
-            <p style="margin-top: 20px; color: #94a3b8; font-size: 13px; text-align: center; font-style: italic;">לדוח מפורט, היכנס למערכת הניהול.</p>
+            <p style="margin-top: 20px; color: #94a3b8; font-size: 13px; text-align: center; font-style: italic;">${footer}</p>
+        `;
+
+        return this.sendEmail(to, title + ` - ${businessName}`, this.getStyledTemplate(title, content, '', logoUrl, businessName), attachments, null, { category: 'MONTHLY_REPORT', companyId, businessName });
+    }
+
+    /**
+     * Monthly statement for an employee (see StatementService): totals in the body, full shift table as a PDF attachment.
+     */
+    async sendEmployeeStatement(to, statement, attachments = []) {
+        const title = `דוח חודשי לעובד: ${statement.period}`;
+        const t = statement.totals;
+        const hhmm = (minutes) => `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+        const item = (label, value, color = '#ffffff') => `
+            <tr style="border-bottom: 1px solid rgba(255, 255, 255, 0.05);">
+                <td style="padding: 8px 4px; color: #94a3b8; font-size: 13px;">${label}</td>
+                <td style="padding: 8px 4px; text-align: left; color: ${color}; font-weight: 700; font-size: 13px;">${value}</td>
+            </tr>`;
+
+        let rows = item('משמרות', t.shiftsCount) +
+            item('ימי עבודה', t.workDays) +
+            item('סה"כ שעות', t.totalHours, '#10b981') +
+            item('שעות משוקללות', t.weightedHours, '#a855f7') +
+            item('הפסקות שנוכו', hhmm(t.breakMinutes)) +
+            item('שעות סופ"ש/חג', hhmm(t.weekendMinutes));
+        for (const [rate, hours] of Object.entries(t.breakdown)) rows += item(`${rate}%`, `${hours}ש'`, '#818cf8');
+        if (t.pay) rows += item('ברוטו משוער', `₪${t.pay.gross}`, '#10b981');
+        rows += item('סטטוס החודש', statement.approval.timesheet.label);
+
+        const approvalNote = statement.approval.status === 'PENDING'
+            ? `<p style="margin-top: 16px; color: #fbbf24; font-size: 13px; text-align: center;">${statement.approval.pending} דיווחים ממתינים לאישור המנהל - הנתונים עשויים להשתנות.</p>`
+            : '';
+        const content = `
+            <p style="color: #e2e8f0; font-size: 14px; text-align: center;">שלום ${statement.employeeName}, זהו סיכום המשמרות שלך לחודש ${statement.period}.</p>
+            <div style="background: rgba(0, 0, 0, 0.1); border-radius: 10px;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 13px; direction: rtl;">${rows}</table>
+            </div>
+            ${approvalNote}
+            <p style="margin-top: 20px; color: #94a3b8; font-size: 13px; text-align: center; font-style: italic;">${attachments.length > 0 ? 'פירוט כל המשמרות מצורף כקובץ PDF.' : 'לפירוט המשמרות, היכנס לאפליקציה.'}</p>
+        `;
+
+        return this.sendEmail(to, `${title} - ${statement.businessName}`, this.getStyledTemplate(title, content, '', statement.logoUrl, statement.businessName), attachments, null, {
+            category: 'EMPLOYEE_STATEMENT', companyId: statement.companyId, businessName: statement.businessName
+        });
+    }
+
+    /**
+     * Tells the manager an employee asked to correct a punch (see CorrectionRequestService).
+     */
+    async sendCorrectionRequestAlert(to, request, businessName, logoUrl = null, companyId = null) {
+        const types = { MISSING_IN: 'כניסה חסרה', MISSING_OUT: 'יציאה חסרה', WRONG_TIME: 'שעה שגויה' };
+        const fmt = (ms) => ms ? new Date(ms).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', hour12: false }) : '--:--';
+        const row = (label, value) => `
+            <tr>
+                <td style="padding: 6px 0; color: #94a3b8; font-size: 13px; text-align: right;">${label}:</td>
+                <td style="padding: 6px 0; color: #ffffff; font-weight: 700; text-align: right; font-size: 13px;">${value}</td>
+            </tr>`;
+
+        const title = 'בקשת תיקון דיווח';
+        const content = `
+            <table style="width: 100%; border-collapse: collapse; direction: rtl;">
+                ${row('עובד', request.employee)}
+                ${row('סוג', types[request.type] || request.type)}
+                ${row('דיווח קיים', `${fmt(request.shiftStart)} - ${fmt(request.shiftEnd)}`)}
+                ${row('מבוקש', `${fmt(request.requestedStart)} - ${fmt(request.requestedEnd)}`)}
+                ${row('סיבה', request.reason)}
+            </table>
+            <p style="margin-top: 20px; color: #94a3b8; font-size: 13px; text-align: center; font-style: italic;">לאישור או דחייה, היכנס למערכת הניהול.</p>
         `;
 
-        return this.sendEmail(to, title + ` - ${businessName}`, this.getStyledTemplate(title, content, '', logoUrl, businessName));
+        return this.sendEmail(to, `${title}: ${request.employee} - ${businessName}`, this.getStyledTemplate(title, content, '', logoUrl, businessName), [], null, {
+            category: 'CORRECTION_REQUEST', companyId, businessName
+        });
     }
 
     async sendShiftAlert(to, employeeName, action, time, location, businessName, extraNote = '', logoUrl = null, summary = null) {
@@ -527,7 +805,7 @@ class EmailService {
             </div>
         `;
 
-        return this.sendEmail(to, `התראה: ${actionText} - ${employeeName}`, this.getStyledTemplate(actionText, content, 'התראת מערכת נוכחות חכמה', logoUrl, businessName));
+        return this.sendEmail(to, `התראה: ${actionText} - ${employeeName}`, this.getStyledTemplate(actionText, content, 'התראת מערכת נוכחות חכמה', logoUrl, businessName), [], null, { category: 'SHIFT_ALERT', businessName });
     }
 
     async sendDeltaBillingAlert(to, businessName, delta, currentCount, amount, logoUrl = null) {
@@ -570,7 +848,7 @@ class EmailService {
             </div>
         `;
 
-        return this.sendEmail(to, `עדכון שימוש וחיוב - ${businessName}`, this.getStyledTemplate(title, content, '', logoUrl, businessName));
+        return this.sendEmail(to, `עדכון שימוש וחיוב - ${businessName}`, this.getStyledTemplate(title, content, '', logoUrl, businessName), [], null, { category: 'BILLING_DELTA', businessName });
     }
 
     async sendSubscriptionAlert(to, businessName, hoursLeft, expiryDate, logoUrl = null, amount = null) {
@@ -620,7 +898,7 @@ class EmailService {
             </div>
         `;
 
-        return this.sendEmail(to, `התראה: ${title} - ${businessName}`, this.getStyledTemplate('סטטוס מנוי', content, '', logoUrl, businessName));
+        return this.sendEmail(to, `התראה: ${title} - ${businessName}`, this.getStyledTemplate('סטטוס מנוי', content, '', logoUrl, businessName), [], null, { category: 'SUBSCRIPTION', businessName });
     }
 
     async sendGracePeriodAlert(to, businessName, expiryDate, logoUrl = null, amount = null) {
@@ -659,11 +937,17 @@ class EmailService {
             </div>
         `;
 
-        return this.sendEmail(to, `חשוב: המנוי פג — נדרש חידוש - ${businessName}`, this.getStyledTemplate('התראת תפוגה', content, '', logoUrl, businessName));
+        return this.sendEmail(to, `חשוב: המנוי פג — נדרש חידוש - ${businessName}`, this.getStyledTemplate('התראת תפוגה', content, '', logoUrl, businessName), [], null, { category: 'SUBSCRIPTION', businessName });
     }
 
+    /**
+     * @param {Object} data - { companyId, businessName, amount, activeEmployees, newExpiry, document }
+     *                        document: the invoice-receipt issued for the payment (attached as PDF)
+     */
     async sendPaymentSuccessNotification(to, data) {
         const title = 'תשלום בוצע בהצלחה';
+        const doc = data.document || null;
+        const attachments = doc ? await require('./BillingDocumentService').buildAttachments(doc) : [];
         const dataManager = require('./DataManager');
         const systemConfig = dataManager.getSystemConfigSync ? dataManager.getSystemConfigSync() : {};
         const templates = systemConfig.emailTemplates || {};
@@ -680,32 +964,97 @@ class EmailService {
                     <tr><td style="color: #94a3b8; text-align: right;">סכום לחיוב:</td><td style="text-align: left; font-weight: 700;">₪${data.amount}</td></tr>
                     <tr><td style="color: #94a3b8; text-align: right;">עובדים פעילים:</td><td style="text-align: left;">${data.activeEmployees != null && data.activeEmployees !== '' ? data.activeEmployees : '—'}</td></tr>
                     <tr><td style="color: #94a3b8; text-align: right;">תוקף מנוי חדש:</td><td style="text-align: left; font-weight: 700;">${data.newExpiry}</td></tr>
+                    ${doc ? `<tr><td style="color: #94a3b8; text-align: right;">${doc.title}:</td><td style="text-align: left;">מס' ${doc.number}${doc.vat > 0 ? ` (כולל מע"מ ₪${doc.vat.toFixed(2)})` : ''}</td></tr>` : ''}
                 </table>
             </div>
             
-            <p style="text-align: right; color: #94a3b8; line-height: 1.6; font-size: 13px;">החשבונית תישלח אליך בנפרד ע"י חברת הסליקה.</p>
+            <p style="text-align: right; color: #94a3b8; line-height: 1.6; font-size: 13px;">${doc
+                ? (attachments.length > 0 ? `${doc.title} מצורפת להודעה זו וזמינה להורדה בהגדרות המערכת.` : `${doc.title} זמינה להורדה בהגדרות המערכת.`)
+                : 'החשבונית תישלח אליך בנפרד ע"י חברת הסליקה.'}</p>
         `;
-        return this.sendEmail(to, `אישור תשלום - ${data.businessName}`, this.getStyledTemplate(title, content, '', null, data.businessName));
+        return this.sendEmail(to, `אישור תשלום - ${data.businessName}`, this.getStyledTemplate(title, content, '', null, data.businessName), attachments, null, { category: 'PAYMENT_SUCCESS', companyId: data.companyId, businessName: data.businessName });
     }
 
+    /**
+     * @param {Object} data - { companyId, businessName, amount, error, recoveryLink, dunning }
+     *                        dunning: { stage: 'FAILED'|'RETRY_FAILED', retriesMade, retriesTotal, nextRetryAt, blockAt, finalWarning }
+     *                        - each failure of the dunning schedule gets a more urgent wording
+     */
     async sendPaymentFailedNotification(to, data) {
-        const title = 'חיוב המנוי נכשל';
+        const dunning = data.dunning || null;
+        const formatDate = (iso) => new Date(iso).toLocaleDateString('he-IL', { timeZone: 'Asia/Jerusalem' });
+
+        let title = 'חיוב המנוי נכשל';
+        let color = '#f59e0b';
+        let lead = 'ניסיון החיוב האוטומטי עבור המנוי נכשל.';
+        if (dunning?.finalWarning) {
+            title = 'אזהרה אחרונה לפני חסימת המנוי';
+            color = '#f43f5e';
+            lead = `גם ניסיון החיוב החוזר נכשל. בניסיון הבא, ב-${formatDate(dunning.nextRetryAt)}, המנוי ייחסם אם החיוב לא יצליח.`;
+        } else if (dunning?.stage === 'RETRY_FAILED') {
+            title = 'ניסיון חיוב חוזר נכשל';
+            color = '#f97316';
+            lead = `ניסיון החיוב החוזר (${dunning.retriesMade} מתוך ${dunning.retriesTotal}) נכשל.`;
+        }
+
+        const schedule = dunning ? `
+                <p style="margin: 10px 0 0 0; color: #94a3b8; font-size: 13px;">${dunning.nextRetryAt ? `ניסיון החיוב הבא: ${formatDate(dunning.nextRetryAt)}` : ''}${dunning.blockAt ? ` · חסימת המנוי: ${formatDate(dunning.blockAt)}` : ''}</p>` : '';
+
         const content = `
+            <div style="text-align: center; margin-bottom: 20px;">
+                 <div style="display: inline-block; padding: 10px 20px; background-color: ${color}15; color: ${color}; border: 1px solid ${color}30; border-radius: 50px; font-weight: 800; font-size: 16px;">
+                    ${title}
+                 </div>
+            </div>
+
             <p style="text-align: right; color: #ffffff; font-size: 15px; margin-bottom: 15px;">שלום <strong>${data.businessName}</strong>,</p>
-            <p style="text-align: right; color: #f43f5e; line-height: 1.6; font-size: 14px; font-weight: 700;">ניסיון החיוב האוטומטי עבור המנוי נכשל.</p>
+            <p style="text-align: right; color: ${color}; line-height: 1.6; font-size: 14px; font-weight: 700;">${lead}</p>
             
-            <div style="background: rgba(244, 63, 94, 0.1); border-right: 4px solid #f43f5e; padding: 15px; margin: 20px 0; border-radius: 8px;">
+            <div style="background: rgba(244, 63, 94, 0.1); border-right: 4px solid ${color}; padding: 15px; margin: 20px 0; border-radius: 8px;">
                 <p style="margin: 0; color: #ffffff; font-size: 14px;"><strong>סיבת הדחייה:</strong> ${data.error}</p>
-                <p style="margin: 10px 0 0 0; color: #94a3b8; font-size: 13px;">סכום לחיוב: ₪${data.amount}</p>
+                <p style="margin: 10px 0 0 0; color: #94a3b8; font-size: 13px;">סכום לחיוב: ₪${data.amount}</p>${schedule}
             </div>
             
-            <p style="text-align: right; color: #94a3b8; line-height: 1.6; font-size: 14px;">אנא היכנס למערכת ועדכן את פרטי התשלום בהקדם כדי למנוע את השבתת השירות.</p>
+            <p style="text-align: right; color: #94a3b8; line-height: 1.6; font-size: 14px;">${data.recoveryLink
+                ? 'ניתן להזין כרטיס אשראי אחר בקישור שלהלן - החיוב יבוצע מיד והמנוי יחודש.'
+                : 'אנא היכנס למערכת ועדכן את פרטי התשלום בהקדם כדי למנוע את השבתת השירות.'}</p>
             
             <div style="text-align: center; margin-top: 25px;">
-                <a href="${config.APP_URL || '#'}" style="display: inline-block; background: #f43f5e; color: #ffffff; text-decoration: none; padding: 12px 30px; border-radius: 10px; font-weight: 700; font-size: 15px;">עדכון פרטי תשלום</a>
+                <a href="${data.recoveryLink || config.APP_URL || '#'}" style="display: inline-block; background: ${color}; color: #ffffff; text-decoration: none; padding: 12px 30px; border-radius: 10px; font-weight: 700; font-size: 15px;">${data.recoveryLink ? 'חידוש המנוי עם כרטיס אחר' : 'עדכון פרטי תשלום'}</a>
+            </div>
+        `;
+        return this.sendEmail(to, `${dunning?.finalWarning ? 'דחוף: ' : ''}דחיית תשלום - ${data.businessName}`, this.getStyledTemplate(title, content, '', null, data.businessName), [], null, { category: 'PAYMENT_FAILED', companyId: data.companyId, businessName: data.businessName });
+    }
+
+    /**
+     * Last email of the dunning schedule: every retry failed and the subscription is blocked.
+     * @param {Object} data - { companyId, businessName, amount, error, recoveryLink }
+     */
+    async sendSubscriptionBlockedNotification(to, data) {
+        const title = 'המנוי נחסם';
+        const color = '#f43f5e';
+        const content = `
+            <div style="text-align: center; margin-bottom: 20px;">
+                 <div style="display: inline-block; padding: 10px 20px; background-color: ${color}15; color: ${color}; border: 1px solid ${color}30; border-radius: 50px; font-weight: 800; font-size: 16px;">
+                    ${title}
+                 </div>
+            </div>
+
+            <p style="text-align: right; color: #ffffff; font-size: 15px; margin-bottom: 15px;">שלום <strong>${data.businessName}</strong>,</p>
+            <p style="text-align: right; color: ${color}; line-height: 1.6; font-size: 14px; font-weight: 700;">כל ניסיונות החיוב נכשלו והגישה למערכת נחסמה עבורך ועבור עובדיך.</p>
+
+            <div style="background: rgba(244, 63, 94, 0.1); border-right: 4px solid ${color}; padding: 15px; margin: 20px 0; border-radius: 8px;">
+                ${data.error ? `<p style="margin: 0 0 10px 0; color: #ffffff; font-size: 14px;"><strong>סיבת הדחייה האחרונה:</strong> ${data.error}</p>` : ''}
+                <p style="margin: 0; color: #94a3b8; font-size: 13px;">סכום לתשלום: ₪${data.amount}</p>
+            </div>
+
+            <p style="text-align: right; color: #94a3b8; line-height: 1.6; font-size: 14px;">הנתונים שלך שמורים. הזנת כרטיס אשראי תקין תחדש את המנוי ואת הגישה מיד.</p>
+
+            <div style="text-align: center; margin-top: 25px;">
+                <a href="${data.recoveryLink || config.APP_URL || '#'}" style="display: inline-block; background: ${color}; color: #ffffff; text-decoration: none; padding: 14px 40px; border-radius: 12px; font-weight: 800; font-size: 16px; box-shadow: 0 4px 15px rgba(244, 63, 94, 0.3);">שחזור המנוי</a>
             </div>
         `;
-        return this.sendEmail(to, `דחיית תשלום - ${data.businessName}`, this.getStyledTemplate(title, content, '', null, data.businessName));
+        return this.sendEmail(to, `המנוי נחסם - ${data.businessName}`, this.getStyledTemplate(title, content, '', null, data.businessName), [], null, { category: 'SUBSCRIPTION_BLOCKED', companyId: data.companyId, businessName: data.businessName });
     }
 
 }
@@ -0,0 +1,200 @@
+const EARTH_RADIUS_METERS = 6371000;
+const DEFAULT_POINT_RADIUS = 100; // meters - used when a work location is a single pin without radius
+
+class GeoService {
+    /**
+     * Normalizes a single coordinate into {lat, lng}.
+     * Accepts {lat, lng}, {latitude, longitude} or [lat, lng].
+     */
+    static toPoint(p) {
+        if (!p) return null;
+        let lat, lng;
+        if (Array.isArray(p)) {
+            [lat, lng] = p;
+        } else if (typeof p === 'object') {
+            lat = p.lat ?? p.latitude;
+            lng = p.lng ?? p.lon ?? p.longitude;
+        }
+        lat = parseFloat(lat);
+        lng = parseFloat(lng);
+        if (isNaN(lat) || isNaN(lng)) return null;
+        return { lat, lng };
+    }
+
+    static isPointList(arr) {
+        return Array.isArray(arr) && arr.length > 0 && arr.every(p => this.toPoint(p) && !Array.isArray(p?.[0]) && !p?.points && !p?.polygon && !p?.radius);
+    }
+
+    /**
+     * Returns the company's work locations as a flat list of zones:
+     * [{ id, name, points: [{lat, lng}], radius }]
+     * Supports the explicit `workLocations` list as well as the legacy `polygon` field,
+     * which may hold a single ring of points, several rings, or named zone objects.
+     */
+    static getZones(companyConfig = {}) {
+        const zones = [];
+
+        const pushZone = (raw, idx, fallbackName) => {
+            if (!raw) return;
+            let points;
+            let name = fallbackName;
+            let id = `zone_${idx + 1}`;
+            let radius = null;
+
+            if (Array.isArray(raw)) {
+                points = raw;
+            } else if (typeof raw === 'object') {
+                points = raw.points || raw.polygon || raw.coordinates || [raw];
+                if (raw.name) name = String(raw.name);
+                if (raw.id) id = String(raw.id);
+                if (raw.radius) radius = parseFloat(raw.radius) || null;
+            }
+
+            const normalized = (points || []).map(p => this.toPoint(p)).filter(Boolean);
+            if (normalized.length === 0) return;
+            if (normalized.length < 3 && !radius) radius = DEFAULT_POINT_RADIUS;
+            zones.push({ id, name, points: normalized, radius });
+        };
+
+        const locations = Array.isArray(companyConfig.workLocations) ? companyConfig.workLocations : [];
+        locations.forEach((loc, i) => pushZone(loc, i, `מיקום ${i + 1}`));
+
+        const polygon = companyConfig.polygon;
+        if (Array.isArray(polygon) && polygon.length > 0) {
+            if (this.isPointList(polygon)) {
+                pushZone(polygon, zones.length, 'המשרד');
+            } else {
+                polygon.forEach(z => pushZone(z, zones.length, `מיקום ${zones.length + 1}`));
+            }
+        }
+
+        return zones;
+    }
+
+    /**
+     * Great-circle distance between two points in meters.
+     */
+    static haversine(a, b) {
+        const toRad = (d) => d * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLng = toRad(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    /**
+     * Ray casting point-in-polygon.
+     */
+    static isPointInPolygon(point, ring) {
+        if (!ring || ring.length < 3) return false;
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            const intersects = ((a.lat > point.lat) !== (b.lat > point.lat)) &&
+                (point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng);
+            if (intersects) inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * Distance (meters) from a point to the segment a-b.
+     * Projects onto a local equirectangular plane around the point (accurate for the
+     * few-km scale of a work site) and measures the final leg with haversine.
+     */
+    static distanceToSegment(point, a, b) {
+        const metersPerDegLat = 111320;
+        const metersPerDegLng = 111320 * Math.cos(point.lat * Math.PI / 180);
+        const ax = (a.lng - point.lng) * metersPerDegLng;
+        const ay = (a.lat - point.lat) * metersPerDegLat;
+        const bx = (b.lng - point.lng) * metersPerDegLng;
+        const by = (b.lat - point.lat) * metersPerDegLat;
+
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lenSq = dx * dx + dy * dy;
+        let t = lenSq === 0 ? 0 : -(ax * dx + ay * dy) / lenSq;
+        t = Math.max(0, Math.min(1, t));
+
+        const closest = {
+            lat: a.lat + (b.lat - a.lat) * t,
+            lng: a.lng + (b.lng - a.lng) * t
+        };
+        return this.haversine(point, closest);
+    }
+
+    /**
+     * Distance in meters from a point to a zone. 0 when inside.
+     */
+    static distanceToZone(point, zone) {
+        const pts = zone.points;
+        if (zone.radius && pts.length < 3) {
+            // Pin / circle zones: distance from the nearest pin minus its radius
+            const nearest = Math.min(...pts.map(p => this.haversine(point, p)));
+            return Math.max(0, nearest - zone.radius);
+        }
+
+        if (this.isPointInPolygon(point, pts)) return 0;
+
+        let min = Infinity;
+        for (let i = 0; i < pts.length; i++) {
+            const d = this.distanceToSegment(point, pts[i], pts[(i + 1) % pts.length]);
+            if (d < min) min = d;
+        }
+        return min;
+    }
+
+    /**
+     * Evaluates a reported location against all company work locations.
+     * @param {Object} location - {lat, lng, accuracy?}
+     * @param {Object} companyConfig - company config holding `workLocations` / `polygon`
+     * @param {Object} options - { maxDistance } allowed distance in meters outside a zone
+     * @returns {Object|null} { meters, inside, withinAllowed, zoneId, zoneName, maxDistance, accuracy }
+     *                        or null when no location / no zones are defined
+     */
+    static evaluate(location, companyConfig, options = {}) {
+        const point = this.toPoint(location);
+        if (!point) return null;
+
+        const zones = this.getZones(companyConfig);
+        if (zones.length === 0) return null;
+
+        let best = null;
+        for (const zone of zones) {
+            const meters = this.distanceToZone(point, zone);
+            if (!best || meters < best.meters) best = { zone, meters };
+            if (meters === 0) break;
+        }
+
+        const maxDistance = parseFloat(options.maxDistance) || 0;
+        const meters = Math.round(best.meters);
+        const accuracy = parseFloat(location.accuracy);
+
+        return {
+            meters,
+            inside: best.meters === 0,
+            withinAllowed: best.meters === 0 || (maxDistance > 0 && best.meters <= maxDistance),
+            zoneId: best.zone.id,
+            zoneName: best.zone.name,
+            maxDistance,
+            accuracy: isNaN(accuracy) ? null : Math.round(accuracy)
+        };
+    }
+
+    /**
+     * Hebrew label stored on the shift and shown in shift alerts.
+     */
+    static describe(result, multiZone = false) {
+        if (!result) return "";
+        const place = multiZone && result.zoneName ? result.zoneName : 'המשרד';
+        const from = multiZone ? `מ-${place}` : 'מהמשרד';
+        if (result.inside) return multiZone ? `בתוך המשרד (${place})` : "בתוך המשרד";
+        if (result.withinAllowed) return `בטווח המורשה (${result.meters} מ' ${from})`;
+        if (result.meters < 1000) return `${result.meters} מטרים ${from}`;
+        return `${(result.meters / 1000).toFixed(1)} ק"מ ${from}`;
+    }
+}
+
+module.exports = GeoService;
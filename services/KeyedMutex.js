@@ -0,0 +1,47 @@
+/**
+ * KeyedMutex
+ * Serializes async critical sections per key (e.g. "<companyId>:<year>-<month>").
+ * Sections with the same key run one after another in arrival order; different keys run in parallel.
+ * Not re-entrant: a section must not wait on its own key.
+ */
+class KeyedMutex {
+    constructor() {
+        this.tails = new Map(); // key -> promise that settles when the last queued holder releases
+    }
+
+    /**
+     * Waits for the key and returns a release() function.
+     */
+    async acquire(key) {
+        const previous = this.tails.get(key) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        this.tails.set(key, tail);
+
+        await previous;
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            release();
+            if (this.tails.get(key) === tail) this.tails.delete(key);
+        };
+    }
+
+    async run(key, fn) {
+        const release = await this.acquire(key);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    isLocked(key) {
+        return this.tails.has(key);
+    }
+}
+
+module.exports = KeyedMutex;
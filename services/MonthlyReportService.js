@@ -0,0 +1,267 @@
+const fs = require('fs');
+const config = require('../config');
+const payrollExportService = require('./PayrollExportService');
+const XlsxWriter = require('./XlsxWriter');
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Fonts with Hebrew glyphs, tried in order when REPORT_PDF_FONT is not set
+const FONT_CANDIDATES = [
+    ['/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf', '/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'],
+    ['/usr/share/fonts/truetype/noto/NotoSansHebrew-Regular.ttf', '/usr/share/fonts/truetype/noto/NotoSansHebrew-Bold.ttf'],
+    ['/usr/share/fonts/truetype/freefont/FreeSans.ttf', '/usr/share/fonts/truetype/freefont/FreeSansBold.ttf'],
+    ['C:\\Windows\\Fonts\\arial.ttf', 'C:\\Windows\\Fonts\\arialbd.ttf']
+];
+
+const HEBREW = /[\u0590-\u05FF\uFB1D-\uFB4F]/;
+const LATIN_OR_DIGIT = /[A-Za-z0-9\u00C0-\u024F]/;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<' };
+
+/**
+ * Reorders a right-to-left paragraph into visual (left-to-right drawing) order.
+ * PDFKit draws glyphs in logical order, so Hebrew runs are reversed while numbers,
+ * times and Latin words keep their own direction.
+ */
+function visual(text) {
+    const chars = Array.from(String(text ?? ''));
+    if (!chars.some(c => HEBREW.test(c))) return chars.join('');
+
+    // Strong types: R (Hebrew), L (Latin / digits); neutrals take the type of matching neighbours, else R
+    const types = chars.map(c => HEBREW.test(c) ? 'R' : (LATIN_OR_DIGIT.test(c) ? 'L' : 'N'));
+    for (let i = 0; i < types.length; i++) {
+        if (types[i] !== 'N') continue;
+        let j = i;
+        while (j < types.length && types[j] === 'N') j++;
+        const before = i > 0 ? types[i - 1] : 'R';
+        const after = j < types.length ? types[j] : 'R';
+        const resolved = before === 'L' && after === 'L' ? 'L' : 'R';
+        for (let k = i; k < j; k++) types[k] = resolved;
+        i = j - 1;
+    }
+
+    const runs = [];
+    chars.forEach((c, i) => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === types[i]) last.chars.push(c);
+        else runs.push({ type: types[i], chars: [c] });
+    });
+
+    return runs.reverse().map(run => run.type === 'L'
+        ? run.chars.join('')
+        : run.chars.reverse().map(c => MIRRORED[c] || c).join('')
+    ).join('');
+}
+
+/**
+ * MonthlyReportService
+ * Attachments for the monthly report email: a per-employee shift-level PDF (RTL Hebrew) and an XLSX of the month.
+ * Both come from PayrollExportService.buildMonth, i.e. the same WageCalculator breakdown as getReport.
+ */
+class MonthlyReportService {
+    /**
+     * @returns {Promise<Array>} nodemailer-style attachments [{ filename, content: Buffer, contentType }]
+     *                           (empty when the month has no closed shifts)
+     */
+    async buildAttachments(companyId, year, month) {
+        const data = await payrollExportService.buildMonth(companyId, year, month);
+        if (data.employees.length === 0) return [];
+
+        const base = `report_${companyId}_${data.year}-${String(data.month).padStart(2, '0')}`;
+        const attachments = [];
+
+        try {
+            attachments.push({ filename: `${base}.pdf`, content: await this.buildPdf(data), contentType: 'application/pdf' });
+        } catch (e) {
+            console.error(`[Reports] PDF for ${companyId} ${data.month}/${data.year} skipped: ${e.message}`);
+        }
+        attachments.push({ filename: `${base}.xlsx`, content: await this.buildXlsx(data), contentType: XLSX_TYPE });
+        return attachments;
+    }
+
+    /**
+     * Rate buckets that appear anywhere in the month (100, 125, 150 always shown).
+     */
+    rates(data) {
+        const rates = new Set([100, 125, 150]);
+        [...data.employees, ...data.shifts].forEach(row => {
+            Object.keys(row).forEach(key => {
+                const match = key.match(/^hours(\d+)$/);
+                if (match) rates.add(parseInt(match[1]));
+            });
+        });
+        return Array.from(rates).sort((a, b) => a - b);
+    }
+
+    async buildXlsx(data) {
+        const rates = this.rates(data);
+        const round = (n) => n === '' || n === undefined || n === null ? '' : Math.round(parseFloat(n) * 100) / 100;
+
+        const summary = [
+            ['שם עובד', 'ימי עבודה', 'משמרות', 'סה"כ שעות', ...rates.map(r => `${r}%`), 'שעות סופ"ש/חג', 'שעות משוקללות', 'שכר בסיס', 'נסיעות', 'ברוטו'],
+            ...data.employees.map(e => [
+                e.employeeName, e.workDays, e.shiftsCount, round(e.totalHours),
+                ...rates.map(r => round(e[`hours${r}`] || 0)),
+                round(e.weekendHours), round(e.weightedHours), round(e.basePay), round(e.travelPay), round(e.grossPay)
+            ])
+        ];
+        const shifts = [
+            ['שם עובד', 'תאריך', 'כניסה', 'יציאה', 'סה"כ שעות', ...rates.map(r => `${r}%`), 'שעות משוקללות', 'מיקום', 'הערה', 'המשך מחודש קודם'],
+            ...data.shifts.map(s => [
+                s.employeeName, s.date, s.startTime, s.endTime, round(s.totalHours),
+                ...rates.map(r => round(s[`hours${r}`] || 0)),
+                round(s.weightedHours), s.location, s.note, s.carryOver ? 'כן' : ''
+            ])
+        ];
+
+        return XlsxWriter.build([
+            { name: 'סיכום', rows: summary, rightToLeft: true, widths: [22, 10, 9, 11, ...rates.map(() => 8), 13, 14, 11, 9, 11] },
+            { name: 'משמרות', rows: shifts, rightToLeft: true, widths: [22, 11, 7, 7, 11, ...rates.map(() => 8), 14, 22, 30, 8] }
+        ]);
+    }
+
+    /**
+     * Regular / bold font paths: REPORT_PDF_FONT(_BOLD), else the first installed candidate.
+     */
+    resolveFonts() {
+        const configured = config.REPORTS?.PDF_FONT;
+        if (configured) {
+            if (!fs.existsSync(configured)) throw new Error(`REPORT_PDF_FONT not found: ${configured}`);
+            const bold = config.REPORTS.PDF_FONT_BOLD;
+            return { regular: configured, bold: bold && fs.existsSync(bold) ? bold : configured };
+        }
+        for (const [regular, bold] of FONT_CANDIDATES) {
+            if (fs.existsSync(regular)) return { regular, bold: fs.existsSync(bold) ? bold : regular };
+        }
+        throw new Error('No Hebrew-capable TTF font found - set REPORT_PDF_FONT');
+    }
+
+    buildPdf(data) {
+        const rates = this.rates(data);
+        const period = `${String(data.month).padStart(2, '0')}/${data.year}`;
+        const fmt = (n) => n === '' || n === undefined || n === null ? '' : (Math.round(parseFloat(n) * 100) / 100).toFixed(2);
+        const money = (n) => n === '' || n === undefined || n === null ? '' : `₪${fmt(n)}`;
+
+        // Columns listed right to left (reading order)
+        const columns = [
+            { key: 'date', label: 'תאריך', width: 62 },
+            { key: 'startTime', label: 'כניסה', width: 38 },
+            { key: 'endTime', label: 'יציאה', width: 38 },
+            { key: 'totalHours', label: 'שעות', width: 40, number: true },
+            ...rates.map(r => ({ key: `hours${r}`, label: `${r}%`, width: 38, number: true })),
+            { key: 'weightedHours', label: 'משוקלל', width: 44, number: true },
+            { key: 'detail', label: 'מיקום / הערה', width: 0 }
+        ];
+        const numbers = (source) => Object.fromEntries(columns.filter(c => c.number).map(c => [c.key, fmt(source[c.key] || 0)]));
+
+        const sections = data.employees.map(employee => ({
+            heading: [
+                { text: `דוח משמרות מפורט - ${data.businessName}`, font: 'bold', size: 15 },
+                { text: `תקופה: ${period}` },
+                { text: `עובד: ${employee.employeeName}${employee.payrollCode ? ` (${employee.payrollCode})` : ''}`, font: 'bold', size: 12 }
+            ],
+            continuation: `${employee.employeeName} - ${period} (המשך)`,
+            columns,
+            rows: data.shifts.filter(s => s.employeeName === employee.employeeName).map(shift => ({
+                ...shift,
+                ...numbers(shift),
+                detail: [shift.carryOver ? 'המשך מחודש קודם' : '', shift.location, shift.note].filter(Boolean).join(' · ')
+            })),
+            totals: { date: 'סה"כ', ...numbers(employee) },
+            footer: [
+                { text: `ימי עבודה: ${employee.workDays}   משמרות: ${employee.shiftsCount}   שעות סופ"ש/חג: ${fmt(employee.weekendHours)}` },
+                ...(employee.grossPay !== ''
+                    ? [{ text: `שכר בסיס: ${money(employee.basePay)}   נסיעות: ${money(employee.travelPay)}   ברוטו: ${money(employee.grossPay)}`, font: 'bold' }]
+                    : [])
+            ]
+        }));
+
+        return this.renderPdf({ title: `${data.businessName} - ${period}` }, sections);
+    }
+
+    /**
+     * Renders RTL table sections to an A4 PDF, one section per page (long tables continue on the next page
+     * with the header row repeated).
+     * @param {Array} sections - [{ heading: [line], continuation: 'text', columns: [{ key, label, width, number }],
+     *                          rows: [{ key: value }], totals: { key: value } | null, footer: [line] }]
+     *                          line = { text, font: 'regular'|'bold', size }; columns are listed right to left,
+     *                          a column with width 0 takes the remaining page width.
+     * @returns {Promise<Buffer>}
+     */
+    renderPdf({ title }, sections) {
+        let PDFDocument;
+        try {
+            PDFDocument = require('pdfkit');
+        } catch (e) {
+            throw new Error('PDF reports require the "pdfkit" package (npm install pdfkit)');
+        }
+        const fonts = this.resolveFonts();
+
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', margin: 36, info: { Title: title, Author: config.APP_NAME } });
+            const chunks = [];
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            doc.registerFont('regular', fonts.regular);
+            doc.registerFont('bold', fonts.bold);
+
+            const left = doc.page.margins.left;
+            const right = doc.page.width - doc.page.margins.right;
+            const bottom = doc.page.height - doc.page.margins.bottom;
+            const rowHeight = 16;
+
+            const cell = (text, x, y, width, { font = 'regular', size = 8.5, align = 'right' } = {}) => {
+                let value = String(text ?? '');
+                doc.font(font).fontSize(size);
+                while (value.length > 1 && doc.widthOfString(value) > width - 4) value = value.slice(0, -1);
+                doc.text(visual(value), x + 2, y + 4, { width: width - 4, align, lineBreak: false });
+            };
+            const line = ({ text, font = 'regular', size = 10 }, y) => {
+                doc.font(font).fontSize(size).text(visual(text), left, y, { width: right - left, align: 'right', lineBreak: false });
+                return y + size + 6;
+            };
+
+            sections.forEach((section, index) => {
+                if (index > 0) doc.addPage();
+
+                const fixed = section.columns.reduce((sum, c) => sum + (c.width || 0), 0);
+                const columns = section.columns.map(c => c.width ? c : { ...c, width: Math.max(60, right - left - fixed) });
+                const row = (values, y, { font, fill } = {}) => {
+                    if (fill) doc.rect(left, y, right - left, rowHeight).fill(fill).fillColor('#000000');
+                    let x = right;
+                    columns.forEach(column => {
+                        x -= column.width;
+                        cell(values[column.key], x, y, column.width, { font, align: column.number ? 'center' : 'right' });
+                    });
+                    doc.moveTo(left, y + rowHeight).lineTo(right, y + rowHeight).lineWidth(0.3).strokeColor('#cbd5e1').stroke();
+                    return y + rowHeight;
+                };
+                const header = (y) => row(Object.fromEntries(columns.map(c => [c.key, c.label])), y, { font: 'bold', fill: '#e2e8f0' });
+
+                let y = doc.page.margins.top;
+                (section.heading || []).forEach(l => { y = line(l, y); });
+                y = header(y + 4);
+
+                (section.rows || []).forEach(values => {
+                    if (y + rowHeight > bottom - 60) {
+                        doc.addPage();
+                        y = line({ text: section.continuation || '', font: 'bold', size: 11 }, doc.page.margins.top);
+                        y = header(y);
+                    }
+                    y = row(values, y);
+                });
+                if (section.totals) y = row(section.totals, y, { font: 'bold', fill: '#f1f5f9' });
+
+                y += 10;
+                (section.footer || []).forEach(l => { y = line(l, y); });
+            });
+
+            doc.end();
+        });
+    }
+}
+
+const monthlyReportService = new MonthlyReportService();
+monthlyReportService.visual = visual;
+module.exports = monthlyReportService;
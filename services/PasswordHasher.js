@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// scrypt parameters (N=2^15, r=8, p=1) - ~32MB / ~50ms per hash
+const SCRYPT = { N: 32768, r: 8, p: 1, keylen: 64, maxmem: 64 * 1024 * 1024 };
+const PREFIX = 'scrypt';
+
+/**
+ * Salted password hashing with Node's built-in scrypt.
+ * Stored format: scrypt$N$r$p$<salt base64>$<hash base64>
+ * Records without the prefix are legacy plaintext and are rehashed on the next successful login.
+ */
+class PasswordHasher {
+    static scrypt(password, salt, params) {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(String(password), salt, params.keylen, {
+                N: params.N, r: params.r, p: params.p, maxmem: SCRYPT.maxmem
+            }, (err, key) => err ? reject(err) : resolve(key));
+        });
+    }
+
+    static isHashed(stored) {
+        return typeof stored === 'string' && stored.startsWith(`${PREFIX}$`);
+    }
+
+    static async hash(password) {
+        if (password === undefined || password === null || String(password) === '') {
+            throw new Error('Password cannot be empty');
+        }
+        const salt = crypto.randomBytes(16);
+        const key = await this.scrypt(password, salt, SCRYPT);
+        return [PREFIX, SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+    }
+
+    /**
+     * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+     */
+    static async verify(password, stored) {
+        if (!stored || password === undefined || password === null) return { valid: false, needsRehash: false };
+
+        if (!this.isHashed(stored)) {
+            // Legacy plaintext record
+            const a = Buffer.from(String(password));
+            const b = Buffer.from(String(stored));
+            const valid = a.length === b.length && crypto.timingSafeEqual(a, b);
+            return { valid, needsRehash: valid };
+        }
+
+        const [, N, r, p, saltB64, hashB64] = stored.split('$');
+        const expected = Buffer.from(hashB64, 'base64');
+        const params = { N: parseInt(N), r: parseInt(r), p: parseInt(p), keylen: expected.length };
+
+        let key;
+        try {
+            key = await this.scrypt(password, Buffer.from(saltB64, 'base64'), params);
+        } catch (e) {
+            console.error('[Auth] Password verification failed:', e.message);
+            return { valid: false, needsRehash: false };
+        }
+
+        const valid = key.length === expected.length && crypto.timingSafeEqual(key, expected);
+        const outdated = params.N !== SCRYPT.N || params.r !== SCRYPT.r || params.p !== SCRYPT.p || expected.length !== SCRYPT.keylen;
+        return { valid, needsRehash: valid && outdated };
+    }
+}
+
+module.exports = PasswordHasher;
@@ -0,0 +1,492 @@
+const dataManager = require('./DataManager');
+const WageCalculator = require('./WageCalculator');
+const XlsxWriter = require('./XlsxWriter');
+
+const TZ = 'Asia/Jerusalem';
+
+/**
+ * Exportable fields. `scope` limits a field to employee totals or shift detail rows;
+ * hours<rate> (hours100, hours125, hours150, ...) is resolved from the wage breakdown for any rate.
+ */
+const FIELDS = {
+    employeeName: { label: 'שם עובד', type: 'text', width: 20 },
+    payrollCode: { label: 'מספר עובד', type: 'text', width: 9, align: 'right', pad: '0' },
+    idNumber: { label: 'ת.ז.', type: 'text', width: 9, align: 'right', pad: '0' },
+    period: { label: 'תקופה', type: 'text', width: 7 },
+    year: { label: 'שנה', type: 'number', width: 4, decimals: 0 },
+    month: { label: 'חודש', type: 'number', width: 2, decimals: 0, pad: '0' },
+    workDays: { label: 'ימי עבודה', type: 'number', width: 3, decimals: 0, pad: '0', scope: 'employees' },
+    shiftsCount: { label: 'משמרות', type: 'number', width: 3, decimals: 0, pad: '0', scope: 'employees' },
+    totalHours: { label: 'סה"כ שעות', type: 'number', width: 6, decimals: 2 },
+    weightedHours: { label: 'שעות משוקללות', type: 'number', width: 6, decimals: 2 },
+    weekendHours: { label: 'שעות סופ"ש/חג', type: 'number', width: 6, decimals: 2 },
+    basePay: { label: 'שכר בסיס', type: 'number', width: 9, decimals: 2, scope: 'employees' },
+    travelPay: { label: 'נסיעות', type: 'number', width: 7, decimals: 2, scope: 'employees' },
+    grossPay: { label: 'ברוטו', type: 'number', width: 9, decimals: 2, scope: 'employees' },
+    date: { label: 'תאריך', type: 'text', width: 10, scope: 'shifts' },
+    startTime: { label: 'כניסה', type: 'text', width: 5, scope: 'shifts' },
+    endTime: { label: 'יציאה', type: 'text', width: 5, scope: 'shifts' },
+    location: { label: 'מיקום', type: 'text', width: 20, scope: 'shifts' },
+    note: { label: 'הערה', type: 'text', width: 30, scope: 'shifts' },
+    carryOver: { label: 'המשך מחודש קודם', type: 'text', width: 1, scope: 'shifts' },
+    componentCode: { label: 'קוד רכיב', type: 'text', width: 4, align: 'right', pad: '0', scope: 'components' },
+    quantity: { label: 'כמות', type: 'number', width: 7, decimals: 2, scope: 'components' }
+};
+const RATE_FIELD = /^hours(\d+)$/;
+
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    fixed: { extension: 'txt', contentType: 'text/plain' }
+};
+const ENCODINGS = ['utf8', 'windows-1255', 'cp862'];
+
+/**
+ * Starting layouts. Payroll offices define their own attendance-import layout (column order,
+ * widths and component codes) - pick the closest preset and adjust the mapping to match it.
+ *  - generic:    one row per employee, a column per rate bucket (CSV / XLSX friendly)
+ *  - components: one row per employee per pay component (employee number, component code, quantity),
+ *                the shape most Israeli payroll packages import attendance in
+ */
+const PRESETS = {
+    generic: {
+        layout: 'columns',
+        columns: [
+            { field: 'payrollCode' }, { field: 'idNumber' }, { field: 'employeeName' },
+            { field: 'workDays' }, { field: 'totalHours' },
+            { field: 'hours100' }, { field: 'hours125' }, { field: 'hours150' },
+            { field: 'weekendHours' }, { field: 'weightedHours' }
+        ],
+        shiftColumns: [
+            { field: 'payrollCode' }, { field: 'employeeName' }, { field: 'date' },
+            { field: 'startTime' }, { field: 'endTime' }, { field: 'totalHours' },
+            { field: 'hours100' }, { field: 'hours125' }, { field: 'hours150' },
+            { field: 'weekendHours' }, { field: 'location' }, { field: 'note' }
+        ],
+        delimiter: ',',
+        encoding: 'utf8',
+        fixedEncoding: 'windows-1255'
+    },
+    components: {
+        layout: 'components',
+        columns: [
+            { field: 'payrollCode', width: 9 },
+            { field: 'componentCode', width: 4 },
+            { field: 'quantity', width: 7, scale: 100, pad: '0' }
+        ],
+        components: [
+            { field: 'workDays', code: '0001' },
+            { field: 'hours100', code: '0100' },
+            { field: 'hours125', code: '0125' },
+            { field: 'hours150', code: '0150' },
+            { field: 'hours175', code: '0175' },
+            { field: 'hours200', code: '0200' }
+        ],
+        delimiter: ',',
+        encoding: 'utf8',
+        fixedEncoding: 'windows-1255'
+    }
+};
+
+/**
+ * PayrollExportService
+ * Monthly payroll files for the accountant: per-employee totals from WageCalculator
+ * (rate buckets + weekend/holiday hours) and shift-level detail, as CSV, XLSX or fixed-width text.
+ * The column mapping is stored per company in config.payrollExport (see getSettings).
+ */
+class PayrollExportService {
+    constructor() {
+        this.FIELDS = FIELDS;
+        this.PRESETS = PRESETS;
+        this.FORMATS = FORMATS;
+    }
+
+    fieldDef(field) {
+        if (FIELDS[field]) return FIELDS[field];
+        const rate = RATE_FIELD.exec(field || '');
+        if (rate) return { label: `שעות ${rate[1]}%`, type: 'number', width: 6, decimals: 2 };
+        return null;
+    }
+
+    /**
+     * Company mapping merged over its preset:
+     * { preset, layout, columns, shiftColumns, components, delimiter, encoding, fixedEncoding, reverseHebrew, employees }
+     * employees = { [name]: { payrollCode, idNumber } } (falls back to settings.constraints[name])
+     */
+    async getSettings(companyId) {
+        const bizConfig = await dataManager.getCompanyConfig(companyId);
+        const saved = bizConfig?.payrollExport || {};
+        const presetName = PRESETS[saved.preset] ? saved.preset : 'generic';
+        return {
+            ...PRESETS[presetName],
+            ...saved,
+            preset: presetName,
+            employees: saved.employees || {}
+        };
+    }
+
+    /**
+     * Validates and stores the mapping. Returns { success, settings } or { success: false, error, message }.
+     */
+    async saveSettings(companyId, settings) {
+        const invalid = (message) => ({ success: false, error: 'INVALID_PAYROLL_MAPPING', message });
+        if (!settings || typeof settings !== 'object') return invalid('הגדרות ייצוא שכר חסרות');
+
+        const clean = {};
+        if (settings.preset !== undefined) {
+            if (!PRESETS[settings.preset]) return invalid(`תבנית לא מוכרת: ${settings.preset}`);
+            clean.preset = settings.preset;
+        }
+        if (settings.layout !== undefined) {
+            if (!['columns', 'components'].includes(settings.layout)) return invalid(`פריסה לא מוכרת: ${settings.layout}`);
+            clean.layout = settings.layout;
+        }
+
+        for (const key of ['columns', 'shiftColumns']) {
+            if (settings[key] === undefined) continue;
+            if (!Array.isArray(settings[key]) || settings[key].length === 0) return invalid('רשימת עמודות ריקה');
+            const cols = [];
+            for (const col of settings[key]) {
+                if (!col || !this.fieldDef(col.field)) return invalid(`שדה לא מוכר: ${col && col.field}`);
+                const width = col.width !== undefined ? parseInt(col.width) : undefined;
+                if (width !== undefined && (isNaN(width) || width < 1 || width > 200)) return invalid(`רוחב לא תקין לשדה ${col.field}`);
+                cols.push({
+                    field: col.field,
+                    ...(col.header !== undefined ? { header: String(col.header) } : {}),
+                    ...(width !== undefined ? { width } : {}),
+                    ...(['left', 'right'].includes(col.align) ? { align: col.align } : {}),
+                    ...(typeof col.pad === 'string' && col.pad.length === 1 ? { pad: col.pad } : {}),
+                    ...(col.decimals !== undefined ? { decimals: Math.min(4, Math.max(0, parseInt(col.decimals) || 0)) } : {}),
+                    ...(col.scale !== undefined ? { scale: parseFloat(col.scale) || 1 } : {})
+                });
+            }
+            clean[key] = cols;
+        }
+
+        if (settings.components !== undefined) {
+            if (!Array.isArray(settings.components)) return invalid('רשימת רכיבים לא תקינה');
+            for (const c of settings.components) {
+                if (!c || !this.fieldDef(c.field) || this.fieldDef(c.field).type !== 'number' || !c.code) {
+                    return invalid(`רכיב לא תקין: ${c && c.field}`);
+                }
+            }
+            clean.components = settings.components.map(c => ({ field: c.field, code: String(c.code) }));
+        }
+
+        if (settings.delimiter !== undefined) {
+            if (![',', ';', '\t', '|'].includes(settings.delimiter)) return invalid('תו מפריד לא נתמך');
+            clean.delimiter = settings.delimiter;
+        }
+        for (const key of ['encoding', 'fixedEncoding']) {
+            if (settings[key] === undefined) continue;
+            if (!ENCODINGS.includes(settings[key])) return invalid(`קידוד לא נתמך: ${settings[key]}`);
+            clean[key] = settings[key];
+        }
+        if (settings.reverseHebrew !== undefined) clean.reverseHebrew = !!settings.reverseHebrew;
+
+        if (settings.employees !== undefined) {
+            if (typeof settings.employees !== 'object' || Array.isArray(settings.employees)) return invalid('מיפוי עובדים לא תקין');
+            clean.employees = {};
+            for (const [name, ids] of Object.entries(settings.employees)) {
+                if (!ids) continue;
+                clean.employees[name] = {
+                    payrollCode: ids.payrollCode ? String(ids.payrollCode).trim() : '',
+                    idNumber: ids.idNumber ? String(ids.idNumber).trim() : ''
+                };
+            }
+        }
+
+        // Partial saves keep the rest of the mapping; switching preset drops the old preset's layout
+        const current = (await dataManager.getCompanyConfig(companyId))?.payrollExport || {};
+        const base = clean.preset && clean.preset !== current.preset ? { employees: current.employees } : current;
+        await dataManager.updateCompanyConfig(companyId, { payrollExport: { ...base, ...clean } });
+        return { success: true, settings: await this.getSettings(companyId) };
+    }
+
+    /**
+     * Calculates the month: employee totals, shift detail and warnings (open shifts, pending and rejected
+     * approvals, missing employee numbers). A shift with a rejected punch earns nothing (WageCalculator.isRejected).
+     * Overnight shifts from the previous month count only their minutes in this month.
+     */
+    async buildMonth(companyId, year, month) {
+        const y = parseInt(year);
+        const m = parseInt(month);
+        if (!y || !m || m < 1 || m > 12) throw new Error('Invalid year/month');
+
+        const bizConfig = await dataManager.getCompanyConfig(companyId);
+        const mapping = await this.getSettings(companyId);
+        const salary = bizConfig.settings?.salary || {};
+        const period = dataManager.getMonthBounds(y, m);
+        const allShifts = await dataManager.getShiftsForPeriod(companyId, y, m);
+
+        const employees = [];
+        const shifts = [];
+        const warnings = [];
+
+        for (const name of Object.keys(allShifts).sort((a, b) => a.localeCompare(b, 'he'))) {
+            const list = Array.isArray(allShifts[name]) ? allShifts[name] : [];
+            const closed = list.filter(s => s.start && s.end);
+
+            list.forEach(s => {
+                if (s.start && !s.end) warnings.push({ type: 'OPEN_SHIFT', name, start: s.start });
+                if (!s.start && s.end) warnings.push({ type: 'MISSING_START', name, end: s.end });
+                if (s.geoIn?.approval?.status === 'PENDING' || s.geoOut?.approval?.status === 'PENDING') {
+                    warnings.push({ type: 'PENDING_APPROVAL', name, start: s.start, end: s.end });
+                }
+                if (WageCalculator.isRejected(s) && !s.carryOver) warnings.push({ type: 'REJECTED_PUNCH', name, start: s.start, end: s.end });
+            });
+            if (closed.length === 0) continue;
+
+            const ids = this.employeeIds(bizConfig, mapping, name);
+            if (!ids.payrollCode) warnings.push({ type: 'MISSING_PAYROLL_CODE', name });
+
+            const holidayDates = await dataManager.getHolidayDatesForMonth(companyId, y, m, name);
+            const workWeekType = bizConfig.settings?.constraints?.[name]?.workWeekType || '5day';
+            const totals = WageCalculator.calculateBreakdown(closed, salary, holidayDates, workWeekType, {
+                ...period,
+                payProfile: bizConfig.settings?.constraints?.[name]?.payProfile
+            });
+
+            const base = { employeeName: name, ...ids, year: y, month: m, period: `${String(m).padStart(2, '0')}/${y}` };
+            const days = new Set();
+            let shiftsCount = 0;
+
+            closed.forEach(s => {
+                const wage = WageCalculator.calculateBreakdown([s], salary, holidayDates, workWeekType, period);
+                if (wage.totalHours <= 0) return;
+
+                const startMs = parseInt(s.start);
+                const endMs = parseInt(s.end);
+                // A carried-over shift is dated by the part that falls inside this month
+                const date = this.formatDate(Math.max(startMs, period.periodStart));
+                days.add(date);
+                shiftsCount++;
+
+                shifts.push({
+                    ...base,
+                    ...this.rateFields(wage.breakdown),
+                    date,
+                    startTime: this.formatTime(startMs),
+                    endTime: this.formatTime(endMs),
+                    totalHours: wage.totalHours,
+                    weightedHours: wage.weightedTotal,
+                    weekendHours: wage.weekendHours,
+                    location: s.distance || (typeof s.location === 'string' ? s.location : ''),
+                    note: s.note || '',
+                    carryOver: s.carryOver ? '1' : ''
+                });
+            });
+
+            employees.push({
+                ...base,
+                ...this.rateFields(totals.breakdown),
+                workDays: days.size,
+                shiftsCount,
+                totalHours: totals.totalHours,
+                weightedHours: totals.weightedTotal,
+                weekendHours: totals.weekendHours,
+                // Empty (not 0) when the employee has no pay profile
+                basePay: totals.pay ? totals.pay.base : '',
+                travelPay: totals.pay ? totals.pay.travel : '',
+                grossPay: totals.pay ? totals.pay.gross : ''
+            });
+        }
+
+        return {
+            companyId,
+            businessName: bizConfig.businessName || '',
+            year: y,
+            month: m,
+            employees,
+            shifts,
+            warnings
+        };
+    }
+
+    /**
+     * Builds the export file.
+     * @param {Object} options - { year, month, format: 'csv'|'xlsx'|'fixed', scope: 'employees'|'shifts' }
+     *                           (xlsx always holds both sheets)
+     * @returns {Promise<Object>} { fileName, contentType, buffer, warnings, employeesCount }
+     */
+    async exportMonth(companyId, { year, month, format = 'csv', scope = 'employees' } = {}) {
+        const fmt = FORMATS[format];
+        if (!fmt) throw new Error(`Unsupported payroll export format: ${format}`);
+        if (!['employees', 'shifts'].includes(scope)) throw new Error(`Unsupported payroll export scope: ${scope}`);
+
+        const mapping = await this.getSettings(companyId);
+        const data = await this.buildMonth(companyId, year, month);
+        const warnings = [...data.warnings];
+
+        let buffer;
+        let contentType = fmt.contentType;
+        if (format === 'xlsx') {
+            const summary = this.tableFor(data, mapping, 'employees');
+            const detail = this.tableFor(data, mapping, 'shifts');
+            buffer = await XlsxWriter.build([
+                { name: 'סיכום', rows: [summary.headers, ...summary.rows.map(r => r.map(c => c.value))], rightToLeft: true, widths: summary.columns.map(c => Math.max(10, c.width + 2)) },
+                { name: 'משמרות', rows: [detail.headers, ...detail.rows.map(r => r.map(c => c.value))], rightToLeft: true, widths: detail.columns.map(c => Math.max(10, c.width + 2)) }
+            ]);
+        } else if (format === 'csv') {
+            const table = this.tableFor(data, mapping, scope);
+            const delimiter = mapping.delimiter || ',';
+            const lines = [table.headers, ...table.rows.map(r => r.map(c => this.formatCell(c.value, c.column, false)))]
+                .map(cells => cells.map(v => this.csvEscape(v, delimiter)).join(delimiter));
+            const text = lines.join('\r\n') + '\r\n';
+            buffer = mapping.encoding === 'utf8'
+                ? Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(text, 'utf8')]) // BOM so Excel opens Hebrew correctly
+                : this.encode(text, mapping.encoding);
+            contentType += `; charset=${mapping.encoding === 'utf8' ? 'utf-8' : mapping.encoding}`;
+        } else {
+            const table = this.tableFor(data, mapping, scope);
+            const lines = table.rows.map(r => r.map(c => {
+                const { text, overflow } = this.fixedCell(c.value, c.column, mapping);
+                if (overflow) warnings.push({ type: 'FIELD_OVERFLOW', field: c.column.field, value: c.value, width: c.column.width });
+                return text;
+            }).join(''));
+            buffer = this.encode(lines.length > 0 ? lines.join('\r\n') + '\r\n' : '', mapping.fixedEncoding || 'windows-1255');
+            contentType += `; charset=${mapping.fixedEncoding || 'windows-1255'}`;
+        }
+
+        const suffix = format === 'xlsx' || scope === 'employees' ? '' : '_shifts';
+        return {
+            fileName: `payroll_${companyId}_${data.year}-${String(data.month).padStart(2, '0')}${suffix}.${fmt.extension}`,
+            contentType,
+            buffer,
+            warnings,
+            employeesCount: data.employees.length
+        };
+    }
+
+    /**
+     * Rows for one scope as [{ value, column }] cells plus resolved column definitions and headers.
+     * The components layout turns each employee into one row per configured pay component.
+     */
+    tableFor(data, mapping, scope) {
+        let source;
+        let columnList;
+        if (scope === 'shifts') {
+            source = data.shifts;
+            columnList = mapping.shiftColumns || PRESETS.generic.shiftColumns;
+        } else if (mapping.layout === 'components') {
+            source = [];
+            data.employees.forEach(emp => {
+                (mapping.components || []).forEach(c => {
+                    const quantity = parseFloat(emp[c.field]) || 0;
+                    if (quantity > 0) source.push({ ...emp, componentCode: c.code, quantity });
+                });
+            });
+            columnList = mapping.columns;
+        } else {
+            source = data.employees;
+            columnList = mapping.columns;
+        }
+
+        const columns = columnList.map(col => {
+            const def = this.fieldDef(col.field) || {};
+            return { ...def, ...col, width: col.width || def.width || 10 };
+        });
+        const headers = columns.map(c => c.header || c.label || c.field);
+        const rows = source.map(row => columns.map(column => {
+            let value = row[column.field];
+            if (value === undefined && RATE_FIELD.test(column.field)) value = 0;
+            return { value: value === undefined || value === null ? '' : value, column };
+        }));
+        return { columns, headers, rows };
+    }
+
+    rateFields(breakdown) {
+        const fields = { hours100: 0, hours125: 0, hours150: 0 };
+        for (const [rate, hours] of Object.entries(breakdown || {})) {
+            fields[`hours${rate}`] = hours;
+        }
+        return fields;
+    }
+
+    employeeIds(bizConfig, mapping, name) {
+        const mapped = mapping.employees?.[name] || {};
+        const constraint = bizConfig.settings?.constraints?.[name] || {};
+        return {
+            payrollCode: String(mapped.payrollCode || constraint.payrollCode || ''),
+            idNumber: String(mapped.idNumber || constraint.idNumber || '')
+        };
+    }
+
+    /**
+     * Cell text. In fixed-width files a `scale` writes numbers with an implied decimal point
+     * (scale 100: 8.5 hours -> 850); CSV always keeps real values with `decimals` places.
+     */
+    formatCell(value, column, fixed) {
+        if (column.type === 'number' && value !== '') {
+            const num = parseFloat(value) || 0;
+            if (fixed && column.scale && column.scale !== 1) return String(Math.round(num * column.scale));
+            return num.toFixed(column.decimals !== undefined ? column.decimals : 2);
+        }
+        return String(value);
+    }
+
+    /**
+     * Pads/truncates a value to its column width. Numbers that don't fit are cut from the left
+     * and reported as FIELD_OVERFLOW - a payroll import must not silently get a wrong quantity.
+     */
+    fixedCell(value, column, mapping) {
+        const width = column.width;
+        const isNumber = column.type === 'number';
+        let text = isNumber ? this.formatCell(value, column, true) : String(value).replace(/[\r\n\t]+/g, ' ');
+        if (!isNumber && mapping.reverseHebrew && /[א-ת]/.test(text)) {
+            // Visual-order systems (old DOS packages) expect Hebrew written right-to-left
+            text = text.split('').reverse().join('');
+        }
+
+        const align = column.align || (isNumber ? 'right' : 'left');
+        const pad = column.pad || ' ';
+        let overflow = false;
+        if (text.length > width) {
+            overflow = isNumber;
+            text = align === 'right' ? text.slice(text.length - width) : text.slice(0, width);
+        }
+        text = align === 'right' ? text.padStart(width, pad) : text.padEnd(width, pad);
+        return { text, overflow };
+    }
+
+    /**
+     * Quotes a CSV cell. Text starting with = + - @ tab or CR is prefixed with ' so a spreadsheet opens it as
+     * text, not a formula (employee names and notes come from users). Plain numbers such as -1.5 are left as is.
+     */
+    csvEscape(value, delimiter) {
+        let s = String(value);
+        if (/^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+        if (s.includes('"') || s.includes(delimiter) || /[\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+        return s;
+    }
+
+    /**
+     * Single-byte Hebrew code pages used by payroll import screens.
+     * windows-1255: א-ת = 0xE0-0xFA, cp862 (DOS): א-ת = 0x80-0x9A. Other non-ASCII characters become '?'.
+     */
+    encode(text, encoding) {
+        if (encoding === 'utf8') return Buffer.from(text, 'utf8');
+        const hebrewBase = encoding === 'cp862' ? 0x80 : 0xE0;
+        const bytes = Buffer.alloc(text.length);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            if (code < 0x80) bytes[i] = code;
+            else if (code >= 0x05D0 && code <= 0x05EA) bytes[i] = hebrewBase + (code - 0x05D0);
+            else bytes[i] = 0x3F;
+        }
+        return bytes;
+    }
+
+    formatDate(ms) {
+        const p = {};
+        new Intl.DateTimeFormat('en-GB', { timeZone: TZ, year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(new Date(ms)).forEach(part => p[part.type] = part.value);
+        return `${p.day}/${p.month}/${p.year}`;
+    }
+
+    formatTime(ms) {
+        return new Date(ms).toLocaleTimeString('en-GB', { timeZone: TZ, hour: '2-digit', minute: '2-digit', hour12: false });
+    }
+}
+
+module.exports = new PayrollExportService();
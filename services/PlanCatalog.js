@@ -0,0 +1,198 @@
+/**
+ * PlanCatalog
+ * Subscription plans kept in the system config (subscriptionPlans, defaultPlanId):
+ * { id, name, description, active, minMonthlyPrice, tiers: [{ upTo, pricePerEmployee }],
+ *   annualDiscountPercent, features: { key: bool } }
+ *
+ * Tiers are graduated: each employee is priced by the tier they fall in (upTo = last employee
+ * count of the tier, null for the open-ended last tier), and the month never costs less than minMonthlyPrice.
+ * Without a catalog every client is on the "legacy" plan built from minMonthlyPrice / pricePerEmployee,
+ * which prices exactly like the original max(min, workers * price) formula.
+ *
+ * A client is on client.planId (or defaultPlanId). client.priceLock = { planId, minMonthlyPrice, tiers,
+ * annualDiscountPercent, lockedAt } keeps grandfathered pricing for that plan; features always follow the plan.
+ */
+class PlanCatalog {
+    static get LEGACY_PLAN_ID() {
+        return 'legacy';
+    }
+
+    /**
+     * Feature flags a plan can switch off (a flag missing from a plan counts as included).
+     */
+    static get FEATURES() {
+        return {
+            payrollExport: 'ייצוא שכר',
+            reportAttachments: 'קבצי PDF / Excel בדוח החודשי',
+            employeeStatements: 'דוח חודשי לעובד',
+            correctionRequests: 'בקשות תיקון נוכחות'
+        };
+    }
+
+    static legacyPlan(sysConfig = {}) {
+        return {
+            id: this.LEGACY_PLAN_ID,
+            name: 'מנוי חודשי',
+            description: '',
+            active: true,
+            minMonthlyPrice: parseFloat(sysConfig.minMonthlyPrice) || 50,
+            tiers: [{ upTo: null, pricePerEmployee: parseFloat(sysConfig.pricePerEmployee) || 5 }],
+            annualDiscountPercent: 0,
+            features: {}
+        };
+    }
+
+    /**
+     * Validates and normalizes one plan. Throws with a Hebrew message on bad input.
+     */
+    static normalizePlan(plan) {
+        if (!plan || typeof plan !== 'object') throw new Error('תוכנית לא תקינה');
+        const id = String(plan.id || '').trim();
+        if (!/^[A-Za-z0-9_-]{1,40}$/.test(id)) throw new Error(`מזהה תוכנית לא תקין: "${plan.id || ''}"`);
+
+        const minMonthlyPrice = parseFloat(plan.minMonthlyPrice) || 0;
+        if (minMonthlyPrice < 0) throw new Error(`מחיר מינימום שלילי בתוכנית ${id}`);
+
+        const tiers = (Array.isArray(plan.tiers) ? plan.tiers : [])
+            .map(t => ({
+                upTo: t.upTo === null || t.upTo === undefined || t.upTo === '' ? null : parseInt(t.upTo),
+                pricePerEmployee: parseFloat(t.pricePerEmployee) || 0
+            }))
+            .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+        if (tiers.length === 0) throw new Error(`לתוכנית ${id} חסרות מדרגות מחיר`);
+        tiers.forEach((t, i) => {
+            if (t.pricePerEmployee < 0) throw new Error(`מחיר שלילי לעובד בתוכנית ${id}`);
+            if (t.upTo !== null && (!(t.upTo > 0) || (i > 0 && t.upTo === tiers[i - 1].upTo))) {
+                throw new Error(`מדרגות לא תקינות בתוכנית ${id}`);
+            }
+        });
+        // The last tier must cover any number of employees
+        tiers[tiers.length - 1].upTo = null;
+
+        const annualDiscountPercent = Math.min(100, Math.max(0, parseFloat(plan.annualDiscountPercent) || 0));
+        const features = {};
+        Object.keys(this.FEATURES).forEach(key => {
+            if (plan.features && plan.features[key] !== undefined) features[key] = !!plan.features[key];
+        });
+
+        return {
+            id,
+            name: String(plan.name || id).trim(),
+            description: String(plan.description || '').trim(),
+            active: plan.active !== false,
+            minMonthlyPrice,
+            tiers,
+            annualDiscountPercent,
+            features
+        };
+    }
+
+    /**
+     * Validates a whole catalog (unique ids). Throws on the first problem.
+     */
+    static normalizeCatalog(plans) {
+        if (!Array.isArray(plans)) throw new Error('רשימת התוכניות חייבת להיות מערך');
+        const normalized = plans.map(p => this.normalizePlan(p));
+        const ids = new Set();
+        normalized.forEach(p => {
+            if (p.id === this.LEGACY_PLAN_ID) throw new Error(`המזהה "${this.LEGACY_PLAN_ID}" שמור למנוי הבסיסי`);
+            if (ids.has(p.id)) throw new Error(`מזהה תוכנית כפול: ${p.id}`);
+            ids.add(p.id);
+        });
+        return normalized;
+    }
+
+    /**
+     * Every plan the system knows: the catalog plus the legacy formula plan.
+     */
+    static plans(sysConfig = {}) {
+        const catalog = [];
+        (Array.isArray(sysConfig.subscriptionPlans) ? sysConfig.subscriptionPlans : []).forEach(p => {
+            try {
+                catalog.push(this.normalizePlan(p));
+            } catch (e) {
+                console.error(`[Plans] Ignoring invalid plan ${p?.id}: ${e.message}`);
+            }
+        });
+        return [...catalog, this.legacyPlan(sysConfig)];
+    }
+
+    static find(sysConfig, planId) {
+        return this.plans(sysConfig).find(p => p.id === String(planId)) || null;
+    }
+
+    /**
+     * The plan a client is billed by, with grandfathered pricing applied.
+     * @returns {Object} plan + { grandfathered: bool, lockedAt }
+     */
+    static resolve(sysConfig = {}, client = {}) {
+        const plans = this.plans(sysConfig);
+        const plan = plans.find(p => p.id === String(client?.planId))
+            || plans.find(p => p.id === String(sysConfig.defaultPlanId) && p.active)
+            || plans.find(p => p.id === this.LEGACY_PLAN_ID);
+
+        const lock = client?.priceLock;
+        if (lock && lock.planId === plan.id) {
+            try {
+                const locked = this.normalizePlan({ ...plan, ...lock, id: plan.id, features: plan.features });
+                return { ...plan, minMonthlyPrice: locked.minMonthlyPrice, tiers: locked.tiers, annualDiscountPercent: locked.annualDiscountPercent, grandfathered: true, lockedAt: lock.lockedAt || null };
+            } catch (e) {
+                console.error(`[Plans] Ignoring invalid price lock of ${client.id}: ${e.message}`);
+            }
+        }
+        return { ...plan, grandfathered: false, lockedAt: null };
+    }
+
+    /**
+     * Monthly price for a number of active employees.
+     */
+    static monthlyPrice(plan, workers) {
+        let remaining = Math.max(0, parseInt(workers) || 0);
+        let previousUpTo = 0;
+        let total = 0;
+        for (const tier of plan.tiers) {
+            if (remaining <= 0) break;
+            const size = tier.upTo === null ? remaining : Math.min(remaining, tier.upTo - previousUpTo);
+            total += size * tier.pricePerEmployee;
+            remaining -= size;
+            previousUpTo = tier.upTo ?? previousUpTo;
+        }
+        return Math.round(Math.max(plan.minMonthlyPrice, total) * 100) / 100;
+    }
+
+    /**
+     * Price of prepaying a number of months; 12 months or more get the plan's annual discount.
+     * @returns {Object} { amount, monthly, months, discountPercent }
+     */
+    static prepayPrice(plan, workers, months = 1) {
+        const count = Math.max(1, parseInt(months) || 1);
+        const monthly = this.monthlyPrice(plan, workers);
+        const discountPercent = count >= 12 ? plan.annualDiscountPercent : 0;
+        const amount = Math.round(monthly * count * (1 - discountPercent / 100) * 100) / 100;
+        return { amount, monthly, months: count, discountPercent };
+    }
+
+    static hasFeature(plan, key) {
+        return !plan || !plan.features || plan.features[key] !== false;
+    }
+
+    /**
+     * What the client side needs to show a plan (prices for the current employee count included).
+     */
+    static describe(plan, workers) {
+        return {
+            id: plan.id,
+            name: plan.name,
+            description: plan.description,
+            minMonthlyPrice: plan.minMonthlyPrice,
+            tiers: plan.tiers,
+            annualDiscountPercent: plan.annualDiscountPercent,
+            features: Object.fromEntries(Object.keys(this.FEATURES).map(key => [key, this.hasFeature(plan, key)])),
+            monthlyPrice: this.monthlyPrice(plan, workers),
+            annualPrice: this.prepayPrice(plan, workers, 12).amount,
+            grandfathered: !!plan.grandfathered
+        };
+    }
+}
+
+module.exports = PlanCatalog;
@@ -0,0 +1,264 @@
+const dataManager = require('./DataManager');
+const WageCalculator = require('./WageCalculator');
+const payrollExportService = require('./PayrollExportService');
+const monthlyReportService = require('./MonthlyReportService');
+
+const TZ = 'Asia/Jerusalem';
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const APPROVAL_LABELS = { PENDING: 'ממתין לאישור', APPROVED: 'אושר', REJECTED: 'נדחה' };
+const TIMESHEET_LABELS = { OPEN: 'פתוח', SUBMITTED: 'הוגש לאישור', APPROVED: 'אושר על ידי המנהל', LOCKED: 'נעול' };
+
+/**
+ * StatementService
+ * Payslip-style monthly statement for a single employee: every shift with its break deduction,
+ * weekend/holiday minutes and rate buckets, month totals (and gross pay when a pay profile exists),
+ * plus the manager's approval state: the month's timesheet status and out-of-zone punches awaiting review.
+ * Hours come from WageCalculator with the same options as getReport / the payroll export.
+ */
+class StatementService {
+    /**
+     * @returns {Promise<Object>} { companyId, businessName, employeeName, payrollCode, year, month, period,
+     *                              shifts: [...], totals: {...}, approval: { status, pending, rejected, timesheet }, generatedAt }
+     */
+    async buildStatement(companyId, name, year, month) {
+        const y = parseInt(year);
+        const m = parseInt(month);
+        if (!y || !m || m < 1 || m > 12) throw new Error('Invalid year/month');
+        if (!name) throw new Error('Missing employee name');
+
+        const bizConfig = await dataManager.getCompanyConfig(companyId);
+        if (!bizConfig) throw new Error('Company not found');
+
+        const allShifts = await dataManager.getShiftsForPeriod(companyId, y, m);
+        const list = Array.isArray(allShifts[name]) ? allShifts[name] : [];
+        if (list.length === 0 && !(bizConfig.employees || []).includes(name)) throw new Error('Employee not found');
+
+        const salary = bizConfig.settings?.salary || {};
+        const constraint = bizConfig.settings?.constraints?.[name] || {};
+        const workWeekType = constraint.workWeekType || '5day';
+        const holidayDates = await dataManager.getHolidayDatesForMonth(companyId, y, m, name);
+        const period = dataManager.getMonthBounds(y, m);
+        const mapping = await payrollExportService.getSettings(companyId);
+        const sheet = await dataManager.getTimesheet(companyId, y, m);
+
+        const shifts = [];
+        let pending = 0;
+        let rejected = 0;
+
+        list.forEach(s => {
+            const approval = {
+                in: s.geoIn?.approval?.status || null,
+                out: s.geoOut?.approval?.status || null
+            };
+            [approval.in, approval.out].forEach(status => {
+                if (status === 'PENDING') pending++;
+                if (status === 'REJECTED') rejected++;
+            });
+
+            const startMs = s.start ? parseInt(s.start) : null;
+            const endMs = s.end ? parseInt(s.end) : null;
+            const status = WageCalculator.isRejected(s) ? 'REJECTED' : (startMs && endMs ? 'CLOSED' : (startMs ? 'OPEN' : 'MISSING_START'));
+            // Listed in the month it started in - its hours are not counted anywhere
+            if (status === 'REJECTED' && s.carryOver) return;
+            // A carried-over shift is dated by the part that falls inside this month
+            const dated = Math.max(startMs || endMs, period.periodStart);
+            const row = {
+                date: payrollExportService.formatDate(dated),
+                day: new Date(dated).toLocaleDateString('he-IL', { timeZone: TZ, weekday: 'long' }),
+                start: startMs ? payrollExportService.formatTime(startMs) : null,
+                end: endMs ? payrollExportService.formatTime(endMs) : null,
+                status,
+                carryOver: !!s.carryOver,
+                breakMinutes: 0,
+                weekendMinutes: 0,
+                totalHours: 0,
+                weightedHours: 0,
+                breakdown: {},
+                location: s.distance || (typeof s.location === 'string' ? s.location : ''),
+                note: s.note || '',
+                approval
+            };
+
+            if (row.status === 'CLOSED') {
+                const wage = WageCalculator.calculateBreakdown([s], salary, holidayDates, workWeekType, period);
+                if (wage.totalHours <= 0 && wage.breakMinutes === 0) return; // Carried-over part belongs to the other month
+                Object.assign(row, {
+                    breakMinutes: wage.breakMinutes,
+                    weekendMinutes: Math.round(wage.weekendHours * 60),
+                    totalHours: wage.totalHours,
+                    weightedHours: wage.weightedTotal,
+                    breakdown: wage.breakdown
+                });
+            }
+            shifts.push(row);
+        });
+
+        const closed = list.filter(s => s.start && s.end);
+        const wage = WageCalculator.calculateBreakdown(closed, salary, holidayDates, workWeekType, {
+            ...period,
+            payProfile: constraint.payProfile
+        });
+
+        return {
+            companyId,
+            businessName: bizConfig.businessName || '',
+            logoUrl: bizConfig.logoUrl || null,
+            employeeName: name,
+            payrollCode: payrollExportService.employeeIds(bizConfig, mapping, name).payrollCode || '',
+            year: y,
+            month: m,
+            period: `${String(m).padStart(2, '0')}/${y}`,
+            shifts,
+            totals: {
+                shiftsCount: shifts.filter(r => r.status === 'CLOSED').length,
+                workDays: new Set(shifts.filter(r => r.status === 'CLOSED').map(r => r.date)).size,
+                openShifts: shifts.filter(r => r.status === 'OPEN' || r.status === 'MISSING_START').length,
+                rejectedShifts: shifts.filter(r => r.status === 'REJECTED').length,
+                totalHours: wage.totalHours,
+                weightedHours: wage.weightedTotal,
+                weekendMinutes: Math.round(wage.weekendHours * 60),
+                breakMinutes: wage.breakMinutes,
+                breakdown: wage.breakdown,
+                pay: wage.pay || null
+            },
+            approval: {
+                status: pending > 0 ? 'PENDING' : 'CLEAR',
+                pending,
+                rejected,
+                timesheet: {
+                    status: sheet.status,
+                    label: TIMESHEET_LABELS[sheet.status] || sheet.status,
+                    submittedAt: sheet.submissions[name]?.at || null,
+                    approvedAt: sheet.approvedAt
+                }
+            },
+            generatedAt: Date.now()
+        };
+    }
+
+    /**
+     * The statement as an RTL PDF (single section, continues over pages for long months).
+     */
+    buildPdf(statement) {
+        const rates = Array.from(new Set([100, 125, 150, ...Object.keys(statement.totals.breakdown).map(Number)])).sort((a, b) => a - b);
+        const fmt = (n) => (Math.round((parseFloat(n) || 0) * 100) / 100).toFixed(2);
+        const money = (n) => `₪${fmt(n)}`;
+        const approvalText = (a) => [
+            a.in ? `כניסה: ${APPROVAL_LABELS[a.in] || a.in}` : '',
+            a.out ? `יציאה: ${APPROVAL_LABELS[a.out] || a.out}` : ''
+        ].filter(Boolean).join(', ');
+
+        // Columns listed right to left (reading order)
+        const columns = [
+            { key: 'date', label: 'תאריך', width: 58 },
+            { key: 'day', label: 'יום', width: 40 },
+            { key: 'start', label: 'כניסה', width: 34 },
+            { key: 'end', label: 'יציאה', width: 34 },
+            { key: 'breakMinutes', label: "הפסקה (דק')", width: 44, number: true },
+            { key: 'weekendMinutes', label: "סופ\"ש/חג (דק')", width: 48, number: true },
+            { key: 'totalHours', label: 'שעות', width: 36, number: true },
+            ...rates.map(r => ({ key: `hours${r}`, label: `${r}%`, width: 34, number: true })),
+            { key: 'weightedHours', label: 'משוקלל', width: 40, number: true },
+            { key: 'detail', label: 'הערות / אישור', width: 0 }
+        ];
+
+        const rows = statement.shifts.map(s => ({
+            date: s.date,
+            day: s.day,
+            start: s.start || '--:--',
+            end: s.end || '--:--',
+            breakMinutes: s.status === 'CLOSED' ? String(s.breakMinutes) : '',
+            weekendMinutes: s.status === 'CLOSED' ? String(s.weekendMinutes) : '',
+            totalHours: s.status === 'CLOSED' ? fmt(s.totalHours) : '',
+            weightedHours: s.status === 'CLOSED' ? fmt(s.weightedHours) : '',
+            ...Object.fromEntries(rates.map(r => [`hours${r}`, s.status === 'CLOSED' ? fmt(s.breakdown[r]) : ''])),
+            detail: [
+                s.status === 'OPEN' ? 'משמרת פתוחה' : (s.status === 'MISSING_START' ? 'חסרה כניסה' : ''),
+                s.status === 'REJECTED' ? 'דיווח נדחה - לא נכלל בשעות' : '',
+                s.carryOver ? 'המשך מחודש קודם' : '',
+                approvalText(s.approval),
+                s.location,
+                s.note
+            ].filter(Boolean).join(' · ')
+        }));
+
+        const t = statement.totals;
+        const footer = [
+            { text: `משמרות: ${t.shiftsCount}   ימי עבודה: ${t.workDays}   סה"כ הפסקות: ${t.breakMinutes} דק'   שעות סופ"ש/חג: ${t.weekendMinutes} דק'` },
+            { text: `פירוט: ${rates.map(r => `${r}% - ${fmt(t.breakdown[r])}`).join('   ')}` }
+        ];
+        if (t.pay) {
+            footer.push({ text: `שכר בסיס: ${money(t.pay.base)}   נסיעות: ${money(t.pay.travel)}   ברוטו: ${money(t.pay.gross)}`, font: 'bold' });
+        }
+        if (t.openShifts > 0) footer.push({ text: `${t.openShifts} משמרות לא סגורות אינן נכללות בסיכום` });
+        if (t.rejectedShifts > 0) footer.push({ text: `${t.rejectedShifts} משמרות עם דיווח שנדחה אינן נכללות בסיכום` });
+        const sheet = statement.approval.timesheet;
+        footer.push({
+            text: `סטטוס החודש: ${sheet.label}${sheet.submittedAt ? ` (הוגש ${payrollExportService.formatDate(sheet.submittedAt)})` : ''}`,
+            font: 'bold'
+        });
+        if (statement.approval.status === 'PENDING') {
+            footer.push({ text: `${statement.approval.pending} דיווחים ממתינים לאישור מנהל - הנתונים עשויים להשתנות` });
+        }
+
+        return monthlyReportService.renderPdf({ title: `${statement.employeeName} - ${statement.period}` }, [{
+            heading: [
+                { text: `דוח חודשי לעובד - ${statement.businessName}`, font: 'bold', size: 15 },
+                { text: `תקופה: ${statement.period}` },
+                { text: `עובד: ${statement.employeeName}${statement.payrollCode ? ` (${statement.payrollCode})` : ''}`, font: 'bold', size: 12 }
+            ],
+            continuation: `${statement.employeeName} - ${statement.period} (המשך)`,
+            columns,
+            rows,
+            totals: {
+                date: 'סה"כ',
+                breakMinutes: String(t.breakMinutes),
+                weekendMinutes: String(t.weekendMinutes),
+                totalHours: fmt(t.totalHours),
+                weightedHours: fmt(t.weightedHours),
+                ...Object.fromEntries(rates.map(r => [`hours${r}`, fmt(t.breakdown[r])]))
+            },
+            footer
+        }]);
+    }
+
+    fileName(statement) {
+        return `statement_${statement.companyId}_${statement.year}-${String(statement.month).padStart(2, '0')}.pdf`;
+    }
+
+    /**
+     * The address statements are sent to: settings.constraints[name].email (set by the manager).
+     * @returns {string|null}
+     */
+    async getProfileEmail(companyId, name) {
+        const bizConfig = await dataManager.getCompanyConfig(companyId);
+        const email = String(bizConfig?.settings?.constraints?.[name]?.email || '').trim();
+        return EMAIL_RE.test(email) ? email : null;
+    }
+
+    /**
+     * Emails the statement (summary in the body, full PDF attached) to the employee's profile address.
+     * @returns {Promise<Object>} { success, id, to } or { success: false, error: 'NO_PROFILE_EMAIL', message }
+     */
+    async emailStatement(companyId, name, year, month) {
+        const to = await this.getProfileEmail(companyId, name);
+        if (!to) {
+            return { success: false, error: 'NO_PROFILE_EMAIL', message: 'לא הוגדרה כתובת אימייל בפרופיל העובד. יש לפנות למנהל.' };
+        }
+
+        const statement = await this.buildStatement(companyId, name, year, month);
+        let attachments = [];
+        try {
+            attachments = [{ filename: this.fileName(statement), content: await this.buildPdf(statement), contentType: 'application/pdf' }];
+        } catch (e) {
+            console.error(`[Statement] PDF for ${name} (${companyId}) skipped: ${e.message}`);
+        }
+
+        const emailService = require('./EmailService');
+        const result = await emailService.sendEmployeeStatement(to, statement, attachments);
+        return { success: true, id: result.id, to };
+    }
+}
+
+module.exports = new StatementService();
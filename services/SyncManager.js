@@ -1,41 +1,189 @@
 const axios = require('axios');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const config = require('../config');
+const KeyedMutex = require('./KeyedMutex');
 
 /**
  * SyncManager
  * Handles background synchronization between Render and GAS.
  * Ensures "Eventual Consistency" by queuing actions and retrying on failure.
+ *
+ * The queue is persisted under <DATA_DIR>/sync/ (queue.json + dead_letter.json) so pending syncs survive
+ * restarts. Items for the same record coalesce (only the latest month / config snapshot is sent), failures
+ * back off exponentially with jitter, and items that exhaust their retries move to the dead-letter store
+ * until a super admin retries or purges them.
+ *
+ * Each company has its own ordered lane; up to config.SYNC.CONCURRENCY lanes send in parallel, so a slow
+ * or broken GAS URL only holds up its own company. A lane that keeps failing trips a circuit breaker and
+ * is paused for a cooldown instead of burning retries (closed -> open -> half-open trial -> closed).
  */
 class SyncManager {
     constructor() {
         this.queue = [];
-        this.isProcessing = false;
-        this.maxRetries = 5;
-        this.retryDelay = 5000; // 5 seconds initial delay
+        this.deadLetter = [];
+        this.active = new Map(); // lane (companyId) -> id of the item being sent (never coalesced into)
+        this.breakers = {}; // lane -> { state: 'closed'|'open'|'half-open', failures, openedAt, openUntil }
+        this.laneStats = {}; // lane -> { lastSuccessAt, lastFailureAt, lastError }
+        this.counters = { sent: 0, failed: 0, coalesced: 0, deadLettered: 0, since: Date.now() };
+        this.timer = null;
+        this.maxRetries = 10;
+        this.retryDelay = 5000; // 5 seconds initial delay, doubled per retry
+        this.maxRetryDelay = 15 * 60 * 1000;
+        this.maxDeadLetter = 500;
+        this.concurrency = Math.max(1, config.SYNC.CONCURRENCY);
+        this.breakerThreshold = Math.max(1, config.SYNC.BREAKER_THRESHOLD);
+        this.breakerCooldown = config.SYNC.BREAKER_COOLDOWN_MS;
+        this.syncDir = null; // set by init() - until then the queue is memory-only
+        this.fileLocks = new KeyedMutex();
+        this.writing = null; // the queue write in progress
+        this.nextWrite = null; // the write queued behind it - later persist() calls join this one
+    }
+
+    get isProcessing() {
+        return this.active.size > 0;
+    }
+
+    isInFlight(item) {
+        return this.active.get(this.laneOf(item)) === item.id;
+    }
+
+    laneOf(item) {
+        return String(item.options?.companyId || '__SYSTEM__');
+    }
+
+    /**
+     * Loads the persisted queue and dead-letter store and resumes processing.
+     * Items enqueued before init are newer than anything on disk and win when they coalesce.
+     */
+    async init(dataDir) {
+        this.syncDir = path.join(dataDir, 'sync');
+        await fs.mkdir(this.syncDir, { recursive: true });
+
+        const stored = await this.readStore('queue.json');
+        const dead = await this.readStore('dead_letter.json');
+        const pendingKeys = new Set(this.queue.map(i => i.key));
+        const restored = stored.filter(i => i && i.key && !pendingKeys.has(i.key));
+        this.queue = [...restored, ...this.queue];
+        this.deadLetter = [...dead.filter(i => i && i.key), ...this.deadLetter];
+
+        if (restored.length > 0 || this.deadLetter.length > 0) {
+            console.log(`[SyncManager] Restored ${restored.length} pending item(s), ${this.deadLetter.length} in dead-letter.`);
+        }
+        await this.persist();
+        this.processQueue();
+    }
+
+    async readStore(fileName) {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(this.syncDir, fileName), 'utf8'));
+            return Array.isArray(data) ? data : [];
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error(`[SyncManager] Could not read ${fileName}: ${e.message}`);
+            return [];
+        }
+    }
+
+    async writeStore(fileName, items) {
+        const filePath = path.join(this.syncDir, fileName);
+        await this.fileLocks.run(filePath, async () => {
+            // Serialized at write time, so back-to-back writes always land the latest state
+            const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            try {
+                await fs.writeFile(tmpPath, JSON.stringify(items));
+                await fs.rename(tmpPath, filePath);
+            } catch (e) {
+                await fs.unlink(tmpPath).catch(() => { });
+                throw e;
+            }
+        });
+    }
+
+    /**
+     * Writes the queue and dead-letter store. At most one write runs at a time and at most one waits behind it:
+     * calls made while a write is waiting share it (it snapshots the queue when it starts), so a burst of
+     * enqueues costs two writes, not one per item. Resolves once the state at call time is on disk.
+     */
+    persist() {
+        if (!this.syncDir) return Promise.resolve();
+        if (!this.nextWrite) {
+            const write = (this.writing || Promise.resolve()).then(() => {
+                this.nextWrite = null;
+                this.writing = write;
+                return this.writeQueue();
+            }).finally(() => {
+                if (this.writing === write) this.writing = null;
+            });
+            this.nextWrite = write;
+        }
+        return this.nextWrite;
+    }
+
+    async writeQueue() {
+        try {
+            await this.writeStore('queue.json', this.queue);
+            await this.writeStore('dead_letter.json', this.deadLetter);
+        } catch (e) {
+            console.error(`[SyncManager] CRITICAL: failed to persist sync queue: ${e.message}`);
+        }
+    }
+
+    /**
+     * Coalescing key: one pending item per company month (SHIFT) or per company record (CONFIG, CLIENTS, LEDGER).
+     */
+    keyFor(type, payload, options) {
+        if (type === 'SHIFT') return `SHIFT:${options.companyId}:${payload.year}-${payload.month}`;
+        return `${type}:${options.companyId}`;
+    }
+
+    /**
+     * Exponential backoff with "equal jitter": half the delay is fixed, half random,
+     * so many items failing together don't retry in lockstep.
+     */
+    backoffDelay(retries) {
+        const delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, Math.max(0, retries - 1)));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
     }
 
     /**
      * Enqueue a sync action
-     * @param {string} type - 'SHIFT' | 'CONFIG' | 'METADATA'
+     * @param {string} type - 'SHIFT' | 'CONFIG' | 'CLIENTS' | 'LEDGER'
      * @param {Object} payload - The data to sync
-     * @param {Object} options - { companyId, gasUrl, password }
+     * @param {Object} options - { companyId, gasUrl }
+     * @returns {Promise} settles once the item is persisted (the send itself runs in the background)
      */
     enqueue(type, payload, options) {
-        this.queue.push({
-            type,
-            payload,
-            options,
-            retries: 0,
-            addedAt: Date.now()
-        });
+        const key = this.keyFor(type, payload, options);
+        const now = Date.now();
+        const pending = this.queue.find(i => i.key === key && !this.isInFlight(i));
 
-        console.log(`[SyncManager] Enqueued ${type} for ${options.companyId}. Queue size: ${this.queue.length}`);
-        
-        // Start processing if not already running
-        if (!this.isProcessing) {
-            this.processQueue();
+        if (pending) {
+            // Newer snapshot replaces the queued one; retry count and backoff are kept
+            pending.payload = payload;
+            pending.options = options;
+            pending.updatedAt = now;
+            this.counters.coalesced++;
+            console.log(`[SyncManager] Coalesced ${type} for ${options.companyId}. Queue size: ${this.queue.length}`);
+        } else {
+            this.queue.push({
+                id: crypto.randomBytes(8).toString('hex'),
+                key,
+                type,
+                payload,
+                options,
+                retries: 0,
+                addedAt: now,
+                updatedAt: now,
+                nextAttemptAt: now,
+                lastError: null
+            });
+            console.log(`[SyncManager] Enqueued ${type} for ${options.companyId}. Queue size: ${this.queue.length}`);
         }
+
+        const persisted = this.persist();
+        this.processQueue();
+        return persisted;
     }
 
     /**
@@ -46,44 +194,303 @@ class SyncManager {
         return await this.performSync({ type, payload, options });
     }
 
-    async processQueue() {
-        if (this.queue.length === 0) {
-            this.isProcessing = false;
-            return;
+    /**
+     * Lanes in queue order: Map(lane -> items, oldest first)
+     */
+    lanes() {
+        const lanes = new Map();
+        this.queue.forEach(item => {
+            const lane = this.laneOf(item);
+            if (!lanes.has(lane)) lanes.set(lane, []);
+            lanes.get(lane).push(item);
+        });
+        return lanes;
+    }
+
+    /**
+     * Starts a worker for every idle lane whose head item is due, up to the concurrency limit.
+     * Workers call back in when they finish; otherwise a timer wakes up for the next due item.
+     */
+    processQueue() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const now = Date.now();
+
+        for (const [lane, items] of this.lanes()) {
+            if (this.active.size >= this.concurrency) break;
+            if (this.active.has(lane)) continue;
+            const head = items[0];
+            if ((head.nextAttemptAt || 0) > now || !this.breakerAllows(lane, now)) continue;
+
+            this.active.set(lane, head.id);
+            this.runItem(lane, head)
+                .catch(e => console.error(`[SyncManager] Worker error on lane ${lane}: ${e.message}`))
+                .finally(() => {
+                    this.active.delete(lane);
+                    this.processQueue();
+                });
         }
 
-        this.isProcessing = true;
-        const item = this.queue[0];
+        this.scheduleNext();
+    }
 
+    async runItem(lane, item) {
+        const stats = this.laneStats[lane] || (this.laneStats[lane] = {});
         try {
             await this.performSync(item);
-            // Success! Remove from queue and move to next
-            this.queue.shift();
+            // Success! Remove from queue; a dead-lettered older snapshot of the same record is now obsolete
+            this.queue = this.queue.filter(i => i.id !== item.id);
+            this.deadLetter = this.deadLetter.filter(i => i.key !== item.key);
+            this.counters.sent++;
+            stats.lastSuccessAt = Date.now();
+            this.breakerSuccess(lane);
             console.log(`[SyncManager] Successfully synced ${item.type} for ${item.options.companyId}`);
-            this.processQueue();
         } catch (error) {
             item.retries++;
+            item.lastError = error.message;
+            this.counters.failed++;
+            stats.lastFailureAt = Date.now();
+            stats.lastError = error.message;
+            this.breakerFailure(lane);
             console.error(`[SyncManager] Sync failed for ${item.type} (${item.options.companyId}). Retries: ${item.retries}/${this.maxRetries}. Error: ${error.message}`);
 
             if (item.retries >= this.maxRetries) {
-                console.error(`[SyncManager] ${item.type} failed after maximum retries. Dropping item.`);
-                this.queue.shift();
-                this.processQueue();
+                console.error(`[SyncManager] ${item.type} for ${item.options.companyId} failed after maximum retries. Moved to dead-letter.`);
+                this.queue = this.queue.filter(i => i.id !== item.id);
+                this.deadLetter = this.deadLetter.filter(i => i.key !== item.key);
+                this.deadLetter.push({ ...item, failedAt: Date.now() });
+                this.counters.deadLettered++;
+                if (this.deadLetter.length > this.maxDeadLetter) {
+                    const dropped = this.deadLetter.splice(0, this.deadLetter.length - this.maxDeadLetter);
+                    dropped.forEach(d => console.error(`[SyncManager] Dead-letter full - discarded ${d.key} (failed ${new Date(d.failedAt).toISOString()})`));
+                }
+            } else {
+                item.nextAttemptAt = Date.now() + this.backoffDelay(item.retries);
+            }
+        } finally {
+            await this.persist();
+        }
+    }
+
+    // --- CIRCUIT BREAKER (per lane) ---
+
+    breakerAllows(lane, now = Date.now()) {
+        const breaker = this.breakers[lane];
+        if (!breaker || breaker.state === 'closed') return true;
+        if (breaker.state === 'open') {
+            if (now < breaker.openUntil) return false;
+            // Cooldown over: let a single trial request through (lanes send one item at a time)
+            breaker.state = 'half-open';
+        }
+        return true;
+    }
+
+    breakerFailure(lane) {
+        const breaker = this.breakers[lane] || (this.breakers[lane] = { state: 'closed', failures: 0, openedAt: null, openUntil: null });
+        breaker.failures++;
+        if (breaker.state === 'half-open' || breaker.failures >= this.breakerThreshold) {
+            const now = Date.now();
+            breaker.state = 'open';
+            breaker.openedAt = now;
+            breaker.openUntil = now + this.breakerCooldown;
+            console.error(`[SyncManager] Circuit open for ${lane} after ${breaker.failures} consecutive failures - pausing until ${new Date(breaker.openUntil).toISOString()}`);
+        }
+    }
+
+    breakerSuccess(lane) {
+        const breaker = this.breakers[lane];
+        if (!breaker) return;
+        if (breaker.state !== 'closed') console.log(`[SyncManager] Circuit closed for ${lane}`);
+        delete this.breakers[lane];
+    }
+
+    scheduleNext() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.active.size >= this.concurrency) return; // a finishing worker calls processQueue
+
+        let next = Infinity;
+        for (const [lane, items] of this.lanes()) {
+            if (this.active.has(lane)) continue;
+            const breaker = this.breakers[lane];
+            const openUntil = breaker && breaker.state === 'open' ? breaker.openUntil : 0;
+            next = Math.min(next, Math.max(items[0].nextAttemptAt || 0, openUntil));
+        }
+        if (next === Infinity) return;
+
+        this.timer = setTimeout(() => this.processQueue(), Math.max(0, next - Date.now()));
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    // --- SUPER ADMIN ---
+
+    describe(item) {
+        let bytes = 0;
+        try {
+            bytes = Buffer.byteLength(JSON.stringify(item.payload) || '');
+        } catch (e) { }
+        return {
+            id: item.id,
+            key: item.key,
+            type: item.type,
+            companyId: item.options?.companyId || null,
+            year: item.type === 'SHIFT' ? item.payload?.year : undefined,
+            month: item.type === 'SHIFT' ? item.payload?.month : undefined,
+            retries: item.retries,
+            addedAt: item.addedAt,
+            updatedAt: item.updatedAt,
+            nextAttemptAt: item.failedAt ? undefined : item.nextAttemptAt,
+            failedAt: item.failedAt,
+            lastError: item.lastError,
+            bytes
+        };
+    }
+
+    /**
+     * Queue state for the super admin panel (payloads left out).
+     */
+    getStatus() {
+        return {
+            processing: this.isProcessing,
+            inFlight: Array.from(this.active.values()),
+            persisted: !!this.syncDir,
+            metrics: this.getMetrics(),
+            pending: this.queue.map(i => this.describe(i)),
+            deadLetter: this.deadLetter.map(i => this.describe(i))
+        };
+    }
+
+    /**
+     * Depth / lag metrics for the super admin dashboard. Lag = age of the oldest unsent item.
+     */
+    getMetrics() {
+        const now = Date.now();
+        const laneNames = new Set([...this.queue.map(i => this.laneOf(i)), ...Object.keys(this.breakers)]);
+        const byLane = this.lanes();
+
+        const lanes = Array.from(laneNames).map(lane => {
+            const items = byLane.get(lane) || [];
+            const breaker = this.breakers[lane];
+            const stats = this.laneStats[lane] || {};
+            return {
+                companyId: lane,
+                depth: items.length,
+                lagMs: items.length > 0 ? now - Math.min(...items.map(i => i.addedAt)) : 0,
+                sending: this.active.has(lane),
+                circuit: breaker ? breaker.state : 'closed',
+                consecutiveFailures: breaker ? breaker.failures : 0,
+                openUntil: breaker && breaker.state === 'open' ? breaker.openUntil : null,
+                lastSuccessAt: stats.lastSuccessAt || null,
+                lastFailureAt: stats.lastFailureAt || null,
+                lastError: stats.lastError || null
+            };
+        }).sort((a, b) => b.lagMs - a.lagMs);
+
+        return {
+            concurrency: this.concurrency,
+            activeWorkers: this.active.size,
+            depth: this.queue.length,
+            deadLetter: this.deadLetter.length,
+            maxLagMs: lanes.length > 0 ? lanes[0].lagMs : 0,
+            openCircuits: lanes.filter(l => l.circuit === 'open').length,
+            counters: { ...this.counters },
+            lanes
+        };
+    }
+
+    /**
+     * Retries now: dead-lettered items go back to the queue with a fresh retry budget, pending ones skip their backoff.
+     * A dead-lettered item whose record already has a newer pending snapshot is dropped instead.
+     * @param {Array<string>} [ids] - item ids; all dead-lettered and pending items when omitted
+     * @returns {Object} { requeued, dropped }
+     */
+    async retry(ids) {
+        const selected = (item) => !Array.isArray(ids) || ids.includes(item.id);
+        const now = Date.now();
+        let requeued = 0;
+        let dropped = 0;
+
+        this.queue.forEach(item => {
+            if (selected(item) && !this.isInFlight(item)) {
+                item.nextAttemptAt = now;
+                requeued++;
+            }
+        });
+
+        this.deadLetter = this.deadLetter.filter(item => {
+            if (!selected(item)) return true;
+            if (this.queue.some(i => i.key === item.key)) {
+                dropped++;
             } else {
-                // Retry after delay
-                setTimeout(() => this.processQueue(), this.retryDelay * item.retries);
+                const { failedAt, ...rest } = item;
+                this.queue.push({ ...rest, retries: 0, nextAttemptAt: now });
+                requeued++;
             }
+            return false;
+        });
+
+        // A forced retry gets one trial request through an open circuit
+        this.queue.filter(selected).forEach(item => {
+            const breaker = this.breakers[this.laneOf(item)];
+            if (breaker && breaker.state === 'open') breaker.state = 'half-open';
+        });
+
+        await this.persist();
+        this.processQueue();
+        return { requeued, dropped };
+    }
+
+    /**
+     * Removes items without sending them.
+     * @param {Array<string>} [ids] - item ids; everything in scope when omitted
+     * @param {string} scope - 'deadLetter' (default) | 'queue' | 'all'
+     * @returns {Object} { purged }
+     */
+    async purge(ids, scope = 'deadLetter') {
+        const selected = (item) => !Array.isArray(ids) || ids.includes(item.id);
+        let purged = 0;
+
+        if (scope === 'queue' || scope === 'all') {
+            const before = this.queue.length;
+            this.queue = this.queue.filter(i => this.isInFlight(i) || !selected(i));
+            purged += before - this.queue.length;
+        }
+        if (scope === 'deadLetter' || scope === 'all') {
+            const before = this.deadLetter.length;
+            this.deadLetter = this.deadLetter.filter(i => !selected(i));
+            purged += before - this.deadLetter.length;
         }
+
+        await this.persist();
+        this.processQueue();
+        return { purged };
+    }
+
+    /**
+     * Server-to-GAS credential. A shared secret (GAS_API_SECRET) replaces the company / super-admin
+     * passwords that used to travel in sync payloads and query strings. It only ever goes in a POST body -
+     * never in a URL, where proxies, GAS execution logs and error messages would record it.
+     */
+    gasAuthParams() {
+        return config.GAS_API_SECRET ? { token: config.GAS_API_SECRET } : {};
+    }
+
+    /**
+     * Calls a GAS action (reads included) as a POST with the action, its params and the credential in the body.
+     * @returns {Promise<Object>} the axios response
+     */
+    gasRequest(gasUrl, action, params = {}, options = {}) {
+        return axios.post(gasUrl, { action, ...params, ...this.gasAuthParams() }, options);
     }
 
     async performSync(item) {
         const { type, payload, options } = item;
-        const { gasUrl, companyId, password } = options;
+        const { gasUrl, companyId } = options;
 
         if (!gasUrl) throw new Error('Missing GAS URL');
 
         let action = '';
-        const postData = { companyId, password };
+        const postData = { companyId, ...this.gasAuthParams() };
 
         switch (type) {
             case 'SHIFT':
@@ -94,7 +94,8 @@ class TranzilaService {
         try {
             console.log(`[Tranzila] Charging token for amount: ${params.sum}, tranmode: ${payload.tranmode}`);
             const response = await axios.post(config.TRANZILA.API_URL, new URLSearchParams(payload).toString(), {
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: config.TRANZILA.CHARGE_TIMEOUT_MS
             });
 
             const responseBody = response.data;
@@ -1,14 +1,28 @@
 class WageCalculator {
     /**
      * Calculates the wage breakdown for an array of shifts based on salary settings.
-     * @param {Array} shifts - Array of shift objects {start, end} (timestamps)
+     * @param {Array} shifts - Array of shift objects {start, end} (timestamps).
+     *                         A shift with a rejected out-of-zone punch (see isRejected) is not counted.
      * @param {Object} salarySettings - The company's salary/overtime config
-     * @returns {Object} { totalHours, breakdown: { rateName: hoursCount } }
+     * @param {Object} options - { periodStart, periodEnd } (ms) count only minutes inside this window,
+     *                           so a shift crossing a month boundary is split between the two months.
+     *                           Overtime tiers still follow the minute's position in the whole shift.
+     *                           { payProfile } (settings.constraints[name].payProfile) adds gross pay - see calculatePay.
+     * @returns {Object} { totalHours, weightedTotal, weekendHours, breakMinutes, breakdown: { rateName: hoursCount }, pay? }
+     *          weekendHours = hours inside the weekend/holiday window (they are also counted in breakdown)
+     *          breakMinutes = deducted break minutes (the break is taken off the end of the shift, so it counts in the period holding those minutes)
      */
-    static calculateBreakdown(shifts, salarySettings = {}, holidayDates = [], workWeekType = '5day') {
+    static calculateBreakdown(shifts, salarySettings = {}, holidayDates = [], workWeekType = '5day', options = {}) {
+        const periodStart = options.periodStart ? parseInt(options.periodStart) : -Infinity;
+        const periodEnd = options.periodEnd ? parseInt(options.periodEnd) : Infinity;
+
         let totalHoursAll = 0;
         let weightedTotal = 0;
+        let weekendTotal = 0;
+        let breakMinutes = 0;
         let breakdown = { 100: 0 };
+        const profile = this.normalizePayProfile(options.payProfile);
+        const hoursByDate = {}; // isoDate -> { rate: hours }, priced by the rate effective on that day
 
         const timeToMinutes = (timeStr) => {
             if (!timeStr) return 0;
@@ -34,7 +48,7 @@ class WageCalculator {
         };
 
         shifts.forEach(s => {
-            if (!s.start || !s.end) return;
+            if (!s.start || !s.end || this.isRejected(s)) return;
             const startMs = parseInt(s.start);
             const endMs = parseInt(s.end);
             if (isNaN(startMs) || isNaN(endMs)) return;
@@ -51,10 +65,15 @@ class WageCalculator {
                     ? timeToMinutes(salarySettings.breaks?.special || '00:30')
                     : timeToMinutes(salarySettings.breaks?.weekday || '00:45');
                 workedMins = Math.max(0, totalMins - deduct);
+                for (let i = workedMins; i < totalMins; i++) {
+                    const ts = startMs + (i * 60000);
+                    if (ts >= periodStart && ts < periodEnd) breakMinutes++;
+                }
             }
 
             for (let i = 0; i < workedMins; i++) {
                 const currentTs = startMs + (i * 60000);
+                if (currentTs < periodStart || currentTs >= periodEnd) continue;
                 const isSpecial = getIsSpecial(currentTs);
                 const loc = this.getLocalized(currentTs);
                 const isFriday = loc.dayOfWeekNum === 5;
@@ -85,7 +104,12 @@ class WageCalculator {
 
                 const rate = 100 + (addedRate * 100);
                 breakdown[rate] = (breakdown[rate] || 0) + (1 / 60);
+                if (profile) {
+                    if (!hoursByDate[loc.isoDate]) hoursByDate[loc.isoDate] = {};
+                    hoursByDate[loc.isoDate][rate] = (hoursByDate[loc.isoDate][rate] || 0) + (1 / 60);
+                }
                 totalHoursAll += (1 / 60);
+                if (isSpecial) weekendTotal += (1 / 60);
                 weightedTotal += (1 / 60) * (rate / 100);
             }
         });
@@ -96,11 +120,138 @@ class WageCalculator {
             if (breakdown[k] <= 0) delete breakdown[k];
         }
 
-        return {
+        const result = {
             totalHours: parseFloat(totalHoursAll.toFixed(2)),
             weightedTotal: parseFloat(weightedTotal.toFixed(2)),
+            weekendHours: parseFloat(weekendTotal.toFixed(2)),
+            breakMinutes,
             breakdown
         };
+        if (profile) result.pay = this.calculatePay(profile, hoursByDate, workWeekType, options);
+        return result;
+    }
+
+    /**
+     * Validates a pay profile (settings.constraints[name].payProfile):
+     * {
+     *   type: 'hourly' | 'monthly' | 'daily',
+     *   rates: [{ effectiveFrom: 'yyyy-MM-dd', hourlyRate, monthlySalary, dailyRate }],
+     *   travel: { perDay, monthlyMax },
+     *   standardMonthlyHours (monthly, default 182), standardDailyHours (daily, default 42h week / work days)
+     * }
+     * @returns {Object|null} profile with rates sorted by effectiveFrom, or null if unusable
+     */
+    static normalizePayProfile(profile) {
+        if (!profile || typeof profile !== 'object') return null;
+        const type = ['hourly', 'monthly', 'daily'].includes(profile.type) ? profile.type : 'hourly';
+        const amountKey = { hourly: 'hourlyRate', monthly: 'monthlySalary', daily: 'dailyRate' }[type];
+
+        const rates = (Array.isArray(profile.rates) ? profile.rates : [])
+            .map(r => ({
+                effectiveFrom: /^\d{4}-\d{2}-\d{2}$/.test(r?.effectiveFrom || '') ? r.effectiveFrom : '0000-00-00',
+                amount: parseFloat(r?.[amountKey])
+            }))
+            .filter(r => !isNaN(r.amount) && r.amount >= 0)
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        if (rates.length === 0) return null;
+
+        return {
+            type,
+            rates,
+            travelPerDay: parseFloat(profile.travel?.perDay) || 0,
+            travelMonthlyMax: parseFloat(profile.travel?.monthlyMax) || 0,
+            standardMonthlyHours: parseFloat(profile.standardMonthlyHours) || 182,
+            standardDailyHours: parseFloat(profile.standardDailyHours) || null
+        };
+    }
+
+    /**
+     * The rate in effect on a date (the latest one that started on or before it).
+     * Dates before the first rate use the first rate.
+     */
+    static rateOn(rates, isoDate) {
+        let current = rates[0];
+        for (const r of rates) {
+            if (r.effectiveFrom <= isoDate) current = r;
+            else break;
+        }
+        return current.amount;
+    }
+
+    /**
+     * Gross pay from hours per day and bucket. Each day is priced with the rate effective on that day.
+     *  - hourly:  every bucket = hours x hourlyRate x bucket%
+     *  - monthly: the salary covers the 100% hours (prorated by calendar days when the rate changes mid-period);
+     *             other buckets are paid on top at bucket% of salary / standardMonthlyHours
+     *  - daily:   dailyRate per day worked; other buckets on top at bucket% of dailyRate / standardDailyHours
+     * Travel allowance is perDay x days worked, capped at monthlyMax.
+     * @returns {Object} { type, base, buckets: { rate: amount }, travel, gross, workDays }
+     */
+    static calculatePay(profile, hoursByDate, workWeekType = '5day', options = {}) {
+        const round = (n) => parseFloat(n.toFixed(2));
+        const dailyHours = profile.standardDailyHours || (workWeekType === '6day' ? 7 : 8.4);
+        const workDates = Object.keys(hoursByDate).sort();
+
+        let base = 0;
+        const buckets = {};
+        for (const isoDate of workDates) {
+            const amount = this.rateOn(profile.rates, isoDate);
+            const hourValue = profile.type === 'hourly' ? amount
+                : profile.type === 'monthly' ? amount / profile.standardMonthlyHours
+                    : amount / dailyHours;
+
+            if (profile.type === 'daily') base += amount;
+            for (const [rate, hours] of Object.entries(hoursByDate[isoDate])) {
+                if (profile.type !== 'hourly' && parseInt(rate) === 100) continue; // Covered by the salary / day rate
+                buckets[rate] = (buckets[rate] || 0) + hours * hourValue * (parseInt(rate) / 100);
+            }
+        }
+
+        if (profile.type === 'monthly') {
+            base = this.monthlyBase(profile.rates, options);
+        }
+
+        let travel = profile.travelPerDay * workDates.length;
+        if (profile.travelMonthlyMax > 0) travel = Math.min(travel, profile.travelMonthlyMax);
+
+        for (const k in buckets) buckets[k] = round(buckets[k]);
+        const bucketTotal = Object.values(buckets).reduce((sum, v) => sum + v, 0);
+
+        return {
+            type: profile.type,
+            base: round(base),
+            buckets,
+            travel: round(travel),
+            gross: round(base + bucketTotal + travel),
+            workDays: workDates.length
+        };
+    }
+
+    /**
+     * Monthly salary for the period, split by calendar day between the rates in effect.
+     * Without a period (e.g. a single-shift summary) there is no base salary to attribute.
+     */
+    static monthlyBase(rates, options = {}) {
+        if (!options.periodStart || !options.periodEnd) return 0;
+        const start = parseInt(options.periodStart);
+        const end = parseInt(options.periodEnd);
+
+        const days = [];
+        // Noon of each day avoids DST edges when stepping by 24h
+        for (let ts = start + 12 * 3600000; ts < end; ts += 86400000) {
+            days.push(this.getLocalized(ts).isoDate);
+        }
+        if (days.length === 0) return 0;
+
+        return days.reduce((sum, isoDate) => sum + this.rateOn(rates, isoDate) / days.length, 0);
+    }
+
+    /**
+     * A shift whose out-of-zone IN or OUT punch the manager rejected. It stays on record (and in the
+     * audit log) but earns no hours or pay.
+     */
+    static isRejected(shift) {
+        return shift?.geoIn?.approval?.status === 'REJECTED' || shift?.geoOut?.approval?.status === 'REJECTED';
     }
 
     static getLocalized(timestamp) {
@@ -0,0 +1,147 @@
+const archiver = require('archiver');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * XlsxWriter
+ * Builds a minimal Office Open XML workbook (.xlsx) in memory.
+ * Cells are inline strings or numbers; the first row of each sheet can be bold (header).
+ */
+class XlsxWriter {
+    /**
+     * @param {Array} sheets - [{ name, rows: [[cell, ...], ...], header: true, rightToLeft: false, widths: [chars, ...] }]
+     * @returns {Promise<Buffer>}
+     */
+    static async build(sheets) {
+        if (!Array.isArray(sheets) || sheets.length === 0) throw new Error('XlsxWriter: at least one sheet is required');
+
+        const names = new Set();
+        const list = sheets.map((sheet, i) => {
+            let name = XlsxWriter.sheetName(sheet.name, i);
+            while (names.has(name.toLowerCase())) name = `${name.slice(0, 28)}_${i + 1}`;
+            names.add(name.toLowerCase());
+            return { ...sheet, name };
+        });
+
+        const files = {
+            '[Content_Types].xml': XlsxWriter.contentTypes(list.length),
+            '_rels/.rels': XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml': XML_HEADER +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                list.map((s, i) => `<sheet name="${XlsxWriter.escape(s.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>',
+            'xl/_rels/workbook.xml.rels': XML_HEADER +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                list.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${list.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>',
+            'xl/styles.xml': XlsxWriter.styles()
+        };
+        list.forEach((sheet, i) => { files[`xl/worksheets/sheet${i + 1}.xml`] = XlsxWriter.sheetXml(sheet); });
+
+        return XlsxWriter.zip(files);
+    }
+
+    static zip(files) {
+        return new Promise((resolve, reject) => {
+            const archive = archiver('zip', { zlib: { level: 9 } });
+            const chunks = [];
+            archive.on('data', chunk => chunks.push(chunk));
+            archive.on('end', () => resolve(Buffer.concat(chunks)));
+            archive.on('warning', reject);
+            archive.on('error', reject);
+
+            Object.entries(files).forEach(([name, content]) => archive.append(content, { name }));
+            archive.finalize();
+        });
+    }
+
+    static sheetXml(sheet) {
+        const rows = Array.isArray(sheet.rows) ? sheet.rows : [];
+        const boldHeader = sheet.header !== false;
+
+        const rowsXml = rows.map((row, r) => {
+            const cells = (row || []).map((value, c) => {
+                const ref = `${XlsxWriter.columnLetter(c)}${r + 1}`;
+                const style = (boldHeader && r === 0) ? ' s="1"' : '';
+                if (value === null || value === undefined || value === '') return '';
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${XlsxWriter.escape(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${r + 1}">${cells}</row>`;
+        }).join('');
+
+        const widths = Array.isArray(sheet.widths) && sheet.widths.length > 0
+            ? '<cols>' + sheet.widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${parseFloat(w) || 10}" customWidth="1"/>`).join('') + '</cols>'
+            : '';
+
+        return XML_HEADER +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetViews><sheetView workbookViewId="0"${sheet.rightToLeft ? ' rightToLeft="1"' : ''}/></sheetViews>` +
+            widths +
+            `<sheetData>${rowsXml}</sheetData>` +
+            '</worksheet>';
+    }
+
+    static contentTypes(sheetCount) {
+        let sheetsXml = '';
+        for (let i = 1; i <= sheetCount; i++) {
+            sheetsXml += `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`;
+        }
+        return XML_HEADER +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheetsXml +
+            '</Types>';
+    }
+
+    static styles() {
+        return XML_HEADER +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<fonts count="2"><font><sz val="11"/><name val="Arial"/></font><font><b/><sz val="11"/><name val="Arial"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+
+    // 0 -> A, 25 -> Z, 26 -> AA
+    static columnLetter(index) {
+        let n = index + 1;
+        let s = '';
+        while (n > 0) {
+            const rem = (n - 1) % 26;
+            s = String.fromCharCode(65 + rem) + s;
+            n = Math.floor((n - 1) / 26);
+        }
+        return s;
+    }
+
+    // Excel: max 31 chars, none of []:*?/\
+    static sheetName(name, index) {
+        const clean = String(name || '').replace(/[\[\]:*?\/\\]/g, ' ').trim().slice(0, 31);
+        return clean || `Sheet${index + 1}`;
+    }
+
+    static escape(value) {
+        return String(value)
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = XlsxWriter;
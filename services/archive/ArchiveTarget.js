@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+/**
+ * ArchiveTarget
+ * Base class for cold storage of month files (see DataManager.archiveMonth).
+ * A target stores one JSON payload per company/month and must return it byte-for-byte
+ * (after its own decoding) so the archiver can verify the checksum before deleting the local copy.
+ */
+class ArchiveTarget {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Stores the payload (compact JSON string).
+     * @returns {Promise<Object>} { location } - where the copy lives, recorded in the manifest
+     */
+    async put(companyId, year, month, payload) {
+        throw new Error(`Archive target "${this.name}" does not implement put()`);
+    }
+
+    /**
+     * Reads an archived payload back.
+     * @param {Object} entry - the manifest entry ({ location, ... }) or null for the default location
+     * @returns {Promise<string|null>} JSON string, or null when the target has no copy
+     */
+    async get(companyId, year, month, entry) {
+        throw new Error(`Archive target "${this.name}" does not implement get()`);
+    }
+
+    static objectKey(companyId, year, month) {
+        return `${companyId}/${year}/${month}.json`;
+    }
+
+    /**
+     * sha256 of the canonical (compact) JSON, so targets that re-serialize the payload still verify.
+     */
+    static checksum(json) {
+        const canonical = JSON.stringify(typeof json === 'string' ? JSON.parse(json) : json);
+        return `sha256:${crypto.createHash('sha256').update(canonical).digest('hex')}`;
+    }
+}
+
+module.exports = ArchiveTarget;
@@ -0,0 +1,33 @@
+const ArchiveTarget = require('./ArchiveTarget');
+const syncManager = require('../SyncManager');
+
+/**
+ * GasArchiveTarget
+ * The Google Apps Script cold storage (actions archiveMonth / getArchivedMonth).
+ * GAS answers `success` once it accepted the write; get() reads the month back for verification.
+ */
+class GasArchiveTarget extends ArchiveTarget {
+    constructor({ gasUrl }) {
+        super('gas');
+        if (!gasUrl) throw new Error('ARCHIVE_TARGET=gas requires a GAS URL (company gasUrl or GAS_COLD_STORAGE_URL)');
+        this.gasUrl = gasUrl;
+    }
+
+    async put(companyId, year, month, payload) {
+        const response = await syncManager.gasRequest(this.gasUrl, 'archiveMonth', { companyId, year, month, data: payload }, { timeout: 30000 });
+
+        if (!response.data || !response.data.success) {
+            throw new Error(`GAS rejected archiveMonth: ${response.data?.error || 'no success flag'}`);
+        }
+        return { location: `${companyId}/${year}/${month}` };
+    }
+
+    async get(companyId, year, month, entry) {
+        const response = await syncManager.gasRequest(this.gasUrl, 'getArchivedMonth', { companyId, year, month }, { timeout: 15000 });
+        if (!response.data || !response.data.success || !response.data.data) return null;
+        const data = response.data.data;
+        return typeof data === 'string' ? data : JSON.stringify(data);
+    }
+}
+
+module.exports = GasArchiveTarget;
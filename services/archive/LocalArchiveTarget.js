@@ -0,0 +1,55 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const ArchiveTarget = require('./ArchiveTarget');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * LocalArchiveTarget
+ * Gzipped month files under an archive directory: <archiveDir>/<companyId>/<year>/<month>.json.gz
+ * Meant for self-hosted installs with a persistent (ideally separate) disk.
+ */
+class LocalArchiveTarget extends ArchiveTarget {
+    constructor({ archiveDir }) {
+        super('local');
+        this.archiveDir = archiveDir;
+    }
+
+    resolve(relPath) {
+        const full = path.resolve(this.archiveDir, relPath);
+        const relative = path.relative(this.archiveDir, full);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`Illegal archive path: ${relPath}`);
+        }
+        return full;
+    }
+
+    async put(companyId, year, month, payload) {
+        const location = `${ArchiveTarget.objectKey(companyId, year, month)}.gz`;
+        const filePath = this.resolve(location);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        // Temp file + rename: a crash mid-write never leaves a truncated archive behind
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, await gzip(Buffer.from(payload, 'utf8')));
+        await fs.rename(tmpPath, filePath);
+        return { location };
+    }
+
+    async get(companyId, year, month, entry) {
+        const location = entry?.location || `${ArchiveTarget.objectKey(companyId, year, month)}.gz`;
+        let raw;
+        try {
+            raw = await fs.readFile(this.resolve(location));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+        return (await gunzip(raw)).toString('utf8');
+    }
+}
+
+module.exports = LocalArchiveTarget;
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const axios = require('axios');
+const ArchiveTarget = require('./ArchiveTarget');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+// RFC 3986 - SigV4 requires !'()* to be escaped as well
+const encodeSegment = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * S3ArchiveTarget
+ * Gzipped month objects in any S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, Backblaze B2...).
+ * Path-style URLs: <endpoint>/<bucket>/<prefix>/<companyId>/<year>/<month>.json.gz
+ * Requests are signed with AWS Signature V4 - no SDK dependency.
+ */
+class S3ArchiveTarget extends ArchiveTarget {
+    constructor({ endpoint, region, bucket, prefix, accessKeyId, secretAccessKey }) {
+        super('s3');
+        if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('ARCHIVE_TARGET=s3 requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+        this.endpoint = String(endpoint).replace(/\/+$/, '');
+        this.region = region || 'us-east-1';
+        this.bucket = bucket;
+        this.prefix = String(prefix || '').replace(/^\/+|\/+$/g, '');
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+    }
+
+    keyFor(companyId, year, month) {
+        const key = `${ArchiveTarget.objectKey(companyId, year, month)}.gz`;
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    urlFor(key) {
+        const encodedPath = [this.bucket, ...key.split('/')].map(encodeSegment).join('/');
+        return `${this.endpoint}/${encodedPath}`;
+    }
+
+    /**
+     * AWS Signature V4 headers for a request without query parameters.
+     * @returns {Object} headers to send (including Authorization)
+     */
+    sign(method, url, headers, payloadHash, now = new Date()) {
+        const { host, pathname } = new URL(url);
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+
+        const allHeaders = { ...headers, host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+        const names = Object.keys(allHeaders).map(h => h.toLowerCase()).sort();
+        const lookup = {};
+        Object.entries(allHeaders).forEach(([k, v]) => { lookup[k.toLowerCase()] = String(v).trim().replace(/\s+/g, ' '); });
+
+        const canonicalHeaders = names.map(n => `${n}:${lookup[n]}\n`).join('');
+        const signedHeaders = names.join(';');
+        const canonicalRequest = [method, pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+        const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        const result = { ...headers, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+        result.Authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+        return result;
+    }
+
+    async put(companyId, year, month, payload) {
+        const key = this.keyFor(companyId, year, month);
+        const url = this.urlFor(key);
+        const body = await gzip(Buffer.from(payload, 'utf8'));
+        const headers = this.sign('PUT', url, { 'content-type': 'application/gzip' }, sha256Hex(body));
+
+        await axios.put(url, body, { headers, timeout: 30000, maxBodyLength: Infinity });
+        return { location: key };
+    }
+
+    async get(companyId, year, month, entry) {
+        const key = entry?.location || this.keyFor(companyId, year, month);
+        const url = this.urlFor(key);
+        const headers = this.sign('GET', url, {}, sha256Hex(''));
+
+        try {
+            const response = await axios.get(url, { headers, timeout: 30000, responseType: 'arraybuffer' });
+            return (await gunzip(Buffer.from(response.data))).toString('utf8');
+        } catch (e) {
+            if (e.response && e.response.status === 404) return null;
+            throw e;
+        }
+    }
+}
+
+module.exports = S3ArchiveTarget;
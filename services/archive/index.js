@@ -0,0 +1,45 @@
+const path = require('path');
+const config = require('../../config');
+const ArchiveTarget = require('./ArchiveTarget');
+const LocalArchiveTarget = require('./LocalArchiveTarget');
+const S3ArchiveTarget = require('./S3ArchiveTarget');
+const GasArchiveTarget = require('./GasArchiveTarget');
+
+const TARGETS = {
+    local: LocalArchiveTarget,
+    s3: S3ArchiveTarget,
+    gas: GasArchiveTarget
+};
+
+/**
+ * Creates an archive target ('gas' | 'local' | 's3') from config.ARCHIVE.
+ * @param {string} name
+ * @param {Object} options - { dataDir, gasUrl } (gasUrl: the company's GAS URL, falls back to GAS_COLD_STORAGE_URL)
+ */
+function createArchiveTarget(name, { dataDir, gasUrl } = {}) {
+    const key = String(name || 'gas').toLowerCase();
+    const archive = config.ARCHIVE || {};
+
+    switch (key) {
+        case 'local': {
+            const rawDir = archive.LOCAL_DIR || path.join(dataDir || config.DATA_DIR || './data', 'archive');
+            return new LocalArchiveTarget({ archiveDir: path.isAbsolute(rawDir) ? rawDir : path.resolve(__dirname, '..', '..', rawDir) });
+        }
+        case 's3': {
+            const s3 = archive.S3 || {};
+            return new S3ArchiveTarget({
+                endpoint: s3.ENDPOINT,
+                region: s3.REGION,
+                bucket: s3.BUCKET,
+                prefix: s3.PREFIX,
+                accessKeyId: s3.ACCESS_KEY_ID,
+                secretAccessKey: s3.SECRET_ACCESS_KEY
+            });
+        }
+        case 'gas':
+            return new GasArchiveTarget({ gasUrl: gasUrl || config.GAS_COLD_STORAGE_URL });
+    }
+    throw new Error(`Unknown archive target "${name}". Use one of: ${Object.keys(TARGETS).join(', ')}`);
+}
+
+module.exports = { createArchiveTarget, ArchiveTarget, TARGETS };
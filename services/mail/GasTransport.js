@@ -0,0 +1,44 @@
+const axios = require('axios');
+const MailTransport = require('./MailTransport');
+
+/**
+ * GasTransport
+ * MailApp through the Google Apps Script web app (action=sendEmail). Last resort - daily quota applies.
+ */
+class GasTransport extends MailTransport {
+    constructor({ gasUrl }) {
+        super('gas');
+        this.gasUrl = gasUrl;
+    }
+
+    isConfigured() {
+        return !!this.gasUrl;
+    }
+
+    async send(message) {
+        const response = await axios.post(this.gasUrl, {
+            action: 'sendEmail',
+            to: message.to,
+            subject: message.subject,
+            html: message.html,
+            name: message.fromName,
+            attachments: message.attachments || []
+        }, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 15000,
+            maxRedirects: 5,
+            maxBodyLength: Infinity
+        });
+
+        let isSuccess = false;
+        if (response.data) {
+            if (typeof response.data === 'object' && response.data.success) isSuccess = true;
+            else if (typeof response.data === 'string' && response.data.includes('"success":true')) isSuccess = true;
+            else if (response.status === 200) isSuccess = true;
+        }
+        if (!isSuccess) throw new Error(response.data?.error || 'GAS returned failure');
+        return {};
+    }
+}
+
+module.exports = GasTransport;
@@ -0,0 +1,44 @@
+const axios = require('axios');
+const MailTransport = require('./MailTransport');
+
+/**
+ * JetServerTransport
+ * The JetServer SMTP proxy (for hosts that block outbound SMTP, e.g. Render).
+ * The proxy sends through the SMTP account in config.SMTP, so those settings travel with each request.
+ */
+class JetServerTransport extends MailTransport {
+    constructor({ url, secret, smtp }) {
+        super('jetserver');
+        this.url = url;
+        this.secret = secret;
+        this.smtp = smtp || {};
+    }
+
+    isConfigured() {
+        return !!(this.url && this.url.startsWith('http'));
+    }
+
+    async send(message) {
+        const response = await axios.post(this.url, {
+            secret: this.secret,
+            to: message.to,
+            subject: message.subject,
+            html: message.html,
+            name: message.fromName,
+            attachments: message.attachments || [],
+            smtp_host: this.smtp.HOST,
+            smtp_port: this.smtp.PORT,
+            smtp_user: this.smtp.USER,
+            smtp_pass: this.smtp.PASS
+        }, { timeout: 15000, maxBodyLength: Infinity });
+
+        if (response.data && response.data.success) return { messageId: response.data.messageId };
+
+        const error = response.data?.error || 'Unknown error';
+        // SMTP 5xx on the recipient = permanent rejection
+        if (/^55\d\b/.test(String(error)) || response.data?.bounced) throw MailTransport.permanentError(error);
+        throw new Error(error);
+    }
+}
+
+module.exports = JetServerTransport;
@@ -0,0 +1,31 @@
+/**
+ * MailTransport
+ * Base class for EmailService delivery transports (see TransportChain).
+ * send() resolves when the transport accepted the message and throws otherwise;
+ * an error with `permanent = true` means the recipient was rejected (bounce) and no other transport should try.
+ */
+class MailTransport {
+    constructor(name) {
+        this.name = name;
+    }
+
+    isConfigured() {
+        return false;
+    }
+
+    /**
+     * @param {Object} message - { to, subject, html, fromName, attachments: [{ filename, content, encoding, contentType }] }
+     * @returns {Promise<Object>} { messageId? }
+     */
+    async send(message) {
+        throw new Error(`Mail transport "${this.name}" does not implement send()`);
+    }
+
+    static permanentError(message) {
+        const error = new Error(message);
+        error.permanent = true;
+        return error;
+    }
+}
+
+module.exports = MailTransport;
@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+const MailTransport = require('./MailTransport');
+
+/**
+ * SmtpTransport
+ * Direct SMTP delivery through nodemailer (config.SMTP). Without SMTP_USER no AUTH is sent,
+ * which is what local relays and test sinks expect.
+ */
+class SmtpTransport extends MailTransport {
+    constructor(smtp) {
+        super('smtp');
+        this.smtp = smtp || {};
+        this.transporter = null;
+    }
+
+    isConfigured() {
+        return !!this.smtp.HOST;
+    }
+
+    getTransporter() {
+        if (this.transporter) return this.transporter;
+        const port = parseInt(this.smtp.PORT) || 587;
+        this.transporter = nodemailer.createTransport({
+            host: this.smtp.HOST,
+            port,
+            secure: this.smtp.SECURE === null || this.smtp.SECURE === undefined ? port === 465 : !!this.smtp.SECURE,
+            auth: this.smtp.USER ? { user: this.smtp.USER, pass: this.smtp.PASS } : undefined,
+            connectionTimeout: 15000,
+            greetingTimeout: 10000,
+            socketTimeout: 30000
+        });
+        return this.transporter;
+    }
+
+    async send(message) {
+        try {
+            const info = await this.getTransporter().sendMail({
+                from: { name: message.fromName || '', address: this.smtp.FROM },
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                attachments: (message.attachments || []).map(a => ({
+                    filename: a.filename,
+                    content: a.content,
+                    encoding: a.encoding,
+                    contentType: a.contentType
+                }))
+            });
+            if (info.rejected && info.rejected.length > 0 && (!info.accepted || info.accepted.length === 0)) {
+                throw MailTransport.permanentError(`Recipient rejected: ${info.rejected.join(', ')}`);
+            }
+            return { messageId: info.messageId };
+        } catch (e) {
+            // 550-553: mailbox unavailable / not allowed / bad address - a bounce, not an outage
+            if (!e.permanent && e.responseCode >= 550 && e.responseCode <= 553 && e.command === 'RCPT TO') {
+                throw MailTransport.permanentError(e.response || `${e.responseCode} ${e.message}`);
+            }
+            throw e;
+        }
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,73 @@
+/**
+ * TransportChain
+ * Ordered failover over mail transports with per-transport health.
+ * A transport that failed FAILURE_THRESHOLD times in a row is skipped for COOLDOWN_MS
+ * (unless every transport is cooling down, in which case all are tried in order anyway).
+ */
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 2 * 60 * 1000;
+
+class TransportChain {
+    constructor(transports) {
+        this.transports = transports;
+        this.health = {};
+        transports.forEach(t => {
+            this.health[t.name] = {
+                consecutiveFailures: 0, sent: 0, failed: 0,
+                lastSuccessAt: null, lastFailureAt: null, lastError: null, skipUntil: null
+            };
+        });
+    }
+
+    /**
+     * @returns {Promise<Object>} { success, transport, error, permanent, attempts: [{ transport, ok, error }] }
+     */
+    async send(message) {
+        const now = Date.now();
+        const available = this.transports.filter(t => !(this.health[t.name].skipUntil > now));
+        const order = available.length > 0 ? available : this.transports;
+        const attempts = [];
+
+        for (const transport of order) {
+            const health = this.health[transport.name];
+            try {
+                await transport.send(message);
+                health.sent++;
+                health.consecutiveFailures = 0;
+                health.skipUntil = null;
+                health.lastSuccessAt = Date.now();
+                attempts.push({ transport: transport.name, ok: true, error: null });
+                return { success: true, transport: transport.name, attempts };
+            } catch (e) {
+                attempts.push({ transport: transport.name, ok: false, error: e.message });
+                if (e.permanent) {
+                    // The transport works - the recipient doesn't; other transports would bounce too
+                    health.consecutiveFailures = 0;
+                    return { success: false, transport: transport.name, error: e.message, permanent: true, attempts };
+                }
+                health.failed++;
+                health.consecutiveFailures++;
+                health.lastFailureAt = Date.now();
+                health.lastError = e.message;
+                if (health.consecutiveFailures >= FAILURE_THRESHOLD) {
+                    health.skipUntil = Date.now() + COOLDOWN_MS;
+                }
+                console.error(`[Email] ${transport.name} failed: ${e.message}`);
+            }
+        }
+
+        const error = attempts.map(a => `${a.transport}: ${a.error}`).join(' | ') || 'No email transport configured';
+        return { success: false, transport: null, error, attempts };
+    }
+
+    getHealth() {
+        const now = Date.now();
+        return this.transports.map(t => ({
+            name: t.name,
+            healthy: !(this.health[t.name].skipUntil > now),
+            ...this.health[t.name]
+        }));
+    }
+}
+
+module.exports = TransportChain;
@@ -0,0 +1,31 @@
+const MailTransport = require('./MailTransport');
+const SmtpTransport = require('./SmtpTransport');
+const JetServerTransport = require('./JetServerTransport');
+const GasTransport = require('./GasTransport');
+const TransportChain = require('./TransportChain');
+
+const TRANSPORTS = {
+    smtp: (cfg) => new SmtpTransport(cfg.SMTP),
+    jetserver: (cfg) => new JetServerTransport({ url: cfg.JETSERVER_MAIL_URL, secret: cfg.JETSERVER_MAIL_SECRET, smtp: cfg.SMTP }),
+    gas: (cfg) => new GasTransport({ gasUrl: cfg.GAS_COLD_STORAGE_URL })
+};
+
+/**
+ * Builds the failover chain from config.EMAIL_TRANSPORTS (order matters); unconfigured transports are left out.
+ * @param {Object} cfg - the app config
+ */
+function createTransportChain(cfg) {
+    const transports = [];
+    (cfg.EMAIL_TRANSPORTS || Object.keys(TRANSPORTS)).forEach(name => {
+        const factory = TRANSPORTS[String(name).toLowerCase()];
+        if (!factory) {
+            console.warn(`[Email] Unknown transport "${name}" in EMAIL_TRANSPORTS - ignored. Use: ${Object.keys(TRANSPORTS).join(', ')}`);
+            return;
+        }
+        const transport = factory(cfg);
+        if (transport.isConfigured() && !transports.some(t => t.name === transport.name)) transports.push(transport);
+    });
+    return new TransportChain(transports);
+}
+
+module.exports = { createTransportChain, TransportChain, MailTransport, TRANSPORTS };
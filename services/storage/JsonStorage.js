@@ -0,0 +1,329 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const StorageAdapter = require('./StorageAdapter');
+const KeyedMutex = require('../KeyedMutex');
+
+// Top-level folders owned by SyncManager / EmailService, never exported to backups
+const LOCAL_STATE_DIRS = new Set(['sync', 'outbox']);
+
+/**
+ * JsonStorage
+ * The original on-disk layout: one JSON file per record under the data directory.
+ */
+class JsonStorage extends StorageAdapter {
+    constructor({ dataDir }) {
+        super('json');
+        this.dataDir = dataDir;
+        this.companiesDir = path.join(dataDir, 'companies');
+        this.clientsFile = path.join(dataDir, 'clients.json');
+        this.tombstonesFile = path.join(dataDir, 'deleted_company_ids.json');
+        this.fileLocks = new KeyedMutex();
+    }
+
+    async init() {
+        await fs.mkdir(this.companiesDir, { recursive: true });
+    }
+
+    companyDir(companyId) {
+        const dir = path.join(this.companiesDir, String(companyId));
+        // Guard: the resolved folder must be a direct child of companies/
+        const relative = path.relative(this.companiesDir, dir);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative) || relative.includes(path.sep)) {
+            throw new Error(`Illegal company path: ${companyId}`);
+        }
+        return dir;
+    }
+
+    async readJson(filePath) {
+        let raw;
+        try {
+            raw = await fs.readFile(filePath, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+        return JSON.parse(raw);
+    }
+
+    /**
+     * Atomic write: the payload goes to a temp file in the same folder and is renamed over the target,
+     * so readers never see a half-written file. Writes to the same path land in call order.
+     */
+    async writeJson(filePath, data, pretty = true) {
+        const payload = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+
+        await this.fileLocks.run(filePath, async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            try {
+                await fs.writeFile(tmpPath, payload);
+                await fs.rename(tmpPath, filePath);
+            } catch (e) {
+                await fs.unlink(tmpPath).catch(() => { });
+                throw e;
+            }
+        });
+    }
+
+    // --- CLIENTS ---
+
+    async loadClients() {
+        return this.readJson(this.clientsFile);
+    }
+
+    async saveClients(clients) {
+        await this.writeJson(this.clientsFile, clients);
+    }
+
+    // --- TOMBSTONES ---
+
+    async loadTombstones() {
+        try {
+            const j = await this.readJson(this.tombstonesFile);
+            return Array.isArray(j?.ids) ? j.ids.map(String) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    async saveTombstones(ids) {
+        await this.writeJson(this.tombstonesFile, {
+            ids: [...ids].map(String),
+            updatedAt: new Date().toISOString()
+        });
+    }
+
+    // --- COMPANIES ---
+
+    async listCompanies() {
+        const items = await fs.readdir(this.companiesDir, { withFileTypes: true }).catch(() => []);
+        return items.filter(i => i.isDirectory()).map(i => i.name);
+    }
+
+    async hasCompany(companyId) {
+        try {
+            const stat = await fs.stat(this.companyDir(companyId));
+            return stat.isDirectory();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async loadCompanyConfig(companyId) {
+        return this.readJson(path.join(this.companyDir(companyId), 'config.json'));
+    }
+
+    async saveCompanyConfig(companyId, companyConfig) {
+        await this.writeJson(path.join(this.companyDir(companyId), 'config.json'), companyConfig);
+    }
+
+    /**
+     * Removes the company folder. Retries (Windows / network disks keep handles open)
+     * and quarantines the folder as __deleted__<id>__<ts> if it still can't be removed.
+     */
+    async deleteCompany(companyId) {
+        const companyDir = this.companyDir(companyId);
+
+        for (let attempt = 1; attempt <= 4; attempt++) {
+            try {
+                await fs.rm(companyDir, { recursive: true, force: true });
+                console.log(`[JsonStorage] Deleted company directory: ${companyId} (attempt ${attempt})`);
+                return true;
+            } catch (e) {
+                console.error(`[JsonStorage] rm attempt ${attempt} failed for ${companyId}:`, e.message);
+                if (attempt < 4) await new Promise(r => setTimeout(r, 400 * attempt));
+            }
+        }
+
+        try {
+            const quarantine = path.join(this.companiesDir, `__deleted__${companyId}__${Date.now()}`);
+            await fs.rename(companyDir, quarantine);
+            console.warn(`[JsonStorage] Could not delete folder; quarantined: ${path.basename(quarantine)}`);
+            return true;
+        } catch (e) {
+            console.error(`[JsonStorage] CRITICAL: Could not delete or quarantine directory for ${companyId}:`, e.message);
+            return false;
+        }
+    }
+
+    // --- SHIFTS ---
+
+    /**
+     * Default file name is <month>.json; GAS restores write json.<month>.
+     * An existing json.<month> is kept as the target when <month>.json doesn't exist.
+     */
+    async resolveMonthFile(companyId, year, month) {
+        const yearDir = path.join(this.companyDir(companyId), String(year));
+        const primary = path.join(yearDir, `${month}.json`);
+        const legacy = path.join(yearDir, `json.${month}`);
+        try {
+            await fs.access(primary);
+            return primary;
+        } catch (e) { }
+        try {
+            await fs.access(legacy);
+            return legacy;
+        } catch (e) { }
+        return primary;
+    }
+
+    async loadShifts(companyId, year, month) {
+        const filePath = await this.resolveMonthFile(companyId, year, month);
+        return this.readJson(filePath);
+    }
+
+    async saveShifts(companyId, year, month, shifts) {
+        const filePath = await this.resolveMonthFile(companyId, year, month);
+        await this.writeJson(filePath, shifts);
+    }
+
+    async deleteShifts(companyId, year, month) {
+        const yearDir = path.join(this.companyDir(companyId), String(year));
+        await fs.unlink(path.join(yearDir, `${month}.json`)).catch(() => { });
+        await fs.unlink(path.join(yearDir, `json.${month}`)).catch(() => { });
+    }
+
+    async listShiftMonths(companyId) {
+        const companyDir = this.companyDir(companyId);
+        const result = [];
+        const items = await fs.readdir(companyDir, { withFileTypes: true }).catch(() => []);
+
+        for (const item of items) {
+            if (!item.isDirectory() || !/^\d{4}$/.test(item.name)) continue;
+            const year = parseInt(item.name);
+            const files = await fs.readdir(path.join(companyDir, item.name)).catch(() => []);
+            const months = new Set();
+            for (const file of files) {
+                const target = StorageAdapter.parsePath(`companies/${companyId}/${item.name}/${file}`);
+                if (target && target.type === 'shifts') months.add(target.month);
+            }
+            months.forEach(month => result.push({ year, month }));
+        }
+
+        return result.sort((a, b) => (b.year - a.year) || (b.month - a.month));
+    }
+
+    // --- BILLING LEDGER ---
+
+    async loadLedger(companyId) {
+        try {
+            return (await this.readJson(path.join(this.companyDir(companyId), 'billing_ledger.json'))) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    async saveLedger(companyId, ledger) {
+        await this.writeJson(path.join(this.companyDir(companyId), 'billing_ledger.json'), ledger);
+    }
+
+    async appendLedger(companyId, periodKey, names) {
+        // Read-merge-write of the shared ledger file must not interleave between months
+        return this.fileLocks.run(`ledger:${companyId}`, () => super.appendLedger(companyId, periodKey, names));
+    }
+
+    // --- ARCHIVE MANIFEST ---
+
+    async loadArchiveManifest(companyId) {
+        return (await this.readJson(path.join(this.companyDir(companyId), 'archive_manifest.json'))) || {};
+    }
+
+    async saveArchiveManifest(companyId, manifest) {
+        await this.writeJson(path.join(this.companyDir(companyId), 'archive_manifest.json'), manifest);
+    }
+
+    // --- AUDIT TRAIL ---
+    // companies/<id>/audit_log.jsonl - one JSON entry per line, only ever appended to
+
+    async loadAudit(companyId) {
+        let raw;
+        try {
+            raw = await fs.readFile(path.join(this.companyDir(companyId), 'audit_log.jsonl'), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        const entries = [];
+        raw.split('\n').forEach((line, i) => {
+            if (!line.trim()) return;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                // Keep the line visible to verification instead of silently dropping it
+                entries.push({ corrupt: true, line: i + 1, raw: line });
+            }
+        });
+        return entries;
+    }
+
+    async appendAudit(companyId, entry) {
+        const filePath = path.join(this.companyDir(companyId), 'audit_log.jsonl');
+        await this.fileLocks.run(filePath, async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.appendFile(filePath, JSON.stringify(entry) + '\n');
+        });
+    }
+
+    // --- BACKUP / RESTORE ---
+
+    /**
+     * Restores write the file as-is (keeps GAS naming such as json.<month>); audit logs are only appended to.
+     */
+    async importFile(relPath, content) {
+        const target = StorageAdapter.parsePath(relPath);
+        if (target && target.type === 'audit') {
+            await this.importAudit(target.companyId, content);
+            return true;
+        }
+
+        const fullPath = path.resolve(this.dataDir, String(relPath));
+        const relative = path.relative(this.dataDir, fullPath);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return false;
+
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, typeof content === 'object' ? JSON.stringify(content, null, 2) : content);
+        return true;
+    }
+
+    /**
+     * Every *.json file under the data directory, plus each company's audit log (as an array of entries).
+     */
+    async exportFiles() {
+        const files = [];
+
+        const readDirRec = async (dir, relativePath = '') => {
+            try {
+                const items = await fs.readdir(dir);
+                for (const item of items) {
+                    const fullPath = path.join(dir, item);
+                    // Use forward slash for paths regardless of OS so GAS handles it consistently
+                    const relPath = relativePath ? `${relativePath}/${item}` : item;
+                    const stat = await fs.stat(fullPath);
+                    if (stat.isDirectory()) {
+                        // Server-local state (pending GAS syncs, the email outbox) is not restorable data
+                        if (!relativePath && LOCAL_STATE_DIRS.has(item)) continue;
+                        await readDirRec(fullPath, relPath);
+                    } else if (item === 'audit_log.jsonl') {
+                        const target = StorageAdapter.parsePath(relPath);
+                        if (target) files.push({ path: relPath, content: await this.loadAudit(target.companyId) });
+                    } else if (item.endsWith('.json')) {
+                        try {
+                            const content = await fs.readFile(fullPath, 'utf8');
+                            files.push({ path: relPath, content: JSON.parse(content) });
+                        } catch (e) {
+                            console.error(`[Backup] Error reading/parsing ${relPath}:`, e);
+                        }
+                    }
+                }
+            } catch (e) {
+                console.error(`[Backup] Error reading dir ${dir}:`, e);
+            }
+        };
+
+        await readDirRec(this.dataDir);
+        return files;
+    }
+}
+
+module.exports = JsonStorage;
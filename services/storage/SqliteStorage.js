@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+const SCHEMA_VERSION = 3;
+
+/**
+ * SqliteStorage
+ * Embedded SQLite backend (better-sqlite3, optional dependency).
+ * Each month of shifts is its own row, so a write touches only that row and runs in a
+ * single transaction - a crash mid-write can't truncate data and concurrent punches in
+ * the same company can't clobber each other's files. The billing ledger is stored as
+ * (period, employee) rows and only ever inserted into.
+ */
+class SqliteStorage extends StorageAdapter {
+    constructor({ dataDir, sqlitePath }) {
+        super('sqlite');
+        this.dataDir = dataDir;
+        this.dbPath = sqlitePath
+            ? (path.isAbsolute(sqlitePath) ? sqlitePath : path.resolve(dataDir, sqlitePath))
+            : path.join(dataDir, 'tempusgeo.db');
+        this._db = null;
+    }
+
+    get db() {
+        if (this._db) return this._db;
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (e) {
+            throw new Error('STORAGE_BACKEND=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        const db = new Database(this.dbPath);
+        db.pragma('journal_mode = WAL');
+        db.pragma('synchronous = NORMAL');
+        db.pragma('busy_timeout = 5000');
+        this.migrate(db);
+        this._db = db;
+        console.log(`[SqliteStorage] Opened ${this.dbPath}`);
+        return db;
+    }
+
+    migrate(db) {
+        const version = db.pragma('user_version', { simple: true });
+        if (version >= SCHEMA_VERSION) return;
+
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS clients (
+                id TEXT PRIMARY KEY,
+                position INTEGER NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS deleted_companies (
+                company_id TEXT PRIMARY KEY,
+                deleted_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS company_configs (
+                company_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS shifts (
+                company_id TEXT NOT NULL,
+                year INTEGER NOT NULL,
+                month INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (company_id, year, month)
+            );
+            CREATE TABLE IF NOT EXISTS billing_ledger (
+                company_id TEXT NOT NULL,
+                period TEXT NOT NULL,
+                employee_name TEXT NOT NULL,
+                added_at INTEGER NOT NULL,
+                PRIMARY KEY (company_id, period, employee_name)
+            );
+            CREATE TABLE IF NOT EXISTS audit_log (
+                company_id TEXT NOT NULL,
+                seq INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (company_id, seq)
+            );
+            CREATE TABLE IF NOT EXISTS archive_manifest (
+                company_id TEXT NOT NULL,
+                year INTEGER NOT NULL,
+                month INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (company_id, year, month)
+            );
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END;
+        `);
+        db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }
+
+    async init() {
+        this.db;
+    }
+
+    async close() {
+        if (this._db) {
+            this._db.close();
+            this._db = null;
+        }
+    }
+
+    // --- CLIENTS ---
+
+    async loadClients() {
+        return this.db.prepare('SELECT data FROM clients ORDER BY position').all().map(r => JSON.parse(r.data));
+    }
+
+    async saveClients(clients) {
+        const upsert = this.db.prepare(`
+            INSERT INTO clients (id, position, data) VALUES (?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET position = excluded.position, data = excluded.data
+        `);
+        this.db.transaction((list) => {
+            this.db.prepare('DELETE FROM clients').run();
+            list.forEach((client, i) => upsert.run(String(client.id ?? `__noid_${i}`), i, JSON.stringify(client)));
+        })(clients || []);
+    }
+
+    // --- TOMBSTONES ---
+
+    async loadTombstones() {
+        return this.db.prepare('SELECT company_id FROM deleted_companies ORDER BY deleted_at').all().map(r => r.company_id);
+    }
+
+    async saveTombstones(ids) {
+        const now = new Date().toISOString();
+        const insert = this.db.prepare('INSERT OR IGNORE INTO deleted_companies (company_id, deleted_at) VALUES (?, ?)');
+        const remove = this.db.prepare('DELETE FROM deleted_companies WHERE company_id = ?');
+        this.db.transaction((keep) => {
+            this.db.prepare('SELECT company_id FROM deleted_companies').all()
+                .filter(r => !keep.has(r.company_id))
+                .forEach(r => remove.run(r.company_id));
+            keep.forEach(id => insert.run(id, now));
+        })(new Set([...ids].map(String)));
+    }
+
+    // --- COMPANIES ---
+
+    async listCompanies() {
+        return this.db.prepare(`
+            SELECT company_id FROM company_configs
+            UNION SELECT company_id FROM shifts
+            UNION SELECT company_id FROM billing_ledger
+        `).all().map(r => r.company_id);
+    }
+
+    async hasCompany(companyId) {
+        return !!this.db.prepare(`
+            SELECT 1 FROM company_configs WHERE company_id = ?
+            UNION SELECT 1 FROM shifts WHERE company_id = ?
+        `).get(String(companyId), String(companyId));
+    }
+
+    async loadCompanyConfig(companyId) {
+        const row = this.db.prepare('SELECT data FROM company_configs WHERE company_id = ?').get(String(companyId));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async saveCompanyConfig(companyId, companyConfig) {
+        this.db.prepare(`
+            INSERT INTO company_configs (company_id, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(company_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `).run(String(companyId), JSON.stringify(companyConfig), Date.now());
+    }
+
+    async deleteCompany(companyId) {
+        const id = String(companyId);
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM company_configs WHERE company_id = ?').run(id);
+            this.db.prepare('DELETE FROM shifts WHERE company_id = ?').run(id);
+            this.db.prepare('DELETE FROM billing_ledger WHERE company_id = ?').run(id);
+            this.db.prepare('DELETE FROM audit_log WHERE company_id = ?').run(id);
+            this.db.prepare('DELETE FROM archive_manifest WHERE company_id = ?').run(id);
+        })();
+        return true;
+    }
+
+    // --- SHIFTS ---
+
+    async loadShifts(companyId, year, month) {
+        const row = this.db.prepare('SELECT data FROM shifts WHERE company_id = ? AND year = ? AND month = ?')
+            .get(String(companyId), parseInt(year), parseInt(month));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async saveShifts(companyId, year, month, shifts) {
+        this.db.prepare(`
+            INSERT INTO shifts (company_id, year, month, data, updated_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(company_id, year, month) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `).run(String(companyId), parseInt(year), parseInt(month), JSON.stringify(shifts), Date.now());
+    }
+
+    async deleteShifts(companyId, year, month) {
+        this.db.prepare('DELETE FROM shifts WHERE company_id = ? AND year = ? AND month = ?')
+            .run(String(companyId), parseInt(year), parseInt(month));
+    }
+
+    async listShiftMonths(companyId) {
+        return this.db.prepare('SELECT year, month FROM shifts WHERE company_id = ? ORDER BY year DESC, month DESC')
+            .all(String(companyId));
+    }
+
+    // --- BILLING LEDGER ---
+
+    async loadLedger(companyId) {
+        const ledger = {};
+        this.db.prepare('SELECT period, employee_name FROM billing_ledger WHERE company_id = ? ORDER BY period, added_at, rowid')
+            .all(String(companyId))
+            .forEach(r => {
+                if (!ledger[r.period]) ledger[r.period] = [];
+                ledger[r.period].push(r.employee_name);
+            });
+        return ledger;
+    }
+
+    /**
+     * Ledger rows are never deleted, so saving merges into what is already stored.
+     */
+    async saveLedger(companyId, ledger) {
+        const insert = this.db.prepare('INSERT OR IGNORE INTO billing_ledger (company_id, period, employee_name, added_at) VALUES (?, ?, ?, ?)');
+        const now = Date.now();
+        this.db.transaction(() => {
+            for (const [period, names] of Object.entries(ledger || {})) {
+                (Array.isArray(names) ? names : []).forEach(n => { if (n) insert.run(String(companyId), period, String(n), now); });
+            }
+        })();
+    }
+
+    async appendLedger(companyId, periodKey, names) {
+        const insert = this.db.prepare('INSERT OR IGNORE INTO billing_ledger (company_id, period, employee_name, added_at) VALUES (?, ?, ?, ?)');
+        const now = Date.now();
+        const added = this.db.transaction(() => {
+            let count = 0;
+            names.forEach(n => { if (n) count += insert.run(String(companyId), periodKey, String(n), now).changes; });
+            return count;
+        })();
+        return added > 0 ? this.loadLedger(companyId) : null;
+    }
+
+    // --- ARCHIVE MANIFEST ---
+
+    async loadArchiveManifest(companyId) {
+        const manifest = {};
+        this.db.prepare('SELECT year, month, data FROM archive_manifest WHERE company_id = ? ORDER BY year, month')
+            .all(String(companyId))
+            .forEach(r => { manifest[`${r.year}-${r.month}`] = JSON.parse(r.data); });
+        return manifest;
+    }
+
+    /**
+     * Replaces the company's manifest (one row per archived month).
+     */
+    async saveArchiveManifest(companyId, manifest) {
+        const id = String(companyId);
+        const insert = this.db.prepare('INSERT INTO archive_manifest (company_id, year, month, data) VALUES (?, ?, ?, ?)');
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM archive_manifest WHERE company_id = ?').run(id);
+            for (const [key, entry] of Object.entries(manifest || {})) {
+                const [year, month] = key.split('-').map(n => parseInt(n));
+                if (!year || !month) continue;
+                insert.run(id, year, month, JSON.stringify(entry));
+            }
+        })();
+    }
+
+    // --- AUDIT TRAIL ---
+
+    async loadAudit(companyId) {
+        return this.db.prepare('SELECT data FROM audit_log WHERE company_id = ? ORDER BY seq')
+            .all(String(companyId)).map(r => JSON.parse(r.data));
+    }
+
+    async appendAudit(companyId, entry) {
+        this.db.prepare('INSERT INTO audit_log (company_id, seq, data) VALUES (?, ?, ?)')
+            .run(String(companyId), entry.seq, JSON.stringify(entry));
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,253 @@
+const AuditTrail = require('../AuditTrail');
+
+/**
+ * StorageAdapter
+ * Base class for DataManager persistence backends.
+ * Backends store: clients, company configs, monthly shifts, billing ledgers, the
+ * shift audit trail, the archive manifest and the deleted-company tombstones. Everything else (system_config.json, metadata.json)
+ * stays as plain files in the data directory.
+ *
+ * Backup / GAS restore always speak the JSON file layout, so every backend can be
+ * exported to (and imported from) the same relative paths:
+ *   clients.json
+ *   deleted_company_ids.json
+ *   companies/<id>/config.json
+ *   companies/<id>/billing_ledger.json
+ *   companies/<id>/archive_manifest.json
+ *   companies/<id>/audit_log.jsonl      (exported as an array of entries; restores only append, see importAudit)
+ *   companies/<id>/<year>/<month>.json  (or json.<month>, as written by GAS)
+ */
+class StorageAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async init() { }
+
+    async close() { }
+
+    /**
+     * Maps a relative data path onto the record it represents.
+     * @returns {Object|null} { type: 'clients'|'tombstones'|'config'|'ledger'|'manifest'|'audit'|'shifts', companyId?, year?, month? }
+     */
+    static parsePath(relPath) {
+        const parts = String(relPath || '').replace(/\\/g, '/').split('/').filter(Boolean);
+
+        if (parts.length === 1) {
+            if (parts[0] === 'clients.json') return { type: 'clients' };
+            if (parts[0] === 'deleted_company_ids.json') return { type: 'tombstones' };
+            return null;
+        }
+
+        if (parts[0] !== 'companies' || !parts[1]) return null;
+        const companyId = parts[1];
+
+        if (parts.length === 3) {
+            if (parts[2] === 'config.json') return { type: 'config', companyId };
+            if (parts[2] === 'billing_ledger.json') return { type: 'ledger', companyId };
+            if (parts[2] === 'archive_manifest.json') return { type: 'manifest', companyId };
+            if (parts[2] === 'audit_log.jsonl') return { type: 'audit', companyId };
+            return null;
+        }
+
+        if (parts.length === 4 && /^\d{4}$/.test(parts[2])) {
+            const file = parts[3];
+            let month = NaN;
+            if (/^\d{1,2}\.json$/.test(file)) month = parseInt(file);
+            else if (/^json\.\d{1,2}$/.test(file)) month = parseInt(file.split('.')[1]);
+            if (!isNaN(month) && month >= 1 && month <= 12) {
+                return { type: 'shifts', companyId, year: parseInt(parts[2]), month };
+            }
+        }
+        return null;
+    }
+
+    static ledgerPeriod(year, month) {
+        return `${year}-${String(month).padStart(2, '0')}`;
+    }
+
+    /**
+     * Adds names to a ledger period. The ledger is append-only (billing history).
+     * @returns {Promise<Object|null>} the full ledger when something was added, otherwise null
+     */
+    async appendLedger(companyId, periodKey, names) {
+        const ledger = await this.loadLedger(companyId);
+        const existing = new Set(ledger[periodKey] || []);
+        let changed = false;
+        names.forEach(n => {
+            if (n && !existing.has(n)) {
+                existing.add(n);
+                changed = true;
+            }
+        });
+        if (!changed) return null;
+
+        ledger[periodKey] = Array.from(existing);
+        await this.saveLedger(companyId, ledger);
+        return ledger;
+    }
+
+    /**
+     * Audit trail entries in append order (see DataManager.recordAudit for the entry shape).
+     * Backends only ever append; entries are never rewritten.
+     */
+    async loadAudit(companyId) {
+        return [];
+    }
+
+    async appendAudit(companyId, entry) {
+        throw new Error(`Storage backend "${this.name}" does not support the audit trail`);
+    }
+
+    /**
+     * Restores a company's audit log without rewriting it: stored entries stay as they are and only the
+     * backup's continuation of the same chain is appended. A backup that fails verification or forks from
+     * the stored chain is refused.
+     * @param {Array|string} content - entries, or the JSON / JSON-lines text of them
+     * @returns {Promise<number>} entries appended
+     */
+    async importAudit(companyId, content) {
+        let entries = content;
+        if (typeof content === 'string') {
+            try {
+                entries = JSON.parse(content || '[]');
+            } catch (e) {
+                entries = content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+            }
+        }
+        entries = Array.isArray(entries) ? entries : [];
+
+        const verification = AuditTrail.verify(entries);
+        if (!verification.valid) {
+            throw new Error(`Audit log backup for ${companyId} fails verification at ${verification.brokenAt}`);
+        }
+        if (entries.length === 0) return 0;
+
+        const stored = await this.loadAudit(companyId);
+        const tail = [...stored].reverse().find(e => !e.corrupt);
+        let from = 0;
+        if (tail) {
+            // Both chains start at seq 1, so entry i holds seq i + 1
+            const shared = Math.min(tail.seq, entries.length);
+            const local = stored.find(e => e.seq === shared);
+            if (!local || local.hash !== entries[shared - 1].hash) {
+                throw new Error(`Audit log backup for ${companyId} forks from the stored chain at seq ${shared}`);
+            }
+            from = tail.seq;
+        }
+
+        const missing = entries.slice(from);
+        for (const entry of missing) await this.appendAudit(companyId, entry);
+        return missing.length;
+    }
+
+    /**
+     * Where archived months live: { 'Y-M': { year, month, target, location, checksum, bytes, archivedAt, verifiedAt } }
+     * (see DataManager.archiveMonth). A month edited after archiving is stored locally again and is re-archived
+     * over its entry on the next run.
+     */
+    async loadArchiveManifest(companyId) {
+        return {};
+    }
+
+    async saveArchiveManifest(companyId, manifest) {
+        throw new Error(`Storage backend "${this.name}" does not support the archive manifest`);
+    }
+
+    /**
+     * Reads a record by its JSON-layout path. Returns undefined for paths the backend doesn't own.
+     */
+    async readDocument(relPath) {
+        const target = StorageAdapter.parsePath(relPath);
+        if (!target) return undefined;
+
+        switch (target.type) {
+            case 'clients': return (await this.loadClients()) || [];
+            case 'tombstones': return { ids: await this.loadTombstones() };
+            case 'config': return this.loadCompanyConfig(target.companyId);
+            case 'ledger': return this.loadLedger(target.companyId);
+            case 'manifest': return this.loadArchiveManifest(target.companyId);
+            case 'audit': return this.loadAudit(target.companyId);
+            case 'shifts': return this.loadShifts(target.companyId, target.year, target.month);
+        }
+        return undefined;
+    }
+
+    /**
+     * Writes a record received in the JSON layout (GAS restore / migrations).
+     * @returns {Promise<boolean>} false when the path is not a storage record
+     */
+    async importFile(relPath, content) {
+        const target = StorageAdapter.parsePath(relPath);
+        if (!target) return false;
+        if (target.type === 'audit') {
+            await this.importAudit(target.companyId, content);
+            return true;
+        }
+
+        const data = typeof content === 'string' ? JSON.parse(content || 'null') : content;
+
+        switch (target.type) {
+            case 'clients':
+                await this.saveClients(Array.isArray(data) ? data : []);
+                break;
+            case 'tombstones':
+                await this.saveTombstones(Array.isArray(data?.ids) ? data.ids : []);
+                break;
+            case 'config':
+                await this.saveCompanyConfig(target.companyId, data || {});
+                break;
+            case 'ledger':
+                await this.saveLedger(target.companyId, data || {});
+                break;
+            case 'manifest':
+                await this.saveArchiveManifest(target.companyId, data || {});
+                break;
+            case 'shifts':
+                await this.saveShifts(target.companyId, target.year, target.month, data || {});
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Dumps every record in the JSON layout: [{ path, content }]
+     */
+    async exportFiles() {
+        const files = [];
+
+        const clients = await this.loadClients();
+        if (clients) files.push({ path: 'clients.json', content: clients });
+
+        const tombstones = await this.loadTombstones();
+        if (tombstones.length > 0) {
+            files.push({ path: 'deleted_company_ids.json', content: { ids: tombstones, updatedAt: new Date().toISOString() } });
+        }
+
+        for (const companyId of await this.listCompanies()) {
+            const companyConfig = await this.loadCompanyConfig(companyId);
+            if (companyConfig) files.push({ path: `companies/${companyId}/config.json`, content: companyConfig });
+
+            const ledger = await this.loadLedger(companyId);
+            if (Object.keys(ledger).length > 0) {
+                files.push({ path: `companies/${companyId}/billing_ledger.json`, content: ledger });
+            }
+
+            const manifest = await this.loadArchiveManifest(companyId);
+            if (Object.keys(manifest).length > 0) {
+                files.push({ path: `companies/${companyId}/archive_manifest.json`, content: manifest });
+            }
+
+            const audit = await this.loadAudit(companyId);
+            if (audit.length > 0) files.push({ path: `companies/${companyId}/audit_log.jsonl`, content: audit });
+
+            for (const { year, month } of await this.listShiftMonths(companyId)) {
+                const shifts = await this.loadShifts(companyId, year, month);
+                if (shifts) files.push({ path: `companies/${companyId}/${year}/${month}.json`, content: shifts });
+            }
+        }
+        return files;
+    }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,24 @@
+const StorageAdapter = require('./StorageAdapter');
+const JsonStorage = require('./JsonStorage');
+const SqliteStorage = require('./SqliteStorage');
+
+const BACKENDS = {
+    json: JsonStorage,
+    sqlite: SqliteStorage
+};
+
+/**
+ * Creates the persistence backend selected by STORAGE_BACKEND ('json' | 'sqlite').
+ * @param {string} backend
+ * @param {Object} options - { dataDir, sqlitePath }
+ */
+function createStorage(backend, options) {
+    const key = String(backend || 'json').toLowerCase();
+    const Backend = BACKENDS[key];
+    if (!Backend) {
+        throw new Error(`Unknown storage backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    return new Backend(options);
+}
+
+module.exports = { createStorage, StorageAdapter, JsonStorage, SqliteStorage, BACKENDS };
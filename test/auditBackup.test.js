@@ -0,0 +1,103 @@
+// The audit log travels with the backup and a restore only ever appends to it: the chain stays verifiable,
+// and a tampered or forked backup is refused instead of overwriting the stored trail.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AuditTrail = require('../services/AuditTrail');
+const { JsonStorage, SqliteStorage } = require('../services/storage');
+
+const COMPANY = '4242';
+
+function chain(count, { from = [], employee = 'Dana' } = {}) {
+    const entries = [...from];
+    for (let i = 0; i < count; i++) {
+        const prev = entries[entries.length - 1];
+        const entry = {
+            seq: entries.length + 1,
+            ts: new Date(Date.UTC(2026, 0, 1, 8, entries.length)).toISOString(),
+            companyId: COMPANY,
+            action: AuditTrail.ACTIONS.SHIFT_UPDATE,
+            actor: AuditTrail.system('test'),
+            employee,
+            year: 2026,
+            month: 1,
+            before: null,
+            after: { start: entries.length, end: null },
+            reason: null,
+            prevHash: prev ? prev.hash : AuditTrail.GENESIS_HASH
+        };
+        entry.hash = AuditTrail.hash(entry);
+        entries.push(entry);
+    }
+    return entries;
+}
+
+async function storage(Backend) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tempusgeo-audit-'));
+    const store = new Backend({ dataDir });
+    await store.init();
+    await store.saveCompanyConfig(COMPANY, { companyId: COMPANY, businessName: 'Audit Test' });
+    return store;
+}
+
+async function append(store, entries) {
+    for (const entry of entries) await store.appendAudit(COMPANY, entry);
+}
+
+for (const [name, Backend] of [['json', JsonStorage], ['sqlite', SqliteStorage]]) {
+    test(`${name}: the backup carries the audit log and restores it into an empty store`, async () => {
+        const source = await storage(Backend);
+        await append(source, chain(5));
+
+        const files = await source.exportFiles();
+        const file = files.find(f => f.path === `companies/${COMPANY}/audit_log.jsonl`);
+        assert.ok(file, 'audit log missing from the backup');
+        assert.strictEqual(file.content.length, 5);
+
+        // Through the same JSON round trip the GAS backup takes
+        const target = await storage(Backend);
+        assert.strictEqual(await target.importFile(file.path, JSON.parse(JSON.stringify(file.content))), true);
+        const restored = await target.loadAudit(COMPANY);
+        assert.deepStrictEqual(restored, file.content);
+        assert.deepStrictEqual(AuditTrail.verify(restored), { valid: true, count: 5, brokenAt: null });
+    });
+
+    test(`${name}: a restore appends only the entries after the stored tail`, async () => {
+        const full = chain(6);
+        const store = await storage(Backend);
+        await append(store, full.slice(0, 4));
+
+        assert.strictEqual(await store.importAudit(COMPANY, full), 2);
+        assert.deepStrictEqual(await store.loadAudit(COMPANY), full);
+
+        // An older backup adds nothing and removes nothing
+        assert.strictEqual(await store.importAudit(COMPANY, full.slice(0, 3)), 0);
+        assert.strictEqual((await store.loadAudit(COMPANY)).length, 6);
+    });
+
+    test(`${name}: a tampered or forked backup is refused and the stored log is left alone`, async () => {
+        const stored = chain(3);
+        const store = await storage(Backend);
+        await append(store, stored);
+
+        const tampered = chain(5, { from: stored });
+        tampered[1] = { ...tampered[1], employee: 'Eli' };
+        await assert.rejects(store.importAudit(COMPANY, tampered), /fails verification at 2/);
+
+        const forked = chain(3, { from: chain(2, { employee: 'Eli' }) });
+        await assert.rejects(store.importAudit(COMPANY, forked), /forks from the stored chain at seq 3/);
+
+        assert.deepStrictEqual(await store.loadAudit(COMPANY), stored);
+    });
+}
+
+test('json: the restored log file is JSON lines, not the exported array', async () => {
+    const store = await storage(JsonStorage);
+    await store.importFile(`companies/${COMPANY}/audit_log.jsonl`, chain(2));
+    const raw = fs.readFileSync(path.join(store.companyDir(COMPANY), 'audit_log.jsonl'), 'utf8');
+    assert.strictEqual(raw.trim().split('\n').length, 2);
+    assert.strictEqual(JSON.parse(raw.split('\n')[1]).seq, 2);
+});
@@ -0,0 +1,79 @@
+// A change that is saved but whose audit entry can't be written reports it (auditWarning) instead of a clean success.
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tempusgeo-audit-warn-'));
+process.env.GAS_COLD_STORAGE_URL = 'http://127.0.0.1:9/gas'; // nothing listens - cloud syncs fail fast
+
+const dataManager = require('../services/DataManager');
+
+const HOUR = 60 * 60 * 1000;
+const admin = { role: 'admin', name: 'admin', ip: null };
+let companyId;
+let appendAudit;
+
+function breakAuditWrites() {
+    dataManager.storage.appendAudit = async () => { throw new Error('disk full'); };
+}
+
+before(async () => {
+    await dataManager.ready;
+    const client = await dataManager.createBusiness({
+        businessName: 'Audit Warn Test', email: 'warn@test.local', password: 'pw1234',
+        paymentMethod: { token: 'tok', expMonth: '12', expYear: '2030' }
+    });
+    companyId = client.id;
+    await dataManager.addEmployee(companyId, 'Dana');
+    appendAudit = dataManager.storage.appendAudit;
+});
+
+afterEach(() => {
+    dataManager.storage.appendAudit = appendAudit;
+});
+
+test('a punch whose audit entry is written reports no warning', async () => {
+    const result = await dataManager.logShift(companyId, 'Dana', 'IN', Date.now() - 2 * HOUR, null, '', 'device-Dana');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.auditWarning, undefined);
+});
+
+test('a punch saved without its audit entry carries the warning', async () => {
+    breakAuditWrites();
+    const result = await dataManager.logShift(companyId, 'Dana', 'OUT', Date.now() - HOUR, null, '', 'device-Dana');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.auditWarning.error, 'AUDIT_WRITE_FAILED');
+
+    // The punch itself is kept
+    const now = new Date(Date.now() - HOUR);
+    const shifts = await dataManager.getShifts(companyId, now.getFullYear(), now.getMonth() + 1);
+    assert.ok(shifts.Dana[0].end);
+});
+
+test('admin edits, deletes and month transitions report a failed audit write', async () => {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+    const start = Date.now() - 30 * HOUR;
+    breakAuditWrites();
+
+    const created = await dataManager.adminSaveShift(companyId, { year, month, name: 'Dana', newStart: start, newEnd: start + HOUR, actor: admin });
+    assert.strictEqual(created.auditWarning?.error, 'AUDIT_WRITE_FAILED');
+
+    const updated = await dataManager.adminSaveShift(companyId, {
+        year, month, name: 'Dana', originalStart: start, newStart: start, newEnd: start + 2 * HOUR, actor: admin
+    });
+    assert.strictEqual(updated.auditWarning?.error, 'AUDIT_WRITE_FAILED');
+
+    const deleted = await dataManager.adminDeleteShift(companyId, { year, month, name: 'Dana', start, actor: admin });
+    assert.strictEqual(deleted.auditWarning?.error, 'AUDIT_WRITE_FAILED');
+
+    const submitted = await dataManager.submitTimesheet(companyId, year, month, 'Dana');
+    assert.strictEqual(submitted.success, true);
+    assert.strictEqual(submitted.auditWarning?.error, 'AUDIT_WRITE_FAILED');
+
+    // The failures are on the super admin's maintenance log too
+    assert.ok(dataManager.maintenanceLogs.ERROR.some(e => e.message.startsWith('Audit write failed: MONTH_SUBMIT')));
+});
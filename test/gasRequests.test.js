@@ -0,0 +1,54 @@
+// GAS_API_SECRET goes to GAS in the POST body only - reads included - and never in a URL.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.GAS_API_SECRET = 'gas-test-secret';
+
+const syncManager = require('../services/SyncManager');
+const GasArchiveTarget = require('../services/archive/GasArchiveTarget');
+
+// GAS stand-in: records method, URL and body of every request
+let gas;
+const requests = [];
+
+before(async () => {
+    gas = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, body: JSON.parse(body || '{}') });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ success: true, data: { Dana: [] } }));
+        });
+    });
+    await new Promise(resolve => gas.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => gas.close());
+
+beforeEach(() => { requests.length = 0; });
+
+const gasUrl = () => `http://127.0.0.1:${gas.address().port}/exec`;
+
+test('gasRequest posts the action, its params and the secret in the body', async () => {
+    const response = await syncManager.gasRequest(gasUrl(), 'getMonths', { companyId: '4242', year: 2026 }, { timeout: 5000 });
+    assert.strictEqual(response.data.success, true);
+    assert.deepStrictEqual(requests, [{
+        method: 'POST',
+        url: '/exec',
+        body: { action: 'getMonths', companyId: '4242', year: 2026, token: 'gas-test-secret' }
+    }]);
+});
+
+test('the archive target reads a month back without the secret in the URL', async () => {
+    const target = new GasArchiveTarget({ gasUrl: gasUrl() });
+    await target.put('4242', 2026, 3, '{}');
+    assert.strictEqual(await target.get('4242', 2026, 3), JSON.stringify({ Dana: [] }));
+
+    assert.deepStrictEqual(requests.map(r => [r.method, r.body.action, r.body.token]), [
+        ['POST', 'archiveMonth', 'gas-test-secret'],
+        ['POST', 'getArchivedMonth', 'gas-test-secret']
+    ]);
+    assert.ok(requests.every(r => r.url === '/exec'));
+});
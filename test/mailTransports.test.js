@@ -0,0 +1,199 @@
+// The mail transport chain against local stand-ins: an SMTP sink for smtp and HTTP endpoints for the
+// JetServer proxy and GAS. Covers the smtp -> jetserver -> gas failover, bounces and the cooldown.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const http = require('http');
+
+const { createTransportChain } = require('../services/mail');
+
+const MESSAGE = { to: 'dana@test.local', subject: 'Monthly report', html: '<p>report</p>', fromName: 'Mail Test', attachments: [] };
+
+// Minimal SMTP sink: RCPT to bounce@* gets a 550, every accepted message is kept in `sink.messages`
+function startSmtpSink() {
+    const sink = { messages: [] };
+    sink.server = net.createServer(sock => {
+        let inData = false, buffer = '', body = '';
+        sock.write('220 sink ESMTP\r\n');
+        sock.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let i;
+            while ((i = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, i);
+                buffer = buffer.slice(i + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        sink.messages.push(body);
+                        body = '';
+                        sock.write('250 OK queued\r\n');
+                    } else {
+                        body += line + '\r\n';
+                    }
+                    continue;
+                }
+                const cmd = line.slice(0, 4).toUpperCase();
+                if (cmd === 'EHLO' || cmd === 'HELO') sock.write('250-sink\r\n250 8BITMIME\r\n');
+                else if (cmd === 'RCPT' && /bounce@/i.test(line)) sock.write('550 5.1.1 No such user\r\n');
+                else if (cmd === 'DATA') {
+                    inData = true;
+                    sock.write('354 go ahead\r\n');
+                } else if (cmd === 'QUIT') {
+                    sock.write('221 bye\r\n');
+                    sock.end();
+                } else sock.write('250 OK\r\n');
+            }
+        });
+    });
+    return new Promise(resolve => sink.server.listen(0, '127.0.0.1', () => {
+        sink.port = sink.server.address().port;
+        resolve(sink);
+    }));
+}
+
+// HTTP stand-in for the JetServer proxy / GAS: records the requests and answers with `endpoint.status` / `endpoint.reply`
+function startHttpEndpoint() {
+    const endpoint = { requests: [], status: 200, reply: { success: true } };
+    endpoint.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            endpoint.requests.push(JSON.parse(body || '{}'));
+            res.writeHead(endpoint.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(endpoint.reply));
+        });
+    });
+    return new Promise(resolve => endpoint.server.listen(0, '127.0.0.1', () => {
+        endpoint.url = `http://127.0.0.1:${endpoint.server.address().port}/`;
+        resolve(endpoint);
+    }));
+}
+
+// A port nothing listens on (SMTP host down)
+async function closedPort() {
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+}
+
+let sink, jetserver, gas, deadPort;
+
+const chainConfig = (smtpPort) => ({
+    EMAIL_TRANSPORTS: ['smtp', 'jetserver', 'gas'],
+    SMTP: { HOST: '127.0.0.1', PORT: smtpPort, SECURE: false, USER: null, PASS: null, FROM: 'no-reply@test.local' },
+    JETSERVER_MAIL_URL: jetserver.url,
+    JETSERVER_MAIL_SECRET: 'proxy-secret',
+    GAS_COLD_STORAGE_URL: gas.url
+});
+
+before(async () => {
+    sink = await startSmtpSink();
+    jetserver = await startHttpEndpoint();
+    gas = await startHttpEndpoint();
+    deadPort = await closedPort();
+});
+
+after(() => {
+    sink.server.close();
+    jetserver.server.close();
+    gas.server.close();
+});
+
+beforeEach(() => {
+    sink.messages = [];
+    jetserver.requests = [];
+    jetserver.reply = { success: true };
+    gas.requests = [];
+    gas.status = 200;
+    gas.reply = { success: true };
+});
+
+test('delivers through smtp first when the SMTP host is up', async () => {
+    const chain = createTransportChain(chainConfig(sink.port));
+    assert.deepStrictEqual(chain.transports.map(t => t.name), ['smtp', 'jetserver', 'gas']);
+
+    const result = await chain.send(MESSAGE);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.transport, 'smtp');
+    assert.strictEqual(sink.messages.length, 1);
+    assert.match(sink.messages[0], /Subject: Monthly report/);
+    assert.match(sink.messages[0], /To: dana@test\.local/);
+    assert.strictEqual(jetserver.requests.length, 0);
+    assert.strictEqual(gas.requests.length, 0);
+});
+
+test('fails over to jetserver when the SMTP host is down', async () => {
+    const chain = createTransportChain(chainConfig(deadPort));
+
+    const result = await chain.send(MESSAGE);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.transport, 'jetserver');
+    assert.deepStrictEqual(result.attempts.map(a => [a.transport, a.ok]), [['smtp', false], ['jetserver', true]]);
+    assert.strictEqual(jetserver.requests.length, 1);
+    assert.strictEqual(jetserver.requests[0].secret, 'proxy-secret');
+    assert.strictEqual(jetserver.requests[0].to, MESSAGE.to);
+    assert.strictEqual(gas.requests.length, 0);
+});
+
+test('falls through to gas when both smtp and jetserver fail', async () => {
+    const chain = createTransportChain(chainConfig(deadPort));
+    jetserver.reply = { success: false, error: 'Proxy quota exceeded' };
+
+    const result = await chain.send(MESSAGE);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.transport, 'gas');
+    assert.deepStrictEqual(result.attempts.map(a => [a.transport, a.ok]), [['smtp', false], ['jetserver', false], ['gas', true]]);
+    assert.strictEqual(result.attempts[1].error, 'Proxy quota exceeded');
+    assert.strictEqual(gas.requests.length, 1);
+    assert.strictEqual(gas.requests[0].action, 'sendEmail');
+    assert.strictEqual(gas.requests[0].subject, MESSAGE.subject);
+});
+
+test('a rejected recipient is a permanent bounce and is not retried on the other transports', async () => {
+    const chain = createTransportChain(chainConfig(sink.port));
+
+    const result = await chain.send({ ...MESSAGE, to: 'bounce@test.local' });
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.permanent, true);
+    assert.strictEqual(result.transport, 'smtp');
+    assert.strictEqual(jetserver.requests.length, 0);
+    assert.strictEqual(gas.requests.length, 0);
+    assert.strictEqual(chain.getHealth().find(h => h.name === 'smtp').consecutiveFailures, 0);
+});
+
+test('reports every transport error when all of them fail, and skips a failing transport after 3 failures', async () => {
+    const chain = createTransportChain(chainConfig(deadPort));
+    jetserver.reply = { success: false, error: 'Proxy down' };
+    gas.status = 500; // GAS counts any 200 answer as sent
+
+    for (let i = 0; i < 3; i++) {
+        const result = await chain.send(MESSAGE);
+        assert.strictEqual(result.success, false);
+        assert.ok(!result.permanent);
+        assert.deepStrictEqual(result.attempts.map(a => a.transport), ['smtp', 'jetserver', 'gas']);
+        assert.match(result.error, /^smtp: .+ \| jetserver: Proxy down \| gas: .*500/);
+    }
+    assert.ok(chain.getHealth().every(h => !h.healthy && h.consecutiveFailures === 3));
+
+    // Every transport is cooling down - all are still tried in order; once gas recovers it delivers
+    gas.status = 200;
+    const recovered = await chain.send(MESSAGE);
+    assert.strictEqual(recovered.transport, 'gas');
+    const health = chain.getHealth();
+    assert.strictEqual(health.find(h => h.name === 'gas').healthy, true);
+    assert.strictEqual(health.find(h => h.name === 'smtp').healthy, false);
+
+    // Only the healthy transports are tried while the others cool down
+    jetserver.requests = [];
+    const next = await chain.send(MESSAGE);
+    assert.deepStrictEqual(next.attempts.map(a => a.transport), ['gas']);
+    assert.strictEqual(jetserver.requests.length, 0);
+});
+
+test('createTransportChain keeps the configured order and leaves out unconfigured and unknown transports', () => {
+    const cfg = { ...chainConfig(sink.port), EMAIL_TRANSPORTS: ['gas', 'pigeon', 'smtp'], SMTP: { HOST: null } };
+    const chain = createTransportChain(cfg);
+    assert.deepStrictEqual(chain.transports.map(t => t.name), ['gas']);
+});
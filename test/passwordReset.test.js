@@ -0,0 +1,71 @@
+// Password reset requests are throttled per company and per caller IP. The IP is the one our proxy saw
+// (the last X-Forwarded-For hop), and a throttled request gets the usual "sent" answer without an email.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tempusgeo-reset-'));
+process.env.GAS_COLD_STORAGE_URL = 'http://127.0.0.1:9/gas'; // nothing listens - cloud syncs fail fast
+process.env.JWT_SECRET = 'password-reset-test-secret';
+
+const dataManager = require('../services/DataManager');
+const emailService = require('../services/EmailService');
+const authService = require('../services/AuthService');
+const app = require('../server');
+
+let server, baseUrl, companyId;
+let sent = [];
+
+function forgot(body, forwardedFor) {
+    return fetch(`${baseUrl}/api/forgot-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': forwardedFor },
+        body: JSON.stringify(body)
+    });
+}
+
+before(async () => {
+    await dataManager.ready;
+    const client = await dataManager.createBusiness({
+        businessName: 'Reset Test', email: 'owner@test.local', password: 'pw1234',
+        paymentMethod: { token: 'tok', expMonth: '12', expYear: '2030' }
+    });
+    companyId = client.id;
+    emailService.sendRecoveryEmail = async (to) => { sent.push(to); };
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    sent = [];
+    authService.rateLimits = new Map();
+});
+
+test('a company over its hourly limit still answers "sent" but sends nothing', async () => {
+    const answers = [];
+    for (let i = 1; i <= 5; i++) {
+        const res = await forgot({ companyId }, `10.0.0.${i}`);
+        assert.strictEqual(res.status, 200);
+        answers.push(await res.json());
+    }
+    assert.strictEqual(sent.length, 3);
+    assert.ok(answers.every(a => a.success === true && a.message === answers[0].message));
+});
+
+test('the per-IP limit follows the hop our proxy appended, not the entries the client sent', async () => {
+    // The caller rotates the first X-Forwarded-For entry; the proxy-appended last hop stays the same
+    for (let i = 1; i <= 10; i++) {
+        await forgot({ companyId: `missing-${i}` }, `203.0.113.${i}, 10.0.0.7`);
+    }
+    const res = await forgot({ companyId }, '198.51.100.1, 10.0.0.7');
+    assert.strictEqual((await res.json()).success, true);
+    assert.strictEqual(sent.length, 0);
+
+    // Another caller is not affected
+    await forgot({ companyId }, '10.0.0.8');
+    assert.deepStrictEqual(sent, ['owner@test.local']);
+});
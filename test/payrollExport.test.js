@@ -0,0 +1,53 @@
+// CSV cells that a spreadsheet would run as a formula (=, +, -, @, tab, CR) are exported as text.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tempusgeo-payroll-'));
+process.env.GAS_COLD_STORAGE_URL = 'http://127.0.0.1:9/gas'; // nothing listens - cloud syncs fail fast
+
+const dataManager = require('../services/DataManager');
+const payrollExportService = require('../services/PayrollExportService');
+
+const year = 2026;
+const month = 3;
+let companyId;
+
+before(async () => {
+    await dataManager.ready;
+    const client = await dataManager.createBusiness({
+        businessName: 'Payroll Test', email: 'payroll@test.local', password: 'pw1234',
+        paymentMethod: { token: 'tok', expMonth: '12', expYear: '2030' }
+    });
+    companyId = client.id;
+    await dataManager.addEmployee(companyId, 'Dana');
+
+    const shifts = await dataManager.getShifts(companyId, year, month);
+    const start = new Date(year, month - 1, 2, 8).getTime();
+    shifts.Dana = [{ start, end: start + 4 * 3600000, note: '=HYPERLINK("http://evil.test","click")' }];
+    await dataManager.saveShifts(companyId, year, month, shifts);
+});
+
+test('csvEscape prefixes formula-like text with a quote', () => {
+    const esc = (v) => payrollExportService.csvEscape(v, ',');
+    assert.strictEqual(esc('=1+2'), "'=1+2");
+    assert.strictEqual(esc('+972501234567'), "'+972501234567");
+    assert.strictEqual(esc('-2+3'), "'-2+3");
+    assert.strictEqual(esc('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+    assert.strictEqual(esc('\tcmd'), "'\tcmd");
+    assert.strictEqual(esc('\r=cmd'), `"'\r=cmd"`);
+    // Still quoted when it holds the delimiter or quotes
+    assert.strictEqual(esc('=A1,"x"'), `"'=A1,""x"""`);
+    // Ordinary values and plain numbers are untouched
+    assert.strictEqual(esc('Dana'), 'Dana');
+    assert.strictEqual(esc('-1.5'), '-1.5');
+    assert.strictEqual(esc('4.00'), '4.00');
+});
+
+test('a formula in a shift note is exported as text', async () => {
+    const { buffer } = await payrollExportService.exportMonth(companyId, { year, month, format: 'csv', scope: 'shifts' });
+    const row = buffer.toString('utf8').split('\r\n')[1];
+    assert.ok(row.endsWith(`"'=HYPERLINK(""http://evil.test"",""click"")"`), row);
+});
@@ -0,0 +1,81 @@
+// Rejecting an out-of-zone punch keeps the shift on record: it is neither deleted nor reopened,
+// and WageCalculator leaves it out of hours and pay.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tempusgeo-pending-'));
+process.env.GAS_COLD_STORAGE_URL = 'http://127.0.0.1:9/gas'; // nothing listens - cloud syncs fail fast
+
+const dataManager = require('../services/DataManager');
+const WageCalculator = require('../services/WageCalculator');
+
+const HOUR = 60 * 60 * 1000;
+const admin = { role: 'admin', name: 'admin', ip: null };
+const year = 2026;
+const month = 3;
+const day = (d, h) => new Date(year, month - 1, d, h).getTime();
+let companyId;
+
+// A closed shift with an out-of-zone punch waiting for the manager
+function pendingShift(start, end, punch) {
+    const geo = { meters: 900, zoneName: 'Office', approval: { status: 'PENDING', requestedAt: punch === 'IN' ? start : end } };
+    return { start, end, [punch === 'IN' ? 'geoIn' : 'geoOut']: geo };
+}
+
+before(async () => {
+    await dataManager.ready;
+    const client = await dataManager.createBusiness({
+        businessName: 'Pending Test', email: 'pending@test.local', password: 'pw1234',
+        paymentMethod: { token: 'tok', expMonth: '12', expYear: '2030' }
+    });
+    companyId = client.id;
+    await dataManager.addEmployee(companyId, 'Dana');
+
+    const shifts = await dataManager.getShifts(companyId, year, month);
+    shifts.Dana = [
+        { start: day(2, 8), end: day(2, 12) },
+        pendingShift(day(3, 8), day(3, 12), 'IN'),
+        pendingShift(day(4, 8), day(4, 12), 'OUT'),
+        pendingShift(day(5, 8), day(5, 12), 'IN')
+    ];
+    await dataManager.saveShifts(companyId, year, month, shifts);
+});
+
+test('a rejected IN or OUT keeps the shift with its times and marks it REJECTED', async () => {
+    for (const [punch, start, end] of [['IN', day(3, 8), null], ['OUT', null, day(4, 12)]]) {
+        const result = await dataManager.reviewPendingPunch(companyId, {
+            year, month, name: 'Dana', start, end, punch, decision: 'REJECT', actor: admin, reason: 'not on site'
+        });
+        assert.strictEqual(result.status, 'REJECTED');
+    }
+
+    const stored = (await dataManager.storage.loadShifts(companyId, year, month)).Dana;
+    assert.strictEqual(stored.length, 4);
+    assert.deepStrictEqual([stored[1].start, stored[1].end], [day(3, 8), day(3, 12)]);
+    assert.deepStrictEqual([stored[2].start, stored[2].end], [day(4, 8), day(4, 12)]);
+    assert.strictEqual(stored[1].geoIn.approval.status, 'REJECTED');
+    assert.strictEqual(stored[2].geoOut.approval.status, 'REJECTED');
+    assert.ok(!('rejectedEnd' in stored[2]));
+
+    const audit = await dataManager.storage.loadAudit(companyId);
+    const rejects = audit.filter(e => e.action === 'PUNCH_REJECT');
+    assert.strictEqual(rejects.length, 2);
+    assert.ok(rejects.every(e => e.after && e.after.end));
+});
+
+test('rejected shifts earn no hours or pay; approved ones do', async () => {
+    await dataManager.reviewPendingPunch(companyId, {
+        year, month, name: 'Dana', start: day(5, 8), punch: 'IN', decision: 'APPROVE', actor: admin
+    });
+
+    const shifts = (await dataManager.getShifts(companyId, year, month)).Dana;
+    assert.deepStrictEqual(shifts.map(s => WageCalculator.isRejected(s)), [false, true, true, false]);
+
+    const payProfile = { type: 'hourly', rates: [{ effectiveFrom: '2026-01-01', hourlyRate: 50 }] };
+    const wage = WageCalculator.calculateBreakdown(shifts, {}, [], '5day', { ...dataManager.getMonthBounds(year, month), payProfile });
+    assert.strictEqual(wage.totalHours, 8);
+    assert.strictEqual(wage.pay.gross, 400);
+});
@@ -0,0 +1,75 @@
+// A referral coupon credits the referrer only once the referred business pays its first charge, and by
+// default each card holder can redeem it once - a batch of sign-ups on one card earns nothing.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tempusgeo-referral-'));
+process.env.GAS_COLD_STORAGE_URL = 'http://127.0.0.1:9/gas'; // nothing listens - cloud syncs fail fast
+
+const dataManager = require('../services/DataManager');
+const BillingCredits = require('../services/BillingCredits');
+
+let referrer;
+let seq = 0;
+
+function card(cardHolderId, token = `tok-${++seq}`) {
+    return { token, last4: '4242', expMonth: '12', expYear: '2030', cardHolderId };
+}
+
+function register(paymentMethod, couponCode = 'FRIEND') {
+    seq++;
+    return dataManager.createBusiness({
+        businessName: `Referred ${seq}`, email: `referred${seq}@test.local`, password: 'pw1234', paymentMethod, couponCode
+    });
+}
+
+const referralCredits = () => (referrer.accountLedger || []).filter(e => e.source === 'REFERRAL');
+
+before(async () => {
+    await dataManager.ready;
+    referrer = await dataManager.createBusiness({
+        businessName: 'Referrer', email: 'referrer@test.local', password: 'pw1234', paymentMethod: card('111111111')
+    });
+    // Saved locally before the (failing) GAS push throws
+    await dataManager.updateSystemConfig({
+        coupons: [{ code: 'FRIEND', type: 'AMOUNT', value: 50, usage: 'REGISTRATION', referrerCompanyId: referrer.id, referrerCredit: 100 }]
+    }).catch(() => {});
+});
+
+test('referral coupons default to one redemption per card holder; other coupons stay unlimited', () => {
+    const referral = BillingCredits.normalizeCoupon({ code: 'FRIEND', type: 'AMOUNT', value: 50, referrerCompanyId: '1', referrerCredit: 100 });
+    assert.strictEqual(referral.maxPerCardHolder, 1);
+    assert.strictEqual(BillingCredits.normalizeCoupon({ ...referral, maxPerCardHolder: 3 }).maxPerCardHolder, 3);
+    assert.strictEqual(BillingCredits.normalizeCoupon({ code: 'SALE', type: 'PERCENT', value: 10 }).maxPerCardHolder, 0);
+});
+
+test('the referrer is credited on the first paid charge, not at sign-up', async () => {
+    const referred = await register(card('222222222'));
+    const redemption = referred.couponRedemptions[0];
+    assert.deepStrictEqual(redemption.referral, { companyId: referrer.id, credit: 100, creditedAt: null });
+    assert.strictEqual(referralCredits().length, 0);
+
+    // A charge fully covered by credit is not a payment
+    const settlement = { description: 'מנוי', creditApplied: 0, employeeCount: 1 };
+    await dataManager.recordSubscriptionCharge(referred, { periodKey: '2026-10', amount: 0, settlement, reference: 'R0' });
+    assert.strictEqual(referralCredits().length, 0);
+
+    await dataManager.recordSubscriptionCharge(referred, { periodKey: '2026-11', amount: 120, settlement, reference: 'R1' });
+    assert.strictEqual(referralCredits().length, 1);
+    assert.strictEqual(referralCredits()[0].amount, 100);
+    assert.ok(redemption.referral.creditedAt);
+
+    // Later charges don't credit again
+    await dataManager.recordSubscriptionCharge(referred, { periodKey: '2026-12', amount: 120, settlement, reference: 'R2' });
+    assert.strictEqual(referralCredits().length, 1);
+});
+
+test('a second business on the same card holder, or the referrer\'s own card, cannot redeem the referral coupon', async () => {
+    await register(card('333333333'));
+    await assert.rejects(register(card('333333333')), /הקופון כבר מומש עם אמצעי התשלום הזה/);
+    await assert.rejects(register(card('999999999', referrer.paymentMethod.token)), /לא ניתן לממש קופון הפניה של העסק עצמו/);
+    await assert.rejects(register(card('111111111')), /לא ניתן לממש קופון הפניה של העסק עצמו/);
+});
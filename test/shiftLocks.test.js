@@ -0,0 +1,133 @@
+// Concurrent shift writes against one company/month: punches, admin edits and the auto-checkout
+// scan must all survive, and overnight closes take the previous month's lock first.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tempusgeo-locks-'));
+process.env.GAS_COLD_STORAGE_URL = 'http://127.0.0.1:9/gas'; // nothing listens - cloud syncs fail fast
+
+const dataManager = require('../services/DataManager');
+
+const HOUR = 60 * 60 * 1000;
+let companyId;
+
+// Fails the test instead of hanging it when the locks deadlock
+const withinSeconds = (promise, seconds = 10) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`deadlock: not settled after ${seconds}s`)), seconds * 1000).unref())
+]);
+
+async function storedShifts(year, month) {
+    return (await dataManager.storage.loadShifts(companyId, year, month)) || {};
+}
+
+before(async () => {
+    await dataManager.ready;
+    const client = await dataManager.createBusiness({
+        businessName: 'Locks Test', email: 'locks@test.local', password: 'pw1234',
+        paymentMethod: { token: 'tok', expMonth: '12', expYear: '2030' }
+    });
+    companyId = client.id;
+    for (const name of ['Dana', 'Eli', 'Noa', 'Omer', 'Yael', 'Boss', 'Night', 'Late']) {
+        await dataManager.addEmployee(companyId, name);
+    }
+});
+
+test('concurrent punches, admin edits and auto-checkout in one month lose no shift', async () => {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+
+    // An open shift well past the 12h limit, for the auto-checkout scan to close while the others write
+    await dataManager.adminSaveShift(companyId, { year, month, name: 'Late', newStart: now.getTime() - 20 * HOUR, newEnd: null });
+
+    const punchers = ['Dana', 'Eli', 'Noa', 'Omer', 'Yael'];
+    const results = await withinSeconds(Promise.all([
+        ...punchers.map((name, i) => dataManager.logShift(companyId, name, 'IN', now.getTime() - i * 1000, null, '', `device-${name}`)),
+        ...[1, 2, 3].map(i => dataManager.adminSaveShift(companyId, {
+            year, month, name: 'Boss', newStart: now.getTime() - (i + 1) * 2 * HOUR, newEnd: now.getTime() - (i + 1) * 2 * HOUR + HOUR
+        })),
+        dataManager.performAutoCheckout()
+    ]));
+
+    punchers.forEach((name, i) => assert.strictEqual(results[i].success, true, `${name}: ${JSON.stringify(results[i])}`));
+
+    for (const shifts of [await dataManager.getShifts(companyId, year, month), await storedShifts(year, month)]) {
+        punchers.forEach(name => {
+            assert.strictEqual(shifts[name]?.length, 1, `${name} punch lost`);
+            assert.ok(shifts[name][0].start && !shifts[name][0].end);
+        });
+        assert.strictEqual(shifts.Boss?.length, 3, 'admin-added shifts lost');
+        assert.strictEqual(shifts.Late?.length, 1);
+        assert.ok(shifts.Late[0].end, 'auto-checkout did not close the overdue shift');
+    }
+});
+
+test('overnight OUT closes the previous month shift alongside concurrent edits of both months', async () => {
+    // 31 Jan 22:00 -> 1 Feb 06:00 (local time, like the month keys)
+    const start = new Date(2026, 0, 31, 22, 0).getTime();
+    const out = new Date(2026, 1, 1, 6, 0).getTime();
+
+    const inRes = await dataManager.logShift(companyId, 'Night', 'IN', start, null, '', 'device-Night');
+    assert.strictEqual(inRes.success, true, JSON.stringify(inRes));
+
+    const [outRes] = await withinSeconds(Promise.all([
+        dataManager.logShift(companyId, 'Night', 'OUT', out, null, '', 'device-Night'),
+        dataManager.adminSaveShift(companyId, { year: 2026, month: 1, name: 'Boss', newStart: new Date(2026, 0, 10, 8).getTime(), newEnd: new Date(2026, 0, 10, 16).getTime() }),
+        dataManager.adminSaveShift(companyId, { year: 2026, month: 2, name: 'Boss', newStart: new Date(2026, 1, 1, 8).getTime(), newEnd: new Date(2026, 1, 1, 16).getTime() }),
+        dataManager.logShift(companyId, 'Dana', 'IN', new Date(2026, 1, 1, 7).getTime(), null, '', 'device-Dana')
+    ]));
+    assert.strictEqual(outRes.success, true, JSON.stringify(outRes));
+
+    const january = await storedShifts(2026, 1);
+    const february = await storedShifts(2026, 2);
+    assert.strictEqual(january.Night.length, 1);
+    assert.strictEqual(Number(january.Night[0].end), out, 'overnight shift not closed in its own month');
+    assert.ok(!february.Night || february.Night.length === 0, 'OUT opened a stray shift in the next month');
+    assert.strictEqual(january.Boss.length, 1);
+    assert.strictEqual(february.Boss.length, 1);
+    assert.strictEqual(february.Dana.length, 1);
+});
+
+test('month-and-previous lock takes the previous month first, across the year boundary too', async () => {
+    const acquired = [];
+    const run = dataManager.shiftLocks.run.bind(dataManager.shiftLocks);
+    dataManager.shiftLocks.run = (key, fn) => {
+        acquired.push(key);
+        return run(key, fn);
+    };
+    try {
+        await dataManager.withMonthAndPreviousLock(companyId, 2026, 2, async () => { });
+        await dataManager.withMonthAndPreviousLock(companyId, 2026, 1, async () => { });
+    } finally {
+        dataManager.shiftLocks.run = run;
+    }
+    assert.deepStrictEqual(acquired, [`${companyId}:2026-1`, `${companyId}:2026-2`, `${companyId}:2025-12`, `${companyId}:2026-1`]);
+});
+
+test('month-and-previous locks taken from both sides of a month boundary do not deadlock', async () => {
+    const order = [];
+    const section = (label) => async () => {
+        order.push(`${label}:in`);
+        await new Promise(r => setTimeout(r, 20));
+        order.push(`${label}:out`);
+    };
+
+    await withinSeconds(Promise.all([
+        dataManager.withMonthAndPreviousLock(companyId, 2026, 3, section('feb+mar')),
+        dataManager.withMonthAndPreviousLock(companyId, 2026, 4, section('mar+apr')),
+        dataManager.withMonthLock(companyId, 2026, 3, section('mar')),
+        dataManager.withMonthAndPreviousLock(companyId, 2027, 1, section('dec+jan')),
+        dataManager.withMonthLock(companyId, 2026, 12, section('dec'))
+    ]), 5);
+
+    // Sections sharing a month never overlap
+    const overlaps = (a, b) => order.indexOf(`${a}:in`) < order.indexOf(`${b}:out`) && order.indexOf(`${b}:in`) < order.indexOf(`${a}:out`);
+    assert.ok(!overlaps('feb+mar', 'mar+apr'));
+    assert.ok(!overlaps('feb+mar', 'mar'));
+    assert.ok(!overlaps('mar+apr', 'mar'));
+    assert.ok(!overlaps('dec+jan', 'dec'));
+});
@@ -0,0 +1,60 @@
+// The data directory (clients, tenant configs and shifts, audit log, outbox, sync queue) is only reachable
+// through the authenticated API - never as static files.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tempusgeo-static-'));
+process.env.GAS_COLD_STORAGE_URL = 'http://127.0.0.1:9/gas'; // nothing listens - cloud syncs fail fast
+process.env.JWT_SECRET = 'static-files-test-secret';
+
+const dataManager = require('../services/DataManager');
+const app = require('../server');
+
+let server, baseUrl, companyId;
+
+before(async () => {
+    await dataManager.ready;
+    const client = await dataManager.createBusiness({
+        businessName: 'Static Test', email: 'static@test.local', password: 'pw1234',
+        paymentMethod: { token: 'tok', expMonth: '12', expYear: '2030' }
+    });
+    companyId = client.id;
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('data files are not served', async () => {
+    const files = ['clients.json', `companies/${companyId}/config.json`, 'outbox/emails.json', 'sync/queue.json'];
+    for (const file of files) {
+        assert.ok(fs.existsSync(path.join(dataManager.dataDir, file)), `${file} missing from DATA_DIR`);
+        const res = await fetch(`${baseUrl}/${file}`);
+        assert.strictEqual(res.status, 404, `/${file} is reachable`);
+    }
+});
+
+test('the default ./data directory is not served either', async () => {
+    // DATA_DIR defaults to <repo>/data - probe it with a throwaway file
+    const defaultDir = path.join(__dirname, '..', 'data');
+    const created = !fs.existsSync(defaultDir);
+    const probe = `static-probe-${process.pid}.json`;
+    fs.mkdirSync(defaultDir, { recursive: true });
+    fs.writeFileSync(path.join(defaultDir, probe), '{}');
+    try {
+        const res = await fetch(`${baseUrl}/${probe}`);
+        assert.strictEqual(res.status, 404);
+    } finally {
+        fs.unlinkSync(path.join(defaultDir, probe));
+        if (created) fs.rmdirSync(defaultDir);
+    }
+});
+
+test('GET /clients.json returns 404', async () => {
+    const res = await fetch(`${baseUrl}/clients.json`);
+    assert.strictEqual(res.status, 404);
+    assert.ok(!(await res.text()).includes('static@test.local'));
+});
@@ -0,0 +1,122 @@
+// Splitting an overnight shift between months, and pay profiles: rates that change mid-month, the
+// periodStart/periodEnd window and monthly-salary profiles.
+process.env.TZ = 'Asia/Jerusalem';
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const WageCalculator = require('../services/WageCalculator');
+
+const at = (month, day, hour) => new Date(2026, month - 1, day, hour).getTime();
+const monthBounds = (month) => ({ periodStart: at(month, 1, 0), periodEnd: at(month + 1, 1, 0) });
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} != ${expected}`);
+
+test('a shift from 22:00 on the 31st to 06:00 on the 1st puts 120 minutes in one month and 360 in the next', () => {
+    const shift = { start: at(3, 31, 22), end: at(4, 1, 6) };
+    const noBreak = { breaks: { minShift: '24:00' } };
+    const minutes = (result) => Math.round(result.totalHours * 60);
+
+    const march = WageCalculator.calculateBreakdown([shift], noBreak, [], '5day', monthBounds(3));
+    const april = WageCalculator.calculateBreakdown([shift], noBreak, [], '5day', monthBounds(4));
+    assert.strictEqual(minutes(march), 120);
+    assert.strictEqual(minutes(april), 360);
+
+    // The 45 minute break comes off the end of the shift, so it belongs to April
+    const marchWithBreak = WageCalculator.calculateBreakdown([shift], {}, [], '5day', monthBounds(3));
+    const aprilWithBreak = WageCalculator.calculateBreakdown([shift], {}, [], '5day', monthBounds(4));
+    assert.deepStrictEqual([minutes(marchWithBreak), marchWithBreak.breakMinutes], [120, 0]);
+    assert.deepStrictEqual([minutes(aprilWithBreak), aprilWithBreak.breakMinutes], [315, 45]);
+});
+
+test('normalizePayProfile sorts the rates, drops unusable ones and fills the defaults', () => {
+    const profile = WageCalculator.normalizePayProfile({
+        type: 'monthly',
+        rates: [
+            { effectiveFrom: '2026-03-16', monthlySalary: '12400' },
+            { effectiveFrom: '2026-01-01', monthlySalary: 9100 },
+            { effectiveFrom: '2026-02-01', monthlySalary: 'n/a' },
+            { effectiveFrom: '2026-02-01', hourlyRate: 60 }
+        ],
+        travel: { perDay: '22.6' }
+    });
+    assert.deepStrictEqual(profile, {
+        type: 'monthly',
+        rates: [{ effectiveFrom: '2026-01-01', amount: 9100 }, { effectiveFrom: '2026-03-16', amount: 12400 }],
+        travelPerDay: 22.6,
+        travelMonthlyMax: 0,
+        standardMonthlyHours: 182,
+        standardDailyHours: null
+    });
+
+    // Unknown type falls back to hourly; a rate without a valid date applies from the start
+    assert.deepStrictEqual(WageCalculator.normalizePayProfile({ type: 'weekly', rates: [{ hourlyRate: 45 }] }).rates,
+        [{ effectiveFrom: '0000-00-00', amount: 45 }]);
+    assert.strictEqual(WageCalculator.normalizePayProfile({ type: 'hourly', rates: [{ effectiveFrom: '2026-01-01', hourlyRate: -5 }] }), null);
+    assert.strictEqual(WageCalculator.normalizePayProfile(null), null);
+});
+
+test('an hourly rate change mid-month prices each day with the rate in effect that day', () => {
+    const payProfile = {
+        type: 'hourly',
+        rates: [{ effectiveFrom: '2026-03-15', hourlyRate: 50 }, { effectiveFrom: '2026-01-01', hourlyRate: 40 }],
+        travel: { perDay: 20, monthlyMax: 30 }
+    };
+    const shifts = [
+        { start: at(3, 2, 8), end: at(3, 2, 12) },   // Monday, before the raise
+        { start: at(3, 16, 8), end: at(3, 16, 12) }  // Monday, after it
+    ];
+    const { totalHours, pay } = WageCalculator.calculateBreakdown(shifts, {}, [], '5day', { ...monthBounds(3), payProfile });
+
+    assert.strictEqual(totalHours, 8);
+    assert.deepStrictEqual(pay, { type: 'hourly', base: 0, buckets: { 100: 360 }, travel: 30, gross: 390, workDays: 2 });
+});
+
+test('periodStart/periodEnd count only the minutes inside the window, priced by their own day', () => {
+    const payProfile = { type: 'hourly', rates: [{ effectiveFrom: '2026-01-01', hourlyRate: 40 }, { effectiveFrom: '2026-04-01', hourlyRate: 50 }] };
+    // Tuesday 22:00 -> Wednesday 02:00 across the month boundary, short enough for no break
+    const shift = { start: at(3, 31, 22), end: at(4, 1, 2) };
+
+    const march = WageCalculator.calculateBreakdown([shift], {}, [], '5day', { ...monthBounds(3), payProfile });
+    const april = WageCalculator.calculateBreakdown([shift], {}, [], '5day', { ...monthBounds(4), payProfile });
+    const whole = WageCalculator.calculateBreakdown([shift], {}, [], '5day', { payProfile });
+
+    assert.strictEqual(march.totalHours, 2);
+    assert.strictEqual(april.totalHours, 2);
+    assert.strictEqual(whole.totalHours, 4);
+    assert.strictEqual(march.pay.gross, 80);
+    assert.strictEqual(april.pay.gross, 100);
+    assert.deepStrictEqual([march.pay.workDays, april.pay.workDays], [1, 1]);
+});
+
+test('overtime tiers follow the minute\'s place in the whole shift, not in the period', () => {
+    // 2h at 100%, then 125% - the April part of the shift is all overtime
+    const salary = { overtimeRanges5: [{ start: '00:00', end: '02:00', addRate: 0 }, { start: '02:00', end: '24:00', addRate: 0.25 }] };
+    const shift = { start: at(3, 31, 22), end: at(4, 1, 2) };
+
+    assert.deepStrictEqual(WageCalculator.calculateBreakdown([shift], salary, [], '5day', monthBounds(3)).breakdown, { 100: 2 });
+    assert.deepStrictEqual(WageCalculator.calculateBreakdown([shift], salary, [], '5day', monthBounds(4)).breakdown, { 125: 2 });
+});
+
+test('a monthly salary covers the 100% hours and is prorated by calendar day when it changes mid-month', () => {
+    const payProfile = {
+        type: 'monthly',
+        rates: [{ effectiveFrom: '2026-01-01', monthlySalary: 9100 }, { effectiveFrom: '2026-03-16', monthlySalary: 12400 }]
+    };
+    const salary = { overtimeRanges5: [{ start: '00:00', end: '08:00', addRate: 0 }, { start: '08:00', end: '24:00', addRate: 0.25 }] };
+    // Monday 08:00-18:00: 45 minutes break off the end, 8h at 100% and 1.25h at 125%
+    const shifts = [{ start: at(3, 2, 8), end: at(3, 2, 18) }];
+
+    const { breakdown, breakMinutes, pay } = WageCalculator.calculateBreakdown(shifts, salary, [], '5day', { ...monthBounds(3), payProfile });
+    assert.deepStrictEqual(breakdown, { 100: 8, 125: 1.25 });
+    assert.strictEqual(breakMinutes, 45);
+
+    // 15 days of March at 9,100 and 16 at 12,400
+    near(pay.base, (15 * 9100 + 16 * 12400) / 31);
+    // Overtime on top at 125% of 9,100 / 182 (the rate on March 2) - the 100% hours add nothing
+    assert.deepStrictEqual(Object.keys(pay.buckets), ['125']);
+    near(pay.buckets[125], 1.25 * (9100 / 182) * 1.25);
+    near(pay.gross, pay.base + pay.buckets[125]);
+
+    // Without a period there is no month to attribute the salary to
+    const single = WageCalculator.calculateBreakdown(shifts, salary, [], '5day', { payProfile });
+    assert.strictEqual(single.pay.base, 0);
+});